@@ -0,0 +1,31 @@
+import { getDb } from './db.js';
+
+// Append-only audit trail of what happened to a case's documents: who
+// uploaded, viewed, analyzed or deleted each one, and retention changes.
+// The table refuses updates and deletes (see the triggers in db.js) and is
+// not tied to the cases table, so the trail outlives a deleted case.
+
+export const AUDIT_ACTIONS = ['upload', 'view', 'analyze', 'delete', 'retention', 'delete_case'];
+
+/**
+ * Appends an entry. `user` is the acting account, or null for the system
+ * (e.g. the retention sweeper); `detail` is stored as JSON.
+ */
+export function audit({ caseId, documentId = null, action, user = null, detail = {} }) {
+    if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+    getDb().prepare(`INSERT INTO audit_log (case_id, document_id, action, actor_id, actor_email, detail, at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(caseId, documentId, action, user?.id ?? null, user?.email ?? null, JSON.stringify(detail), new Date().toISOString());
+}
+
+// The trail of a case, oldest first.
+export function caseAuditLog(caseId) {
+    return getDb().prepare('SELECT * FROM audit_log WHERE case_id = ? ORDER BY id').all(caseId).map(row => ({
+        id: row.id,
+        at: row.at,
+        action: row.action,
+        documentId: row.document_id,
+        actor: row.actor_id ? { id: row.actor_id, email: row.actor_email } : null,
+        detail: JSON.parse(row.detail),
+    }));
+}
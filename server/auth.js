@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { HttpError } from './errors.js';
+import { getDb } from './db.js';
+import { MemoryStore } from './store.js';
+
+// Accounts and login sessions. Passwords are hashed with scrypt; a login
+// hands out a random session token that is sent back as an HttpOnly cookie
+// (browsers) or an `Authorization: Bearer` header (API clients). Only the
+// token's SHA-256 is stored, so a leaked database cannot be replayed.
+// Repeated failed logins from one address are refused for a while.
+//
+// Roles: `consultant` manages the cases of many applicants; `applicant`
+// sees only their own. Consultants register with CONSULTANT_INVITE_CODE.
+
+export const ROLES = ['consultant', 'applicant'];
+export const SESSION_COOKIE = 'vg_session';
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD = 8;
+
+const sessionDays = () => parseFloat(process.env.AUTH_SESSION_DAYS) || 7;
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// "scrypt$N$r$p$salt$hash", so the cost can be raised without breaking old hashes.
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt') return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Failed logins are counted per address and email, and per address across
+// emails; each count is forgotten AUTH_LOCKOUT_MINUTES (15) after its last
+// failure. AUTH_MAX_ATTEMPTS (5) failures lock an email out from that address,
+// four times as many lock the address out.
+const lockoutMs = () => (parseFloat(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60000;
+const maxAttempts = () => parseInt(process.env.AUTH_MAX_ATTEMPTS, 10) || 5;
+const failures = new MemoryStore({ ttlMs: lockoutMs, limit: () => 10000 });
+
+const throttleKeys = (ip, email) => [
+    { key: `${ip}|${email.toLowerCase()}`, max: maxAttempts() },
+    { key: ip, max: maxAttempts() * 4 },
+];
+
+function assertNotThrottled(keys) {
+    for (const { key, max } of keys) {
+        const entry = failures.get(key);
+        if (entry && entry.count >= max) {
+            const err = new HttpError(429, 'Too many failed logins; try again later');
+            err.retryAfter = Math.max(1, Math.ceil((entry.lastAt + lockoutMs() - Date.now()) / 1000));
+            throw err;
+        }
+    }
+}
+
+function recordFailure(keys) {
+    keys.forEach(({ key }) => failures.set(key, { count: (failures.get(key)?.count ?? 0) + 1, lastAt: Date.now() }));
+}
+
+// Compared against when the email is unknown, so both failures take as long.
+const DUMMY_HASH = hashPassword(crypto.randomUUID());
+
+const toUser = (row) => row && { id: row.id, email: row.email, name: row.name, role: row.role, createdAt: row.created_at };
+
+export function findUserByEmail(email) {
+    return toUser(getDb().prepare('SELECT * FROM users WHERE email = ?').get(String(email || '').trim()));
+}
+
+export function listUsers(role) {
+    return getDb().prepare('SELECT * FROM users WHERE role = ? ORDER BY email').all(role).map(toUser);
+}
+
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + sessionDays() * 86400000);
+    const db = getDb();
+    db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?').run(now.toISOString());
+    db.prepare('INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(sha256(token), userId, now.toISOString(), expiresAt.toISOString());
+    return { token, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Creates an account and logs it in. Anyone can register as an applicant;
+ * the consultant role needs `inviteCode` to match CONSULTANT_INVITE_CODE.
+ * Returns { user, token, expiresAt }.
+ */
+export async function register({ email, password, name = '', role = 'applicant', inviteCode } = {}) {
+    const address = String(email || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new HttpError(400, 'Enter a valid email address');
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+        throw new HttpError(400, `Passwords must be at least ${MIN_PASSWORD} characters`);
+    }
+    if (!ROLES.includes(role)) throw new HttpError(400, `The role must be one of ${ROLES.join(', ')}`);
+    if (role === 'consultant' && (!process.env.CONSULTANT_INVITE_CODE || inviteCode !== process.env.CONSULTANT_INVITE_CODE)) {
+        throw new HttpError(403, 'A valid invite code is required to register as a consultant');
+    }
+    if (findUserByEmail(address)) throw new HttpError(409, 'An account with this email already exists');
+
+    const id = crypto.randomUUID();
+    getDb().prepare('INSERT INTO users (id, email, name, role, password_hash, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(id, address, String(name).trim(), role, await hashPassword(password), new Date().toISOString());
+    return { user: toUser(getDb().prepare('SELECT * FROM users WHERE id = ?').get(id)), ...createSession(id) };
+}
+
+/**
+ * Checks the credentials and starts a session: { user, token, expiresAt }.
+ * Unknown emails and wrong passwords fail the same way. Too many failures
+ * from the client address `ip` answer 429 with `retryAfter`.
+ */
+export async function login({ email, password } = {}, { ip = 'unknown' } = {}) {
+    const address = String(email || '').trim();
+    const keys = throttleKeys(ip, address);
+    assertNotThrottled(keys);
+    const row = getDb().prepare('SELECT * FROM users WHERE email = ?').get(address);
+    const ok = await verifyPassword(String(password || ''), row?.password_hash || await DUMMY_HASH);
+    if (!row || !ok) {
+        recordFailure(keys);
+        throw new HttpError(401, 'Wrong email or password');
+    }
+    failures.delete(keys[0].key);
+    return { user: toUser(row), ...createSession(row.id) };
+}
+
+export function logout(token) {
+    if (token) getDb().prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(sha256(token));
+}
+
+// The user a session token belongs to, or null when it is unknown or expired.
+export function userForToken(token) {
+    if (!token) return null;
+    const row = getDb().prepare(`SELECT u.* FROM auth_sessions s JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > ?`).get(sha256(token), new Date().toISOString());
+    return toUser(row) || null;
+}
+
+// Bearer header first, then the session cookie.
+export function requestToken(req) {
+    const bearer = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) return bearer[1];
+    const cookie = (req.get('cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Express middleware: sets `req.user` from the request's session token, or
+ * null. Never rejects; routes opt in with requireAuth / requireRole.
+ */
+export function authenticate(req, res, next) {
+    req.user = userForToken(requestToken(req));
+    next();
+}
+
+// Rejects requests without a logged-in user with a 401.
+export function requireAuth(req, res, next) {
+    if (!req.user) throw new HttpError(401, 'Log in to continue');
+    next();
+}
+
+// Rejects users without `role` with a 403 (and anonymous requests with a 401).
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) throw new HttpError(401, 'Log in to continue');
+        if (req.user.role !== role) throw new HttpError(403, `Only ${role}s can do this`);
+        next();
+    };
+}
+
+// Whether `user` may see data owned by `ownerId`: consultants see everything,
+// applicants only their own.
+export function canAccess(user, ownerId) {
+    return Boolean(user) && (user.role === 'consultant' || ownerId === user.id);
+}
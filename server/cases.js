@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+import { getDb } from './db.js';
+import { canAccess, findUserByEmail } from './auth.js';
+import { audit } from './audit.js';
+import { applyRetention, defaultRetention, openJson, purgeCase, sealJson, validateRetention, vaultAvailable } from './vault.js';
+import { actionPlan, carryOver, estimatePlan } from './report/plan.js';
+
+// Applicant cases: a profile, the documents it was analyzed with, every
+// analysis run and every interview session, kept in SQLite so consultants
+// can reopen a case and follow its score over time. Only document metadata
+// is stored, never the files. The profile and result of each analysis are
+// encrypted with the vault key; without one, the result is stored without the
+// identifiers read off the documents.
+//
+// A case belongs to an applicant account (`applicant_id`). Applicants see
+// only their own cases; consultants see and manage all of them and can link
+// a case to an applicant by email.
+//
+// Uploads are kept in the encrypted vault (vault.js) according to the case's
+// `retention`; deleting a case deletes its documents first.
+//
+// Every analysis replaces the case's action plan (report/plan.js); tasks
+// ticked off in the old plan stay ticked when they are still in the new one.
+
+const now = () => new Date().toISOString();
+const json = (value) => JSON.stringify(value ?? null);
+
+// Name, type and size of the uploaded files; the contents are not kept.
+const documentMeta = (documents = []) => documents.map(d => ({
+    type: d.type,
+    name: d.originalname ?? d.name,
+    mimetype: d.mimetype,
+    size: d.size,
+}));
+
+// Fields read off the documents that identify the applicant, and the balance history.
+const IDENTIFIERS = ['surname', 'given_names', 'passport_number', 'personal_number', 'date_of_birth', 'applicant_name', 'accountHolder'];
+
+function withoutIdentifiers(result) {
+    if (!Array.isArray(result.docs)) return result;
+    const docs = result.docs.map(({ fields, statement, ...doc }) => {
+        const { dailyBalances, ...kept } = statement ?? {};
+        return {
+            ...doc,
+            ...(fields && { fields: Object.fromEntries(Object.entries(fields).filter(([k]) => !IDENTIFIERS.includes(k))) }),
+            ...(statement && { statement: kept }),
+        };
+    });
+    return { ...result, docs };
+}
+
+// Analysis columns as stored: sealed per analysis and column (see vault.js).
+const seal = (analysisId, column, value) => sealJson(`${analysisId}:${column}`, value);
+const open = (analysisId, column, text) => openJson(`${analysisId}:${column}`, text);
+
+const defaultName = (profile = {}) => [profile.name || 'New applicant', profile.dest_country].filter(Boolean).join(' – ');
+
+function toCase(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        notes: row.notes,
+        applicantId: row.applicant_id,
+        retention: row.retention,
+        profile: JSON.parse(row.profile),
+        documents: JSON.parse(row.documents),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+const toAnalysisSummary = (row) => ({
+    id: row.id,
+    engine: row.engine,
+    model: row.model,
+    score: row.score,
+    plain: row.plain,
+    analyzedAt: row.analyzed_at,
+});
+
+const toInterviewSummary = (row) => ({
+    id: row.id,
+    analysisId: row.analysis_id,
+    status: row.status,
+    readiness: row.readiness,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+});
+
+// Cases the user may not see are reported as missing, not forbidden.
+function findCaseRow(id, user) {
+    const row = getDb().prepare('SELECT * FROM cases WHERE id = ?').get(id);
+    if (!row || !canAccess(user, row.applicant_id)) throw new HttpError(404, 'Case not found', { caseId: id });
+    return row;
+}
+
+// The applicant account for `applicantEmail`: consultants link cases to
+// applicants, applicants always own the cases they create.
+function applicantFor(user, applicantEmail) {
+    if (applicantEmail === undefined) return undefined;
+    if (user.role !== 'consultant') throw new HttpError(403, 'Only consultants can link a case to an applicant');
+    if (applicantEmail === null || applicantEmail === '') return null;
+    const applicant = findUserByEmail(applicantEmail);
+    if (applicant?.role !== 'applicant') throw new HttpError(400, `No applicant account for ${applicantEmail}`);
+    return applicant.id;
+}
+
+function validateFields({ name, notes, profile }) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw new HttpError(400, 'The case "name" must be a non-empty string');
+    }
+    if (notes !== undefined && typeof notes !== 'string') {
+        throw new HttpError(400, 'The case "notes" must be a string');
+    }
+    if (profile !== undefined && (typeof profile !== 'object' || profile === null || Array.isArray(profile))) {
+        throw new HttpError(400, 'The case "profile" must be an object');
+    }
+}
+
+/**
+ * The cases `user` may see, most recently updated first, each with its number
+ * of analyses and its latest and previous score so lists can show the trend.
+ */
+export function listCases(user) {
+    const rows = getDb().prepare(`
+        SELECT c.*,
+            (SELECT COUNT(*) FROM analyses a WHERE a.case_id = c.id) AS analysis_count,
+            (SELECT COUNT(*) FROM interviews i WHERE i.case_id = c.id) AS interview_count,
+            (SELECT score FROM analyses a WHERE a.case_id = c.id ORDER BY analyzed_at DESC LIMIT 1) AS latest_score,
+            (SELECT score FROM analyses a WHERE a.case_id = c.id ORDER BY analyzed_at DESC LIMIT 1 OFFSET 1) AS previous_score
+        FROM cases c WHERE ? = 'consultant' OR c.applicant_id = ?
+        ORDER BY c.updated_at DESC
+    `).all(user.role, user.id);
+    return rows.map(row => ({
+        ...toCase(row),
+        analyses: row.analysis_count,
+        interviews: row.interview_count,
+        latestScore: row.latest_score,
+        previousScore: row.previous_score,
+    }));
+}
+
+const findPlan = (caseId) => {
+    const row = getDb().prepare('SELECT plan FROM action_plans WHERE case_id = ?').get(caseId);
+    return row ? JSON.parse(row.plan) : null;
+};
+
+/**
+ * A case with its analysis history (oldest first, without the full results),
+ * its interview sessions and the progress of its action plan.
+ */
+export function getCase(id, user) {
+    const db = getDb();
+    const row = findCaseRow(id, user);
+    const applicant = row.applicant_id && db.prepare('SELECT email, name FROM users WHERE id = ?').get(row.applicant_id);
+    const plan = findPlan(id);
+    return {
+        ...toCase(row),
+        applicant: applicant ? { id: row.applicant_id, email: applicant.email, name: applicant.name } : null,
+        plan: plan && estimatePlan(plan),
+        analyses: db.prepare('SELECT id, engine, model, score, plain, analyzed_at FROM analyses WHERE case_id = ? ORDER BY analyzed_at').all(id).map(toAnalysisSummary),
+        interviews: db.prepare('SELECT id, analysis_id, status, readiness, started_at, updated_at FROM interviews WHERE case_id = ? ORDER BY started_at').all(id).map(toInterviewSummary),
+    };
+}
+
+// Throws a 404 HttpError unless the case exists and `user` may see it.
+export function assertCase(id, user) {
+    findCaseRow(id, user);
+}
+
+/**
+ * Creates a case from `{ name?, notes?, profile?, applicantEmail?,
+ * retention? }` for `user`. Without a name it is named after the applicant
+ * and destination; without a retention it gets VAULT_RETENTION.
+ */
+export function createCase({ name, notes = '', profile = {}, applicantEmail, retention } = {}, user) {
+    validateFields({ name, notes, profile });
+    if (retention !== undefined) validateRetention(retention);
+    const applicantId = user.role === 'applicant' ? user.id : applicantFor(user, applicantEmail) ?? null;
+    const id = crypto.randomUUID();
+    const at = now();
+    getDb().prepare('INSERT INTO cases (id, name, notes, profile, applicant_id, created_by, retention, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)')
+        .run(id, name?.trim() || defaultName(profile), notes, json(profile), applicantId, user.id, retention ?? defaultRetention(), at, at);
+    return getCase(id, user);
+}
+
+/**
+ * Changes the name, notes, profile, retention or (consultants only) linked
+ * applicant of a case. A new retention applies to the documents already kept.
+ */
+export function updateCase(id, { name, notes, profile, applicantEmail, retention } = {}, user) {
+    validateFields({ name, notes, profile });
+    const row = findCaseRow(id, user);
+    const applicantId = applicantFor(user, applicantEmail);
+    if (retention !== undefined && retention !== row.retention) {
+        validateRetention(retention);
+        applyRetention(id, retention, user);
+        audit({ caseId: id, action: 'retention', user, detail: { from: row.retention, to: retention } });
+    }
+    getDb().prepare('UPDATE cases SET name = ?, notes = ?, profile = ?, applicant_id = ?, retention = ?, updated_at = ? WHERE id = ?')
+        .run(name?.trim() || row.name, notes ?? row.notes, profile ? json(profile) : row.profile,
+            applicantId === undefined ? row.applicant_id : applicantId, retention ?? row.retention, now(), id);
+    return getCase(id, user);
+}
+
+// Deletes a case with its documents, analyses and interviews. The audit log is kept.
+export function deleteCase(id, user) {
+    const row = findCaseRow(id, user);
+    purgeCase(id, user);
+    getDb().prepare('DELETE FROM cases WHERE id = ?').run(id);
+    audit({ caseId: id, action: 'delete_case', user, detail: { name: row.name } });
+}
+
+/**
+ * Records a finished analysis (a result with `meta.analysisId`) on a case.
+ * The profile and document list become the case's current ones, and the
+ * analysis replaces the case's action plan.
+ */
+export function recordAnalysis(caseId, { profile, documents, result }) {
+    const db = getDb();
+    const { meta = {} } = result;
+    const docs = json(documentMeta(documents));
+    const at = meta.analyzedAt || now();
+    db.transaction(() => {
+        db.prepare(`INSERT INTO analyses (id, case_id, engine, model, score, plain, profile, documents, result, analyzed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(meta.analysisId, caseId, meta.engine, meta.model ?? null, result.score, result.plain,
+                seal(meta.analysisId, 'profile', profile), docs, seal(meta.analysisId, 'result', vaultAvailable() ? result : withoutIdentifiers(result)), at);
+        db.prepare('UPDATE cases SET profile = ?, documents = ?, updated_at = ? WHERE id = ?').run(json(profile), docs, now(), caseId);
+        savePlan(caseId, carryOver(actionPlan(result, profile), findPlan(caseId)));
+    })();
+}
+
+function savePlan(caseId, plan) {
+    getDb().prepare(`INSERT INTO action_plans (case_id, analysis_id, plan, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(case_id) DO UPDATE SET analysis_id = excluded.analysis_id, plan = excluded.plan, updated_at = excluded.updated_at`)
+        .run(caseId, plan.analysisId, json(plan), now());
+}
+
+function findCasePlan(caseId, user) {
+    findCaseRow(caseId, user);
+    const plan = findPlan(caseId);
+    if (!plan) throw new HttpError(404, 'The case has no action plan yet; analyze it first', { caseId });
+    return plan;
+}
+
+/**
+ * The action plan of a case, from its latest analysis, with the re-estimated
+ * score as `estimate` (see report/plan.js); a 404 HttpError before the first
+ * analysis.
+ */
+export function getCasePlan(caseId, user) {
+    const plan = findCasePlan(caseId, user);
+    return { ...plan, estimate: estimatePlan(plan) };
+}
+
+/**
+ * Ticks a task of the case's action plan off (`done: true`) or on again and
+ * returns the plan as getCasePlan() does.
+ */
+export function updatePlanItem(caseId, itemId, { done } = {}, user) {
+    if (typeof done !== 'boolean') throw new HttpError(400, 'The task needs "done": true or false');
+    const plan = findCasePlan(caseId, user);
+    if (!plan.items.some(i => i.id === itemId)) {
+        throw new HttpError(404, 'Task not found in the action plan', { caseId, itemId });
+    }
+    const updated = { ...plan, items: plan.items.map(i => (i.id === itemId ? { ...i, done } : i)) };
+    savePlan(caseId, updated);
+    return { ...updated, estimate: estimatePlan(updated) };
+}
+
+/**
+ * A stored analysis `user` may see: `{ caseId, profile, documents, result }`,
+ * or null. Used to reopen past results and to build reports after the
+ * in-memory snapshot has expired.
+ */
+export function getAnalysis(analysisId, user) {
+    const row = getDb().prepare(`SELECT a.case_id, a.profile, a.documents, a.result, c.applicant_id FROM analyses a
+        JOIN cases c ON c.id = a.case_id WHERE a.id = ?`).get(analysisId);
+    if (!row || !canAccess(user, row.applicant_id)) return null;
+    return {
+        caseId: row.case_id,
+        profile: open(analysisId, 'profile', row.profile),
+        documents: JSON.parse(row.documents),
+        result: open(analysisId, 'result', row.result),
+    };
+}
+
+/**
+ * Saves an interview session (as returned by the interview API) on a case,
+ * replacing the earlier copy of the same session.
+ */
+export function recordInterview(caseId, session) {
+    const db = getDb();
+    const at = now();
+    db.transaction(() => {
+        db.prepare(`INSERT INTO interviews (id, case_id, analysis_id, status, readiness, session, started_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET status = excluded.status, readiness = excluded.readiness, session = excluded.session, updated_at = excluded.updated_at`)
+            .run(session.id, caseId, session.analysisId, session.status, session.summary?.readiness ?? null, json(session), session.startedAt, at);
+        db.prepare('UPDATE cases SET updated_at = ? WHERE id = ?').run(at, caseId);
+    })();
+}
+
+// A stored interview session of a case, or a 404 HttpError.
+export function getCaseInterview(caseId, interviewId, user) {
+    findCaseRow(caseId, user);
+    const row = getDb().prepare('SELECT session FROM interviews WHERE id = ? AND case_id = ?').get(interviewId, caseId);
+    if (!row) throw new HttpError(404, 'Interview not found in this case', { caseId, interviewId });
+    return JSON.parse(row.session);
+}
+
+// A stored analysis result of a case, or a 404 HttpError.
+export function getCaseAnalysis(caseId, analysisId, user) {
+    const analysis = getAnalysis(analysisId, user);
+    if (!analysis || analysis.caseId !== caseId) throw new HttpError(404, 'Analysis not found in this case', { caseId, analysisId });
+    return analysis;
+}
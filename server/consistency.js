@@ -0,0 +1,101 @@
+import { compareNames } from './extract/passport.js';
+import { convert, formatMoney } from './currency.js';
+import { tuitionOwed } from './cost.js';
+
+// Cross-document consistency: what the passport, bank statement and offer
+// letter say about the applicant has to agree.
+
+function nameChecks(sources) {
+    const findings = [];
+    const [reference, ...others] = sources.filter(s => s.value);
+    if (!reference) return findings;
+    others.forEach((other) => {
+        const match = compareNames(reference.value, other.value);
+        if (match !== 'mismatch' && match !== 'partial') return;
+        findings.push({
+            code: match === 'mismatch' ? 'name_inconsistent' : 'name_partially_consistent',
+            severity: match === 'mismatch' ? 'error' : 'warning',
+            field: 'name',
+            documents: [reference.document, other.document],
+            values: { [reference.document]: reference.value, [other.document]: other.value },
+            message: match === 'mismatch'
+                ? `Name on the ${other.document.toLowerCase()} ("${other.value}") does not match the ${reference.document.toLowerCase()} ("${reference.value}").`
+                : `Name on the ${other.document.toLowerCase()} ("${other.value}") only partially matches the ${reference.document.toLowerCase()} ("${reference.value}").`,
+        });
+    });
+    return findings;
+}
+
+/**
+ * Compares names, dates of birth, dates and amounts across documents.
+ * `docs` maps document type (passport, bank, offer) to the analyzed entry
+ * `{ name, fields }`. Each finding names the `documents` it involves.
+ */
+export function checkConsistency(docs) {
+    const passport = docs.passport?.fields;
+    const bank = docs.bank?.fields;
+    const offer = docs.offer?.fields;
+    const label = (type) => docs[type].name;
+    const findings = [];
+
+    // Names: the passport is the reference when we have one.
+    findings.push(...nameChecks([
+        passport && { document: label('passport'), value: `${passport.given_names} ${passport.surname}`.trim() },
+        offer && { document: label('offer'), value: offer.applicant_name },
+        bank && { document: label('bank'), value: bank.accountHolder },
+    ].filter(Boolean)));
+
+    if (passport?.date_of_birth && offer?.date_of_birth && passport.date_of_birth !== offer.date_of_birth) {
+        findings.push({
+            code: 'dob_inconsistent',
+            severity: 'error',
+            field: 'date_of_birth',
+            documents: [label('passport'), label('offer')],
+            values: { [label('passport')]: passport.date_of_birth, [label('offer')]: offer.date_of_birth },
+            message: `Date of birth on the offer letter (${offer.date_of_birth}) differs from the passport (${passport.date_of_birth}).`,
+        });
+    }
+
+    if (passport?.expiry_date && offer?.start_date && passport.expiry_date <= offer.start_date) {
+        findings.push({
+            code: 'passport_expires_before_start',
+            severity: 'error',
+            field: 'expiry_date',
+            documents: [label('passport'), label('offer')],
+            values: { [label('passport')]: passport.expiry_date, [label('offer')]: offer.start_date },
+            message: `Passport expires on ${passport.expiry_date}, before the program starts on ${offer.start_date}.`,
+        });
+    }
+
+    // Amounts: verified funds must at least cover the tuition still owed, when
+    // both documents state their currency.
+    const owed = tuitionOwed(offer);
+    if (bank?.verifiedFunds !== undefined && owed) {
+        const unstated = [!bank.currency && 'bank', !owed.currency && 'offer'].filter(Boolean);
+        const held = unstated.length === 0 ? convert(bank.verifiedFunds, bank.currency, owed.currency) : null;
+        if (held === null) {
+            findings.push({
+                code: 'currency_differs',
+                severity: 'info',
+                field: 'funds',
+                documents: [label('bank'), label('offer')],
+                values: { [label('bank')]: bank.currency, [label('offer')]: owed.currency },
+                message: unstated.length > 0
+                    ? `The ${unstated.map(type => label(type).toLowerCase()).join(' and the ')} ${unstated.length > 1 ? 'do' : 'does'} not state a currency; amounts were not compared.`
+                    : `No exchange rate between ${bank.currency} and ${owed.currency}; amounts were not compared.`,
+            });
+        } else if (held < owed.amount) {
+            const converted = bank.currency !== owed.currency ? ` ≈ ${formatMoney(held, owed.currency)}` : '';
+            findings.push({
+                code: 'funds_below_tuition',
+                severity: 'error',
+                field: 'funds',
+                documents: [label('bank'), label('offer')],
+                values: { [label('bank')]: bank.verifiedFunds, [label('offer')]: owed.amount },
+                message: `Verified funds (${formatMoney(bank.verifiedFunds, bank.currency)}${converted}) do not cover the tuition still owed (${formatMoney(owed.amount, owed.currency)}).`,
+            });
+        }
+    }
+
+    return findings;
+}
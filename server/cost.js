@@ -0,0 +1,63 @@
+import { convert } from './currency.js';
+import { findRuleBook } from './rulebook.js';
+
+// Cost-of-stay model: monthly living costs, typical tuition and length of stay
+// per destination and purpose come from the rulebook's `cost` entries, in the
+// destination currency.
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Tuition still to pay according to the offer letter, net of any deposit paid.
+export function tuitionOwed(offer) {
+    if (!offer?.tuition) return null;
+    const { tuition, deposit_paid: deposit } = offer;
+    const paid = deposit ? convert(deposit.amount, deposit.currency || tuition.currency, tuition.currency) ?? 0 : 0;
+    return { amount: Math.max(0, tuition.amount - paid), currency: tuition.currency };
+}
+
+/**
+ * Cost of the planned stay for the profile's destination and purpose, or null
+ * when the rulebook has no cost data for it. `tuition` from an offer letter
+ * replaces the typical figure.
+ */
+export function costOfStay(profile, { tuition } = {}) {
+    const book = findRuleBook(profile.dest_country);
+    const purpose = profile.purpose || 'Study';
+    const cost = book?.purposes[purpose]?.cost;
+    if (!cost) return null;
+
+    const fromOffer = tuition ? convert(tuition.amount, tuition.currency || book.currency, book.currency) : null;
+    return {
+        country: book.country,
+        purpose,
+        currency: book.currency,
+        monthlyLiving: cost.monthlyLiving,
+        tuition: fromOffer ?? cost.tuitionPerYear ?? 0,
+        tuitionSource: fromOffer !== null ? 'offer' : 'typical',
+        months: cost.months,
+    };
+}
+
+/**
+ * How many months of the stay the funds cover once tuition is paid, in the
+ * destination currency, along with the `cost` it was judged against.
+ * Returns null when the funds currency is unknown.
+ */
+export function fundsCoverage(finances, cost) {
+    if (!cost || !finances) return null;
+    const available = convert(finances.amount, finances.currency, cost.currency);
+    if (available === null) return null;
+
+    const monthsCovered = Math.max(0, available - cost.tuition) / cost.monthlyLiving;
+    const needed = cost.tuition + cost.monthlyLiving * cost.months;
+    return {
+        currency: cost.currency,
+        available: Math.round(available),
+        needed: Math.round(needed),
+        shortfall: Math.round(Math.max(0, needed - available)),
+        monthsCovered: round1(monthsCovered),
+        monthsNeeded: cost.months,
+        ratio: Math.round((monthsCovered / cost.months) * 100) / 100,
+        cost,
+    };
+}
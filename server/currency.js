@@ -0,0 +1,34 @@
+import fs from 'fs';
+
+// Currency conversion from a local rate table (data/exchange-rates.json, or
+// the file in EXCHANGE_RATES_FILE). No live rate service is needed.
+
+let table;
+function rateTable() {
+    if (!table) {
+        const file = process.env.EXCHANGE_RATES_FILE || new URL('./data/exchange-rates.json', import.meta.url);
+        table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return table;
+}
+
+export const ratesUpdated = () => rateTable().updated;
+
+export const knownCurrencies = () => Object.keys(rateTable().rates).sort();
+
+/**
+ * Converts an amount between two ISO currency codes through the table's base
+ * currency. Returns null when either currency is not in the table.
+ */
+export function convert(amount, from, to) {
+    if (amount === null || amount === undefined || !from || !to) return null;
+    if (from === to) return amount;
+    const { rates } = rateTable();
+    if (!rates[from] || !rates[to]) return null;
+    return (amount / rates[from]) * rates[to];
+}
+
+export function formatMoney(amount, currency) {
+    const locale = currency === 'INR' ? 'en-IN' : 'en-US';
+    return [currency, Math.round(amount).toLocaleString(locale)].filter(Boolean).join(' ');
+}
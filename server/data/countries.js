@@ -0,0 +1,20 @@
+import fs from 'fs';
+
+// Country reference table: names as used in the profile form, ISO codes as
+// (`icao` where the passport code differs from ISO alpha-3, e.g. Germany "D"), flags and currencies.
+export const COUNTRIES = JSON.parse(fs.readFileSync(new URL('./countries.json', import.meta.url), 'utf8'));
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+
+// Looks a country up by name, alias, alpha-2 or alpha-3 code.
+export function findCountry(value) {
+    const key = normalize(value);
+    if (!key) return null;
+    return COUNTRIES.find(c => (
+        normalize(c.name) === key
+        || normalize(c.alpha2) === key
+        || normalize(c.alpha3) === key
+        || normalize(c.icao) === key
+        || (c.aliases || []).some(a => normalize(a) === key)
+    )) || null;
+}
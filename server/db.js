@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// The SQLite database behind persistent data: user accounts, login sessions,
+// applicant cases with their history and action plans, the document vault
+// index and the audit log. It lives in CASES_DB (default data/visa-genius.db), is opened
+// on first use and migrated forward with the MIGRATIONS below.
+
+// Each entry upgrades the schema by one version (tracked in user_version).
+// Append new migrations; never edit one that has shipped.
+const MIGRATIONS = [
+    `CREATE TABLE cases (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        notes TEXT NOT NULL DEFAULT '',
+        profile TEXT NOT NULL DEFAULT '{}',
+        documents TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE analyses (
+        id TEXT PRIMARY KEY,
+        case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+        engine TEXT NOT NULL,
+        model TEXT,
+        score INTEGER NOT NULL,
+        plain TEXT NOT NULL,
+        profile TEXT NOT NULL,
+        documents TEXT NOT NULL,
+        result TEXT NOT NULL,
+        analyzed_at TEXT NOT NULL
+    );
+    CREATE INDEX analyses_case ON analyses(case_id, analyzed_at);
+    CREATE TABLE interviews (
+        id TEXT PRIMARY KEY,
+        case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+        analysis_id TEXT,
+        status TEXT NOT NULL,
+        readiness INTEGER,
+        session TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX interviews_case ON interviews(case_id, started_at);`,
+    `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT NOT NULL DEFAULT '',
+        role TEXT NOT NULL CHECK (role IN ('consultant', 'applicant')),
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE TABLE auth_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+    );
+    ALTER TABLE cases ADD COLUMN applicant_id TEXT REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE cases ADD COLUMN created_by TEXT REFERENCES users(id) ON DELETE SET NULL;
+    CREATE INDEX cases_applicant ON cases(applicant_id);`,
+    `ALTER TABLE cases ADD COLUMN retention TEXT NOT NULL DEFAULT 'immediate';
+    CREATE TABLE documents (
+        id TEXT PRIMARY KEY,
+        case_id TEXT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        mimetype TEXT,
+        size INTEGER NOT NULL,
+        sha256 TEXT NOT NULL,
+        key_id TEXT NOT NULL,
+        uploaded_by TEXT,
+        uploaded_at TEXT NOT NULL,
+        expires_at TEXT,
+        deleted_at TEXT
+    );
+    CREATE INDEX documents_case ON documents(case_id);
+    CREATE INDEX documents_expiry ON documents(expires_at) WHERE deleted_at IS NULL;
+    CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        case_id TEXT,
+        document_id TEXT,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        actor_email TEXT,
+        detail TEXT NOT NULL DEFAULT '{}',
+        at TEXT NOT NULL
+    );
+    CREATE INDEX audit_case ON audit_log(case_id, id);
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;`,
+    `CREATE TABLE action_plans (
+        case_id TEXT PRIMARY KEY REFERENCES cases(id) ON DELETE CASCADE,
+        analysis_id TEXT,
+        plan TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );`,
+];
+
+const dbPath = () => process.env.CASES_DB || path.join('data', 'visa-genius.db');
+
+let db = null;
+
+function migrate(database) {
+    const current = database.pragma('user_version', { simple: true });
+    MIGRATIONS.slice(current).forEach((sql, i) => {
+        database.transaction(() => {
+            database.exec(sql);
+            database.pragma(`user_version = ${current + i + 1}`);
+        })();
+    });
+}
+
+/**
+ * The shared database connection, opened and migrated on first use.
+ * CASES_DB=:memory: keeps everything in memory (lost on restart).
+ */
+export function getDb() {
+    if (db) return db;
+    const file = dbPath();
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+    return db;
+}
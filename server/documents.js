@@ -0,0 +1,243 @@
+import sharp from 'sharp';
+import { HttpError } from './errors.js';
+import { loadPdf } from './extract/ocr.js';
+
+// Document checks that run before any engine sees the upload.
+//
+// validateUploads() trusts the content, not the filename or the browser's
+// type: each file is identified by its signature (magic bytes), programs,
+// archives and PDFs with active content are refused, PDFs must open and stay
+// within the page limit, and images must decode at a usable resolution.
+// Images are re-encoded, which drops their EXIF metadata (camera, GPS).
+
+// Document slots an upload can fill, with their labels.
+export const DOCUMENT_TYPES = {
+    passport: 'Passport',
+    bank: 'Bank statement',
+    offer: 'Offer letter',
+    language: 'Language test result',
+    transcript: 'Academic transcript',
+    employment: 'Employment letter',
+    itinerary: 'Travel itinerary',
+    other: 'Other document',
+};
+
+export const SUPPORTED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'text/csv'];
+
+const MB = 1024 * 1024;
+
+// "2.5 MB"
+export const megabytes = (bytes) => `${+(bytes / MB).toFixed(2)} MB`;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Upload limits, from the environment: UPLOAD_MAX_FILE_MB (10),
+ * UPLOAD_MAX_TOTAL_MB (25) per request, UPLOAD_MAX_FILES (10),
+ * UPLOAD_MAX_PDF_PAGES (30), UPLOAD_MIN_IMAGE_PX (500, shorter side) and
+ * UPLOAD_MAX_IMAGE_MEGAPIXELS (40).
+ */
+export function uploadLimits() {
+    return {
+        maxFileBytes: Math.round(envNumber('UPLOAD_MAX_FILE_MB', 10) * MB),
+        maxTotalBytes: Math.round(envNumber('UPLOAD_MAX_TOTAL_MB', 25) * MB),
+        maxFiles: envNumber('UPLOAD_MAX_FILES', 10),
+        maxPdfPages: envNumber('UPLOAD_MAX_PDF_PAGES', 30),
+        minImagePx: envNumber('UPLOAD_MIN_IMAGE_PX', 500),
+        maxImagePixels: envNumber('UPLOAD_MAX_IMAGE_MEGAPIXELS', 40) * 1e6,
+    };
+}
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const HEIC_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs']);
+const HEIF_BRANDS = new Set(['mif1', 'msf1']);
+
+// Signatures of files that are never documents.
+const DANGEROUS = [
+    { test: b => ascii(b, 0, 2) === 'MZ', what: 'a Windows program' },
+    { test: b => ascii(b, 0, 4) === '\x7fELF', what: 'a program' },
+    { test: b => b.length >= 4 && [0xcafebabe, 0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(b.readUInt32BE(0)), what: 'a program' },
+    { test: b => ascii(b, 0, 2) === '#!', what: 'a script' },
+    { test: b => ascii(b, 0, 4) === 'PK\x03\x04', what: 'a ZIP archive (or Office file)' },
+    { test: b => ascii(b, 0, 4) === 'Rar!' || ascii(b, 0, 6) === '7z\xbc\xaf\x27\x1c', what: 'an archive' },
+    { test: b => /^\s*<(?:!doctype html|html|script|svg)/i.test(ascii(b, 0, 256)), what: 'a web page or script' },
+];
+
+/**
+ * The type of a file from its first bytes: one of SUPPORTED_MIME_TYPES except
+ * CSV (text has no signature), or null.
+ */
+export function sniffType(buffer) {
+    if (ascii(buffer, 0, 1024).includes('%PDF-')) return 'application/pdf';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(PNG)) return 'image/png';
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(buffer, 4, 8) === 'ftyp') {
+        const brand = ascii(buffer, 8, 12);
+        if (HEIC_BRANDS.has(brand)) return 'image/heic';
+        if (HEIF_BRANDS.has(brand)) return 'image/heif';
+    }
+    return null;
+}
+
+// UTF-8 text without NUL bytes, as CSV exports are.
+function isText(buffer) {
+    if (buffer.subarray(0, 65536).includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+class Rejection extends Error {
+    constructor(code, reason) {
+        super(reason);
+        this.code = code;
+    }
+}
+
+const describeType = (mimetype) => ({ 'application/pdf': 'PDF', 'text/csv': 'CSV' }[mimetype] || mimetype?.replace(/^image\//, '').toUpperCase() || 'file');
+
+async function checkPdf(doc, limits) {
+    // Scripts and launch actions have no place in a statement or a letter.
+    if (/\/(?:JavaScript|Launch)\b/.test(ascii(doc.buffer))) {
+        throw new Rejection('active_content', 'The PDF contains scripts or launch actions; print it to a new PDF and upload that instead.');
+    }
+    let pdf;
+    try {
+        pdf = await loadPdf(doc.buffer);
+    } catch (err) {
+        if (err.name === 'PasswordException') {
+            throw new Rejection('encrypted', 'The PDF is password protected; remove the password and upload it again.');
+        }
+        throw new Rejection('corrupt', 'The PDF is damaged and cannot be opened.');
+    }
+    try {
+        const pages = pdf.numPages;
+        if (pages < 1) throw new Rejection('corrupt', 'The PDF has no pages.');
+        if (pages > limits.maxPdfPages) {
+            throw new Rejection('too_many_pages', `The PDF has ${pages} pages; the limit is ${limits.maxPdfPages}.`);
+        }
+        return { ...doc, pages };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// Why an image that sharp cannot decode is refused: the prebuilt libvips has no HEVC decoder.
+const unreadable = (doc) => (doc.mimetype === 'image/heic' || doc.mimetype === 'image/heif'
+    ? new Rejection('unsupported', 'HEIC photos cannot be processed on this server; export the photo as JPEG and upload that.')
+    : new Rejection('corrupt', `The ${describeType(doc.mimetype)} image is damaged and cannot be read.`));
+
+// Decodes, size-checks and re-encodes an image; HEIC/HEIF become JPEG. The
+// upload stays in memory as `original` for the tamper checks (forensics.js),
+// which look at exactly what re-encoding removes; it is never stored or sent.
+async function checkImage(doc, limits) {
+    const image = sharp(doc.buffer, { limitInputPixels: limits.maxImagePixels, failOn: 'error' });
+    let metadata;
+    try {
+        metadata = await image.metadata();
+    } catch {
+        throw unreadable(doc);
+    }
+    const { width = 0, height = 0 } = metadata;
+    if (width * height > limits.maxImagePixels) {
+        throw new Rejection('too_large', `The image is ${width}×${height} pixels; images are limited to ${limits.maxImagePixels / 1e6} megapixels.`);
+    }
+    if (Math.min(width, height) < limits.minImagePx) {
+        throw new Rejection('low_resolution', `The image is only ${width}×${height} pixels; scan or photograph it at ${limits.minImagePx} pixels or more on the shorter side.`);
+    }
+
+    let output;
+    try {
+        const rotated = image.rotate();
+        output = await (doc.mimetype === 'image/png' ? rotated.png()
+            : doc.mimetype === 'image/webp' ? rotated.webp({ quality: 92 })
+                : rotated.jpeg({ quality: 92 })).toBuffer({ resolveWithObject: true });
+    } catch {
+        throw unreadable(doc);
+    }
+    const mimetype = `image/${output.info.format === 'jpeg' ? 'jpeg' : output.info.format}`;
+    return { ...doc, mimetype, buffer: output.data, size: output.data.length, width: output.info.width, height: output.info.height, density: metadata.density, original: doc.buffer };
+}
+
+/**
+ * Checks one upload against `limits` and returns its safe version: the
+ * sniffed mimetype, re-encoded images, and `pages` or `width`/`height`.
+ * Throws a Rejection with a `code` and a reason meant for the user.
+ */
+async function checkUpload(doc, limits) {
+    if (!doc.size) throw new Rejection('empty', 'The file is empty.');
+    if (doc.size > limits.maxFileBytes) {
+        throw new Rejection('too_large', `The file is ${megabytes(doc.size)}; files are limited to ${megabytes(limits.maxFileBytes)}.`);
+    }
+    const dangerous = DANGEROUS.find(d => d.test(doc.buffer));
+    if (dangerous) throw new Rejection('dangerous', `The file is ${dangerous.what}, not a document.`);
+
+    const sniffed = sniffType(doc.buffer);
+    if (!sniffed) {
+        if (doc.mimetype === 'text/csv' && isText(doc.buffer)) return { ...doc, mimetype: 'text/csv' };
+        const claimed = SUPPORTED_MIME_TYPES.includes(doc.mimetype) ? `is not a real ${describeType(doc.mimetype)}` : 'is not a supported type';
+        throw new Rejection('type_mismatch', `The file ${claimed}; upload a PDF, JPEG, PNG, WebP or HEIC file, or a CSV export.`);
+    }
+    const typed = { ...doc, mimetype: sniffed };
+    return sniffed === 'application/pdf' ? checkPdf(typed, limits) : checkImage(typed, limits);
+}
+
+/**
+ * Checks every upload of a request. Returns `{ documents, files }`:
+ * `documents` are the safe versions of the accepted uploads, `files` has one
+ * `{ name, type, ok, mimetype?, size?, pages?, width?, height?, code?, reason? }`
+ * entry per upload, in order.
+ */
+export async function checkUploads(documents, limits = uploadLimits()) {
+    const total = documents.reduce((sum, d) => sum + (d.size || 0), 0);
+    const files = [];
+    const accepted = [];
+    for (const doc of documents) {
+        try {
+            if (total > limits.maxTotalBytes) {
+                throw new Rejection('request_too_large', `Together the files are ${megabytes(total)}; uploads are limited to ${megabytes(limits.maxTotalBytes)} per request.`);
+            }
+            const safe = await checkUpload(doc, limits);
+            accepted.push(safe);
+            files.push({ name: doc.originalname, type: doc.type, ok: true, mimetype: safe.mimetype, size: safe.size, pages: safe.pages, width: safe.width, height: safe.height });
+        } catch (err) {
+            if (!(err instanceof Rejection)) throw err;
+            files.push({ name: doc.originalname, type: doc.type, ok: false, code: err.code, reason: err.message });
+        }
+    }
+    return { documents: accepted, files };
+}
+
+/**
+ * checkUploads() for an analysis: the safe documents, or a 422 HttpError
+ * whose `details.files` gives the reason for every rejected upload.
+ */
+export async function validateUploads(documents, limits) {
+    const { documents: accepted, files } = await checkUploads(documents, limits);
+    const rejected = files.filter(f => !f.ok);
+    if (rejected.length > 0) {
+        const message = rejected.length === 1
+            ? `${rejected[0].name}: ${rejected[0].reason}`
+            : `${rejected.length} of ${files.length} uploads were rejected`;
+        throw new HttpError(422, message, { files });
+    }
+    return accepted;
+}
+
+export function inspectDocument(doc) {
+    if (!doc.size) {
+        return { ok: false, note: 'File is empty.' };
+    }
+    if (!SUPPORTED_MIME_TYPES.includes(doc.mimetype)) {
+        return { ok: false, note: `Unsupported file type (${doc.mimetype || 'unknown'}). Please upload PDF, image or CSV.` };
+    }
+    return { ok: true, note: 'Ready for analysis.' };
+}
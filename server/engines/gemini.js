@@ -0,0 +1,400 @@
+import { EngineError, ValidationError } from '../errors.js';
+import { PLAIN_RATINGS } from '../schema.js';
+import { describeRequest, fixtureKey, fixtureMode, loadFixture, saveFixture } from '../fixtures.js';
+import { QueueFullError, RateLimitedQueue, sleep } from '../ratelimit.js';
+import { formatMoney } from '../currency.js';
+import { costOfStay, fundsCoverage } from '../cost.js';
+import { BASELINE } from '../factors.js';
+import { redactInput, redactionEnabled } from '../redact.js';
+// Note: GoogleGenerativeAI SDK is not used directly in favor of fetch to avoid environment compatibility issues.
+
+const DEFAULT_MODEL = 'gemini-flash-latest'; // Using verified model alias
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const model = () => process.env.GEMINI_MODEL || DEFAULT_MODEL;
+// Point at `npm run mock:gemini` (http://localhost:8787/v1beta) to work offline.
+const baseUrl = () => (process.env.GEMINI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Statuses worth retrying; anything else is returned to the caller as-is.
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+// Created on first use so the limits pick up values loaded by dotenv.
+let limiter;
+function getLimiter() {
+    limiter ??= new RateLimitedQueue({
+        requestsPerMinute: envInt('GEMINI_RPM', 10),
+        tokensPerMinute: envInt('GEMINI_TPM', 250000),
+        maxQueue: envInt('GEMINI_MAX_QUEUE', 20),
+        maxWaitMs: envInt('GEMINI_MAX_QUEUE_WAIT_MS', 60000),
+    });
+    return limiter;
+}
+
+// Funds with their currency and, where the rulebook has a cost model, what
+// they cover in the destination currency.
+function describeFunds(profile) {
+    const amount = parseFloat(String(profile.funds || '').replace(/,/g, ''));
+    if (Number.isNaN(amount)) return 'not declared';
+    const finances = { amount, currency: profile.funds_currency || 'INR' };
+    const declared = formatMoney(finances.amount, finances.currency);
+    const coverage = fundsCoverage(finances, costOfStay(profile));
+    if (!coverage) return declared;
+    const { cost } = coverage;
+    return `${declared} ≈ ${formatMoney(coverage.available, cost.currency)}. Estimated cost in ${cost.country}: `
+        + `${formatMoney(cost.monthlyLiving, cost.currency)}/month living + ${formatMoney(cost.tuition, cost.currency)} tuition for a ${cost.months}-month stay; `
+        + `the funds cover ${coverage.monthsCovered} of ${coverage.monthsNeeded} months.`;
+}
+
+const REDACTION_NOTES = {
+    blurred: 'personal data blurred',
+    masked_text: 'sent as extracted text, personal data masked',
+    withheld: 'withheld, it could not be redacted',
+};
+
+// The local tamper checks of a file, for the file list. Indicators are named
+// by code: their messages may quote document text that redaction would mask.
+const describeForensics = (forensics) => (!forensics ? '' : forensics.indicators.length === 0
+    ? ' — tamper checks: no indicators'
+    : ` — tamper risk ${forensics.risk}/100 (${forensics.level}): ${forensics.indicators.map(i => `${i.code.replace(/_/g, ' ')}${i.page ? ` on page ${i.page}` : ''}`).join(', ')}`);
+
+function buildPrompt(profile, documents, redacted) {
+    const fileList = documents
+        .map((d, i) => `${i + 1}. ${d.originalname}${d.type ? ` (uploaded as: ${d.type})` : ''}${d.redaction ? ` — ${REDACTION_NOTES[d.redaction]}` : ''}${describeForensics(d.forensics)}`)
+        .join('\n      ');
+    const redactionNote = redacted ? `
+      Personal data was redacted before this request: names, passport and account numbers, addresses and
+      similar values appear as placeholders such as [NAME_1] or [PASSPORT_NUMBER_1], or are blurred in images.
+      Redaction is not a defect of the documents. Refer to masked values by their placeholder.
+` : '';
+
+    return `
+      You are an expert Visa Officer AI. Analyze the following visa application based on the profile details and the provided documents.
+
+      Profile Details:
+      ${JSON.stringify(profile, null, 2)}
+
+      Declared funds: ${describeFunds(profile)}
+      Judge financial sufficiency by the months of stay covered, not the raw number.
+
+      The user has uploaded ${documents.length} documents:
+      ${fileList}
+${redactionNote}
+      Your task is to:
+      1. Validate the documents (check that they are readable, complete, consistent with each other and relevant to the profile).
+         Authenticity is checked on the server before this request (file metadata, fonts, overlaid text, error-level
+         analysis); its results are listed with the files above. Do not judge authenticity from appearance and do not
+         report tampering that is not listed there.
+      2. Identify what documents were provided (e.g., Passport, Bank Statement).
+      3. Calculate a "Visa Success Probability" score (0-100) based on the strength of the profile and documents.
+      4. Provide specific reasons for the score.
+      5. Identify any risks.
+      6. Compare the profile against typical requirements for: ${profile.dest_country || 'Destination Country'}.
+
+      Return the response ONLY in valid JSON format with the following structure:
+      {
+        "score": number (0-100),
+        "plain": one of ${PLAIN_RATINGS.map(p => `"${p}"`).join(', ')},
+        "reasons": ["reason 1", "reason 2"],
+        "docs": [
+          {
+            "name": "Document Name (identified)", "file": "the uploaded file name", "ok": boolean, "note": "Validation note",
+            "findings": [
+              { "severity": "error" or "warning", "message": "the problem", "page": number (from 1), "box": [ymin, xmin, ymax, xmax] (0-1000) }
+            ]
+          }
+        ],
+        "twin": {
+          "name": "Applicant Name",
+          "confidence": number (0-100 confidence in analysis),
+          "traits": ["trait 1", "trait 2"]
+        },
+        "countries": [
+          { "name": "${profile.dest_country || 'Destination'}", "score": number, "flag": "FlagEmoji", "reason": "Specific reason" }
+        ],
+        "risk": [
+          { "label": "Finances", "value": number (0-100 risk) },
+          { "label": "Docs", "value": number },
+          { "label": "Intent", "value": number },
+          { "label": "History", "value": number }
+        ],
+        "factors": [
+          { "name": "Factor (e.g. Passport, Funds)", "input": "value you judged", "weight": number (most points it could add), "contribution": number (points added or removed), "rule": "why" }
+        ]
+      }
+
+      For "findings", list each problem you can see on a document (an expired date, a name that does not match,
+      a blurry region, a missing signature) with the page and the box around it on that page. Leave out "box" for
+      documents sent as text.
+
+      For "factors", start from a baseline of ${BASELINE} (do not list it): the contributions must add up to score minus ${BASELINE}.
+
+      Do not include markdown code blocks. Just the raw JSON string.
+    `;
+}
+
+function buildRepairPrompt(violations) {
+    return `
+      Your previous response did not match the required JSON structure. Fix these problems:
+      ${violations.map(v => `- ${v.path}: ${v.message}`).join('\n      ')}
+
+      Return the complete corrected JSON object only, with the same structure as requested before.
+    `;
+}
+
+// A document as a request part: the file, or the masked text of a redacted one.
+function documentPart(file, index) {
+    if (file.redaction === 'withheld') return null;
+    if (file.text !== undefined) {
+        return { text: `Document ${index + 1} (${file.originalname}), text extracted with personal data masked:\n${file.text}` };
+    }
+    return {
+        inline_data: {
+            mime_type: file.mimetype,
+            data: file.buffer.toString('base64')
+        }
+    };
+}
+
+// Prepare Payload for Gemini API
+function buildContents({ profile, documents, redaction }) {
+    return [
+        {
+            role: 'user',
+            parts: [
+                { text: buildPrompt(profile, documents, Boolean(redaction)) },
+                ...documents.map(documentPart).filter(Boolean)
+            ]
+        }
+    ];
+}
+
+// Redacted once per input, so a repair turn sends the same payload.
+const redactedInputs = new WeakMap();
+
+// The input as it is sent upstream: redacted when `redact` (default REDACTION) is on.
+function prepareInput(input, { redact, onProgress }) {
+    if (!(redact ?? redactionEnabled())) return input;
+    if (!redactedInputs.has(input)) redactedInputs.set(input, redactInput(input, { onProgress }));
+    return redactedInputs.get(input);
+}
+
+// Re-links the model's placeholders to the original values and reports what was redacted.
+function relink(result, { redaction }) {
+    if (!redaction) return result;
+    const relinked = redaction.relink(result);
+    return { ...relinked, meta: { ...relinked.meta, redaction: redaction.summary() } };
+}
+
+// External API Call using fetch. Returns the raw upstream status and body so the
+// same handling applies to live, recorded and replayed responses.
+async function callUpstream(contents, signal) {
+    const apiKey = (process.env.GEMINI_API_KEY || '').trim();
+    if (!apiKey) {
+        throw new EngineError('gemini', 'GEMINI_API_KEY is missing.', { status: 500 });
+    }
+
+    const url = `${baseUrl()}/models/${model()}:generateContent?key=${apiKey}`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contents, generationConfig: { response_mime_type: 'application/json' } }),
+        signal,
+    });
+
+    return { status: response.status, statusText: response.statusText, body: await response.text() };
+}
+
+// Rough input token estimate: ~4 characters per token, fixed cost per inline file.
+function estimateTokens(contents) {
+    return contents.reduce((sum, turn) => sum + turn.parts.reduce((n, part) => (
+        n + (part.text ? Math.ceil(part.text.length / 4) : 258)
+    ), 0), 0);
+}
+
+// `RetryInfo.retryDelay` from a Google error body ("31s" / "0.5s"), in ms.
+function parseRetryDelay(body) {
+    try {
+        const details = JSON.parse(body)?.error?.details || [];
+        const info = details.find(d => d['@type']?.endsWith('google.rpc.RetryInfo'));
+        const seconds = parseFloat(info?.retryDelay);
+        return Number.isNaN(seconds) ? null : Math.ceil(seconds * 1000);
+    } catch {
+        return null;
+    }
+}
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+/**
+ * Sends the request through the rate-limited queue, retrying 429/5xx and network
+ * failures with exponential backoff. A 429 with RetryInfo waits exactly as long
+ * as the API asks; when that is longer than GEMINI_MAX_RETRY_DELAY_MS, or retries
+ * run out, the quota is reported as exhausted (503 + Retry-After).
+ */
+async function callWithRetry(contents, { signal, onProgress, requestId, userId }) {
+    const maxRetries = envInt('GEMINI_MAX_RETRIES', 3);
+    const baseDelayMs = envInt('GEMINI_RETRY_BASE_MS', 1000);
+    const maxRetryDelayMs = envInt('GEMINI_MAX_RETRY_DELAY_MS', 30000);
+    const tokens = estimateTokens(contents);
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        let networkError;
+        try {
+            response = await getLimiter().schedule(() => {
+                onProgress?.({ phase: 'model_call', engine: 'gemini', model: model(), attempt: attempt + 1 });
+                return callUpstream(contents, signal);
+            }, {
+                id: attempt === 0 ? requestId : undefined,
+                owner: userId,
+                tokens,
+                signal,
+                onPosition: (position) => position > 0 && onProgress?.({ phase: 'queued', position }),
+            });
+        } catch (err) {
+            if (err instanceof QueueFullError) {
+                throw new EngineError('gemini', `${err.message}; try again later.`, { status: 503, retryAfter: toSeconds(err.retryAfterMs) });
+            }
+            if (signal?.aborted || err instanceof EngineError) throw err;
+            networkError = err;
+        }
+
+        if (response && !RETRYABLE_STATUS.has(response.status)) return response;
+
+        const retryDelayMs = response ? parseRetryDelay(response.body) : null;
+        if (response?.status === 429 && retryDelayMs) getLimiter().pauseFor(retryDelayMs);
+
+        const delay = retryDelayMs ?? Math.min(maxRetryDelayMs, baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs));
+        if (attempt >= maxRetries || delay > maxRetryDelayMs) {
+            if (response?.status === 429) {
+                console.error(`Gemini quota exhausted: ${response.body}`);
+                throw new EngineError('gemini', 'Gemini quota exhausted; try again later.', { status: 503, retryAfter: toSeconds(delay) });
+            }
+            if (networkError) {
+                throw new EngineError('gemini', 'Could not reach the Gemini API.', { cause: networkError });
+            }
+            return response;
+        }
+
+        console.warn(`Gemini call failed (${response ? response.status : networkError.message}); retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        onProgress?.({ phase: 'retrying', attempt: attempt + 1, delayMs: delay });
+        await sleep(delay, signal);
+    }
+}
+
+// `input` is the one sent upstream, so with REDACTION on the fixture key and the
+// recorded request are computed from redacted data only.
+async function fetchResponse(contents, { signal, input, turn, onProgress, requestId, userId }) {
+    const mode = fixtureMode();
+    const live = () => callWithRetry(contents, { signal, onProgress, requestId, userId });
+    if (mode !== 'record' && mode !== 'replay') return live();
+
+    const key = `${fixtureKey(input.profile, input.documents)}${turn ? `.${turn}` : ''}`;
+    if (mode === 'replay') {
+        const fixture = loadFixture(key);
+        if (!fixture) {
+            throw new EngineError('gemini', `No recorded Gemini fixture for key ${key}`, { status: 500, retryable: false });
+        }
+        return fixture.response;
+    }
+
+    const response = await live();
+    saveFixture(key, {
+        model: model(),
+        request: describeRequest(input.profile, input.documents),
+        response,
+    });
+    return response;
+}
+
+async function generate(contents, options) {
+    const response = await fetchResponse(contents, options);
+
+    if (response.status < 200 || response.status >= 300) {
+        console.error(`Gemini API Error: ${response.status} ${response.statusText} - ${response.body}`);
+        throw new EngineError('gemini', `Gemini API returned ${response.status} ${response.statusText}`, { status: 502 });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(response.body);
+    } catch {
+        throw new EngineError('gemini', 'Gemini API returned a non-JSON response body.');
+    }
+
+    if (!data.candidates || data.candidates.length === 0) {
+        throw new EngineError('gemini', 'No analysis results returned from AI.');
+    }
+
+    return data.candidates[0].content?.parts?.[0]?.text ?? '';
+}
+
+// Gemini boxes are [ymin, xmin, ymax, xmax] on a 0–1000 grid; results carry fractions of the page.
+function toBox(box) {
+    if (!Array.isArray(box) || box.length !== 4 || box.some(n => typeof n !== 'number')) return undefined;
+    const [y0, x0, y1, x1] = box.map(n => Math.min(1000, Math.max(0, n)) / 1000);
+    return x1 > x0 && y1 > y0 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : undefined;
+}
+
+const withBoxes = (docs) => docs.map(d => (Array.isArray(d?.findings)
+    ? { ...d, findings: d.findings.filter(f => f && typeof f === 'object').map(({ box, ...f }) => ({ ...f, ...(toBox(box) && { box: toBox(box) }) })) }
+    : d));
+
+function parse(text) {
+    // Clean up response if it contains markdown code blocks
+    const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(cleanText);
+    } catch (err) {
+        console.error('Failed to parse Gemini response:', text);
+        throw new ValidationError('Failed to process analysis results', [{ path: '$', message: `response is not valid JSON (${err.message})` }], { output: text });
+    }
+    // The model's breakdown is its own account of the score, not a computed ledger.
+    const factors = Array.isArray(parsed?.factors) ? parsed.factors.map(f => ({ ...f, estimated: true })) : parsed?.factors;
+    const docs = Array.isArray(parsed?.docs) ? withBoxes(parsed.docs) : parsed?.docs;
+    return { ...parsed, ...(factors !== undefined && { factors }), ...(docs !== undefined && { docs }), meta: { model: model() } };
+}
+
+// Fields of a parsed (not yet validated) response worth showing while the rest is checked.
+const partialOf = ({ score, plain, reasons, docs }) => ({ score, plain, reasons, docs });
+
+async function analyze(input, { signal, onProgress, requestId, userId, redact } = {}) {
+    const prepared = await prepareInput(input, { redact, onProgress });
+    const result = relink(parse(await generate(buildContents(prepared), { signal, input: prepared, onProgress, requestId, userId })), prepared);
+    onProgress?.({ phase: 'partial', engine: 'gemini', result: partialOf(result) });
+    return result;
+}
+
+// Single follow-up turn that shows the model its previous output and the violations.
+// A redacted input's previous output is masked again before it goes back upstream.
+async function repair(input, { output, violations }, { signal, onProgress, userId, redact } = {}) {
+    const prepared = await prepareInput(input, { redact, onProgress });
+    const raw = typeof output === 'string' ? output : JSON.stringify(output);
+    const previous = prepared.redaction ? prepared.redaction.reapply(raw) : raw;
+    const contents = [
+        ...buildContents(prepared),
+        { role: 'model', parts: [{ text: previous }] },
+        { role: 'user', parts: [{ text: buildRepairPrompt(violations) }] },
+    ];
+    return relink(parse(await generate(contents, { signal, input: prepared, onProgress, userId, turn: 'repair' })), prepared);
+}
+
+export default {
+    name: 'gemini',
+    label: 'Google Gemini',
+    isAvailable: () => fixtureMode() === 'replay' || Boolean((process.env.GEMINI_API_KEY || '').trim()),
+    analyze,
+    repair,
+    queueStats: () => getLimiter().stats(),
+    queuePosition: (id, userId) => getLimiter().position(id, userId),
+};
@@ -0,0 +1,290 @@
+import { EngineError, HttpError, ValidationError } from '../errors.js';
+import { validateResult } from '../schema.js';
+import { reconcileFactors } from '../factors.js';
+import { DOCUMENT_TYPES, inspectDocument } from '../documents.js';
+import { assessDocuments } from '../extract/quality.js';
+import { examineDocuments } from '../extract/forensics.js';
+import { getSnapshot, saveSnapshot } from '../snapshots.js';
+import gemini from './gemini.js';
+import rules from './rules.js';
+
+/**
+ * Analysis engine registry.
+ *
+ * Every engine implements the same contract:
+ *   name          unique id used in `?engine=` and ANALYSIS_ENGINE
+ *   label         human readable name
+ *   isAvailable() false when the engine cannot run (e.g. missing API key)
+ *   analyze({ profile, documents }, { signal, onProgress, requestId, userId, redact }) -> Promise<result>
+ *
+ * `documents` are `{ type, originalname, mimetype, size, buffer }` and the result
+ * is the dashboard shape: { score, plain, reasons, docs, twin, countries, risk,
+ * factors }. `factors` is the score ledger (see factors.js); it is reconciled so
+ * it always adds up to `score`. Engines that send documents off the server
+ * redact them first when `redact` (default REDACTION) is on (see redact.js).
+ *
+ * Engines may also implement
+ *   repair(input, { output, violations }, options) -> Promise<result>
+ * which is called once when the output fails schema validation,
+ *   queueStats() / queuePosition(requestId, userId)
+ * when their calls go through a rate-limited queue (`userId` is the account
+ * that runs the analysis; only it can look up its request), and
+ *   digest(input) -> Promise<digest>
+ *   simulate({ profile, digest }, { simulated }) -> Promise<result>
+ * to re-score a changed profile against documents it has already seen:
+ * the digest is what simulate() needs of them, without the files, and is
+ * kept with the analysis (`simulated` lists the changed profile fields).
+ *
+ * Scans and photos are measured first (see quality.js): `documents` may be
+ * straightened or cropped and carry `quality`, whose findings are added to
+ * the matching result document when the engine did not report them. They are
+ * also examined for signs of tampering (see forensics.js): each result
+ * document gets the upload's `forensics`, its indicators as findings, and
+ * the highest tamper risk raises the `Docs` risk.
+ *
+ * `onProgress({ phase, ... })` receives live progress: `document` (pre-checks),
+ * `quality`, `forensics`, `engine`, `redacting`, `queued`, `model_call`, `retrying`, `partial`, `validating`,
+ * `repairing`, `fallback` and `scored`.
+ */
+const engines = new Map();
+
+export function registerEngine(engine) {
+    if (!engine?.name || typeof engine.analyze !== 'function') {
+        throw new Error('An analysis engine needs a name and an analyze() function');
+    }
+    engines.set(engine.name, engine);
+}
+
+export function getEngine(name) {
+    return engines.get(name);
+}
+
+export function listEngines() {
+    return [...engines.values()].map(e => ({
+        name: e.name,
+        label: e.label,
+        available: e.isAvailable(),
+        ...(e.queueStats && { queue: e.queueStats() }),
+    }));
+}
+
+// Position of `user`'s request in whichever engine queue holds it (null when not queued).
+export function queuePosition(requestId, user) {
+    for (const engine of engines.values()) {
+        const position = engine.queuePosition?.(requestId, user?.id);
+        if (position) return { engine: engine.name, position };
+    }
+    return null;
+}
+
+/**
+ * Runs one engine and enforces the result schema. Recoverable issues are coerced;
+ * hard violations get a single repair attempt before a 422 ValidationError.
+ */
+async function analyzeValidated(engine, input, options) {
+    let output;
+    let violations;
+    try {
+        output = await engine.analyze(input, options);
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        ({ output, violations } = err);
+    }
+
+    options.onProgress?.({ phase: 'validating', engine: engine.name });
+    let check = violations ? null : validateResult(output);
+    let repaired = false;
+    if (!check || check.violations.length > 0) {
+        violations = violations || check.violations;
+        if (typeof engine.repair !== 'function') {
+            throw new ValidationError(`Engine "${engine.name}" returned an invalid result`, violations);
+        }
+
+        console.warn(`Engine "${engine.name}" returned ${violations.length} schema violation(s); asking it to repair`);
+        options.onProgress?.({ phase: 'repairing', engine: engine.name, violations });
+        try {
+            output = await engine.repair(input, { output, violations }, options);
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            throw new ValidationError(`Engine "${engine.name}" could not repair its result`, err.violations);
+        }
+        check = validateResult(output);
+        if (check.violations.length > 0) {
+            throw new ValidationError(`Engine "${engine.name}" could not repair its result`, check.violations);
+        }
+        repaired = true;
+    }
+
+    const { value, coerced } = check;
+    return {
+        ...reconcileFactors(value),
+        meta: {
+            ...value.meta,
+            ...(repaired && { repaired }),
+            ...(coerced.length > 0 && { coerced }),
+        },
+    };
+}
+
+// Tamper indicators as findings; weak ones (a re-save, a later edit date) are info.
+const tamperFindings = (forensics) => forensics.indicators.map(({ code, message, weight, page, boxes }) => ({
+    code: `tamper_${code}`,
+    severity: weight >= 20 ? 'warning' : 'info',
+    message,
+    ...(page && { page }),
+    ...(boxes?.length > 0 && { box: boxes[0], boxes }),
+}));
+
+// Share of the highest tamper risk added to the Docs risk.
+const TAMPER_RISK_SHARE = 0.4;
+
+// Adds each upload's image quality findings and tamper indicators to its
+// result document (by file name, else by slot label), unless the engine
+// already reported them, and raises the Docs risk by the highest tamper risk.
+function withDocumentChecks(result, documents) {
+    const docs = result.docs.map((d) => {
+        const file = documents.find(f => f.originalname === d.file)
+            || documents.find(f => !d.file && DOCUMENT_TYPES[f.type]?.toLowerCase() === d.name?.toLowerCase());
+        if (!file) return d;
+        const checks = [...(file.quality?.findings || []), ...(file.forensics ? tamperFindings(file.forensics) : [])];
+        const missing = checks.filter(q => !(d.findings || []).some(f => f.code === q.code && f.page === q.page));
+        return {
+            ...d,
+            file: file.originalname,
+            ...(file.forensics && { forensics: file.forensics }),
+            ...(missing.length > 0 && { findings: [...(d.findings || []), ...missing] }),
+        };
+    });
+
+    const worst = documents.filter(f => f.forensics).sort((a, b) => b.forensics.risk - a.forensics.risk)[0];
+    const risk = !worst?.forensics.risk ? result.risk : result.risk.map(r => (r.label !== 'Docs' ? r : {
+        ...r,
+        value: Math.min(100, r.value + Math.round(worst.forensics.risk * TAMPER_RISK_SHARE)),
+        detail: `${worst.forensics.level} tamper risk on ${worst.originalname} (${worst.forensics.indicators.length} indicator${worst.forensics.indicators.length > 1 ? 's' : ''})`,
+    }));
+    return { ...result, docs, risk };
+}
+
+// The engine that scores what-if simulations.
+const simulator = () => [...engines.values()].find(e => typeof e.simulate === 'function');
+
+// What a snapshot keeps of an upload: never its contents (or the original
+// photo with its EXIF), which are deleted once the analysis is done.
+const documentSummary = ({ type, originalname, mimetype, size, quality, forensics }) => ({
+    type, originalname, mimetype, size, quality, forensics,
+});
+
+const defaultEngine = () => process.env.ANALYSIS_ENGINE || 'gemini';
+const fallbackEngine = () => process.env.ANALYSIS_FALLBACK_ENGINE ?? 'rules';
+
+/**
+ * Runs the requested (or default) engine and falls back to the fallback engine
+ * when it is unavailable or fails with a retryable error. The result is kept
+ * for `user` (see snapshots.js).
+ */
+export async function runAnalysis(input, { engine: requested, signal, onProgress, requestId, user, redact } = {}) {
+    const name = requested || defaultEngine();
+    const primary = getEngine(name);
+    if (!primary) {
+        throw new HttpError(400, `Unknown analysis engine "${name}"`, { engines: [...engines.keys()] });
+    }
+
+    input.documents.forEach((doc, index) => {
+        onProgress?.({ phase: 'document', index, name: doc.originalname, type: doc.type, ...inspectDocument(doc) });
+    });
+    // Measured and examined once, before any engine (or model call) runs.
+    const measured = await assessDocuments(input.documents, { onProgress });
+    const assessed = { ...input, documents: await examineDocuments(measured, { onProgress }) };
+
+    const fallback = getEngine(fallbackEngine());
+    const run = async (engine) => {
+        onProgress?.({ phase: 'engine', engine: engine.name, label: engine.label });
+        const result = withDocumentChecks(await analyzeValidated(engine, assessed, { signal, onProgress, requestId, userId: user?.id, redact }), assessed.documents);
+        onProgress?.({ phase: 'scored', engine: engine.name, score: result.score, plain: result.plain });
+        return { ...result, meta: { ...result.meta, engine: engine.name, analyzedAt: new Date().toISOString() } };
+    };
+    // Keep the finished result for the simulator, interviews and reports.
+    const remember = async (result) => {
+        const digest = await simulator()?.digest(assessed).catch((err) => {
+            console.warn(`Could not digest the documents for simulation (${err.message})`);
+            return null;
+        });
+        const snapshot = {
+            profile: input.profile,
+            documents: assessed.documents.map(documentSummary),
+            digest,
+            engine: result.meta.engine,
+            userId: user?.id,
+        };
+        snapshot.result = { ...result, meta: { ...result.meta, analysisId: saveSnapshot(snapshot) } };
+        return snapshot.result;
+    };
+
+    let failure;
+    if (primary.isAvailable()) {
+        try {
+            return remember(await run(primary));
+        } catch (err) {
+            if (signal?.aborted || !(err instanceof EngineError) || !err.retryable) throw err;
+            failure = err;
+        }
+    } else {
+        failure = new EngineError(primary.name, `Engine "${primary.name}" is not configured`);
+    }
+
+    if (!fallback || fallback === primary) throw failure;
+
+    console.warn(`Engine "${primary.name}" failed (${failure.message}); falling back to "${fallback.name}"`);
+    onProgress?.({ phase: 'fallback', from: primary.name, to: fallback.name, reason: failure.message });
+    const result = await run(fallback);
+    return remember({ ...result, meta: { ...result.meta, fallbackFrom: primary.name, fallbackReason: failure.message } });
+}
+
+// Profile fields the what-if simulator may change; the others feed document
+// checks that are not re-run.
+export const SIMULATED_FIELDS = ['funds', 'funds_currency', 'education', 'past_visa', 'purpose', 'dest_country'];
+
+/**
+ * Re-scores a finished analysis with `changes` applied to its profile, reusing
+ * the document findings: no upload and no model call. Scoring is always done
+ * by an engine that implements simulate(); `simulation.baseline` is that
+ * engine's score for the unchanged profile, so deltas compare like with like.
+ */
+export async function runSimulation(analysisId, changes = {}, { user } = {}) {
+    const snapshot = getSnapshot(analysisId, user);
+    if (!snapshot) {
+        throw new HttpError(404, 'Analysis not found or expired; run the analysis again', { analysisId });
+    }
+    const unknown = Object.keys(changes).filter(k => !SIMULATED_FIELDS.includes(k));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Cannot simulate changes to ${unknown.join(', ')}`, { fields: SIMULATED_FIELDS });
+    }
+    const engine = simulator();
+    if (!engine) throw new EngineError('simulate', 'No engine supports simulation', { retryable: false });
+    if (!snapshot.digest) {
+        throw new HttpError(409, 'The documents of this analysis could not be read for simulation; run the analysis again', { analysisId });
+    }
+
+    const { profile: original, documents, digest } = snapshot;
+    const simulated = SIMULATED_FIELDS.filter(k => k in changes && String(changes[k] ?? '') !== String(original[k] ?? ''));
+    const baseline = await engine.simulate({ profile: original, digest }, { simulated: [] });
+    const output = await engine.simulate({ profile: { ...original, ...changes }, digest }, { simulated });
+
+    const check = validateResult(output);
+    if (check.violations.length > 0) {
+        throw new ValidationError(`Engine "${engine.name}" returned an invalid simulation`, check.violations);
+    }
+    return {
+        ...reconcileFactors(withDocumentChecks(check.value, documents)),
+        simulation: {
+            analysisId,
+            changes: Object.fromEntries(simulated.map(k => [k, { from: original[k] ?? null, to: changes[k] }])),
+            baseline: { score: baseline.score, plain: baseline.plain },
+            analyzedBy: snapshot.engine,
+        },
+        meta: { engine: engine.name, simulatedAt: new Date().toISOString() },
+    };
+}
+
+registerEngine(gemini);
+registerEngine(rules);
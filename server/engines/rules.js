@@ -0,0 +1,481 @@
+import { extractPassport } from '../extract/passport.js';
+import { extractBankStatement } from '../extract/bank.js';
+import { extractOffer } from '../extract/offer.js';
+import { locateFindings } from '../extract/locate.js';
+import { checkConsistency } from '../consistency.js';
+import { compareCountries, findRuleBook } from '../rulebook.js';
+import { convert, formatMoney } from '../currency.js';
+import { costOfStay, fundsCoverage, tuitionOwed } from '../cost.js';
+import { baselineFactor } from '../factors.js';
+import { SUPPORTED_MIME_TYPES } from '../documents.js';
+
+// Rule-based engine: deterministic, offline, and used as the fallback whenever
+// the AI engine is unavailable.
+
+// `weight` is the most each document can add to the score.
+const REQUIRED_DOCS = [
+    { type: 'passport', name: 'Passport', weight: 15 },
+    { type: 'bank', name: 'Bank statement', weight: 20 },
+    { type: 'offer', name: 'Offer letter', weight: 15 },
+];
+const OTHER_DOC_WEIGHT = 5;
+
+// Most points each profile factor can add (or, for contradictions, take away).
+const WEIGHTS = { funds: 10, education: 5, travel: 5, contradiction: 5 };
+
+// Set DOCUMENT_EXTRACTION=off to skip OCR (e.g. on very small machines).
+const extractionEnabled = () => process.env.DOCUMENT_EXTRACTION !== 'off';
+
+// Reads the MRZ and turns its findings into a note and score impact.
+async function analyzePassport(file, profile) {
+    if (!extractionEnabled()) {
+        return { ok: true, note: 'Passport file looks valid (size & type OK).', scoreImpact: +15, rule: 'Passport accepted on type and size (extraction off)' };
+    }
+
+    const passport = await extractPassport(file, profile);
+    const errors = passport.findings.filter(f => f.severity === 'error');
+    const warnings = passport.findings.filter(f => f.severity === 'warning');
+    const details = { fields: passport.fields, findings: passport.findings };
+
+    if (!passport.fields) {
+        return { ok: false, note: passport.findings[0].message, scoreImpact: -5, rule: 'Passport MRZ unreadable', ...details };
+    }
+    if (errors.length > 0) {
+        return {
+            ok: false,
+            note: errors.map(f => f.message).join(' '),
+            ...(errors.some(f => f.code === 'passport_expired')
+                ? { scoreImpact: -25, rule: 'Passport expired' }
+                : { scoreImpact: -15, rule: 'Passport failed MRZ or profile checks' }),
+            ...details,
+        };
+    }
+    const { given_names: given, surname, expiry_date: expiry } = passport.fields;
+    return {
+        ok: true,
+        note: [`Passport verified: MRZ check digits valid for ${given} ${surname}, expires ${expiry}.`, ...warnings.map(f => f.message)].join(' '),
+        ...(warnings.length > 0
+            ? { scoreImpact: +10, rule: 'Passport verified with warnings' }
+            : { scoreImpact: +15, rule: 'Passport verified, no warnings' }),
+        ...details,
+    };
+}
+
+// Funds typed into the profile, in the currency chosen next to them.
+const declaredFunds = (profile) => ({
+    amount: parseFloat(String(profile.funds || '0').replace(/,/g, '')) || 0,
+    currency: profile.funds_currency || 'INR',
+});
+
+// Parses the statement and turns balances and deposit patterns into a note and score impact.
+async function analyzeBank(file, profile) {
+    if (!extractionEnabled()) {
+        return { ok: true, note: 'Bank statement file looks valid (size & type OK); balances were not read.', scoreImpact: +10, rule: 'Bank statement accepted unread (extraction off)' };
+    }
+
+    const statement = await extractBankStatement(file, profile);
+    if (!statement.ok) {
+        return { ok: false, note: statement.findings[0].message, scoreImpact: -5, rule: 'Bank statement unreadable', findings: statement.findings };
+    }
+
+    const { currency, verifiedFunds, averageBalance, period, lookbackDays } = statement;
+    const findings = [...statement.findings];
+
+    const declared = declaredFunds(profile);
+    const declaredInStatement = convert(declared.amount, declared.currency, currency || declared.currency);
+    if (declaredInStatement > 0 && declaredInStatement > verifiedFunds * 1.5) {
+        findings.push({
+            code: 'funds_overstated',
+            severity: 'warning',
+            message: `Declared funds (${formatMoney(declared.amount, declared.currency)}) are well above the verified balance (${formatMoney(verifiedFunds, currency)}).`,
+        });
+    }
+
+    const warnings = findings.filter(f => f.severity === 'warning');
+    const parking = statement.largeDeposits.length > 0;
+    return {
+        ok: true,
+        note: [
+            `Bank statement read: ${statement.transactionCount} transactions from ${period.from} to ${period.to}; average balance ${formatMoney(averageBalance, currency)} over the last ${Math.min(lookbackDays, period.days)} days, verified funds ${formatMoney(verifiedFunds, currency)}.`,
+            ...warnings.map(f => f.message),
+        ].join(' '),
+        ...(parking
+            ? { scoreImpact: +5, rule: 'Bank statement read; large deposits found' }
+            : warnings.length > 0
+                ? { scoreImpact: +10, rule: 'Bank statement read with warnings' }
+                : { scoreImpact: +20, rule: 'Bank statement read, balance history clean' }),
+        fields: {
+            currency,
+            accountHolder: statement.accountHolder,
+            verifiedFunds,
+            averageBalance,
+            openingBalance: statement.openingBalance,
+            closingBalance: statement.closingBalance,
+            minimumBalance: statement.minimumBalance,
+            period,
+            lookbackDays,
+            transactionCount: statement.transactionCount,
+        },
+        statement: { dailyBalances: statement.dailyBalances, largeDeposits: statement.largeDeposits },
+        findings,
+    };
+}
+
+// Reads the letter and summarizes what the applicant was admitted to.
+async function analyzeOffer(file) {
+    if (!extractionEnabled()) {
+        return { ok: true, note: 'Offer letter file looks valid (size & type OK).', scoreImpact: +10, rule: 'Offer letter accepted unread (extraction off)' };
+    }
+
+    const offer = await extractOffer(file);
+    const details = { fields: offer.fields, findings: offer.findings };
+    if (!offer.fields) {
+        return { ok: false, note: offer.findings[0].message, scoreImpact: -5, rule: 'Offer letter unreadable', ...details };
+    }
+    const errors = offer.findings.filter(f => f.severity === 'error');
+    const warnings = offer.findings.filter(f => f.severity === 'warning');
+    const { institution, program, start_date: start, tuition } = offer.fields;
+    const summary = [
+        program && `for ${program}`,
+        institution && `at ${institution}`,
+        start && `starting ${start}`,
+    ].filter(Boolean).join(' ');
+    return {
+        ok: errors.length === 0,
+        note: [
+            `Offer letter read${summary ? ` ${summary}` : ''}.`,
+            tuition && `Tuition ${formatMoney(tuition.amount, tuition.currency)}.`,
+            ...offer.findings.filter(f => f.severity !== 'info').map(f => f.message),
+        ].filter(Boolean).join(' '),
+        ...(errors.length > 0
+            ? { scoreImpact: -10, rule: 'Offer letter has errors' }
+            : warnings.length > 0
+                ? { scoreImpact: +8, rule: 'Offer letter read with warnings' }
+                : { scoreImpact: +15, rule: 'Offer letter read, all fields found' }),
+        ...details,
+    };
+}
+
+// Type and quality checks for every document, plus real extraction where we have it.
+// The type is the one checkUploads() sniffed from the content (HEIC arrives as
+// JPEG), never the filename.
+async function analyzeDocument(file, type, profile) {
+    // Statement exports are small text files; accept them for the bank slot only.
+    const csv = file.mimetype === 'text/csv';
+    if (!SUPPORTED_MIME_TYPES.includes(file.mimetype) || (csv && type !== 'bank')) {
+        return {
+            ok: false,
+            note: `Unsupported file type (${file.mimetype || 'unknown'}). Please upload PDF or image.`,
+            scoreImpact: -20,
+            rule: 'Unsupported file type',
+        };
+    }
+
+    // Every upload has been opened by checkUploads(); scans and photos are
+    // judged by their measured quality (see quality.js), text PDFs by what
+    // extraction finds in them. Size says nothing about either.
+    const unreadable = file.quality?.findings.filter(f => f.severity === 'error') || [];
+    if (unreadable.length > 0) {
+        return {
+            ok: false,
+            note: unreadable.map(f => f.message).join(' '),
+            scoreImpact: -15,
+            rule: 'Scan too poor to read',
+            findings: file.quality.findings,
+        };
+    }
+
+    // Simple per-type messages
+    if (type === 'passport') {
+        return withQuality(await analyzePassport(file, profile), file.quality);
+    }
+    if (type === 'bank') {
+        return withQuality(await analyzeBank(file, profile), file.quality);
+    }
+    if (type === 'offer') {
+        return withQuality(await analyzeOffer(file), file.quality);
+    }
+
+    return withQuality({
+        ok: true,
+        note: 'Document uploaded successfully.',
+        scoreImpact: +5,
+        rule: 'Supporting document provided',
+    }, file.quality);
+}
+
+// Adds the retake guidance measured on the upload to its analysis.
+function withQuality(analysis, quality) {
+    const findings = quality?.findings || [];
+    if (findings.length === 0) return analysis;
+    const guidance = findings.filter(f => f.severity === 'warning').map(f => f.message);
+    return { ...analysis, note: [analysis.note, ...guidance].join(' '), findings: [...findings, ...(analysis.findings || [])] };
+}
+
+// Funds used for scoring: the verified statement figure when we have one,
+// otherwise the declared value.
+function resolveFunds(profile, docResults) {
+    const bank = docResults.find(d => d.fields?.verifiedFunds !== undefined);
+    const declared = declaredFunds(profile);
+    if (!bank) return { ...declared, source: 'declared' };
+    return {
+        amount: bank.fields.verifiedFunds,
+        currency: bank.fields.currency || declared.currency,
+        source: 'verified',
+        largeDeposits: bank.statement.largeDeposits.length,
+    };
+}
+
+// "Covers 8.5 of 12 months in United Kingdom (GBP 1,483/month + GBP 24,000 tuition)"
+function describeCoverage({ monthsCovered, monthsNeeded, cost }) {
+    const tuition = cost.tuition > 0 ? ` + ${formatMoney(cost.tuition, cost.currency)} ${cost.tuitionSource === 'offer' ? 'tuition owed' : 'typical tuition'}` : '';
+    return `${monthsCovered} of ${monthsNeeded} months in ${cost.country} (${formatMoney(cost.monthlyLiving, cost.currency)}/month${tuition})`;
+}
+
+// Scoring from profile + docs as a factor ledger: each factor records its
+// input, weight, contribution and the rule that fired.
+function computeScore(profile, docResults, finances, mismatches, coverage) {
+    const factors = [baselineFactor()];
+    const add = (name, input, weight, contribution, rule) => factors.push({ name, input, weight, contribution, rule });
+
+    // documents
+    docResults.forEach((d) => {
+        add(d.name, d.missing ? 'missing' : d.ok ? 'ok' : 'issue', d.weight ?? OTHER_DOC_WEIGHT, d.scoreImpact, d.rule);
+    });
+
+    // documents that contradict each other
+    const contradictions = mismatches.filter(f => f.severity === 'error').length;
+    if (contradictions > 0) {
+        add('Cross-document consistency', `${contradictions} mismatch${contradictions > 1 ? 'es' : ''}`, WEIGHTS.contradiction,
+            -WEIGHTS.contradiction * contradictions, `−${WEIGHTS.contradiction} per contradiction between documents`);
+    }
+
+    // funds: months of the stay covered in the destination; without a cost
+    // model for the destination, fall back to flat INR thresholds
+    const funds = convert(finances.amount, finances.currency, 'INR') ?? finances.amount;
+    let strength = 'moderate';
+    let fundsRule;
+    if (coverage) {
+        if (coverage.ratio >= 1) strength = 'strong';
+        else if (coverage.ratio < 0.5) strength = 'weak';
+        fundsRule = { strong: 'Covers the whole stay', weak: 'Covers less than half the stay', moderate: 'Covers half to all of the stay' }[strength];
+    } else {
+        if (funds > 150000) strength = 'strong';
+        else if (funds < 50000) strength = 'weak';
+        fundsRule = { strong: 'Over INR 1,50,000', weak: 'Under INR 50,000', moderate: 'INR 50,000–1,50,000' }[strength];
+    }
+    const fundsImpact = { strong: WEIGHTS.funds, weak: -WEIGHTS.funds, moderate: 0 }[strength];
+    add(
+        `Funds (${finances.source})`,
+        coverage ? `${coverage.monthsCovered} of ${coverage.monthsNeeded} months` : formatMoney(finances.amount, finances.currency),
+        WEIGHTS.funds,
+        fundsImpact,
+        fundsRule,
+    );
+
+    // education
+    const advanced = profile.education === 'Masters' || profile.education === 'PhD';
+    add('Education', profile.education || 'not given', WEIGHTS.education, advanced ? WEIGHTS.education : 0,
+        advanced ? 'Masters or PhD' : profile.education ? 'Below Masters' : 'Not given');
+
+    // past visa
+    const travel = { '3+': [WEIGHTS.travel, '3+ prior visas'], None: [-WEIGHTS.travel, 'No prior visas'] }[profile.past_visa]
+        || [0, profile.past_visa ? '1–2 prior visas' : 'Not given'];
+    add('Visa history', profile.past_visa || 'not given', WEIGHTS.travel, travel[0], travel[1]);
+
+    // clamp 0–100
+    const raw = factors.reduce((sum, f) => sum + f.contribution, 0);
+    const base = Math.max(0, Math.min(100, raw));
+    if (base !== raw) add('Clamp to 0–100', raw, null, base - raw, 'The score is limited to 0–100');
+
+    let plain = 'Unlikely';
+    if (base >= 75) plain = 'Highly likely';
+    else if (base >= 60) plain = 'Likely';
+    else if (base >= 45) plain = 'Borderline';
+
+    const reasons = [];
+    const verified = finances.source === 'verified';
+    if (coverage) {
+        const covers = `${{ verified: 'Verified', simulated: 'Simulated' }[finances.source] || 'Declared'} funds cover ${describeCoverage(coverage)}`;
+        if (strength === 'strong') reasons.push(covers);
+        else if (strength === 'weak') reasons.push(`${covers} – short by ${formatMoney(coverage.shortfall, coverage.currency)}, risk on finances`);
+        else reasons.push(`${covers} – short by ${formatMoney(coverage.shortfall, coverage.currency)}`);
+    } else if (strength === 'strong') reasons.push(verified ? 'Strong financial capacity, verified from bank statement' : 'Strong financial capacity');
+    else if (strength === 'weak') reasons.push(verified ? 'Low verified bank balance – risk on finances' : 'Low declared funds – risk on finances');
+    else reasons.push(verified ? 'Verified funds appear moderate for stay' : 'Funds appear moderate for stay');
+
+    if (finances.largeDeposits > 0)
+        reasons.push('Recent large deposits look like fund parking – not counted until held 28 days');
+
+    if (profile.education === 'Masters' || profile.education === 'PhD')
+        reasons.push('Advanced education supports purpose');
+
+    if (profile.past_visa === '3+')
+        reasons.push('Good travel history – positive signal');
+    if (profile.past_visa === 'None')
+        reasons.push('No prior visa history – neutral or slightly risky');
+
+    if (docResults.some(d => !d.ok))
+        reasons.push('One or more documents look weak or invalid');
+
+    if (contradictions > 0)
+        reasons.push(`Documents contradict each other (${contradictions} mismatch${contradictions > 1 ? 'es' : ''})`);
+
+    return { score: base, plain, reasons, factors };
+}
+
+// simple helpers for risk bars
+function fundsRisk(finances, coverage) {
+    let risk = 65;
+    const funds = convert(finances.amount, finances.currency, 'INR') ?? finances.amount;
+    if (coverage) risk = Math.round(Math.max(10, Math.min(90, 100 - coverage.ratio * 80)));
+    else if (funds > 150000) risk = 20;
+    else if (funds >= 50000) risk = 40;
+    if (finances.source !== 'verified') risk += 10;
+    if (finances.largeDeposits > 0) risk += 15;
+    return Math.min(100, risk);
+}
+
+function docsRisk(docs, mismatches) {
+    const bad = docs.filter(d => !d.ok).length;
+    let risk = 70;
+    if (bad === 0) risk = 25;
+    else if (bad === 1) risk = 50;
+    mismatches.forEach((f) => {
+        if (f.severity === 'error') risk += 15;
+        else if (f.severity === 'warning') risk += 5;
+    });
+    return Math.min(100, risk);
+}
+
+// Document analyses by upload, so digesting them for the simulator after
+// analyze() does not read the same files again.
+const analyzedDocuments = new WeakMap();
+
+/**
+ * Runs the per-document checks and the cross-document consistency checks.
+ * Resolves to { docs, byType, mismatches } with score impacts still attached.
+ */
+function analyzeDocuments(input) {
+    if (!analyzedDocuments.has(input.documents)) {
+        const pending = readDocuments(input);
+        analyzedDocuments.set(input.documents, pending);
+        pending.catch(() => analyzedDocuments.delete(input.documents));
+    }
+    return analyzedDocuments.get(input.documents);
+}
+
+async function readDocuments({ profile, documents }) {
+    const docs = [];
+    const byType = {};
+
+    for (const { type, name, weight } of REQUIRED_DOCS) {
+        const file = documents.find(d => d.type === type);
+        if (!file) {
+            docs.push({ name, ok: false, note: `${name} was not provided.`, weight, missing: true, scoreImpact: -15, rule: 'Required document missing' });
+            continue;
+        }
+        byType[type] = { name, weight, file: file.originalname, ...(await analyzeDocument(file, type, profile)) };
+        docs.push(byType[type]);
+    }
+
+    // Attach every cross-document mismatch to each document it involves.
+    const mismatches = checkConsistency(Object.fromEntries(Object.entries(byType).filter(([, d]) => d.fields)));
+    mismatches.forEach((finding) => {
+        docs.filter(d => finding.documents.includes(d.name)).forEach((d) => {
+            d.findings = [...(d.findings || []), finding];
+        });
+    });
+
+    // Put each finding on its page for the document viewer.
+    if (extractionEnabled()) {
+        for (const [type, d] of Object.entries(byType).filter(([, d]) => d.findings?.length)) {
+            d.findings = await locateFindings(documents.find(f => f.type === type), d, { type });
+        }
+    }
+
+    for (const file of documents.filter(d => !REQUIRED_DOCS.some(r => r.type === d.type))) {
+        docs.push({ name: file.originalname, file: file.originalname, ...(await analyzeDocument(file, file.type, profile)) });
+    }
+
+    return { docs, byType, mismatches };
+}
+
+/**
+ * Scores a profile against analyzed documents. `simulated` lists the profile
+ * fields changed by the what-if simulator; changed funds replace the verified
+ * statement figure.
+ */
+function scoreProfile(profile, { docs, byType, mismatches }, { simulated = [] } = {}) {
+    const finances = simulated.includes('funds') || simulated.includes('funds_currency')
+        ? { ...declaredFunds(profile), source: 'simulated' }
+        : resolveFunds(profile, docs);
+    const tuition = tuitionOwed(byType.offer?.fields);
+    const cost = costOfStay(profile, { tuition });
+    const coverage = fundsCoverage(finances, cost);
+    const scoreInfo = computeScore(profile, docs, finances, mismatches, coverage);
+
+    // simple “twin”
+    const twin = {
+        name: profile.name || 'Applicant',
+        confidence: 80,
+        traits: [
+            profile.past_visa === 'None' ? 'Low travel history' : 'Experienced traveller',
+            scoreInfo.score >= 70 ? 'Low risk profile' : 'Medium risk profile',
+        ],
+    };
+
+    // multi-country comparison from the requirement rulebook
+    const countries = compareCountries(
+        { profile, docs: byType, finances, tuition },
+        { fallbackScore: scoreInfo.score },
+    );
+    const destination = findRuleBook(profile.dest_country) && countries[0];
+    destination?.rules.filter(r => r.passed === false).forEach((r) => {
+        scoreInfo.reasons.push(`${destination.name} ${destination.visa}: ${r.explanation}`);
+    });
+
+    const risk = [
+        {
+            label: 'Finances',
+            value: fundsRisk(finances, coverage),
+            ...(coverage && { detail: `${coverage.monthsCovered} of ${coverage.monthsNeeded} months covered` }),
+        },
+        { label: 'Docs', value: docsRisk(docs, mismatches) },
+        { label: 'Travel History', value: profile.past_visa === 'None' ? 60 : 25 },
+        { label: 'Purpose', value: profile.purpose === 'Study' || profile.purpose === 'Work' ? 20 : 40 },
+    ];
+
+    return {
+        score: scoreInfo.score,
+        plain: scoreInfo.plain,
+        reasons: scoreInfo.reasons,
+        docs: docs.map(({ scoreImpact, weight, rule, missing, ...rest }) => rest),
+        twin,
+        countries,
+        risk,
+        factors: scoreInfo.factors,
+        finances: { amount: finances.amount, currency: finances.currency, source: finances.source, coverage },
+    };
+}
+
+async function analyze(input, { onProgress } = {}) {
+    const analyzed = await analyzeDocuments(input);
+    onProgress?.({ phase: 'partial', engine: 'rules', result: { docs: analyzed.docs.map(({ name, ok, note }) => ({ name, ok, note })) } });
+    return scoreProfile(input.profile, analyzed);
+}
+
+// What-if re-scoring: the digest is the document analysis of the original
+// upload ({ docs, byType, mismatches }), which holds no file contents.
+async function simulate({ profile, digest }, { simulated }) {
+    return scoreProfile(profile, digest, { simulated });
+}
+
+export default {
+    name: 'rules',
+    label: 'Rule-based scoring',
+    isAvailable: () => true,
+    analyze,
+    digest: analyzeDocuments,
+    simulate,
+};
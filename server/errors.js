@@ -0,0 +1,70 @@
+/**
+ * Error carrying an HTTP status for the API error handler.
+ * `details` is serialized alongside the message so clients get structured context.
+ */
+export class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Raised when an engine result does not satisfy the result schema.
+ * `violations` are `{ path, message }` pairs; `output` keeps the offending
+ * output so the engine can be asked to repair it.
+ */
+export class ValidationError extends HttpError {
+    constructor(message, violations, { output } = {}) {
+        super(422, message, { violations });
+        this.name = 'ValidationError';
+        this.violations = violations;
+        this.output = output;
+    }
+}
+
+/**
+ * Raised by analysis engines when they cannot produce a result.
+ * `retryable` tells the registry whether falling back to another engine makes sense;
+ * `retryAfter` (seconds) is sent as the Retry-After header.
+ */
+export class EngineError extends Error {
+    constructor(engine, message, { status = 502, retryable = true, retryAfter, cause } = {}) {
+        super(message, { cause });
+        this.name = 'EngineError';
+        this.engine = engine;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Status and JSON body for an error, without leaking upstream bodies or stack
+ * traces to the browser. Shared by the error middleware and streaming routes.
+ */
+export function toErrorResponse(err) {
+    const status = err.status || 500;
+    const body = { error: status >= 500 && !(err instanceof HttpError) && !(err instanceof EngineError)
+        ? 'Internal error analyzing profile'
+        : err.message };
+    if (err.details !== undefined) body.details = err.details;
+    if (err.retryAfter !== undefined) body.retryAfter = err.retryAfter;
+    return { status, body };
+}
+
+/**
+ * Express error middleware: turns thrown errors into JSON responses.
+ */
+export function errorHandler(err, req, res, next) {
+    // A response already under way cannot become JSON; Express ends it.
+    if (res.headersSent) return next(err);
+    const { status, body } = toErrorResponse(err);
+    if (status >= 500) {
+        console.error(`[${req.method} ${req.path}]`, err.message);
+    }
+    if (body.retryAfter !== undefined) res.set('Retry-After', String(body.retryAfter));
+    res.status(status).json(body);
+}
@@ -0,0 +1,306 @@
+import path from 'path';
+import { extractText } from './ocr.js';
+import { detectCurrency, parseAmount, parseDate } from './values.js';
+import { findCountry } from '../data/countries.js';
+
+// Bank statement parsing for CSV exports and text PDFs (scans go through OCR).
+// Produces transactions, daily balances and a conservative verified-funds figure.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deposits younger than this are not counted as held funds (UK-style 28-day rule).
+const HOLDING_DAYS = 28;
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ------------------ CSV exports ------------------
+
+function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (c === '"') {
+            if (quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (c === delimiter && !quoted) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+const COLUMN_PATTERNS = {
+    date: /^(txn |tran |transaction |value |posting |post |booking )?date$|^date/,
+    description: /desc|narration|particular|details|remark|memo|payee|reference/,
+    debit: /debit|withdraw|paid out|money out|^dr$/,
+    credit: /credit|deposit|paid in|money in|^cr$/,
+    amount: /^(transaction )?amount/,
+    balance: /balance/,
+    direction: /^(type|cr\/dr|dr\/cr|debit\/credit)$/,
+};
+
+function mapColumns(header) {
+    const columns = {};
+    header.forEach((cell, index) => {
+        const name = cell.toLowerCase().replace(/[^a-z/ ]/g, '').trim();
+        Object.entries(COLUMN_PATTERNS).forEach(([key, pattern]) => {
+            if (columns[key] === undefined && pattern.test(name)) columns[key] = index;
+        });
+    });
+    // "Closing balance" should not double as the credit column and vice versa.
+    if (columns.credit === columns.balance) delete columns.credit;
+    return columns;
+}
+
+export function parseCsvStatement(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+    const delimiter = [',', ';', '\t'].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+    const rows = lines.map(l => splitCsvLine(l, delimiter));
+
+    const headerIndex = rows.findIndex(r => {
+        const cols = mapColumns(r);
+        return cols.date !== undefined && (cols.amount !== undefined || cols.debit !== undefined || cols.credit !== undefined);
+    });
+    if (headerIndex === -1) return { transactions: [] };
+
+    const cols = mapColumns(rows[headerIndex]);
+    const transactions = [];
+    rows.slice(headerIndex + 1).forEach((row) => {
+        const date = parseDate(row[cols.date]);
+        if (!date) return;
+        let amount;
+        if (cols.debit !== undefined || cols.credit !== undefined) {
+            const credit = parseAmount(row[cols.credit]) || 0;
+            const debit = parseAmount(row[cols.debit]) || 0;
+            amount = Math.abs(credit) - Math.abs(debit);
+        } else {
+            amount = parseAmount(row[cols.amount]);
+            const direction = (row[cols.direction] || '').toLowerCase();
+            if (amount !== null && /^(dr|debit|d)$/.test(direction)) amount = -Math.abs(amount);
+        }
+        if (amount === null || amount === 0) return;
+        transactions.push({
+            date,
+            description: row[cols.description] || '',
+            amount,
+            balance: cols.balance !== undefined ? parseAmount(row[cols.balance]) : null,
+        });
+    });
+    return { transactions };
+}
+
+// ------------------ Text statements (PDF text layer / OCR) ------------------
+
+const DATE_AT_START = /^\s*(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[-\s][A-Za-z]{3,9}[-\s,]+\d{2,4}|[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})/;
+const MONEY = /\(?-?[\d,]+\.\d{2}\)?(?:\s*(?:CR|DR|Cr|Dr)\b)?/g;
+const DEBIT_HINT = /withdraw|atm|pos\b|purchase|debit|\bdr\b|payment to|transfer to|fee|charge|emi/i;
+
+export function parseTextStatement(text) {
+    const transactions = [];
+    let openingBalance = null;
+    let closingBalance = null;
+
+    text.split(/\r?\n/).forEach((line) => {
+        const amounts = (line.match(MONEY) || []).map(parseAmount);
+        if (/opening\s+balance|balance\s+(b\/f|brought forward)/i.test(line) && amounts.length) {
+            openingBalance ??= amounts[amounts.length - 1];
+            return;
+        }
+        if (/closing\s+balance|balance\s+(c\/f|carried forward)/i.test(line) && amounts.length) {
+            closingBalance = amounts[amounts.length - 1];
+            return;
+        }
+
+        const dateMatch = DATE_AT_START.exec(line);
+        const date = dateMatch && parseDate(dateMatch[1]);
+        if (!date || amounts.length < 2) return;
+
+        const balance = amounts[amounts.length - 1];
+        const raw = amounts[amounts.length - 2];
+        const description = line
+            .slice(dateMatch[0].length)
+            .replace(MONEY, '')
+            .replace(DATE_AT_START, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Prefer the balance movement for the direction; fall back to wording.
+        const previous = transactions.length ? transactions[transactions.length - 1].balance : openingBalance;
+        let amount = Math.abs(raw);
+        if (previous !== null && previous !== undefined) {
+            if (balance < previous) amount = -amount;
+        } else if (raw < 0 || DEBIT_HINT.test(description)) {
+            amount = -amount;
+        }
+        transactions.push({ date, description, amount, balance });
+    });
+
+    return { transactions, openingBalance, closingBalance };
+}
+
+// ------------------ Analysis ------------------
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Turns parsed transactions into balances and findings.
+ * `lookbackDays` is the window the average balance is computed over.
+ */
+export function summarizeStatement({ transactions, openingBalance = null, closingBalance = null }, { lookbackDays = 90 } = {}) {
+    const findings = [];
+    if (transactions.length === 0) {
+        return {
+            ok: false,
+            transactionCount: 0,
+            findings: [{ code: 'no_transactions', severity: 'error', message: 'No transactions could be read from the bank statement.' }],
+        };
+    }
+
+    // Exports are often newest-first; keep same-day order stable.
+    const txns = transactions.map((t, i) => ({ ...t, i })).sort((a, b) => toTime(a.date) - toTime(b.date) || a.i - b.i);
+    if (toTime(transactions[0].date) > toTime(transactions[transactions.length - 1].date)) {
+        txns.sort((a, b) => toTime(a.date) - toTime(b.date) || b.i - a.i);
+    }
+
+    // Fill in missing balances from the opening balance and running totals.
+    const first = txns[0];
+    let opening = openingBalance ?? (first.balance !== null ? first.balance - first.amount : null);
+    let inconsistent = 0;
+    let running = opening ?? 0;
+    txns.forEach((t) => {
+        running += t.amount;
+        if (t.balance === null) {
+            t.balance = running;
+        } else if (Math.abs(t.balance - running) > 1 && opening !== null) {
+            inconsistent++;
+            running = t.balance;
+        } else {
+            running = t.balance;
+        }
+    });
+    if (opening === null) {
+        opening = 0;
+        findings.push({ code: 'no_balances', severity: 'warning', message: 'The statement shows no running balance; balances were reconstructed from transactions only.' });
+    }
+    if (inconsistent > 0) {
+        findings.push({ code: 'balance_mismatch', severity: 'warning', message: `${inconsistent} transaction(s) do not add up to the printed running balance.` });
+    }
+
+    // End-of-day balances for every calendar day in the statement period.
+    const from = txns[0].date;
+    const to = txns[txns.length - 1].date;
+    const endOfDay = new Map(txns.map(t => [t.date, t.balance]));
+    const dailyBalances = [];
+    let balance = opening;
+    for (let t = toTime(from); t <= toTime(to); t += DAY_MS) {
+        const date = new Date(t).toISOString().slice(0, 10);
+        if (endOfDay.has(date)) balance = endOfDay.get(date);
+        dailyBalances.push({ date, balance: round2(balance) });
+    }
+    const closing = closingBalance ?? dailyBalances[dailyBalances.length - 1].balance;
+
+    const windowStart = toTime(to) - (lookbackDays - 1) * DAY_MS;
+    const window = dailyBalances.filter(d => toTime(d.date) >= windowStart);
+    const averageBalance = round2(window.reduce((sum, d) => sum + d.balance, 0) / window.length);
+    const minimumBalance = Math.min(...window.map(d => d.balance));
+    const days = dailyBalances.length;
+
+    if (days < lookbackDays) {
+        findings.push({ code: 'short_history', severity: 'warning', message: `Statement covers only ${days} days; ${lookbackDays} days of history are expected.`, days, expectedDays: lookbackDays });
+    }
+    if (minimumBalance < 0) {
+        findings.push({ code: 'negative_balance', severity: 'warning', message: 'The account was overdrawn during the statement period.' });
+    }
+
+    // "Fund parking": a deposit far larger than usual that makes up most of the balance.
+    const credits = txns.filter(t => t.amount > 0);
+    const typicalCredit = median(credits.map(t => t.amount));
+    const largeDeposits = credits
+        .filter(t => t.amount >= 3 * typicalCredit && t.balance > 0 && t.amount >= 0.4 * t.balance)
+        .map(t => ({
+            date: t.date,
+            amount: round2(t.amount),
+            description: t.description,
+            shareOfBalance: Math.round((t.amount / t.balance) * 100),
+            daysBeforeEnd: Math.round((toTime(to) - toTime(t.date)) / DAY_MS),
+        }));
+    largeDeposits.forEach((d) => {
+        findings.push({
+            code: 'large_deposit',
+            severity: 'warning',
+            transaction: { date: d.date, amount: d.amount },
+            message: `Large deposit of ${d.amount.toLocaleString('en-US')} on ${d.date} makes up ${d.shareOfBalance}% of the balance — officers treat sudden deposits as possible fund parking.`,
+        });
+    });
+
+    // Conservative figure: the lower of average and closing balance, minus
+    // large deposits that have not been held for HOLDING_DAYS yet.
+    const recentParked = largeDeposits.filter(d => d.daysBeforeEnd < HOLDING_DAYS).reduce((sum, d) => sum + d.amount, 0);
+    const verifiedFunds = round2(Math.max(0, Math.min(averageBalance, closing - recentParked)));
+
+    return {
+        ok: true,
+        period: { from, to, days },
+        openingBalance: round2(opening),
+        closingBalance: round2(closing),
+        averageBalance,
+        minimumBalance: round2(minimumBalance),
+        lookbackDays,
+        transactionCount: txns.length,
+        largeDeposits,
+        dailyBalances,
+        verifiedFunds,
+        findings,
+    };
+}
+
+// Account holder from the statement header ("Account Name: MR JOHN DOE").
+export function findAccountHolder(text) {
+    const header = text.split(/\r?\n/).slice(0, 30).join('\n');
+    const m = /(?:account\s*holder|account\s*name|customer\s*name|name)\s*[:-]\s*(?:(?:mr|mrs|ms|miss|dr)\.?\s+)?([A-Za-z][A-Za-z .'-]{2,60})/i.exec(header);
+    return m ? m[1].replace(/[",;].*$/, '').replace(/\s+/g, ' ').trim() : null;
+}
+
+const isCsv = (doc) => doc.mimetype === 'text/csv' || path.extname(doc.originalname || '').toLowerCase() === '.csv';
+
+/**
+ * Reads a bank statement upload (CSV export, text PDF, or scan) and returns
+ * the summary from summarizeStatement() plus the statement currency.
+ */
+export async function extractBankStatement(doc, profile = {}, { lookbackDays } = {}) {
+    let text;
+    let parsed;
+    try {
+        if (isCsv(doc)) {
+            text = doc.buffer.toString('utf8');
+            parsed = parseCsvStatement(text);
+        } else {
+            text = (await extractText(doc)).text;
+            parsed = parseTextStatement(text);
+        }
+    } catch (err) {
+        console.error('Bank statement extraction failed:', err.message);
+        return { ok: false, findings: [{ code: 'unreadable', severity: 'error', message: 'The bank statement file could not be read.' }] };
+    }
+
+    const window = lookbackDays ?? (parseInt(process.env.BANK_LOOKBACK_DAYS, 10) || 90);
+    const summary = summarizeStatement(parsed, { lookbackDays: window });
+    const currency = detectCurrency(text) || findCountry(profile.passport_country)?.currency || null;
+    return { ...summary, currency, accountHolder: findAccountHolder(text) };
+}
@@ -0,0 +1,86 @@
+import path from 'path';
+import { extractText } from './ocr.js';
+import { findMrz } from './mrz.js';
+
+// Suggests which document slot an upload fills, from its filename, its
+// content (CSV exports, a passport MRZ) and the text of its first page.
+// Local and deterministic: every signal adds points to a type and the best
+// scoring type wins. Users can correct the suggestion.
+
+// `name` is matched against the filename (+2), each of `text` against the first page (+1).
+const SIGNALS = {
+    passport: {
+        name: /passport|pasaporte|reisepass|\bpp\b/,
+        text: [/passport/i, /nationality/i, /date of (?:expiry|issue)/i, /place of birth/i, /given names?/i],
+    },
+    bank: {
+        name: /bank|statement|funds|balance|account/,
+        text: [/statement/i, /(?:opening|closing|available) balance/i, /\b(?:debit|credit|withdrawal|deposit)s?\b/i, /account (?:no|number)|a\/c|ifsc|iban|sort code/i],
+    },
+    offer: {
+        name: /offer|admission|acceptance|\bloa\b|\bcoe\b|\bcas\b|i-?20/,
+        text: [/offer of|pleased to offer|(?:un)?conditional offer/i, /admission|admitted|acceptance/i, /tuition|programme|course|intake|enrol/i, /university|college|institute/i, /confirmation of acceptance|form i-20|cas number/i],
+    },
+    language: {
+        name: /ielts|toefl|\bpte\b|duolingo|language|\btrf\b/,
+        text: [/ielts|toefl|pearson test|duolingo/i, /test report form|overall band|band score/i, /listening|reading|writing|speaking/i],
+    },
+    transcript: {
+        name: /transcript|marksheet|mark sheet|degree|diploma|certificate|grades?/,
+        text: [/transcript|mark ?sheet|grade point|c?gpa/i, /semester|credits|bachelor|master|degree/i],
+    },
+    employment: {
+        name: /employ|experience|salary|payslip|pay slip|\bnoc\b|\bjob\b/,
+        text: [/employment|experience letter|to whom it may concern/i, /designation|salary|payslip|joined|employee/i],
+    },
+    itinerary: {
+        name: /itinerary|ticket|flight|booking|hotel|reservation/,
+        text: [/itinerary|booking|reservation|e-?ticket/i, /flight|departure|arrival|check-?in|hotel/i],
+    },
+};
+
+// Set DOCUMENT_EXTRACTION=off to classify from filenames and CSV content only.
+const extractionEnabled = () => process.env.DOCUMENT_EXTRACTION !== 'off';
+
+async function firstPageText(doc) {
+    if (doc.mimetype === 'text/csv') return doc.buffer.toString('utf8', 0, 4096);
+    if (!extractionEnabled()) return '';
+    try {
+        return (await extractText(doc, { maxPages: 1 })).text;
+    } catch (err) {
+        console.error(`Classifying ${doc.originalname} failed:`, err.message);
+        return '';
+    }
+}
+
+/**
+ * Suggests the slot of an upload: { type, confidence: 'high' | 'medium' |
+ * 'low', signals } where `signals` says what the suggestion is based on.
+ * Without a usable signal the type is 'other'.
+ */
+export async function classifyDocument(doc) {
+    const name = path.basename(doc.originalname || '').toLowerCase();
+    const text = await firstPageText(doc);
+    const scores = Object.fromEntries(Object.keys(SIGNALS).map(type => [type, 0]));
+    const signals = [];
+    const add = (type, points, signal) => {
+        scores[type] += points;
+        signals.push({ type, signal });
+    };
+
+    Object.entries(SIGNALS).forEach(([type, spec]) => {
+        if (spec.name.test(name)) add(type, 2, 'filename');
+        const hits = spec.text.filter(pattern => pattern.test(text)).length;
+        if (hits > 0) add(type, hits, `${hits} keyword${hits > 1 ? 's' : ''} on the first page`);
+    });
+    if (doc.mimetype === 'text/csv') add('bank', 3, 'CSV export');
+    if (findMrz(text)) add('passport', 5, 'machine readable zone');
+
+    const [[best, top], [, second]] = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    if (top < 2) return { type: 'other', confidence: 'low', signals: [] };
+    return {
+        type: best,
+        confidence: top >= 4 && top - second >= 2 ? 'high' : top - second >= 1 ? 'medium' : 'low',
+        signals: signals.filter(s => s.type === best).map(s => s.signal),
+    };
+}
@@ -0,0 +1,256 @@
+import sharp from 'sharp';
+import { loadPdf, textItemBox, unionBox } from './ocr.js';
+
+// Deterministic tamper heuristics. Nothing here proves a forgery; each
+// indicator is a reason to look closer, and together they give a tamper-risk
+// score (0–100) per document:
+//   PDFs    producer and editing tools, creation vs modification dates,
+//           incremental updates, text drawn over other text, and (bank
+//           statements) amounts set in a different font from the rest
+//   images  editing software in EXIF/XMP, and error-level analysis of JPEGs
+
+// Tools that edit existing documents rather than produce them.
+const EDITORS = /photoshop|gimp|illustrator|inkscape|canva|pixlr|picsart|snapseed|affinity|paint\.net|pdfescape|sejda|ilovepdf|smallpdf|pdf-?xchange|phantompdf|nitro|pdfelement|acrobat pro|pdf editor/i;
+// Bank systems generate statements; a word processor did not.
+const WORD_PROCESSORS = /microsoft.{0,3}word|libreoffice|openoffice|google docs|pages|wps writer/i;
+
+// Points each indicator adds to the tamper risk.
+const WEIGHTS = {
+    editor_software: 25,
+    word_processor: 20,
+    modified_after_creation: 10,
+    dates_inconsistent: 20,
+    incremental_updates: 15,
+    overlaid_text: 30,
+    font_inconsistency: 30,
+    ela_hotspot: 30,
+};
+
+const MAX_BOXES = 5;
+
+export const tamperLevel = (risk) => (risk >= 50 ? 'high' : risk >= 20 ? 'medium' : 'low');
+
+// PDF dates are D:YYYYMMDDHHmmSS with an optional Z or ±HH'mm' offset.
+function pdfDate(value) {
+    const m = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || ''));
+    if (!m) return null;
+    const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', sign, oh = '00', om = '00'] = m;
+    const utc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+    const offset = (sign === '+' ? 1 : sign === '-' ? -1 : 0) * (+oh * 60 + +om) * 60000;
+    const date = new Date(utc - offset);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Revisions appended to the file: one %%EOF per save, one more for a linearized file.
+function countUpdates(buffer) {
+    const text = buffer.toString('latin1');
+    const eofs = (text.match(/%%EOF/g) || []).length;
+    const linearized = /\/Linearized/.test(text.slice(0, 1024)) ? 1 : 0;
+    return Math.max(0, eofs - 1 - linearized);
+}
+
+const AMOUNT = /^[-(]?\s?[£$€₹]?\s?\d{1,3}(?:[,.\s]?\d{2,3})*[.,]\d{2}\)?(?:\s?(?:cr|dr))?$/i;
+
+const overlapArea = (a, b) => Math.max(0, Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0)) * Math.max(0, Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0));
+const area = (b) => (b.x1 - b.x0) * (b.y1 - b.y0);
+
+// Pairs of different text items drawn on top of each other.
+function overlaidText(items) {
+    const pairs = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const [a, b] = [items[i], items[j]];
+            if (a.text === b.text) continue; // fake bold draws the same text twice
+            const overlap = overlapArea(a.box, b.box);
+            if (overlap > 0 && overlap >= 0.5 * Math.min(area(a.box), area(b.box))) pairs.push([a, b]);
+        }
+    }
+    return pairs;
+}
+
+// Amounts set in a font (or size) that the other amounts on the statement do not use.
+function oddAmounts(amounts) {
+    if (amounts.length < 5) return [];
+    const counts = new Map();
+    amounts.forEach(a => counts.set(a.font, (counts.get(a.font) || 0) + 1));
+    const [main, mainCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (mainCount / amounts.length < 0.7) return [];
+    const sizes = amounts.filter(a => a.font === main).map(a => a.size).sort((a, b) => a - b);
+    const size = sizes[Math.floor(sizes.length / 2)];
+    return amounts.filter(a => a.font !== main || Math.abs(a.size - size) > size * 0.15);
+}
+
+async function examinePdf(doc, indicators) {
+    const pdf = await loadPdf(doc.buffer);
+    try {
+        const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+        const tools = [info.Producer, info.Creator].filter(Boolean).join(' / ');
+        if (EDITORS.test(tools)) {
+            indicators.push({ code: 'editor_software', message: `The PDF was saved with an editing tool (${tools}).` });
+        } else if (doc.type === 'bank' && WORD_PROCESSORS.test(tools)) {
+            indicators.push({ code: 'word_processor', message: `The statement was made with a word processor (${tools}), not a bank system.` });
+        }
+
+        const created = pdfDate(info.CreationDate);
+        const modified = pdfDate(info.ModDate);
+        if (created && modified && modified < created - 60000) {
+            indicators.push({ code: 'dates_inconsistent', message: `The PDF says it was modified (${modified.toISOString().slice(0, 10)}) before it was created (${created.toISOString().slice(0, 10)}).` });
+        } else if (created && created > Date.now() + 86400000) {
+            indicators.push({ code: 'dates_inconsistent', message: `The PDF's creation date (${created.toISOString().slice(0, 10)}) is in the future.` });
+        } else if (created && modified && modified - created > 60000) {
+            indicators.push({ code: 'modified_after_creation', message: `The PDF was modified on ${modified.toISOString().slice(0, 10)}, after it was created on ${created.toISOString().slice(0, 10)}.` });
+        }
+
+        const updates = countUpdates(doc.buffer);
+        if (updates > 0) {
+            indicators.push({ code: 'incremental_updates', message: `The PDF has been changed and re-saved ${updates} time${updates > 1 ? 's' : ''} since it was first written (incremental updates).`, weight: Math.min(30, WEIGHTS.incremental_updates + 5 * (updates - 1)) });
+        }
+
+        const amounts = [];
+        for (let n = 1; n <= Math.min(pdf.numPages, 10); n++) {
+            const page = await pdf.getPage(n);
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+            const items = content.items
+                .filter(item => /[A-Za-z0-9]/.test(item.str))
+                .map(item => ({ text: item.str.trim(), font: item.fontName, size: Math.round(item.height * 10) / 10, box: textItemBox(item, viewport) }));
+            const toBox = (boxes) => unionBox(boxes, viewport.width, viewport.height);
+
+            const pairs = overlaidText(items);
+            if (pairs.length > 0) {
+                indicators.push({
+                    code: 'overlaid_text',
+                    message: `Text on page ${n} is drawn over other text (${pairs.slice(0, 3).map(([a, b]) => `"${b.text}" over "${a.text}"`).join(', ')}).`,
+                    page: n,
+                    boxes: pairs.slice(0, MAX_BOXES).map(([a, b]) => toBox([a.box, b.box])),
+                });
+            }
+            if (doc.type === 'bank') {
+                amounts.push(...items.filter(item => AMOUNT.test(item.text)).map(item => ({ ...item, page: n, toBox })));
+            }
+        }
+
+        const odd = oddAmounts(amounts);
+        if (odd.length > 0 && odd.length <= amounts.length * 0.3) {
+            indicators.push({
+                code: 'font_inconsistency',
+                message: `${odd.length} amount${odd.length > 1 ? 's are' : ' is'} set in a different font or size from the rest of the statement (${odd.slice(0, 3).map(a => a.text).join(', ')}).`,
+                page: odd[0].page,
+                boxes: odd.filter(a => a.page === odd[0].page).slice(0, MAX_BOXES).map(a => a.toBox([a.box])),
+            });
+        }
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+/**
+ * Error-level analysis: the page is saved again as a JPEG and compared with
+ * itself. Areas pasted or retouched after the last save change more than the
+ * rest, relative to their detail. Returns the boxes of such areas.
+ */
+async function errorLevelHotspots(buffer, block = 16) {
+    const { data, info } = await sharp(buffer).removeAlpha().grayscale().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const resaved = await sharp(data, { raw: { width, height, channels: 1 } }).jpeg({ quality: 95 }).toBuffer();
+    const again = await sharp(resaved).grayscale().raw().toBuffer();
+
+    const cols = Math.floor(width / block);
+    const rows = Math.floor(height / block);
+    const blocks = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            let error = 0;
+            let detail = 0;
+            for (let y = r * block; y < (r + 1) * block; y++) {
+                for (let x = c * block; x < (c + 1) * block; x++) {
+                    const i = y * width + x;
+                    error += Math.abs(data[i] - again[i]);
+                    if (x + 1 < width) detail += Math.abs(data[i] - data[i + 1]);
+                }
+            }
+            const n = block * block;
+            // Flat areas say nothing; compare error against the detail it sits in.
+            if (detail / n > 5) blocks.push({ r, c, level: error / n / Math.sqrt(detail / n) });
+        }
+    }
+    if (blocks.length < 50) return [];
+    const median = blocks.map(b => b.level).sort((a, b) => a - b)[Math.floor(blocks.length / 2)];
+    const hot = blocks.filter(b => b.level > median * 1.8);
+    // A few scattered blocks are noise; so is a page where everything stands out.
+    if (hot.length < 3 || hot.length > blocks.length * 0.05) return [];
+
+    // Group hot blocks that are at most three blocks apart.
+    const near = (a, b) => Math.abs(a.r - b.r) <= 3 && Math.abs(a.c - b.c) <= 3;
+    const groups = [];
+    hot.forEach((b) => {
+        const touching = groups.filter(g => g.some(o => near(o, b)));
+        const merged = [b, ...touching.flat()];
+        touching.forEach(g => groups.splice(groups.indexOf(g), 1));
+        groups.push(merged);
+    });
+    // An edit shows as a patch of several blocks, at least one of them clearly out of line.
+    // A strip running down the page is a column of repeated text, not a patch.
+    const tall = g => Math.max(...g.map(b => b.r)) - Math.min(...g.map(b => b.r)) + 1 > 3 * (Math.max(...g.map(b => b.c)) - Math.min(...g.map(b => b.c)) + 1);
+    return groups.filter(g => g.length >= 4 && !tall(g) && g.some(b => b.level > median * 2)).slice(0, MAX_BOXES).map(g => unionBox(g.map(b => ({
+        x0: b.c * block, y0: b.r * block, x1: (b.c + 1) * block, y1: (b.r + 1) * block,
+    })), width, height));
+}
+
+async function examineImage(doc, indicators) {
+    // The bytes as uploaded: checks re-encode images, which erases what is looked for here.
+    const original = doc.original || doc.buffer;
+    const { exif, xmp, format } = await sharp(original).metadata();
+    const editor = EDITORS.exec([exif, xmp].filter(Boolean).map(b => b.toString('latin1')).join(' '));
+    if (editor) {
+        indicators.push({ code: 'editor_software', message: `The image was saved with an editing program (${editor[0]}).` });
+    }
+    if (format === 'jpeg') {
+        const boxes = await errorLevelHotspots(original);
+        if (boxes.length > 0) {
+            indicators.push({
+                code: 'ela_hotspot',
+                message: `Error-level analysis shows ${boxes.length} area${boxes.length > 1 ? 's' : ''} that changed after the rest of the photo was saved; check ${boxes.length > 1 ? 'them' : 'it'} for pasted or retouched text.`,
+                page: 1,
+                boxes,
+            });
+        }
+    }
+}
+
+/**
+ * Examines one checked upload. Returns { risk, level, indicators } where
+ * each indicator is { code, message, weight, page?, boxes? } and `risk`
+ * (0–100) adds up their weights; null for files there is nothing to examine.
+ */
+export async function examineDocument(doc) {
+    const indicators = [];
+    try {
+        if (doc.mimetype === 'application/pdf') await examinePdf(doc, indicators);
+        else if (doc.mimetype?.startsWith('image/')) await examineImage(doc, indicators);
+        else return null;
+    } catch (err) {
+        console.error(`Forensic checks of ${doc.originalname} failed:`, err.message);
+        return null;
+    }
+    const weighted = indicators.map(i => ({ ...i, weight: i.weight ?? WEIGHTS[i.code] }));
+    const risk = Math.min(100, weighted.reduce((sum, i) => sum + i.weight, 0));
+    return { risk, level: tamperLevel(risk), indicators: weighted };
+}
+
+/**
+ * examineDocument() for every upload of an analysis, adding `forensics` to
+ * each and reporting a `forensics` progress event for each document with
+ * indicators.
+ */
+export async function examineDocuments(documents, { onProgress } = {}) {
+    const examined = [];
+    for (const [index, doc] of documents.entries()) {
+        const forensics = await examineDocument(doc);
+        if (forensics?.indicators.length > 0) {
+            onProgress?.({ phase: 'forensics', index, name: doc.originalname, risk: forensics.risk, level: forensics.level });
+        }
+        examined.push(forensics ? { ...doc, forensics } : doc);
+    }
+    return examined;
+}
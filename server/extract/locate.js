@@ -0,0 +1,117 @@
+import { extractLayout, MRZ_BAND_TOP } from './ocr.js';
+import { originalBox } from './quality.js';
+
+// Places findings on the page for the document viewer: each finding gets the
+// `page` it concerns and, where the value or its label can be found in the
+// document's text, the `box` around that line ({ x, y, width, height } as
+// fractions of the page, origin top left). Boxes on a straightened or cropped
+// photo are mapped back onto the original upload.
+
+// Labels printed next to a field, used when its value cannot be found.
+const LABELS = {
+    name: /\bname\b|surname|given names?|account holder/i,
+    date_of_birth: /date of birth|\bdob\b|born/i,
+    expiry_date: /date of expiry|expiry|expires|valid until/i,
+    start_date: /start date|commenc|intake|programme start|program start/i,
+    nationality: /nationality/i,
+    passport_number: /passport no|passport number|document no/i,
+    funds: /closing balance|available balance|tuition/i,
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const ordinal = (n) => (n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th');
+
+// The ways a value may be printed, lowercase.
+function variants(value) {
+    if (typeof value === 'number') {
+        const whole = Math.round(value);
+        return [String(value), String(whole), whole.toLocaleString('en-US'), whole.toLocaleString('en-IN'), value.toFixed(2)];
+    }
+    const text = String(value ?? '').trim();
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!iso) return text ? [text.toLowerCase()] : [];
+    const [, y, m, d] = iso;
+    const month = MONTHS[m - 1];
+    return [
+        text, `${d}/${m}/${y}`, `${d}-${m}-${y}`, `${d}.${m}.${y}`, `${m}/${d}/${y}`,
+        `${+d} ${month.slice(0, 3)} ${y}`, `${d} ${month.slice(0, 3)} ${y}`, `${+d} ${month} ${y}`, `${month} ${+d}, ${y}`,
+        `${+d}${ordinal(+d)} ${month} ${y}`, `${d} ${month.slice(0, 3)} ${y.slice(2)}`, `${d}-${month.slice(0, 3)}-${y.slice(2)}`,
+    ].map(v => v.toLowerCase());
+}
+
+// MRZ lines spell dates YYMMDD and separate names with '<'.
+const isMrzLine = (text) => /<</.test(text);
+const mrzDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && value.slice(2).replace(/-/g, '');
+
+// How well a line shows `value`: 0 when it does not.
+function matchValue(line, value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const text = line.text.toLowerCase().replace(/\s+/g, ' ');
+    if (variants(value).some(v => text.includes(v) || text.replace(/,/g, '').includes(v.replace(/,/g, '')))) return 3;
+    if (isMrzLine(line.text) && mrzDate(value) && line.text.includes(mrzDate(value))) return 2;
+    if (typeof value !== 'string' || /\d/.test(value)) return 0;
+    // names: every word of at least three letters, on a printed or MRZ line
+    const words = text.replace(/</g, ' ').split(/\s+/);
+    const parts = value.toLowerCase().split(/\s+/).filter(w => w.length >= 3);
+    const found = parts.filter(p => words.includes(p)).length;
+    return parts.length > 0 && found === parts.length ? 2 : found > 0 ? 1 : 0;
+}
+
+// The value a finding is about on this document.
+function valueOf(finding, doc) {
+    if (finding.transaction) return finding.transaction.amount;
+    if (finding.values && doc.name in finding.values) return finding.values[doc.name];
+    const fields = doc.fields || {};
+    if (finding.field === 'name') {
+        return [fields.given_names, fields.surname].filter(Boolean).join(' ') || fields.applicant_name || fields.accountHolder;
+    }
+    return fields[finding.field];
+}
+
+function locate(finding, doc, layout) {
+    const value = valueOf(finding, doc);
+    const label = LABELS[finding.field];
+    let best = null;
+    layout.pages.forEach(({ page, lines }) => {
+        lines.forEach((line) => {
+            let score = matchValue(line, value) * 2;
+            if (finding.transaction && score > 0 && matchValue(line, finding.transaction.date)) score += 2;
+            if (label?.test(line.text)) score += 1;
+            if (score > (best?.score ?? 0)) best = { score, page, box: line.box };
+        });
+    });
+    return best && { page: best.page, box: best.box };
+}
+
+/**
+ * Adds `page` and `box` to the findings of an analyzed document `doc`
+ * ({ name, fields, findings }) read from the upload `file`. Findings that
+ * cannot be placed keep no box; on a single-page document they still get
+ * `page: 1`, and passport findings fall back to the MRZ band they were read
+ * from. Findings that already have a page (image quality) are kept as they
+ * are. Returns the new findings; shared findings are not changed.
+ */
+export async function locateFindings(file, doc, { type } = {}) {
+    const findings = doc.findings || [];
+    if (findings.length === 0) return findings;
+    let layout;
+    try {
+        layout = await extractLayout(file);
+    } catch (err) {
+        console.error(`Locating findings in ${file.originalname} failed:`, err.message);
+        return findings;
+    }
+    if (layout.pages.length === 0) return findings;
+
+    const mrzBand = { page: 1, box: { x: 0, y: MRZ_BAND_TOP, width: 1, height: 1 - MRZ_BAND_TOP } };
+    const correction = file.quality?.correction;
+    return findings.map((finding) => {
+        if (finding.page) return finding;
+        const found = locate(finding, doc, layout)
+            || (type === 'passport' && finding.code !== 'unreadable' && mrzBand)
+            || (layout.pages.length === 1 && { page: 1 });
+        if (!found) return finding;
+        return { ...finding, ...found, ...(found.box && { box: originalBox(found.box, correction) }) };
+    });
+}
@@ -0,0 +1,141 @@
+// ICAO 9303 machine readable zone (TD3, passport booklets: 2 lines x 44 chars).
+
+const TD3_LENGTH = 44;
+const WEIGHTS = [7, 3, 1];
+
+function charValue(c) {
+    if (c >= '0' && c <= '9') return c.charCodeAt(0) - 48;
+    if (c >= 'A' && c <= 'Z') return c.charCodeAt(0) - 55;
+    return 0; // '<' filler
+}
+
+export function checkDigit(value) {
+    const sum = [...value].reduce((acc, c, i) => acc + charValue(c) * WEIGHTS[i % 3], 0);
+    return String(sum % 10);
+}
+
+// OCR confuses letters and digits; numeric fields can be repaired safely.
+const DIGIT_FIXES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6', T: '7' };
+const toDigits = (s) => s.replace(/[A-Z]/g, c => DIGIT_FIXES[c] ?? c);
+
+function normalizeLine(line) {
+    return line
+        .toUpperCase()
+        .replace(/[«‹]/g, '<')
+        .replace(/\s+/g, '')
+        .replace(/[^A-Z0-9<]/g, '');
+}
+
+const fit = (l) => l.slice(0, TD3_LENGTH).padEnd(TD3_LENGTH, '<');
+
+// OCR often reads the '<' filler as 'K'. A K between fillers, or a run of Ks
+// next to a filler or at the end of the line (before its closing check
+// digits), is taken as filler: names rarely double a K where a word ends.
+const restoreFillers = (line) => line.replace(/K{2,}(?=<|\d{0,2}$)|(?<=<)K{2,}|(?<=<)K(?=<)/g, m => '<'.repeat(m.length));
+
+/**
+ * OCR regularly drops or duplicates a character, which shifts every field after
+ * it. Tries the line as read plus every single-character deletion (too long) or
+ * filler insertion (too short), and keeps the variant that passes most checks.
+ * Ks read back as fillers are tried first: check digits cannot tell them
+ * apart, as K and '<' weigh the same modulo 10.
+ */
+function realignSecondLine(read) {
+    const candidates = [];
+    for (const line of new Set([restoreFillers(read), read])) {
+        candidates.push(fit(line));
+        if (line.length > TD3_LENGTH) {
+            for (let i = 0; i < line.length; i++) candidates.push(fit(line.slice(0, i) + line.slice(i + 1)));
+        } else if (line.length < TD3_LENGTH) {
+            for (let i = 0; i <= line.length; i++) candidates.push(fit(`${line.slice(0, i)}<${line.slice(i)}`));
+        }
+    }
+    const passed = (candidate) => secondLineChecks(candidate).filter(c => c.valid).length;
+    return candidates.reduce((best, c) => (passed(c) > passed(best) ? c : best));
+}
+
+/**
+ * Finds the two TD3 lines in free OCR text. Lines are cleaned up and fitted to
+ * 44 characters; returns null when no plausible MRZ is present.
+ */
+export function findMrz(text) {
+    const lines = text.split(/\r?\n/).map(normalizeLine).filter(l => l.length >= 30);
+    for (let i = 0; i < lines.length - 1; i++) {
+        const first = restoreFillers(lines[i]);
+        const second = lines[i + 1];
+        if (first.startsWith('P') && first.includes('<<') && /\d{6}/.test(toDigits(second))) {
+            return [fit(first), realignSecondLine(second)];
+        }
+    }
+    return null;
+}
+
+// YYMMDD -> ISO date. Birth dates in the future belong to the previous century.
+function parseDate(yymmdd, { birth = false } = {}) {
+    if (!/^\d{6}$/.test(yymmdd)) return null;
+    const yy = Number(yymmdd.slice(0, 2));
+    const mm = Number(yymmdd.slice(2, 4));
+    const dd = Number(yymmdd.slice(4, 6));
+    if (mm < 1 || mm > 12 || dd < 1 || dd > 31) return null;
+    const currentYY = new Date().getFullYear() % 100;
+    const century = birth && yy > currentYY ? 1900 : 2000;
+    return `${century + yy}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+}
+
+const clean = (s) => s.replace(/<+$/g, '').replace(/</g, ' ').trim();
+
+function secondLineFields(line2) {
+    const number = line2.slice(0, 9);
+    const birth = toDigits(line2.slice(13, 19));
+    const expiry = toDigits(line2.slice(21, 27));
+    const personal = line2.slice(28, 42);
+    const digits = {
+        number: toDigits(line2[9]),
+        birth: toDigits(line2[19]),
+        expiry: toDigits(line2[27]),
+        personal: toDigits(line2[42]),
+        composite: toDigits(line2[43]),
+    };
+    const composite = `${number}${digits.number}${birth}${digits.birth}${expiry}${digits.expiry}${personal}${digits.personal}`;
+    return { number, birth, expiry, personal, digits, composite };
+}
+
+function secondLineChecks(line2) {
+    const { number, birth, expiry, personal, digits, composite } = secondLineFields(line2);
+    return [
+        { field: 'passport_number', valid: checkDigit(number) === digits.number },
+        { field: 'date_of_birth', valid: checkDigit(birth) === digits.birth },
+        { field: 'expiry_date', valid: checkDigit(expiry) === digits.expiry },
+        // An empty personal number may use '<' or '0' as its check digit.
+        { field: 'personal_number', valid: checkDigit(personal) === digits.personal || (/^<+$/.test(personal) && digits.personal === '<') },
+        { field: 'composite', valid: checkDigit(composite) === digits.composite },
+    ];
+}
+
+/**
+ * Parses TD3 lines into fields and check-digit results.
+ * `checks` holds one `{ field, valid }` entry per check digit.
+ */
+export function parseMrz([line1, line2]) {
+    const [surname, given = ''] = line1.slice(5).split('<<');
+    const { number, birth, expiry, personal } = secondLineFields(line2);
+    const checks = secondLineChecks(line2);
+
+    return {
+        lines: [line1, line2],
+        fields: {
+            document_type: clean(line1.slice(0, 2)),
+            issuing_state: clean(line1.slice(2, 5)),
+            surname: clean(surname),
+            given_names: clean(given),
+            passport_number: clean(number),
+            nationality: clean(line2.slice(10, 13)),
+            date_of_birth: parseDate(birth, { birth: true }),
+            sex: clean(line2[20]) || null,
+            expiry_date: parseDate(expiry),
+            personal_number: clean(personal) || null,
+        },
+        checks,
+        valid: checks.every(c => c.valid),
+    };
+}
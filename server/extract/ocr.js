@@ -0,0 +1,269 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { createWorker, PSM } from 'tesseract.js';
+
+// Local text extraction: text layers from PDFs via pdf.js, everything else via
+// Tesseract. Runs fully offline — the English model ships with
+// @tesseract.js-data/eng (override with OCR_LANG / OCR_LANG_PATH).
+
+const require = createRequire(import.meta.url);
+const MRZ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+let workerPromise;
+function getWorker() {
+    workerPromise ??= createWorker(process.env.OCR_LANG || 'eng', 1, {
+        langPath: process.env.OCR_LANG_PATH
+            || path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int'),
+        cacheMethod: 'none',
+        gzip: true,
+    }).catch((err) => {
+        workerPromise = undefined;
+        throw err;
+    });
+    return workerPromise;
+}
+
+export async function terminateOcr() {
+    if (!workerPromise) return;
+    const worker = await workerPromise;
+    workerPromise = undefined;
+    await worker.terminate();
+}
+
+// Tesseract is single threaded; serialize jobs so parameters don't leak between them.
+let ocrQueue = Promise.resolve();
+function recognize(image, params, { blocks = false } = {}) {
+    const job = ocrQueue.then(async () => {
+        const worker = await getWorker();
+        await worker.setParameters({
+            tessedit_pageseg_mode: PSM.AUTO,
+            tessedit_char_whitelist: '',
+            ...params,
+        });
+        const { data } = await worker.recognize(image, {}, { text: true, blocks });
+        return { text: data.text, confidence: data.confidence, ...(blocks && { blocks: data.blocks || [] }) };
+    });
+    ocrQueue = job.catch(() => {});
+    return job;
+}
+
+// OCR results and rendered PDF pages per source buffer, so the readers, the
+// redactor and the finding locator share one pass over the same upload.
+const ocrCache = new WeakMap();
+function cached(buffer, key, compute) {
+    let entries = ocrCache.get(buffer);
+    if (!entries) ocrCache.set(buffer, entries = new Map());
+    if (!entries.has(key)) {
+        entries.set(key, compute().catch((err) => {
+            entries.delete(key);
+            throw err;
+        }));
+    }
+    return entries.get(key);
+}
+
+// Grayscale, contrast-normalized, upscaled copy of the page; honors EXIF rotation.
+async function prepareImage(buffer) {
+    const image = sharp(buffer).rotate();
+    const { width = 0 } = await image.metadata();
+    return image
+        .grayscale()
+        .normalize()
+        .resize({ width: Math.max(width, 1600), withoutEnlargement: false })
+        .png()
+        .toBuffer();
+}
+
+// The MRZ sits in the bottom band of the passport data page (below this fraction of its height).
+export const MRZ_BAND_TOP = 0.65;
+
+async function mrzBand(prepared) {
+    const { width, height } = await sharp(prepared).metadata();
+    const top = Math.floor(height * MRZ_BAND_TOP);
+    return sharp(prepared).extract({ left: 0, top, width, height: height - top }).png().toBuffer();
+}
+
+// The whole page of an image read with word boxes, and the size of the
+// EXIF-rotated original with the scale from the OCR copy to it.
+function recognizePage(buffer) {
+    return cached(buffer, 'page', async () => {
+        const { info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+        const prepared = await prepareImage(buffer);
+        const { width: preparedWidth } = await sharp(prepared).metadata();
+        const result = await recognize(prepared, {}, { blocks: true });
+        return { ...result, width: info.width, height: info.height, scale: info.width / preparedWidth };
+    });
+}
+
+export async function ocrImage(buffer, { mrz = false } = {}) {
+    if (mrz) {
+        const band = await cached(buffer, 'mrz', async () => recognize(await mrzBand(await prepareImage(buffer)), {
+            tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+            tessedit_char_whitelist: MRZ_CHARS,
+        }));
+        return { ...band, region: 'mrz' };
+    }
+    const { text, confidence } = await recognizePage(buffer);
+    return { text, confidence, region: 'page' };
+}
+
+/**
+ * OCRs an image and returns its text lines with the box of every word, in
+ * pixels of the EXIF-rotated original:
+ * { width, height, lines: [{ text, words: [{ text, bbox: { x0, y0, x1, y1 } }] }] }.
+ */
+export async function ocrLayout(buffer) {
+    const { blocks, width, height, scale } = await recognizePage(buffer);
+
+    const toBox = ({ x0, y0, x1, y1 }) => ({ x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale });
+    const lines = blocks.flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines)).map(line => ({
+        text: line.text.trim(),
+        words: line.words.map(word => ({ text: word.text, bbox: toBox(word.bbox) })),
+    }));
+    return { width, height, lines };
+}
+
+// Opens a PDF with pdf.js; call destroy() on the result when done.
+export async function loadPdf(buffer) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    return pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        useSystemFonts: false,
+        isEvalSupported: false,
+        standardFontDataUrl: `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}/`,
+    }).promise;
+}
+
+// Rasterizes a page for OCR; needs the optional @napi-rs/canvas that pdf.js uses in Node.
+export async function renderPage(pdf, page, scale = 2) {
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+}
+
+// Page `n` of the PDF in `buffer` rendered once, so its OCR is cached with it.
+const scannedPage = (buffer, pdf, page, n) => cached(buffer, `pdf-page:${n}`, () => renderPage(pdf, page));
+
+/**
+ * Extracts text from an uploaded document, page by page.
+ * PDF pages with a usable text layer are read directly; scanned pages and
+ * images are OCRed. `mrz: true` additionally reads the MRZ band of each image;
+ * `maxPages` overrides OCR_MAX_PAGES.
+ * Returns { pages: [{ page, text, source, confidence? }], text }.
+ */
+export async function extractText(doc, { mrz = false, maxPages } = {}) {
+    const pages = [];
+
+    if (doc.mimetype === 'application/pdf') {
+        const pdf = await loadPdf(doc.buffer);
+        try {
+            const count = Math.min(pdf.numPages, maxPages ?? envInt('OCR_MAX_PAGES', 5));
+            for (let n = 1; n <= count; n++) {
+                const page = await pdf.getPage(n);
+                const content = await page.getTextContent();
+                const text = content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('');
+                if (text.replace(/\s/g, '').length > 20) {
+                    pages.push({ page: n, text, source: 'pdf-text' });
+                    continue;
+                }
+                const image = await scannedPage(doc.buffer, pdf, page, n);
+                const result = await ocrImage(image, { mrz });
+                pages.push({ page: n, text: result.text, confidence: result.confidence, source: `ocr-${result.region}` });
+            }
+        } finally {
+            await pdf.destroy();
+        }
+    } else if (doc.mimetype?.startsWith('image/')) {
+        const result = await ocrImage(doc.buffer, { mrz });
+        pages.push({ page: 1, text: result.text, confidence: result.confidence, source: `ocr-${result.region}` });
+    }
+
+    return { pages, text: pages.map(p => p.text).join('\n') };
+}
+
+// Smallest box around `boxes`, as fractions of a `width` × `height` page.
+export function unionBox(boxes, width, height) {
+    const x0 = Math.min(...boxes.map(b => b.x0));
+    const y0 = Math.min(...boxes.map(b => b.y0));
+    const x1 = Math.max(...boxes.map(b => b.x1));
+    const y1 = Math.max(...boxes.map(b => b.y1));
+    const round = (n) => Math.round(n * 10000) / 10000;
+    return { x: round(x0 / width), y: round(y0 / height), width: round((x1 - x0) / width), height: round((y1 - y0) / height) };
+}
+
+// OCR lines of an image with boxes relative to the image.
+async function imageLines(buffer) {
+    const layout = await ocrLayout(buffer);
+    return layout.lines.filter(line => line.words.length > 0).map(line => ({
+        text: line.text,
+        box: unionBox(line.words.map(w => w.bbox), layout.width, layout.height),
+    }));
+}
+
+// Pixel box of a text-layer item; pdf.js positions text by its baseline, from the bottom.
+export function textItemBox(item, viewport) {
+    const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+    const size = item.height || Math.hypot(item.transform[2], item.transform[3]);
+    return { x0: x, y0: y - size, x1: x + item.width, y1: y + size * 0.25 };
+}
+
+// Text-layer lines of a PDF page.
+function textLayerLines(items, viewport) {
+    const lines = [];
+    let current = [];
+    const flush = () => {
+        const parts = current.filter(item => item.str.trim());
+        if (parts.length > 0) {
+            lines.push({
+                text: parts.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim(),
+                box: unionBox(parts.map(item => textItemBox(item, viewport)), viewport.width, viewport.height),
+            });
+        }
+        current = [];
+    };
+    items.forEach((item) => {
+        current.push(item);
+        if (item.hasEOL) flush();
+    });
+    flush();
+    return lines;
+}
+
+/**
+ * Where the text of a document is: its lines, page by page, each with a box
+ * in fractions of the page ({ x, y, width, height }, origin top left).
+ * Same page limit and text-layer/OCR choice as extractText().
+ * Returns { pages: [{ page, lines: [{ text, box }] }] }.
+ */
+export async function extractLayout(doc, { maxPages } = {}) {
+    const pages = [];
+
+    if (doc.mimetype === 'application/pdf') {
+        const pdf = await loadPdf(doc.buffer);
+        try {
+            const count = Math.min(pdf.numPages, maxPages ?? envInt('OCR_MAX_PAGES', 5));
+            for (let n = 1; n <= count; n++) {
+                const page = await pdf.getPage(n);
+                const content = await page.getTextContent();
+                if (content.items.map(item => item.str).join('').replace(/\s/g, '').length > 20) {
+                    pages.push({ page: n, lines: textLayerLines(content.items, page.getViewport({ scale: 1 })) });
+                } else {
+                    pages.push({ page: n, lines: await imageLines(await scannedPage(doc.buffer, pdf, page, n)) });
+                }
+            }
+        } finally {
+            await pdf.destroy();
+        }
+    } else if (doc.mimetype?.startsWith('image/')) {
+        pages.push({ page: 1, lines: await imageLines(doc.buffer) });
+    }
+
+    return { pages };
+}
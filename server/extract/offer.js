@@ -0,0 +1,94 @@
+import { extractText } from './ocr.js';
+import { parseDate, parseMoney } from './values.js';
+
+// Offer / admission letters: institution, program, start date, tuition and
+// the applicant's name, read from the letter text.
+
+// Words of a name are on one line: the match stops where the line ends.
+const INSTITUTION = /\b((?:The[ \t]+)?(?:University|College|Institute|School|Academy|Polytechnic)[ \t]+of[ \t]+[A-Z][\w&'-]*(?:[ \t]+(?:and[ \t]+)?[A-Z][\w&'-]*)*|(?:[A-Z][\w&'.-]*[ \t]+){1,5}(?:University|College|Polytechnic|Institute of Technology|Institute|Academy|School of [A-Z][\w-]*))/;
+
+const LABELS = {
+    applicant_name: /^\s*(?:student|applicant|candidate)?\s*(?:full\s+)?name(?:\s+of\s+(?:student|applicant))?\s*[:-]\s*(.+)$/im,
+    date_of_birth: /^\s*(?:date\s+of\s+birth|d\.?o\.?b\.?|birth\s*date)\s*[:-]\s*(.+)$/im,
+    program: /^\s*(?:programme|program|course(?:\s+of\s+study)?|degree|major)(?:\s+(?:name|title))?\s*[:-]\s*(.+)$/im,
+    start_date: /(?:start(?:ing)?\s+date|programme\s+start|program\s+start|course\s+start|commencement(?:\s+date)?|classes\s+begin|term\s+begins|intake)\s*(?:date)?\s*(?:is|on|[:-])?\s*([A-Za-z0-9][^\n]{3,40})/i,
+    tuition: /(?:total\s+|annual\s+|first[-\s]year\s+)?tuition(?:\s+fees?)?(?:\s+\(?(?:per\s+year|annual|total)\)?)?\s*(?:is|of|[:-])?\s*([^\n]{1,40})/i,
+    deposit_paid: /(?:deposit|amount)\s+(?:paid|received)\s*(?:is|of|[:-])?\s*([^\n]{1,40})/i,
+};
+
+const DEGREE = /\b((?:Master|Bachelor|Doctor)\s+of\s+[A-Z][\w]*(?:\s+(?:in|of|and)?\s*[A-Z][\w]*){0,6}|(?:MSc|MA|MBA|MEng|MRes|LLM|BSc|BA|BEng|PhD|Diploma|Graduate Certificate)\b[^\n,.]{0,60})/;
+
+// "Dear Ms. Jane Doe," is the most reliable place for the applicant's name.
+const SALUTATION = /^\s*Dear\s+(?:(?:Mr|Mrs|Ms|Miss|Mx|Dr)\.?\s+)?([A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+){1,4})\s*[,:]/m;
+
+const clean = (s) => (s ? s.replace(/\s+/g, ' ').replace(/[\s,.;:]+$/, '').trim() : null);
+const labelled = (text, key) => clean(LABELS[key].exec(text)?.[1]);
+
+/**
+ * Pulls the offer letter fields out of plain text.
+ * Missing fields are null; amounts are { amount, currency }.
+ */
+export function parseOfferText(text) {
+    const tuition = parseMoney(labelled(text, 'tuition'));
+    const deposit = parseMoney(labelled(text, 'deposit_paid'));
+    return {
+        institution: clean(INSTITUTION.exec(text)?.[1]),
+        program: labelled(text, 'program') || clean(DEGREE.exec(text)?.[1]),
+        start_date: parseDate(labelled(text, 'start_date'), { monthOnly: true }),
+        tuition: tuition && tuition.amount >= 100 ? tuition : null,
+        deposit_paid: deposit && deposit.amount > 0 ? deposit : null,
+        applicant_name: clean(SALUTATION.exec(text)?.[1]) || labelled(text, 'applicant_name'),
+        date_of_birth: parseDate(labelled(text, 'date_of_birth')),
+    };
+}
+
+function findingsFor(fields, today) {
+    const findings = [];
+    const missing = ['institution', 'program', 'start_date'].filter(k => !fields[k]);
+    if (missing.length > 0) {
+        findings.push({
+            code: 'offer_fields_missing',
+            severity: 'warning',
+            message: `Could not find the ${missing.map(k => k.replace('_', ' ')).join(', ')} in the offer letter.`,
+        });
+    }
+    if (fields.start_date) {
+        const days = (new Date(fields.start_date) - today) / (1000 * 60 * 60 * 24);
+        if (days < -30) {
+            findings.push({ code: 'start_date_passed', severity: 'error', field: 'start_date', message: `The program start date ${fields.start_date} has already passed — a new or deferred offer is needed.` });
+        } else if (days < 21) {
+            findings.push({ code: 'start_date_close', severity: 'warning', field: 'start_date', message: `The program starts on ${fields.start_date}; there may not be enough time for visa processing.` });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Reads an offer or admission letter (PDF or image).
+ * Returns { ok, fields, findings, source }.
+ */
+export async function extractOffer(doc, { today = new Date() } = {}) {
+    let extraction;
+    try {
+        extraction = await extractText(doc);
+    } catch (err) {
+        console.error('Offer letter extraction failed:', err.message);
+        return { ok: false, findings: [{ code: 'unreadable', severity: 'error', message: 'The offer letter file could not be read.' }] };
+    }
+    if (extraction.text.replace(/\s/g, '').length < 50) {
+        return {
+            ok: false,
+            findings: [{ code: 'no_text', severity: 'error', message: 'No readable text found in the offer letter — upload the original PDF or a clearer scan.' }],
+            source: extraction.pages[0]?.source,
+        };
+    }
+
+    const fields = parseOfferText(extraction.text);
+    const findings = findingsFor(fields, today);
+    return {
+        ok: !findings.some(f => f.severity === 'error'),
+        fields,
+        findings,
+        source: extraction.pages[0]?.source,
+    };
+}
@@ -0,0 +1,133 @@
+import { extractText } from './ocr.js';
+import { findMrz, parseMrz } from './mrz.js';
+import { findCountry } from '../data/countries.js';
+
+// Passport extraction: OCR the data page, parse and verify the MRZ, and compare
+// it with what the applicant declared in the profile.
+
+const FIELD_LABELS = {
+    passport_number: 'passport number',
+    date_of_birth: 'date of birth',
+    expiry_date: 'expiry date',
+    personal_number: 'personal number',
+    composite: 'composite',
+};
+
+// Upper-case Latin tokens without diacritics, as names are written in the MRZ.
+export function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .split(/[^A-Z]+/)
+        .filter(Boolean);
+}
+
+export function compareNames(declared, documented) {
+    const a = nameTokens(declared);
+    const b = nameTokens(documented);
+    if (a.length === 0 || b.length === 0) return 'unknown';
+    const shared = a.filter(t => b.includes(t)).length;
+    if (shared === 0) return 'mismatch';
+    return shared === Math.min(a.length, b.length) ? 'match' : 'partial';
+}
+
+function ageOn(dateOfBirth, today) {
+    const dob = new Date(dateOfBirth);
+    const age = today.getFullYear() - dob.getFullYear();
+    const beforeBirthday = today.getMonth() < dob.getMonth()
+        || (today.getMonth() === dob.getMonth() && today.getDate() < dob.getDate());
+    return beforeBirthday ? age - 1 : age;
+}
+
+const monthsBetween = (from, to) => (to - from) / (1000 * 60 * 60 * 24 * 30.44);
+
+function findingsFor(mrz, profile, today) {
+    const findings = [];
+    const { fields } = mrz;
+
+    mrz.checks.filter(c => !c.valid).forEach((c) => {
+        findings.push({
+            code: 'check_digit_failed',
+            severity: 'error',
+            field: c.field,
+            message: `MRZ check digit for the ${FIELD_LABELS[c.field]} does not match — the scan is misread or the document was altered.`,
+        });
+    });
+
+    if (fields.expiry_date) {
+        const months = monthsBetween(today, new Date(fields.expiry_date));
+        if (months < 0) {
+            findings.push({ code: 'passport_expired', severity: 'error', field: 'expiry_date', message: `Passport expired on ${fields.expiry_date}.` });
+        } else if (months < 6) {
+            findings.push({ code: 'passport_expiring', severity: 'warning', field: 'expiry_date', message: `Passport expires on ${fields.expiry_date}; most countries require 6 months of validity.` });
+        }
+    }
+
+    const mrzName = `${fields.given_names} ${fields.surname}`;
+    const nameMatch = compareNames(profile.name, mrzName);
+    if (nameMatch === 'mismatch') {
+        findings.push({ code: 'name_mismatch', severity: 'error', field: 'name', message: `Passport name "${mrzName}" does not match the profile name "${profile.name}".` });
+    } else if (nameMatch === 'partial') {
+        findings.push({ code: 'name_partial_match', severity: 'warning', field: 'name', message: `Passport name "${mrzName}" only partially matches the profile name "${profile.name}".` });
+    }
+
+    const declared = findCountry(profile.passport_country);
+    const documented = findCountry(fields.nationality);
+    if (declared && fields.nationality && ![declared.alpha3, declared.icao].includes(fields.nationality)) {
+        findings.push({
+            code: 'nationality_mismatch',
+            severity: 'error',
+            field: 'nationality',
+            message: `Passport nationality ${documented?.name || fields.nationality} does not match the declared passport country ${declared.name}.`,
+        });
+    }
+
+    const declaredAge = parseInt(profile.age, 10);
+    if (fields.date_of_birth && !Number.isNaN(declaredAge)) {
+        const age = ageOn(fields.date_of_birth, today);
+        if (Math.abs(age - declaredAge) > 1) {
+            findings.push({ code: 'age_mismatch', severity: 'warning', field: 'date_of_birth', message: `Date of birth ${fields.date_of_birth} gives age ${age}, but the profile says ${declaredAge}.` });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Reads a passport scan (image or PDF) and verifies its MRZ.
+ * Returns { ok, fields, mrz: { lines, checks }, findings, source }.
+ */
+export async function extractPassport(doc, profile = {}, { today = new Date() } = {}) {
+    let extraction;
+    try {
+        extraction = await extractText(doc, { mrz: true });
+    } catch (err) {
+        console.error('Passport extraction failed:', err.message);
+        return { ok: false, findings: [{ code: 'unreadable', severity: 'error', message: 'The passport file could not be read.' }] };
+    }
+
+    let lines = findMrz(extraction.text);
+    // The MRZ band pass can miss a skewed scan; fall back to the full page.
+    if (!lines && doc.mimetype?.startsWith('image/')) {
+        const fullPage = await extractText(doc);
+        lines = findMrz(fullPage.text);
+    }
+    if (!lines) {
+        return {
+            ok: false,
+            findings: [{ code: 'mrz_not_found', severity: 'error', message: 'No machine readable zone found — upload a clear, uncropped scan of the passport photo page.' }],
+            source: extraction.pages[0]?.source,
+        };
+    }
+
+    const mrz = parseMrz(lines);
+    const findings = findingsFor(mrz, profile, today);
+    return {
+        ok: !findings.some(f => f.severity === 'error'),
+        fields: mrz.fields,
+        mrz: { lines: mrz.lines, checks: mrz.checks },
+        findings,
+        source: extraction.pages[0]?.source,
+    };
+}
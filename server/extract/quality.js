@@ -0,0 +1,411 @@
+import sharp from 'sharp';
+import { loadPdf, renderPage } from './ocr.js';
+
+// Image quality of scans and photos, measured locally before any engine runs:
+// blur (variance of the Laplacian), glare, skew, content cut off at the
+// edges and resolution. Photos are straightened and cropped to the document
+// where that is safe; every problem becomes a finding with retake guidance.
+
+// Measurements run on a grayscale copy with this longer side, so thresholds
+// do not depend on the camera.
+const WORK_SIDE = 1000;
+
+// Variance of the Laplacian below which text is too soft to read, or soft.
+const BLUR_UNREADABLE = 60;
+const BLUR_SOFT = 150;
+// Share of the page washed out by glare.
+const GLARE_SHARE = 0.015;
+// Tilt (degrees) that is reported and straightened; larger angles are not guessed.
+const SKEW_MIN = 1;
+const SKEW_MAX = 15;
+const DPI_MIN = 200;
+
+// Physical size of each document (mm, long × short side), to estimate the DPI of photos.
+const PAPER = { passport: [125, 88], default: [297, 210] };
+
+const PAGE_NAMES = {
+    passport: 'passport photo page',
+    bank: 'bank statement',
+    offer: 'offer letter',
+    language: 'language test result',
+    transcript: 'transcript',
+    employment: 'employment letter',
+    itinerary: 'itinerary',
+};
+
+async function grayscale(buffer) {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .removeAlpha()
+        .grayscale()
+        .resize({ width: WORK_SIDE, height: WORK_SIDE, fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const pixels = info.channels === 1 ? data : data.filter((_, i) => i % info.channels === 0);
+    return { pixels, width: info.width, height: info.height };
+}
+
+function laplacianVariance({ pixels, width, height }) {
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const v = pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] - 4 * pixels[i];
+            sum += v;
+            sumSq += v * v;
+            n++;
+        }
+    }
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+}
+
+// Otsu's threshold: the gray level that best separates ink from paper.
+function otsu(pixels) {
+    const histogram = new Array(256).fill(0);
+    pixels.forEach((v) => { histogram[v]++; });
+    const total = pixels.length;
+    const sumAll = histogram.reduce((s, count, v) => s + v * count, 0);
+    let sumBack = 0;
+    let weightBack = 0;
+    let best = 0;
+    let threshold = 127;
+    for (let t = 0; t < 256; t++) {
+        weightBack += histogram[t];
+        if (weightBack === 0) continue;
+        const weightFore = total - weightBack;
+        if (weightFore === 0) break;
+        sumBack += t * histogram[t];
+        const between = weightBack * weightFore * (sumBack / weightBack - (sumAll - sumBack) / weightFore) ** 2;
+        if (between > best) {
+            best = between;
+            threshold = t;
+        }
+    }
+    return threshold;
+}
+
+// Boxes are fractions of the page: { x, y, width, height }.
+const round = (n) => Math.round(n * 10000) / 10000;
+const fraction = (x0, y0, x1, y1, width, height) => ({ x: round(x0 / width), y: round(y0 / height), width: round((x1 - x0) / width), height: round((y1 - y0) / height) });
+
+/**
+ * Glare: blocks much brighter than the page and nearly flat. Returns the
+ * share of the page and the box of the largest washed-out patch.
+ */
+function measureGlare({ pixels, width, height }, block = 20) {
+    const cols = Math.floor(width / block);
+    const rows = Math.floor(height / block);
+    const means = [];
+    const flat = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            let sum = 0;
+            let sumSq = 0;
+            for (let y = r * block; y < (r + 1) * block; y++) {
+                for (let x = c * block; x < (c + 1) * block; x++) {
+                    const v = pixels[y * width + x];
+                    sum += v;
+                    sumSq += v * v;
+                }
+            }
+            const n = block * block;
+            means.push(sum / n);
+            flat.push(sumSq / n - (sum / n) ** 2 < 25);
+        }
+    }
+    const paper = [...means].sort((a, b) => a - b)[Math.floor(means.length / 2)];
+    const glare = means.map((m, i) => m >= 245 && m - paper >= 20 && flat[i]);
+
+    // Largest 4-connected patch of glare blocks.
+    const seen = new Set();
+    let largest = [];
+    glare.forEach((isGlare, start) => {
+        if (!isGlare || seen.has(start)) return;
+        const patch = [];
+        const stack = [start];
+        seen.add(start);
+        while (stack.length > 0) {
+            const i = stack.pop();
+            patch.push(i);
+            const [r, c] = [Math.floor(i / cols), i % cols];
+            [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].forEach(([nr, nc]) => {
+                const j = nr * cols + nc;
+                if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && glare[j] && !seen.has(j)) {
+                    seen.add(j);
+                    stack.push(j);
+                }
+            });
+        }
+        if (patch.length > largest.length) largest = patch;
+    });
+
+    const share = glare.filter(Boolean).length / (means.length || 1);
+    if (largest.length === 0) return { share, box: null };
+    const rs = largest.map(i => Math.floor(i / cols));
+    const cs = largest.map(i => i % cols);
+    return {
+        share,
+        box: fraction(Math.min(...cs) * block, Math.min(...rs) * block, (Math.max(...cs) + 1) * block, (Math.max(...rs) + 1) * block, width, height),
+    };
+}
+
+/**
+ * Skew from the text lines: the angle (degrees, positive = clockwise) at
+ * which the rows of ink are sharpest. Null when there is too little text.
+ */
+function measureSkew({ pixels, width }, threshold) {
+    const points = [];
+    const step = Math.max(1, Math.floor(pixels.length / 400000));
+    for (let i = 0; i < pixels.length; i += step) {
+        if (pixels[i] < threshold) points.push([i % width, Math.floor(i / width)]);
+    }
+    if (points.length < 500 || points.length > pixels.length / step / 2) return null;
+    const sample = points.length > 40000 ? points.filter((_, i) => i % Math.ceil(points.length / 40000) === 0) : points;
+
+    const sharpness = (degrees) => {
+        const a = (degrees * Math.PI) / 180;
+        const [sin, cos] = [Math.sin(a), Math.cos(a)];
+        const rows = new Map();
+        sample.forEach(([x, y]) => {
+            const row = Math.round(y * cos - x * sin);
+            rows.set(row, (rows.get(row) || 0) + 1);
+        });
+        let score = 0;
+        rows.forEach((count) => { score += count * count; });
+        return score;
+    };
+    const search = (from, to, by) => {
+        let best = { angle: 0, score: -1 };
+        for (let angle = from; angle <= to + 1e-9; angle += by) {
+            const score = sharpness(angle);
+            if (score > best.score) best = { angle, score };
+        }
+        return best.angle;
+    };
+    const coarse = search(-SKEW_MAX - 1, SKEW_MAX + 1, 0.5);
+    return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+/**
+ * Sides where ink runs into the edge of the picture: text in the outer band
+ * about as dense as on the page, but not a dark background.
+ */
+function measureCutOff({ pixels, width, height }, threshold) {
+    const inkShare = (x0, y0, x1, y1) => {
+        let ink = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) if (pixels[y * width + x] < threshold) ink++;
+        }
+        return ink / Math.max(1, (x1 - x0) * (y1 - y0));
+    };
+    const bx = Math.max(2, Math.round(width * 0.015));
+    const by = Math.max(2, Math.round(height * 0.015));
+    const page = inkShare(bx, by, width - bx, height - by);
+    if (page < 0.005) return [];
+    const bands = {
+        top: [0, 0, width, by],
+        bottom: [0, height - by, width, height],
+        left: [0, 0, bx, height],
+        right: [width - bx, 0, width, height],
+    };
+    return Object.entries(bands)
+        .filter(([, band]) => {
+            const share = inkShare(...band);
+            return share >= page * 0.6 && share < 0.5;
+        })
+        .map(([side, [x0, y0, x1, y1]]) => ({ side, box: fraction(x0, y0, x1, y1, width, height) }));
+}
+
+/**
+ * Measures one page image: { width, height, blur, glare, glareBox, skew,
+ * cutOff: [{ side, box }], paper } where `paper` is the gray level of the page.
+ */
+export async function measureImage(buffer) {
+    const gray = await grayscale(buffer);
+    const threshold = otsu(gray.pixels);
+    const glare = measureGlare(gray);
+    const sorted = Uint8Array.from(gray.pixels).sort();
+    return {
+        blur: Math.round(laplacianVariance(gray)),
+        glare: round(glare.share),
+        glareBox: glare.box,
+        skew: measureSkew(gray, threshold),
+        cutOff: measureCutOff(gray, threshold),
+        paper: sorted[Math.floor(sorted.length * 0.75)],
+    };
+}
+
+// DPI of a photo or scan: the density the scanner recorded, else the pixels
+// across the document's known physical size.
+function estimateDpi(width, height, type, density) {
+    if (density && density !== 72 && density >= 50) return { dpi: Math.round(density), source: 'scanner' };
+    const [long, short] = PAPER[type] || PAPER.default;
+    const inches = (mm) => mm / 25.4;
+    const dpi = Math.min(Math.max(width, height) / inches(long), Math.min(width, height) / inches(short));
+    return { dpi: Math.round(dpi), source: 'estimated' };
+}
+
+/**
+ * Straightens a photo and crops a dark background around the document.
+ * Returns { buffer, correction } or null when nothing was changed;
+ * `correction` says how to map positions back to the original (see originalBox()).
+ */
+async function correctImage(doc, measured, width, height) {
+    const angle = measured.skew !== null && Math.abs(measured.skew) >= SKEW_MIN && Math.abs(measured.skew) <= SKEW_MAX ? measured.skew : 0;
+
+    // A background much darker than the page (a desk, a hand) is cropped away.
+    let crop = null;
+    let image = sharp(doc.buffer);
+    const corner = await sharp(doc.buffer).extract({ left: 0, top: 0, width: Math.min(8, width), height: Math.min(8, height) })
+        .removeAlpha().grayscale().raw().toBuffer();
+    if (measured.paper - corner.reduce((sum, v) => sum + v, 0) / corner.length >= 60) {
+        const { data, info } = await sharp(doc.buffer).trim({ threshold: 40 }).toBuffer({ resolveWithObject: true });
+        const left = -(info.trimOffsetLeft || 0);
+        const top = -(info.trimOffsetTop || 0);
+        if (info.width * info.height < width * height * 0.95 && info.width * info.height > width * height * 0.3) {
+            crop = { left, top, width: info.width, height: info.height };
+            image = sharp(data);
+        }
+    }
+    if (!angle && !crop) return null;
+
+    const fill = { r: measured.paper, g: measured.paper, b: measured.paper };
+    if (angle) image = sharp(await image.toBuffer()).rotate(-angle, { background: fill });
+    const encoded = doc.mimetype === 'image/png' ? image.png() : doc.mimetype === 'image/webp' ? image.webp({ quality: 92 }) : image.jpeg({ quality: 92 });
+    const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+    return {
+        buffer: data,
+        correction: { width, height, crop, angle, size: { width: info.width, height: info.height } },
+    };
+}
+
+/**
+ * Maps a box on a corrected image back onto the original upload, so boxes
+ * line up with the file the user has. `correction` is from assessDocument().
+ */
+export function originalBox(box, correction) {
+    if (!box || !correction) return box;
+    const { width, height, crop, angle, size } = correction;
+    const inner = crop || { left: 0, top: 0, width, height };
+    const a = (angle * Math.PI) / 180;
+    const [sin, cos] = [Math.sin(a), Math.cos(a)];
+    // Undo the rotation (about the centre) and then the crop.
+    const toOriginal = (fx, fy) => {
+        const x = fx * size.width - size.width / 2;
+        const y = fy * size.height - size.height / 2;
+        return [x * cos - y * sin + inner.width / 2 + inner.left, x * sin + y * cos + inner.height / 2 + inner.top];
+    };
+    const corners = [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+        .map(([fx, fy]) => toOriginal(fx, fy));
+    const clamp = (v, max) => Math.max(0, Math.min(max, v));
+    const x0 = clamp(Math.min(...corners.map(c => c[0])), width);
+    const y0 = clamp(Math.min(...corners.map(c => c[1])), height);
+    const x1 = clamp(Math.max(...corners.map(c => c[0])), width);
+    const y1 = clamp(Math.max(...corners.map(c => c[1])), height);
+    return fraction(x0, y0, x1, y1, width, height);
+}
+
+// Retake guidance for one page's measurements.
+function findingsFor(measured, { type, page, pages, dpi, corrected }) {
+    const what = PAGE_NAMES[type] || 'document';
+    const subject = pages > 1 ? `Page ${page} of the ${what}` : `The ${what}`;
+    const findings = [];
+    const add = (code, severity, message, box) => findings.push({ code, severity, message, page, ...(box && { box }) });
+
+    if (measured.blur < BLUR_UNREADABLE) {
+        add('blurred', 'error', `${subject} is too blurred to read; re-scan it at 300 DPI, or photograph it in focus and in good light.`);
+    } else if (measured.blur < BLUR_SOFT) {
+        add('blurred', 'warning', `${subject} is slightly blurred; a sharper scan at 300 DPI will be read more reliably.`);
+    }
+    if (measured.glare >= GLARE_SHARE) {
+        add('glare', 'warning', `${subject} has glare over ${Math.round(measured.glare * 100)}% of it; photograph it again without flash and away from direct light.`, measured.glareBox);
+    }
+    if (measured.skew !== null && Math.abs(measured.skew) >= SKEW_MIN && Math.abs(measured.skew) <= SKEW_MAX) {
+        add('skewed', corrected ? 'info' : 'warning', corrected
+            ? `${subject} was tilted by ${Math.abs(measured.skew)}° and has been straightened.`
+            : `${subject} is tilted by ${Math.abs(measured.skew)}°; scan it straight.`);
+    }
+    measured.cutOff.forEach(({ side, box }) => {
+        add('cut_off', 'warning', `${subject} is cut off at the ${side} edge; retake it with the whole page and a small margin in view.`, box);
+    });
+    if (dpi && dpi.dpi < DPI_MIN) {
+        add('low_dpi', 'warning', `${subject} is about ${dpi.dpi} DPI; re-scan it at 300 DPI.`);
+    }
+    return findings;
+}
+
+async function assessImage(doc) {
+    const { width, height, density } = await sharp(doc.buffer).metadata();
+    const measured = await measureImage(doc.buffer);
+    const corrected = await correctImage(doc, measured, width, height);
+    // A cropped background is not part of the document.
+    const page = corrected?.correction.crop || { width, height };
+    const dpi = estimateDpi(page.width, page.height, doc.type, doc.density ?? density);
+    const { paper, glareBox, cutOff, ...metrics } = measured;
+    return {
+        buffer: corrected?.buffer,
+        quality: {
+            pages: [{ page: 1, ...metrics, cutOff: cutOff.map(c => c.side), dpi: dpi.dpi, dpiSource: dpi.source }],
+            findings: findingsFor(measured, { type: doc.type, page: 1, pages: 1, dpi, corrected: Boolean(corrected) }),
+            ...(corrected && { correction: corrected.correction }),
+        },
+    };
+}
+
+// Scanned PDF pages (no text layer) are measured as rendered; they are not changed.
+async function assessPdf(doc, maxPages = 5) {
+    const pdf = await loadPdf(doc.buffer);
+    try {
+        const pages = [];
+        const findings = [];
+        for (let n = 1; n <= Math.min(pdf.numPages, maxPages); n++) {
+            const page = await pdf.getPage(n);
+            const content = await page.getTextContent();
+            if (content.items.map(item => item.str).join('').replace(/\s/g, '').length > 20) continue;
+            const measured = await measureImage(await renderPage(pdf, page));
+            const { paper, glareBox, cutOff, ...metrics } = measured;
+            pages.push({ page: n, ...metrics, cutOff: cutOff.map(c => c.side) });
+            findings.push(...findingsFor(measured, { type: doc.type, page: n, pages: pdf.numPages }));
+        }
+        return { quality: { pages, findings } };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+/**
+ * Assesses one checked upload. Returns the document with `quality`:
+ * { pages: [{ page, blur, glare, skew, cutOff, dpi?, dpiSource? }],
+ * findings, correction? }; a straightened or cropped photo replaces the
+ * buffer. CSV files and text PDFs have nothing to measure.
+ */
+export async function assessDocument(doc) {
+    if (doc.mimetype !== 'application/pdf' && !doc.mimetype?.startsWith('image/')) return doc;
+    try {
+        const { buffer, quality } = doc.mimetype === 'application/pdf' ? await assessPdf(doc) : await assessImage(doc);
+        if (quality.pages.length === 0) return doc;
+        return { ...doc, ...(buffer && { buffer, size: buffer.length }), quality };
+    } catch (err) {
+        console.error(`Quality check of ${doc.originalname} failed:`, err.message);
+        return doc;
+    }
+}
+
+/**
+ * assessDocument() for every upload of an analysis, reporting a `quality`
+ * progress event per document that has findings.
+ */
+export async function assessDocuments(documents, { onProgress } = {}) {
+    const assessed = [];
+    for (const [index, doc] of documents.entries()) {
+        const result = await assessDocument(doc);
+        if (result.quality?.findings.length > 0) {
+            onProgress?.({ phase: 'quality', index, name: doc.originalname, findings: result.quality.findings });
+        }
+        assessed.push(result);
+    }
+    return assessed;
+}
@@ -0,0 +1,101 @@
+import { COUNTRIES } from '../data/countries.js';
+
+// Dates, amounts and currencies as they appear in statements and letters.
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const iso = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+const month = (name) => MONTHS[name.slice(0, 3).toLowerCase()];
+
+function validDate(y, m, d) {
+    if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCMonth() === m - 1 ? iso(y, m, d) : null;
+}
+
+/**
+ * Parses the date formats banks and universities commonly use: 2024-03-31,
+ * 31/03/2024, 31-03-24, 31 Mar 2024, 31st of March 2024, Mar 31, 2024.
+ * Numeric dates are read day-first unless that is impossible.
+ * With `monthOnly: true`, "September 2024" is accepted as the 1st of the month.
+ */
+export function parseDate(value, { monthOnly = false } = {}) {
+    const s = String(value || '').trim()
+        .replace(/(\d)(st|nd|rd|th)\b/gi, '$1')
+        .replace(/\s+of\s+/gi, ' ');
+    let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(s);
+    if (m) return validDate(+m[1], +m[2], +m[3]);
+
+    m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(s);
+    if (m) {
+        const [a, b, y] = [+m[1], +m[2], fullYear(+m[3])];
+        return validDate(y, b, a) || validDate(y, a, b);
+    }
+
+    m = /^(\d{1,2})[-\s/]([A-Za-z]{3,9})[-\s/,]+(\d{2,4})/.exec(s);
+    if (m && month(m[2])) return validDate(fullYear(+m[3]), month(m[2]), +m[1]);
+
+    m = /^([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})/.exec(s);
+    if (m && month(m[1])) return validDate(+m[3], month(m[1]), +m[2]);
+
+    m = /^([A-Za-z]{3,9}),?\s+(\d{4})/.exec(s);
+    if (monthOnly && m && month(m[1])) return validDate(+m[2], month(m[1]), 1);
+
+    return null;
+}
+
+/**
+ * Parses "1,23,456.78", "(1,000.00)", "-250", "1.234,56", "500.00 Dr".
+ * Returns null for empty cells.
+ */
+export function parseAmount(value) {
+    let s = String(value ?? '').trim();
+    if (!s || s === '-') return null;
+    const negative = /^\(.*\)$/.test(s) || /^-/.test(s) || /-$/.test(s) || /\bdr\.?$/i.test(s);
+    // European format: dots for thousands, comma for decimals.
+    if (/\d\.\d{3},\d{1,2}$/.test(s) || /^\d+,\d{2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+    s = s.replace(/[^\d.]/g, '');
+    if (!s) return null;
+    const n = parseFloat(s);
+    if (Number.isNaN(n)) return null;
+    return negative ? -n : n;
+}
+
+const SYMBOLS = { '₹': 'INR', 'Rs.': 'INR', '£': 'GBP', '€': 'EUR', 'C$': 'CAD', 'A$': 'AUD', 'NZ$': 'NZD', 'S$': 'SGD', '$': 'USD' };
+const CURRENCY_CODES = [...new Set(COUNTRIES.map(c => c.currency))];
+
+// Most frequent ISO currency code or symbol in the text.
+export function detectCurrency(text) {
+    const counts = {};
+    const add = (code, n) => { counts[code] = (counts[code] || 0) + n; };
+    CURRENCY_CODES.forEach((code) => {
+        const n = (text.match(new RegExp(`\\b${code}\\b`, 'g')) || []).length;
+        if (n) add(code, n * 2);
+    });
+    let rest = text;
+    Object.entries(SYMBOLS).forEach(([symbol, code]) => {
+        const parts = rest.split(symbol);
+        if (parts.length > 1) add(code, parts.length - 1);
+        rest = parts.join(' ');
+    });
+    const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return best ? best[0] : null;
+}
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CURRENCY = [...CURRENCY_CODES, ...Object.keys(SYMBOLS).map(escape)].join('|');
+const MONEY = new RegExp(`(${CURRENCY})?\\s*([\\d][\\d,.]*\\d|\\d)\\s*(${CURRENCY_CODES.join('|')})?`);
+
+/**
+ * First money value in a snippet such as "£18,500", "CAD 32,000.00" or
+ * "18 500 EUR". Returns { amount, currency } or null.
+ */
+export function parseMoney(text) {
+    const m = MONEY.exec(String(text || '').replace(/(\d) (?=\d{3}\b)/g, '$1'));
+    if (!m) return null;
+    const amount = parseAmount(m[2]);
+    if (amount === null) return null;
+    const symbol = m[1] || m[3];
+    return { amount, currency: symbol ? (SYMBOLS[symbol] || symbol) : null };
+}
@@ -0,0 +1,42 @@
+// Score factor ledger. Every engine explains its score as a list of factors
+// `{ name, input, weight, contribution, rule }` starting from a baseline;
+// contributions add up to the final score. `weight` is the most a factor can
+// add, `estimated` marks factors an engine could only approximate.
+
+export const BASELINE = 50;
+
+export const baselineFactor = () => ({
+    name: 'Baseline',
+    input: null,
+    weight: null,
+    contribution: BASELINE,
+    rule: `Every application starts at ${BASELINE}`,
+});
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Makes a result's factors add up to its score: adds the baseline when it is
+ * missing and books any remainder as "Unattributed". Exact ledgers (the rule
+ * engine's) pass through unchanged.
+ */
+export function reconcileFactors(result) {
+    const given = (result.factors || []).filter(f => typeof f.contribution === 'number' && !Number.isNaN(f.contribution));
+    const estimated = given.some(f => f.estimated);
+    const factors = given.some(f => f.name === 'Baseline')
+        ? given
+        : [{ ...baselineFactor(), ...(estimated && { estimated }) }, ...given];
+
+    const remainder = round1(result.score - factors.reduce((sum, f) => sum + f.contribution, 0));
+    if (remainder !== 0) {
+        factors.push({
+            name: 'Unattributed',
+            input: null,
+            weight: null,
+            contribution: remainder,
+            rule: given.length > 0 ? 'Difference between the listed factors and the final score' : 'No breakdown was given for this score',
+            estimated: true,
+        });
+    }
+    return { ...result, factors };
+}
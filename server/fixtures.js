@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Record/replay store for upstream model calls.
+//   GEMINI_FIXTURE_MODE=record  save every upstream response
+//   GEMINI_FIXTURE_MODE=replay  answer from saved responses, never call upstream
+// Fixtures are keyed by a hash of the profile and the document contents, so the
+// same analysis replays identically in tests and offline. A fixture holds the
+// upstream response, which can quote the documents: the default directory is
+// gitignored, and recording with REDACTION=on keeps personal data out of it.
+
+export const fixtureMode = () => (process.env.GEMINI_FIXTURE_MODE || 'off').toLowerCase();
+const fixtureDir = () => path.resolve(process.env.GEMINI_FIXTURE_DIR || 'fixtures/gemini');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON.stringify with sorted keys so field order in the form does not change the key.
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// File names can carry the applicant's name, so documents are described by content only.
+const describeDocuments = (documents) => documents.map(d => ({
+    type: d.type,
+    mimetype: d.mimetype,
+    size: d.size,
+    // Redacted documents carry masked text instead of a file, or nothing when withheld.
+    sha256: sha256(d.buffer ?? d.text ?? ''),
+}));
+
+/**
+ * What a fixture records about its request: hashes of the key inputs, never
+ * the profile or the files themselves.
+ */
+export function describeRequest(profile, documents) {
+    return { profileSha256: sha256(stableStringify(profile)), documents: describeDocuments(documents) };
+}
+
+export function fixtureKey(profile, documents) {
+    const docs = describeDocuments(documents).map(({ type, sha256: hash }) => ({ type, sha256: hash }));
+    return sha256(stableStringify({ profile, docs })).slice(0, 24);
+}
+
+const fixturePath = (key) => path.join(fixtureDir(), `${key}.json`);
+
+export function loadFixture(key) {
+    const file = fixturePath(key);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function saveFixture(key, record) {
+    fs.mkdirSync(fixtureDir(), { recursive: true });
+    fs.writeFileSync(fixturePath(key), JSON.stringify({ key, recordedAt: new Date().toISOString(), ...record }, null, 2));
+}
@@ -0,0 +1,205 @@
+import { findCountry } from '../data/countries.js';
+import { formatMoney } from '../currency.js';
+
+// Officer questions. A plan opens with the purpose of the trip, then probes
+// the weak spots of the last analysis, then covers the remaining core topics.
+// `rubric` weights the criteria in rubric.js; `guidance` says what a strong
+// answer covers.
+
+const MAX_WEAK_SPOTS = 3;
+const MAX_QUESTIONS = 7;
+
+const STAY = { Study: 'studies', Work: 'job', Tourism: 'trip' };
+
+// "the United Kingdom", "Canada"
+function place(name) {
+    if (!name) return 'this country';
+    return /^(United|Netherlands|Philippines)/.test(name) ? `the ${name}` : name;
+}
+
+/**
+ * Facts an answer can be checked against, from the profile and, when there
+ * is one, the analysis result.
+ */
+export function interviewFacts(profile, result) {
+    const offer = result?.docs.find(d => d.fields?.institution || d.fields?.program)?.fields;
+    const bank = result?.docs.find(d => d.fields?.verifiedFunds !== undefined)?.fields;
+    const home = findCountry(profile.passport_country);
+    const figures = [];
+    if (bank) figures.push({ label: 'verified funds', amount: bank.verifiedFunds, currency: bank.currency || 'INR' });
+    else if (result?.finances?.amount) figures.push({ label: 'declared funds', amount: result.finances.amount, currency: result.finances.currency });
+    if (offer?.tuition) figures.push({ label: 'tuition', amount: offer.tuition.amount, currency: offer.tuition.currency });
+
+    return {
+        name: profile.name,
+        destination: profile.dest_country,
+        purpose: profile.purpose || 'Study',
+        pastVisa: profile.past_visa,
+        home: home?.name || profile.passport_country,
+        homeCurrency: home?.currency || 'INR',
+        institution: offer?.institution,
+        program: offer?.program,
+        startDate: offer?.start_date,
+        figures,
+        coverage: result?.finances?.coverage || null,
+    };
+}
+
+const CORE = {
+    purpose: (f) => ({
+        topic: 'purpose',
+        text: f.purpose === 'Study'
+            ? `Why do you want to study in ${place(f.destination)}${f.program ? `, and why ${f.program}` : ''}?`
+            : f.purpose === 'Work'
+                ? `Why do you want to work in ${place(f.destination)}?`
+                : `What is the purpose of your visit to ${place(f.destination)}?`,
+        rubric: { clarity: 2, consistency: 1 },
+        guidance: 'Name the course, job or trip, why this country, and how it fits your plans.',
+    }),
+    choice: (f) => f.purpose === 'Study' && f.institution && {
+        topic: 'choice',
+        text: `Why did you choose ${f.institution} over universities at home in ${f.home || 'your country'}?`,
+        rubric: { clarity: 2, consistency: 1, ties: 1 },
+        guidance: 'Compare the program with options at home: curriculum, ranking, faculty or industry links.',
+    },
+    funds: (f) => ({
+        topic: 'finances',
+        text: `${f.purpose === 'Work' ? 'How will you support yourself until your first salary' : `How will you pay for your ${STAY[f.purpose] || 'stay'}`}${f.figures.length ? ', and how much money do you have available' : ''}?`,
+        rubric: { clarity: 1, consistency: 2, finances: 3 },
+        guidance: `State the exact amount${f.figures[0] ? ` (${formatMoney(f.figures[0].amount, f.figures[0].currency)})` : ''}, who provides it and how long it has been held.`,
+    }),
+    ties: (f) => ({
+        topic: 'ties',
+        text: `What ties do you have to ${f.home || 'your home country'}?`,
+        rubric: { clarity: 1, ties: 3 },
+        guidance: 'Mention family, property, a job or business waiting for you, and say you will return.',
+    }),
+    plans: (f) => ({
+        topic: 'plans',
+        text: f.purpose === 'Study'
+            ? `What will you do after you finish${f.program ? ` ${f.program}` : ' your studies'}?`
+            : `What will you do when your ${STAY[f.purpose] || 'stay'} ends?`,
+        rubric: { clarity: 2, ties: 2 },
+        guidance: 'Describe a concrete plan at home: a role, an employer or a business, and why the experience abroad helps.',
+    }),
+    history: (f) => f.pastVisa === 'None' && {
+        topic: 'history',
+        text: 'Have you travelled abroad before? Why not?',
+        rubric: { clarity: 2, ties: 1 },
+        guidance: 'Answer honestly; a first trip is normal. Show that your reasons to return are strong.',
+    },
+};
+
+// Questions probing the weak spots of an analysis: contradictions and funds
+// findings on the documents, a funds shortfall and a failed language rule.
+function weakSpotQuestions(facts, result) {
+    const questions = [];
+    const findings = (result?.docs || []).flatMap(d => (d.findings || []).map(f => ({ ...f, doc: d.name })));
+    const seen = new Set();
+    findings.forEach((f) => {
+        if (seen.has(f.code)) return;
+        seen.add(f.code);
+        if (f.code === 'name_inconsistent' || f.code === 'dob_inconsistent' || f.code === 'name_partially_consistent') {
+            const [a, b] = Object.entries(f.values || {});
+            questions.push({
+                topic: 'consistency',
+                weakSpot: f.code,
+                text: a && b
+                    ? `Your ${b[0].toLowerCase()} shows "${b[1]}" but your ${a[0].toLowerCase()} shows "${a[1]}". Can you explain the difference?`
+                    : `Your documents do not agree with each other: ${f.message} Can you explain?`,
+                rubric: { clarity: 2, consistency: 2 },
+                guidance: 'Explain the difference plainly and say which document is correct; offer an affidavit or corrected letter if you have one.',
+            });
+        }
+        if (f.code === 'large_deposit') {
+            const [, amount, date] = /deposit of ([\d,.]+) on (\S+)/.exec(f.message) || [];
+            questions.push({
+                topic: 'finances',
+                weakSpot: f.code,
+                text: `Your bank statement shows a large deposit${amount ? ` of ${amount} on ${date}` : ''}. Where did this money come from?`,
+                rubric: { clarity: 1, consistency: 1, finances: 3 },
+                guidance: 'Name the source (sale, loan, gift, salary), the date, and the paperwork that proves it.',
+            });
+        }
+        if (f.code === 'funds_overstated') {
+            questions.push({
+                topic: 'finances',
+                weakSpot: f.code,
+                text: 'The amount you declared is higher than your bank statement shows. How much do you actually have?',
+                rubric: { clarity: 1, consistency: 3, finances: 2 },
+                guidance: 'Give the figure on the statement and explain any other accounts or sponsors separately.',
+            });
+        }
+        if (f.code === 'start_date_close' || f.code === 'start_date_passed') {
+            questions.push({
+                topic: 'plans',
+                weakSpot: f.code,
+                text: `Your program starts on ${facts.startDate || 'a date very soon'}. What happens if your visa is not ready in time?`,
+                rubric: { clarity: 2, consistency: 1 },
+                guidance: 'Mention a deferral option or late-arrival permission from the university.',
+            });
+        }
+    });
+
+    const coverage = facts.coverage;
+    if (coverage && coverage.ratio < 1) {
+        questions.push({
+            topic: 'finances',
+            weakSpot: 'funds_short',
+            text: `Your funds cover about ${coverage.monthsCovered} of ${coverage.monthsNeeded} months in ${place(coverage.cost.country)}. How will you pay for the rest?`,
+            rubric: { clarity: 1, consistency: 1, finances: 3 },
+            guidance: `Explain how the shortfall of ${formatMoney(coverage.shortfall, coverage.currency)} is covered: a sponsor, a loan sanction letter or a scholarship.`,
+        });
+    }
+
+    const destination = result?.countries?.[0];
+    destination?.rules?.filter(r => r.id === 'language' && r.passed === false).forEach((r) => {
+        questions.push({
+            topic: 'purpose',
+            weakSpot: 'language',
+            text: `${r.explanation} How will you cope with ${facts.purpose === 'Study' ? 'lectures and coursework' : 'daily life and work'}?`,
+            rubric: { clarity: 3 },
+            guidance: 'Answer fluently and mention any classes, retakes or experience using the language.',
+        });
+    });
+    return questions;
+}
+
+/**
+ * The ordered question plan for an interview. Each question gets an `id`.
+ */
+export function planInterview(facts, result) {
+    const core = ['choice', 'funds', 'ties', 'plans', 'history'].map(k => CORE[k](facts)).filter(Boolean);
+    const weak = weakSpotQuestions(facts, result).slice(0, MAX_WEAK_SPOTS);
+    // A weak-spot question on finances replaces the generic funds question.
+    const rest = core.filter(q => !(q.topic === 'finances' && weak.some(w => w.topic === 'finances')));
+    const plan = [CORE.purpose(facts), ...weak, ...rest].slice(0, MAX_QUESTIONS);
+    return plan.map((q, i) => ({ id: `q${i + 1}`, ...q }));
+}
+
+const FOLLOW_UPS = {
+    clarity: () => 'Could you say a little more about that, in two or three sentences?',
+    consistency: (f, evaluation) => `${evaluation.criteria.consistency.notes[0]} Which is correct?`,
+    ties: (f) => `What exactly will bring you back to ${f.home || 'your home country'}?`,
+    finances: () => 'Please give me the exact amount, and tell me who is paying for it.',
+};
+
+/**
+ * One follow-up on the weakest criterion the question cares about, when it
+ * scored under 5. Returns null when the answer needs no follow-up.
+ */
+export function followUpFor(question, evaluation, facts) {
+    const weakest = Object.entries(evaluation.criteria)
+        .filter(([, c]) => c.score !== null && c.score < 5)
+        .sort((a, b) => (a[1].score - b[1].score) || (b[1].weight - a[1].weight))[0];
+    if (!weakest) return null;
+    const [criterion] = weakest;
+    return {
+        id: `${question.id}f`,
+        topic: question.topic,
+        followUpOf: question.id,
+        text: FOLLOW_UPS[criterion](facts, evaluation),
+        rubric: question.rubric,
+        guidance: question.guidance,
+    };
+}
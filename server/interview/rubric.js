@@ -0,0 +1,237 @@
+import { COUNTRIES, findCountry } from '../data/countries.js';
+import { parseAmount } from '../extract/values.js';
+import { convert, formatMoney } from '../currency.js';
+
+// Answer rubric. Each criterion scores an answer 0–10, or null when it does
+// not apply, and explains itself in `notes`. Questions weight the criteria
+// they care about (see questions.js).
+
+export const CRITERIA = {
+    clarity: 'Clarity',
+    consistency: 'Consistency with documents',
+    ties: 'Ties to home country',
+    finances: 'Financial specifics',
+};
+
+const clamp10 = (n) => Math.max(0, Math.min(10, Math.round(n)));
+const words = (text) => text.split(/\s+/).filter(Boolean);
+const count = (text, re) => (text.match(re) || []).length;
+
+const FILLERS = /\b(um+|uh+|erm|basically|you know|kind of|sort of|i guess)\b/gi;
+const HEDGES = /\b(i think|probably|maybe|not sure|i don't know|i dont know)\b/gi;
+
+// Spoken answers: a comfortable pace and a prompt start.
+const PACE = { min: 90, max: 180 };
+const MAX_LATENCY_MS = 5000;
+
+/**
+ * Delivery metrics for an answer: word and filler counts, and for spoken
+ * answers the response latency, recording length and words per minute.
+ */
+export function answerMetrics(answer, { mode = 'text', latencyMs, durationMs } = {}) {
+    const n = words(answer).length;
+    return {
+        mode,
+        words: n,
+        fillers: count(answer, FILLERS),
+        ...(latencyMs !== undefined && { latencyMs }),
+        ...(durationMs !== undefined && { durationMs }),
+        ...(durationMs > 0 && { wordsPerMinute: Math.round(n / (durationMs / 60000)) }),
+    };
+}
+
+function clarity(answer, facts, question, metrics = {}) {
+    const n = words(answer).length;
+    const notes = [];
+    let score;
+    if (n < 8) {
+        score = 2;
+        notes.push('The answer is very short.');
+    } else if (n < 20) {
+        score = 6;
+        notes.push('The answer could give more detail.');
+    } else if (n <= 150) {
+        score = 9;
+    } else {
+        score = 6;
+        notes.push('The answer is long; officers expect about a minute.');
+    }
+
+    const fillers = count(answer, FILLERS);
+    if (fillers > 0) notes.push(`${fillers} filler word${fillers > 1 ? 's' : ''} ("um", "basically", …).`);
+    const hedges = count(answer, HEDGES);
+    if (hedges > 0) notes.push('Hedging ("I think", "maybe") sounds unsure.');
+
+    const sentences = answer.split(/[.!?]+/).filter(s => s.trim());
+    const longest = Math.max(0, ...sentences.map(s => words(s).length));
+    if (longest > 40) notes.push('Some sentences are very long.');
+
+    let delivery = 0;
+    if (metrics.latencyMs > MAX_LATENCY_MS) {
+        delivery++;
+        notes.push(`Took ${Math.round(metrics.latencyMs / 1000)} s to start answering.`);
+    }
+    if (metrics.wordsPerMinute < PACE.min || metrics.wordsPerMinute > PACE.max) {
+        delivery++;
+        notes.push(`Spoke at ${metrics.wordsPerMinute} words per minute; aim for ${PACE.min}–${PACE.max}.`);
+    }
+
+    return { score: clamp10(score - Math.min(3, fillers) - Math.min(2, hedges) - (longest > 40 ? 1 : 0) - delivery), notes };
+}
+
+// Spoken and written amounts: "₹25,00,000", "25 lakh rupees", "£18k", "CAD 20,000".
+const SCALES = { lakh: 1e5, lakhs: 1e5, lac: 1e5, crore: 1e7, crores: 1e7, k: 1e3, thousand: 1e3, million: 1e6, m: 1e6 };
+const CURRENCY_WORDS = { '₹': 'INR', rs: 'INR', 'rs.': 'INR', rupees: 'INR', '£': 'GBP', pounds: 'GBP', '€': 'EUR', euros: 'EUR', '$': 'USD', dollars: 'USD' };
+const CODES = [...new Set(COUNTRIES.map(c => c.currency))];
+const AMOUNT = new RegExp(
+    `(₹|£|€|\\$|rs\\.?|${CODES.join('|')})?\\s*(\\d[\\d,.]*)\\s*(lakhs?|lac|crores?|k|thousand|million|m)?\\b\\s*(${CODES.join('|')}|rupees|pounds|euros|dollars)?`,
+    'gi',
+);
+
+/**
+ * Money amounts mentioned in an answer. "Dollars" are read as the destination
+ * currency when that is a dollar currency. Bare numbers under 1,000 (ages,
+ * years of study) are ignored.
+ */
+export function findAmounts(text, { dollarCurrency } = {}) {
+    const amounts = [];
+    for (const m of text.matchAll(AMOUNT)) {
+        const value = parseAmount(m[2]);
+        if (value === null) continue;
+        const amount = value * (SCALES[m[3]?.toLowerCase()] || 1);
+        const word = (m[1] || m[4] || '').toLowerCase();
+        let currency = CURRENCY_WORDS[word] || (CODES.includes(word.toUpperCase()) ? word.toUpperCase() : null);
+        if (currency === 'USD' && (word === '$' || word === 'dollars') && dollarCurrency) currency = dollarCurrency;
+        if (amount < 1000 && !currency) continue;
+        if (/^(19|20)\d\d$/.test(m[2]) && !currency && !m[3]) continue; // a year
+        amounts.push({ amount, currency, text: m[0].trim() });
+    }
+    return amounts;
+}
+
+// Within 15% of a known figure, after converting to its currency.
+function matchesFigure(mentioned, figure, fallbackCurrency) {
+    const value = convert(mentioned.amount, mentioned.currency || fallbackCurrency, figure.currency);
+    return value !== null && Math.abs(value - figure.amount) <= figure.amount * 0.15;
+}
+
+const tokens = (s) => String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 3 && !['university', 'college', 'school', 'institute', 'the', 'of'].includes(t));
+
+/**
+ * Compares what the answer says with the facts from the profile and documents:
+ * destination, institution, program and amounts. `facts.figures` are the
+ * amounts we know ({ label, amount, currency }).
+ */
+function consistency(answer, facts, { topic }) {
+    const notes = [];
+    let matched = 0;
+    let contradictions = 0;
+    const lower = answer.toLowerCase();
+
+    // Other destinations named in an answer about this one.
+    const destination = findCountry(facts.destination);
+    const named = COUNTRIES.filter(c => [c.name, ...(c.aliases || [])].some(n => new RegExp(`\\b${n}\\b`, n.length <= 3 ? '' : 'i').test(answer)));
+    if (destination && named.some(c => c.name === destination.name)) matched++;
+    const others = named.filter(c => c.name !== destination?.name && c.name !== facts.home);
+    if (destination && others.length > 0 && topic !== 'history') {
+        contradictions++;
+        notes.push(`Mentions ${others.map(c => c.name).join(', ')}, but the application is for ${destination.name}.`);
+    }
+
+    const institution = tokens(facts.institution);
+    if (institution.length > 0 && institution.some(t => lower.includes(t))) matched++;
+    const program = tokens(facts.program);
+    if (program.length > 0 && program.some(t => lower.includes(t))) matched++;
+
+    const figures = facts.figures || [];
+    const amounts = findAmounts(answer, { dollarCurrency: destination?.currency.endsWith('D') ? destination.currency : undefined });
+    amounts.forEach((mentioned) => {
+        if (figures.some(f => matchesFigure(mentioned, f, facts.homeCurrency))) {
+            matched++;
+        } else if (figures.length > 0 && topic === 'finances') {
+            contradictions++;
+            const known = figures.map(f => `${f.label} ${formatMoney(f.amount, f.currency)}`).join(', ');
+            notes.push(`"${mentioned.text}" does not match the documents (${known}).`);
+        }
+    });
+
+    if (matched === 0 && contradictions === 0) return { score: null, notes: ['Nothing in the answer could be checked against the documents.'] };
+    if (matched > 0 && contradictions === 0) notes.push('Details match the documents.');
+    return { score: clamp10(6 + 2 * matched - 4 * contradictions), notes, contradictions: contradictions > 0 };
+}
+
+const TIES = {
+    family: /\b(family|parents?|mother|father|wife|husband|spouse|children|kids?|son|daughter|siblings?|brother|sister)\b/i,
+    property: /\b(property|house|land|flat|apartment|farm)\b/i,
+    work: /\b(job|employer|company|business|career|position|promotion|family business)\b/i,
+    return: /\b(return|come back|go back|back home|back to)\b/i,
+};
+const SETTLE = /\b(settle|permanent(ly)?|pr\b|immigrate|never come back|stay there for good|citizenship|green card)\b/i;
+
+function ties(answer, facts) {
+    const notes = [];
+    const found = Object.entries(TIES).filter(([, re]) => re.test(answer)).map(([k]) => k);
+    const home = facts.home && new RegExp(`\\b${facts.home}\\b`, 'i').test(answer);
+    let score = 2 + 2 * found.filter(k => k !== 'return').length + (found.includes('return') ? 2 : 0) + (home ? 1 : 0);
+    if (found.length === 0) notes.push('No family, property or work ties mentioned.');
+    else notes.push(`Mentions ${found.map(k => (k === 'return' ? 'returning' : k)).join(', ')}.`);
+    if (!found.includes('return')) notes.push('Does not say you will return.');
+    if (SETTLE.test(answer)) {
+        score -= 5;
+        notes.push('Talk of settling abroad is a red flag for a temporary visa.');
+    }
+    return { score: clamp10(score), notes };
+}
+
+const SOURCES = /\b(parents?|father|mother|sponsor(ed|ship)?|savings|loan|scholarship|salary|fixed deposit|fd|bank|income|stipend|employer)\b/i;
+
+function finances(answer, facts) {
+    const notes = [];
+    const amounts = findAmounts(answer);
+    let score = 1;
+    if (amounts.length > 0) score += 4;
+    else notes.push('No amounts given.');
+    if (amounts.some(a => a.currency)) score += 1;
+    if (SOURCES.test(answer)) score += 3;
+    else notes.push('Does not say where the money comes from.');
+    if (/\b(since|for the last|months|held|maintained)\b/i.test(answer)) score += 1;
+    if (count(answer, HEDGES) > 0) {
+        score -= 2;
+        notes.push('Sounds unsure about the figures.');
+    }
+    if (facts.figures?.length && amounts.length === 0) notes.push(`Documents show ${facts.figures.map(f => `${f.label} ${formatMoney(f.amount, f.currency)}`).join(', ')}.`);
+    return { score: clamp10(score), notes };
+}
+
+const EVALUATORS = { clarity, consistency, ties, finances };
+
+export const TIPS = {
+    clarity: 'Answer in two to four clear sentences, without filler words.',
+    consistency: 'Quote the same figures, names and dates that appear on your documents.',
+    ties: 'Name concrete reasons to return: family, a job, property or a business at home.',
+    finances: 'Give the exact amount, the currency, who provides it and how long it has been held.',
+};
+
+/**
+ * Scores an answer on the criteria the question weights. `metrics` (see
+ * answerMetrics) lets clarity judge the delivery of spoken answers. Returns
+ * { score (0–10), criteria: { [id]: { score, weight, notes } }, tips }.
+ */
+export function evaluateAnswer(answer, question, facts, metrics) {
+    const text = String(answer || '').trim();
+    const criteria = {};
+    Object.entries(question.rubric).forEach(([id, weight]) => {
+        if (!weight) return;
+        criteria[id] = { weight, ...EVALUATORS[id](text, facts, question, metrics) };
+    });
+
+    const scored = Object.values(criteria).filter(c => c.score !== null);
+    const total = scored.reduce((sum, c) => sum + c.weight, 0);
+    const score = total > 0 ? Math.round((scored.reduce((sum, c) => sum + c.score * c.weight, 0) / total) * 10) / 10 : 0;
+    const tips = Object.entries(criteria)
+        .filter(([, c]) => c.score !== null && c.score < 7)
+        .sort((a, b) => a[1].score - b[1].score)
+        .map(([id]) => TIPS[id]);
+
+    return { score, criteria, tips };
+}
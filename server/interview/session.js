@@ -0,0 +1,197 @@
+import { HttpError } from '../errors.js';
+import { MemoryStore } from '../store.js';
+import { getSnapshot } from '../snapshots.js';
+import { runSimulation } from '../engines/index.js';
+import { getAnalysis, recordInterview } from '../cases.js';
+import { canAccess } from '../auth.js';
+import { followUpFor, interviewFacts, planInterview } from './questions.js';
+import { CRITERIA, TIPS, answerMetrics, evaluateAnswer } from './rubric.js';
+
+// Interview sessions: a question plan tailored to the applicant, one answer
+// at a time, at most one follow-up per question, and a readiness summary at
+// the end. Sessions live in memory for INTERVIEW_TTL_MINUTES (default 60);
+// those started for a case are also saved on it.
+
+const sessions = new MemoryStore({
+    ttlMs: () => (parseFloat(process.env.INTERVIEW_TTL_MINUTES) || 60) * 60000,
+    limit: () => parseInt(process.env.INTERVIEW_LIMIT, 10) || 50,
+});
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function findSession(id, user) {
+    const session = sessions.get(id);
+    if (!session || !canAccess(user, session.userId)) throw new HttpError(404, 'Interview not found or expired; start a new one', { id });
+    return session;
+}
+
+const publicQuestion = (q) => q && { id: q.id, topic: q.topic, text: q.text, ...(q.followUpOf && { followUpOf: q.followUpOf }) };
+
+/**
+ * Readiness from the answers so far: each planned question scores the mean
+ * of its answer and follow-up, and readiness is their mean on a 0–100 scale.
+ * Questions left unanswered when the interview is ended early count as 0.
+ */
+function summarize(session) {
+    const byQuestion = new Map();
+    session.transcript.forEach((entry) => {
+        const id = entry.followUpOf || entry.questionId;
+        byQuestion.set(id, [...(byQuestion.get(id) || []), entry]);
+    });
+    const questions = [...byQuestion.values()].map(entries => ({
+        topic: entries[0].topic,
+        question: entries[0].question,
+        score: round1(mean(entries.map(e => e.evaluation.score))),
+    }));
+
+    const criteria = Object.fromEntries(Object.entries(CRITERIA).map(([id, label]) => {
+        const scores = session.transcript.map(e => e.evaluation.criteria[id]?.score).filter(s => s !== null && s !== undefined);
+        return [id, { label, score: scores.length ? round1(mean(scores)) : null }];
+    }));
+    const readiness = Math.round((questions.reduce((sum, q) => sum + q.score, 0) / session.plan.length) * 10);
+    let plain = 'Needs more practice';
+    if (readiness >= 75) plain = 'Ready';
+    else if (readiness >= 55) plain = 'Almost ready';
+
+    const tips = Object.entries(criteria)
+        .filter(([, c]) => c.score !== null && c.score < 7)
+        .sort((a, b) => a[1].score - b[1].score)
+        .map(([id]) => TIPS[id]);
+
+    return {
+        readiness,
+        plain,
+        answered: questions.length,
+        planned: session.plan.length,
+        criteria,
+        strengths: questions.filter(q => q.score >= 7).map(q => q.question),
+        needsWork: questions.filter(q => q.score < 5).map(q => q.question),
+        tips,
+    };
+}
+
+function view(session) {
+    return {
+        id: session.id,
+        analysisId: session.analysisId,
+        caseId: session.caseId,
+        status: session.finishedAt ? 'finished' : 'active',
+        question: publicQuestion(session.current),
+        progress: { question: Math.min(session.index + 1, session.plan.length), of: session.plan.length },
+        transcript: session.transcript,
+        startedAt: session.startedAt,
+        ...(session.finishedAt && { finishedAt: session.finishedAt, summary: summarize(session) }),
+    };
+}
+
+// Sessions tied to a case are saved there after every change.
+function save(session) {
+    sessions.set(session.id, session);
+    if (session.caseId) recordInterview(session.caseId, view(session));
+}
+
+/**
+ * Starts an interview for a finished analysis (`analysisId`) or, without one,
+ * for a bare `profile`. With an analysis the questions probe its weak spots
+ * and answers are checked against the documents. `caseId` ties the session
+ * to an applicant case. The session belongs to `user`.
+ */
+export async function startInterview({ analysisId, profile = {}, caseId = null, user } = {}) {
+    let applicant = profile;
+    let result = null;
+    if (analysisId) {
+        const snapshot = getSnapshot(analysisId, user);
+        const stored = !snapshot && getAnalysis(analysisId, user);
+        if (snapshot) {
+            applicant = snapshot.profile;
+            // The rule engine's view of the analysis: findings, funds coverage and destination rules.
+            result = await runSimulation(analysisId, {}, { user });
+        } else if (stored) {
+            // Expired from memory but saved on a case: use the stored result.
+            applicant = stored.profile;
+            result = stored.result;
+        } else {
+            throw new HttpError(404, 'Analysis not found or expired; run the analysis again', { analysisId });
+        }
+    }
+
+    const facts = interviewFacts(applicant, result);
+    const plan = planInterview(facts, result);
+    const session = {
+        analysisId: analysisId || null,
+        caseId,
+        userId: user?.id,
+        facts,
+        plan,
+        index: 0,
+        current: plan[0],
+        transcript: [],
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+    };
+    session.id = sessions.add(session);
+    save(session);
+    return view(session);
+}
+
+export function getInterview(id, user) {
+    return view(findSession(id, user));
+}
+
+// The active session for `id`; throws when it is unknown or has finished.
+export function activeInterview(id, user) {
+    const session = findSession(id, user);
+    if (session.finishedAt) throw new HttpError(409, 'This interview has finished');
+    return session;
+}
+
+/**
+ * Scores the answer to the current question and moves on: to a follow-up
+ * when a criterion the question cares about scored under 5, otherwise to the
+ * next planned question. The session finishes after the last one.
+ * `delivery` is { mode: 'text' | 'voice', latencyMs, durationMs } as measured
+ * by the client.
+ */
+export function answerQuestion(id, answer, delivery = {}, user) {
+    const session = activeInterview(id, user);
+    const text = String(answer ?? '').trim();
+    if (!text) throw new HttpError(400, 'The "answer" must not be empty');
+
+    const question = session.current;
+    const metrics = answerMetrics(text, delivery);
+    const evaluation = evaluateAnswer(text, question, session.facts, metrics);
+    session.transcript.push({
+        questionId: question.id,
+        ...(question.followUpOf && { followUpOf: question.followUpOf }),
+        topic: question.topic,
+        question: question.text,
+        answer: text,
+        evaluation,
+        metrics,
+        guidance: question.guidance,
+        answeredAt: new Date().toISOString(),
+    });
+
+    const followUp = !question.followUpOf && followUpFor(question, evaluation, session.facts);
+    if (followUp) {
+        session.current = followUp;
+    } else {
+        session.index += 1;
+        session.current = session.plan[session.index] || null;
+        if (!session.current) session.finishedAt = new Date().toISOString();
+    }
+    save(session);
+    return { evaluation, metrics, guidance: question.guidance, ...view(session) };
+}
+
+// Ends the interview early; the summary covers the questions answered so far.
+export function finishInterview(id, user) {
+    const session = findSession(id, user);
+    if (!session.finishedAt) {
+        session.finishedAt = new Date().toISOString();
+        session.current = null;
+        save(session);
+    }
+    return view(session);
+}
@@ -0,0 +1,172 @@
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+/**
+ * Local stand-in for the Gemini `models/{model}:generateContent` endpoint.
+ *
+ * Run it with `npm run mock:gemini` and start the API server with
+ * GEMINI_BASE_URL=http://localhost:8787/v1beta (any GEMINI_API_KEY works).
+ *
+ * Scenarios decide what the next call returns:
+ *   ok              candidates with a valid analysis JSON
+ *   fenced          valid JSON wrapped in ```json fences
+ *   invalid-schema  JSON that violates the result schema (string score, no risk)
+ *   malformed       a candidate whose text is not JSON at all
+ *   empty           a response without candidates
+ *   429             RESOURCE_EXHAUSTED with QuotaFailure and RetryInfo details
+ *   400             INVALID_ARGUMENT (e.g. a bad API key)
+ *   500             INTERNAL error
+ *
+ * The default comes from MOCK_GEMINI_SCENARIO (ok). Individual calls can be
+ * scripted with the `x-mock-scenario` header or by queueing scenarios through
+ * `POST /mock/scenarios { "scenarios": ["429", "ok"] }`.
+ *
+ * It also stands in for a whisper.cpp speech-to-text server: with
+ * STT_URL=http://localhost:8787, `POST /inference` answers every recording
+ * with MOCK_STT_TEXT.
+ */
+
+const ERRORS = {
+    400: { status: 'INVALID_ARGUMENT', message: 'API key not valid. Please pass a valid API key.' },
+    429: {
+        status: 'RESOURCE_EXHAUSTED',
+        message: 'You exceeded your current quota, please check your plan and billing details.',
+    },
+    500: { status: 'INTERNAL', message: 'An internal error has occurred. Please retry or report in https://developers.generativeai.google/guide/troubleshooting' },
+};
+
+function errorBody(code, { model, retryDelay }) {
+    const { status, message } = ERRORS[code];
+    const details = [];
+    if (code === 429) {
+        details.push(
+            {
+                '@type': 'type.googleapis.com/google.rpc.QuotaFailure',
+                violations: [
+                    {
+                        quotaMetric: 'generativelanguage.googleapis.com/generate_content_free_tier_requests',
+                        quotaId: 'GenerateRequestsPerMinutePerProjectPerModel-FreeTier',
+                        quotaDimensions: { model, location: 'global' },
+                    },
+                ],
+            },
+            { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay },
+        );
+    }
+    return { error: { code, message, status, ...(details.length > 0 && { details }) } };
+}
+
+// Pull the profile back out of the prompt so the canned answer looks plausible.
+function profileFromPrompt(text) {
+    const match = /Profile Details:\s*([\s\S]*?)\n\s*(?:Declared funds|The user has uploaded)/.exec(text || '');
+    try {
+        return match ? JSON.parse(match[1]) : {};
+    } catch {
+        return {};
+    }
+}
+
+function analysisFor(profile, documentCount) {
+    const funds = parseInt(profile.funds || '0', 10);
+    const fundsImpact = funds > 150000 ? 15 : funds < 50000 ? -15 : 0;
+    const score = Math.max(10, Math.min(95, 55 + fundsImpact + documentCount * 5));
+    return {
+        score,
+        plain: score >= 75 ? 'Highly likely' : score >= 60 ? 'Likely' : score >= 45 ? 'Borderline' : 'Unlikely',
+        reasons: ['Mock analysis: documents received', `Mock analysis: ${funds > 150000 ? 'strong' : 'moderate'} funds`],
+        docs: Array.from({ length: documentCount }, (_, i) => ({ name: `Document ${i + 1}`, ok: true, note: 'Mock check passed.' })),
+        twin: { name: profile.name || 'Applicant', confidence: 70, traits: ['Mock applicant'] },
+        countries: [{ name: profile.dest_country || 'Canada', score, flag: '🏳️', reason: 'Mock comparison.' }],
+        risk: [
+            { label: 'Finances', value: funds > 150000 ? 20 : 50 },
+            { label: 'Docs', value: 30 },
+            { label: 'Intent', value: 35 },
+            { label: 'History', value: profile.past_visa === 'None' ? 60 : 25 },
+        ],
+        // Deliberately incomplete, like real model breakdowns often are.
+        factors: [
+            { name: 'Documents', input: `${documentCount} uploaded`, weight: 20, contribution: documentCount * 5, rule: 'Mock: +5 per document' },
+            { name: 'Funds', input: profile.funds || 'not given', weight: 15, contribution: fundsImpact, rule: 'Mock funds threshold' },
+        ],
+    };
+}
+
+const candidate = (text) => ({
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }],
+    usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 },
+});
+
+const DEFAULT_TRANSCRIPT = 'I want to study data science because it fits my career plans, and my father is sponsoring me with 25 lakh rupees from his savings. I will return to India to join his company.';
+
+export function createMockGemini({
+    scenario = process.env.MOCK_GEMINI_SCENARIO || 'ok',
+    retryDelay = process.env.MOCK_GEMINI_RETRY_DELAY || '31s',
+    transcript = process.env.MOCK_STT_TEXT || DEFAULT_TRANSCRIPT,
+} = {}) {
+    const app = express();
+    const queue = [];
+    const calls = [];
+
+    app.use(express.json({ limit: '50mb' }));
+
+    app.post('/mock/scenarios', (req, res) => {
+        queue.push(...(req.body.scenarios || []));
+        res.json({ queued: queue });
+    });
+
+    app.get('/mock/calls', (req, res) => {
+        res.json({ calls });
+    });
+
+    // whisper.cpp server: the multipart body is drained, not parsed.
+    app.post('/inference', (req, res) => {
+        req.resume();
+        req.on('end', () => {
+            calls.push({ model: 'whisper', scenario: 'transcribe', at: new Date().toISOString() });
+            res.json({ text: ` ${transcript}` });
+        });
+    });
+
+    app.post('/:version/models/:target', (req, res) => {
+        const [model, method] = req.params.target.split(':');
+        if (method !== 'generateContent') {
+            return res.status(404).json({ error: { code: 404, message: `Method "${method}" is not mocked.`, status: 'NOT_FOUND' } });
+        }
+
+        const current = req.get('x-mock-scenario') || queue.shift() || scenario;
+        const turns = req.body.contents || [];
+        const prompt = turns[0]?.parts?.find(p => p.text)?.text;
+        // Every part after the prompt is a document: a file, or the masked text of a redacted one.
+        const documentCount = (turns[0]?.parts || []).slice(1).length;
+        calls.push({ model, scenario: current, turns: turns.length, documents: documentCount, at: new Date().toISOString() });
+
+        const code = Number(current);
+        if (ERRORS[code]) {
+            return res.status(code).json(errorBody(code, { model, retryDelay }));
+        }
+
+        const analysis = analysisFor(profileFromPrompt(prompt), documentCount);
+        switch (current) {
+        case 'fenced':
+            return res.json(candidate(`\`\`\`json\n${JSON.stringify(analysis, null, 2)}\n\`\`\``));
+        case 'invalid-schema':
+            return res.json(candidate(JSON.stringify({ ...analysis, score: 'very good', risk: undefined, countries: [{ name: 'Canada', score: 'n/a' }] })));
+        case 'malformed':
+            return res.json(candidate('Sure! Here is the analysis: { "score": 72, "plain": '));
+        case 'empty':
+            return res.json({ candidates: [], promptFeedback: { blockReason: 'OTHER' } });
+        default:
+            return res.json(candidate(JSON.stringify(analysis)));
+        }
+    });
+
+    return app;
+}
+
+// Started directly: `node server/mock-gemini.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const PORT = process.env.MOCK_GEMINI_PORT || 8787;
+    createMockGemini().listen(PORT, () => {
+        console.log(`Mock Gemini API running on http://localhost:${PORT}/v1beta`);
+    });
+}
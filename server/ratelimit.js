@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+// Per-process rate limiting for upstream model calls: token buckets for
+// requests/minute and input tokens/minute, and a FIFO queue in front of them.
+
+export class TokenBucket {
+    constructor(capacity, perMinute = capacity) {
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.refillPerMs = perMinute / 60000;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    // Milliseconds until `n` tokens are available (0 when they are available now).
+    waitFor(n) {
+        this.refill();
+        const needed = Math.min(n, this.capacity) - this.tokens;
+        return needed <= 0 ? 0 : Math.ceil(needed / this.refillPerMs);
+    }
+
+    take(n) {
+        this.refill();
+        this.tokens -= Math.min(n, this.capacity);
+    }
+
+    // Hold back the next token for at least `ms` (used after an upstream 429).
+    drainFor(ms) {
+        this.refill();
+        this.tokens = Math.min(this.tokens, 1 - ms * this.refillPerMs);
+    }
+}
+
+export class QueueFullError extends Error {
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'QueueFullError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * FIFO queue that releases one job at a time once both buckets allow it.
+ * Jobs that have to wait report their queue position through `onPosition`
+ * as the queue moves, and 0 when they are released.
+ */
+export class RateLimitedQueue {
+    constructor({ requestsPerMinute, tokensPerMinute, maxQueue, maxWaitMs }) {
+        this.requests = new TokenBucket(requestsPerMinute);
+        this.tokens = new TokenBucket(tokensPerMinute);
+        this.maxQueue = maxQueue;
+        this.maxWaitMs = maxWaitMs;
+        this.pending = [];
+        this.draining = false;
+    }
+
+    // Time until a new job with `tokens` input tokens would be released.
+    estimatedWaitMs(tokens = 0) {
+        this.requests.refill();
+        this.tokens.refill();
+        const tokensAhead = this.pending.reduce((sum, job) => sum + job.tokens, 0);
+        const requestWait = (this.pending.length + 1 - this.requests.tokens) / this.requests.refillPerMs;
+        const tokenWait = (tokensAhead + tokens - this.tokens.tokens) / this.tokens.refillPerMs;
+        return Math.max(0, Math.ceil(Math.max(requestWait, tokenWait)));
+    }
+
+    // Position of job `id`, for its `owner` only: null when it is not queued or someone else's.
+    position(id, owner) {
+        const index = this.pending.findIndex(job => job.id === id && job.owner === owner);
+        return index === -1 ? null : index + 1;
+    }
+
+    // Counts and availability only; queued jobs are not described.
+    stats() {
+        this.requests.refill();
+        this.tokens.refill();
+        return {
+            queued: this.pending.length,
+            requestsAvailable: Math.floor(Math.max(0, this.requests.tokens)),
+            tokensAvailable: Math.floor(Math.max(0, this.tokens.tokens)),
+            limits: { requestsPerMinute: this.requests.capacity, tokensPerMinute: this.tokens.capacity },
+        };
+    }
+
+    // Stop releasing jobs for `ms`, e.g. after the upstream answered 429.
+    pauseFor(ms) {
+        this.requests.drainFor(ms);
+    }
+
+    /**
+     * Waits for a slot, then runs `task`. Rejects with QueueFullError when the
+     * queue is full or the estimated wait exceeds `maxWaitMs`. `owner` is who
+     * may look the job up by `id` (see position()).
+     */
+    schedule(task, { tokens = 0, id = crypto.randomUUID(), owner, signal, onPosition } = {}) {
+        if (signal?.aborted) return Promise.reject(signal.reason);
+        if (this.pending.length >= this.maxQueue) {
+            return Promise.reject(new QueueFullError('Analysis queue is full', this.estimatedWaitMs(tokens)));
+        }
+        const wait = this.estimatedWaitMs(tokens);
+        if (wait > this.maxWaitMs) {
+            return Promise.reject(new QueueFullError('Model quota exhausted for now', wait));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id, owner, tokens, task, resolve, reject, signal };
+            job.onAbort = () => {
+                this.pending = this.pending.filter(j => j !== job);
+                this.notifyPositions();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', job.onAbort, { once: true });
+            this.pending.push(job);
+            this.drain();
+            // drain() releases a job that need not wait right away; only one
+            // that waits for a slot hears its position.
+            if (this.pending.includes(job)) {
+                job.onPosition = onPosition;
+                onPosition?.(this.pending.indexOf(job) + 1);
+            }
+        });
+    }
+
+    notifyPositions() {
+        this.pending.forEach((job, i) => job.onPosition?.(i + 1));
+    }
+
+    async drain() {
+        if (this.draining) return;
+        this.draining = true;
+        try {
+            while (this.pending.length > 0) {
+                const job = this.pending[0];
+                const wait = Math.max(this.requests.waitFor(1), this.tokens.waitFor(job.tokens));
+                if (wait > 0) {
+                    await sleep(wait);
+                    continue;
+                }
+                this.pending.shift();
+                job.signal?.removeEventListener('abort', job.onAbort);
+                this.requests.take(1);
+                this.tokens.take(job.tokens);
+                job.onPosition?.(0);
+                this.notifyPositions();
+                Promise.resolve().then(job.task).then(job.resolve, job.reject);
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+}
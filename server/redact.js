@@ -0,0 +1,267 @@
+import sharp from 'sharp';
+import { extractText, MRZ_BAND_TOP, ocrLayout } from './extract/ocr.js';
+import { extractPassport } from './extract/passport.js';
+
+// PII redaction for uploads sent to an outside AI provider. When it is on
+// (REDACTION=on, or `redact` on a request) the provider never receives the
+// original files:
+//   images      are re-encoded with detected personal data blurred (words
+//               located by local OCR; the MRZ band of passports always)
+//   PDFs, CSVs  are replaced by their locally extracted text, masked
+//   the rest    is withheld
+// Masked text values become placeholders such as [PASSPORT_NUMBER_1]. The
+// mapping back to the originals never leaves this server; it is used to
+// re-link the model's findings to the real values before they are returned.
+
+export const redactionEnabled = () => (process.env.REDACTION || 'off').toLowerCase() === 'on';
+
+const FIELD_LABELS = {
+    name: 'Name',
+    passport_number: 'Passport number',
+    personal_number: 'Personal number',
+    mrz: 'Machine readable zone',
+    email: 'Email address',
+    phone: 'Phone number',
+    address: 'Address',
+    date_of_birth: 'Date of birth',
+    iban: 'IBAN',
+    account_number: 'Account number',
+    tax_id: 'Tax or national ID',
+};
+
+// Values that are personal on their own, most specific first. Labelled
+// patterns mask only their `value` group, so the model still sees the label.
+// The first ones can contain a known name, so they are matched before it.
+const CONTAINERS = [
+    { field: 'mrz', pattern: /[A-Z0-9<]{10,}<<[A-Z0-9<]{10,}/g },
+    { field: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { field: 'name', pattern: /\b(?:Dear|Mr|Mrs|Ms|Miss|Dr)\.? +(?<value>\p{Lu}[\p{L}'-]+(?: +\p{Lu}[\p{L}'-]+){0,3})/gu },
+    { field: 'name', pattern: /\b(?:(?:full |given |sur)?names?|account holder|customer|student|applicant)\s*:[ \t]*(?<value>\p{L}[\p{L} .'-]{0,40}\p{L})/giu },
+];
+
+const PATTERNS = [
+    { field: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+    { field: 'address', pattern: /\b(?:address|residence|resident at)\b\s*[:-]?\s*(?<value>[^\n]{6,})/gi },
+    { field: 'date_of_birth', pattern: /\b(?:date of birth|d\.?o\.?b\.?|born(?: on)?)\s*[:-]?\s*(?<value>\d{1,2}[\s./-]+(?:\d{1,2}|[A-Za-z]{3,9})[\s./-]+\d{2,4}|\d{4}-\d{2}-\d{2})/gi },
+    { field: 'account_number', pattern: /\b(?:a\/c|acct|account)\s*(?:no\.?|number|#)\s*[:-]?\s*(?<value>[A-Z]{0,4}[\dX* -]{5,22}\d)/gi },
+    { field: 'passport_number', pattern: /\b[A-Z]{1,2}\d{6,8}\b/g },
+    { field: 'tax_id', pattern: /\b(?:[A-Z]{5}\d{4}[A-Z]|\d{3}-\d{2}-\d{4})\b/g },
+    { field: 'phone', pattern: /\+\d{1,3}[\s-]?\(?\d{2,5}\)?[\s-]?\d{3,5}[\s-]?\d{3,5}\b/g },
+    // Long digit runs: account, card and ID numbers. Amounts keep their decimals.
+    { field: 'account_number', pattern: /(?<![\d.,])\d(?:[ -]?\d){8,18}(?!\d|[.,]\d)/g },
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = (value) => value.replace(/\s+/g, ' ').trim().toUpperCase();
+const PLACEHOLDER = /\[([A-Z_]+_\d+)\]/g;
+
+/**
+ * The redaction of one analysis request: finds and masks personal data,
+ * keeps which placeholder stands for which original, and re-links the
+ * model's answer to the originals.
+ */
+export class Redaction {
+    constructor() {
+        this.known = [];             // { field, pattern } for values known to be personal
+        this.originals = new Map();  // placeholder -> original
+        this.placeholders = new Map(); // normalized original -> placeholder
+        this.fields = new Map();     // field -> { count, documents: Set }
+        this.documents = [];         // { name, type, method }
+        this.relinked = 0;
+    }
+
+    // Masks `value` (a name, a passport number…) wherever it appears as a word.
+    addKnown(field, value) {
+        const text = String(value ?? '').trim();
+        if (text.length < 2) return;
+        this.known.push({ field, pattern: new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(text)}(?![\\p{L}\\d])`, 'giu') });
+    }
+
+    // Personal data in `text` as [{ field, start, end, value }], without overlaps.
+    find(text) {
+        const matches = [];
+        [...CONTAINERS, ...this.known, ...PATTERNS].forEach(({ field, pattern }) => {
+            for (const m of text.matchAll(pattern)) {
+                const value = m.groups?.value ?? m[0];
+                const start = m.index + m[0].lastIndexOf(value);
+                const end = start + value.length;
+                if (!matches.some(o => start < o.end && end > o.start)) matches.push({ field, start, end, value });
+            }
+        });
+        return matches.sort((a, b) => a.start - b.start);
+    }
+
+    // Counts a masked value of `field` in document `source`.
+    note(field, source) {
+        const entry = this.fields.get(field) || { count: 0, documents: new Set() };
+        entry.count += 1;
+        if (source) entry.documents.add(source);
+        this.fields.set(field, entry);
+    }
+
+    placeholder(field, value, source) {
+        this.note(field, source);
+        const key = normalize(value);
+        if (!this.placeholders.has(key)) {
+            const n = [...this.placeholders.values()].filter(p => p.startsWith(`[${field.toUpperCase()}_`)).length + 1;
+            const token = `[${field.toUpperCase()}_${n}]`;
+            this.placeholders.set(key, token);
+            this.originals.set(token.slice(1, -1), value);
+        }
+        return this.placeholders.get(key);
+    }
+
+    // `text` with its personal data replaced by placeholders.
+    mask(text, source) {
+        let out = '';
+        let last = 0;
+        this.find(text).forEach(({ field, start, end, value }) => {
+            out += text.slice(last, start) + this.placeholder(field, value, source);
+            last = end;
+        });
+        return out + text.slice(last);
+    }
+
+    // Masks originals that came back unmasked, e.g. in a relinked answer sent back for repair.
+    reapply(text) {
+        return [...this.placeholders].sort(([a], [b]) => b.length - a.length).reduce((out, [key, token]) => (
+            out.replace(new RegExp(escapeRegExp(key).replace(/ /g, '\\s+'), 'gi'), token)
+        ), text);
+    }
+
+    // `value` (any JSON) with every placeholder replaced by its original.
+    relink(value) {
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER, (token, id) => {
+                if (!this.originals.has(id)) return token;
+                this.relinked += 1;
+                return this.originals.get(id);
+            });
+        }
+        if (Array.isArray(value)) return value.map(v => this.relink(v));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.relink(v)]));
+        }
+        return value;
+    }
+
+    /**
+     * What was redacted, for `result.meta.redaction`. Lists fields and
+     * documents only, never the original values.
+     */
+    summary() {
+        return {
+            fields: [...this.fields].map(([field, { count, documents }]) => ({
+                field,
+                label: FIELD_LABELS[field] || field,
+                count,
+                documents: [...documents],
+            })),
+            documents: this.documents,
+            relinked: this.relinked,
+        };
+    }
+}
+
+const BLUR_PADDING = 6;
+
+// Blurs `regions` ({ x0, y0, x1, y1 } in pixels) of an EXIF-rotated image.
+// Re-encoding also drops the file's metadata (camera, GPS).
+async function blurRegions(buffer, regions, { width, height }, mimetype) {
+    const base = await sharp(buffer).rotate().toBuffer();
+    const overlays = await Promise.all(regions.map(async ({ x0, y0, x1, y1 }) => {
+        const left = Math.max(0, Math.floor(x0 - BLUR_PADDING));
+        const top = Math.max(0, Math.floor(y0 - BLUR_PADDING));
+        const w = Math.min(width, Math.ceil(x1 + BLUR_PADDING)) - left;
+        const h = Math.min(height, Math.ceil(y1 + BLUR_PADDING)) - top;
+        if (w < 1 || h < 1) return null;
+        const input = await sharp(base).extract({ left, top, width: w, height: h }).blur(Math.max(8, h / 2)).toBuffer();
+        return { input, left, top };
+    }));
+    const image = sharp(base).composite(overlays.filter(Boolean));
+    return mimetype === 'image/jpeg' ? image.jpeg({ quality: 90 }).toBuffer() : image.png().toBuffer();
+}
+
+async function redactImage(doc, redaction) {
+    const layout = await ocrLayout(doc.buffer);
+    const regions = layout.lines.flatMap((line) => {
+        // Where each word sits in the line's text.
+        let text = '';
+        const spans = line.words.map((word) => {
+            if (text) text += ' ';
+            const start = text.length;
+            text += word.text;
+            return { start, end: text.length, bbox: word.bbox };
+        });
+        return redaction.find(text).map(({ field, start, end }) => {
+            redaction.note(field, doc.originalname);
+            const boxes = spans.filter(s => s.start < end && s.end > start).map(s => s.bbox);
+            return {
+                x0: Math.min(...boxes.map(b => b.x0)),
+                y0: Math.min(...boxes.map(b => b.y0)),
+                x1: Math.max(...boxes.map(b => b.x1)),
+                y1: Math.max(...boxes.map(b => b.y1)),
+            };
+        });
+    });
+    if (doc.type === 'passport') {
+        regions.push({ x0: 0, y0: layout.height * MRZ_BAND_TOP, x1: layout.width, y1: layout.height });
+        redaction.note('mrz', doc.originalname);
+    }
+    const mimetype = doc.mimetype === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    const buffer = await blurRegions(doc.buffer, regions, layout, mimetype);
+    return { ...doc, mimetype, buffer, size: buffer.length, redaction: 'blurred' };
+}
+
+async function redactText(doc, redaction) {
+    const text = doc.mimetype === 'text/csv' ? doc.buffer.toString('utf8') : (await extractText(doc)).text;
+    if (!text.trim()) return null;
+    return { ...doc, text: redaction.mask(text, doc.originalname), redaction: 'masked_text' };
+}
+
+// The redacted stand-in for `doc`, or a withheld entry when it cannot be redacted.
+async function redactDocument(doc, redaction) {
+    try {
+        const redacted = doc.mimetype?.startsWith('image/')
+            ? await redactImage(doc, redaction)
+            : ['application/pdf', 'text/csv'].includes(doc.mimetype) && await redactText(doc, redaction);
+        if (redacted) return redacted;
+    } catch (err) {
+        console.error(`Redaction of ${doc.originalname} failed:`, err.message);
+    }
+    return { ...doc, buffer: null, redaction: 'withheld' };
+}
+
+/**
+ * Redacts an analysis input before it is sent to an AI provider. Names in the
+ * profile and the passport's MRZ fields are masked everywhere they appear.
+ * Returns { profile, documents, redaction }: documents carry `redaction`
+ * ('blurred', 'masked_text' or 'withheld') and, for masked text, `text`
+ * instead of a file; `redaction` is the Redaction holding the mapping.
+ */
+export async function redactInput({ profile, documents }, { onProgress } = {}) {
+    const redaction = new Redaction();
+    String(profile.name || '').split(/\s+/).forEach(part => redaction.addKnown('name', part));
+
+    for (const doc of documents.filter(d => d.type === 'passport')) {
+        const { fields } = await extractPassport(doc, profile);
+        if (!fields) continue;
+        redaction.addKnown('passport_number', fields.passport_number);
+        redaction.addKnown('personal_number', fields.personal_number);
+        [fields.surname, fields.given_names].join(' ').split(/\s+/).forEach(part => redaction.addKnown('name', part));
+    }
+
+    const redacted = [];
+    for (const [index, doc] of documents.entries()) {
+        const result = await redactDocument(doc, redaction);
+        redaction.documents.push({ name: doc.originalname, type: doc.type, method: result.redaction });
+        onProgress?.({ phase: 'redacting', index, name: doc.originalname, method: result.redaction });
+        redacted.push(result);
+    }
+
+    return {
+        profile: profile.name ? { ...profile, name: redaction.mask(String(profile.name), 'profile') } : profile,
+        documents: redacted,
+        redaction,
+    };
+}
@@ -0,0 +1,53 @@
+import sharp from 'sharp';
+
+// Charts for the PDF report, drawn as SVG and rasterized with sharp so the
+// report looks the same as the dashboard without a browser.
+
+export const BRAND = { navy: '#0b2030', teal: '#14b8a6', indigo: '#4f46e5', green: '#16a34a', amber: '#f59e0b', red: '#ef4444', grey: '#94a3b8' };
+
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+// Same thresholds as the dashboard's ScoreGauge.
+export const scoreColor = (score) => (score > 75 ? BRAND.green : score > 50 ? BRAND.amber : BRAND.red);
+const riskColor = (value) => (value >= 60 ? BRAND.red : value >= 35 ? BRAND.amber : BRAND.green);
+
+// Rendered at `scale`× so the images stay sharp when printed.
+const toPng = (svg, scale = 3) => sharp(Buffer.from(svg), { density: 72 * scale }).png().toBuffer();
+
+/**
+ * Circular score gauge (0–100) as a PNG buffer, `size` points wide.
+ */
+export function gaugeImage(score, size = 120) {
+    const r = size / 2 - 10;
+    const c = size / 2;
+    const circumference = 2 * Math.PI * r;
+    const filled = (Math.max(0, Math.min(100, score)) / 100) * circumference;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+        <circle cx="${c}" cy="${c}" r="${r}" fill="none" stroke="#e2e8f0" stroke-width="10"/>
+        <circle cx="${c}" cy="${c}" r="${r}" fill="none" stroke="${scoreColor(score)}" stroke-width="10" stroke-linecap="round"
+            stroke-dasharray="${filled} ${circumference}" transform="rotate(-90 ${c} ${c})"/>
+        <text x="${c}" y="${c + 9}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="26" font-weight="bold" fill="${BRAND.navy}">${Math.round(score)}%</text>
+    </svg>`;
+    return toPng(svg);
+}
+
+/**
+ * Horizontal bar chart of the risk items ({ label, value } on 0–100) as a
+ * PNG buffer, `width` points wide.
+ */
+export function riskChartImage(risk, width = 495) {
+    const labelWidth = 110;
+    const row = 26;
+    const height = risk.length * row + 24;
+    const scale = (v) => ((width - labelWidth - 40) * Math.max(0, Math.min(100, v))) / 100;
+    const bars = risk.map((r, i) => {
+        const y = i * row + 4;
+        return `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end" font-family="Helvetica, Arial, sans-serif" font-size="11" fill="${BRAND.navy}">${escapeXml(r.label)}</text>
+            <rect x="${labelWidth}" y="${y + 3}" width="${scale(100)}" height="14" rx="4" fill="#f1f5f9"/>
+            <rect x="${labelWidth}" y="${y + 3}" width="${scale(r.value)}" height="14" rx="4" fill="${riskColor(r.value)}"/>
+            <text x="${labelWidth + scale(r.value) + 6}" y="${y + 14}" font-family="Helvetica, Arial, sans-serif" font-size="10" fill="${BRAND.navy}">${Math.round(r.value)}</text>`;
+    }).join('');
+    const ticks = [0, 25, 50, 75, 100].map(t => `<text x="${labelWidth + scale(t)}" y="${height - 4}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="9" fill="${BRAND.grey}">${t}</text>`).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${bars}${ticks}</svg>`;
+    return toPng(svg);
+}
@@ -0,0 +1,47 @@
+import { formatMoney } from '../currency.js';
+
+// Action checklist for the report, built from what the analysis found:
+// missing or weak documents, contradictions, failed destination rules, a
+// funds shortfall and high risk areas. Most urgent first.
+
+const PRIORITY = { high: 0, medium: 1, low: 2 };
+const firstSentence = (s) => String(s || '').split(/(?<=\.)\s/)[0];
+
+/**
+ * Returns [{ text, priority: 'high' | 'medium' | 'low' }].
+ */
+export function actionChecklist(result) {
+    const items = [];
+    const add = (priority, text) => {
+        if (!items.some(i => i.text === text)) items.push({ text, priority });
+    };
+
+    result.docs.forEach((d) => {
+        if (/not provided/.test(d.note)) add('high', `Upload your ${d.name.toLowerCase()}.`);
+        else if (!d.ok) add('high', `Fix the ${d.name.toLowerCase()}: ${firstSentence(d.note)}`);
+        (d.findings || []).forEach((f) => {
+            if (f.severity === 'error') add('high', `Resolve: ${f.message}`);
+            else if (f.severity === 'warning') add('medium', `Check: ${f.message}`);
+        });
+    });
+
+    const destination = result.countries?.[0];
+    destination?.rules?.filter(r => r.passed === false).forEach((r) => {
+        add('high', `Meet the ${destination.name} ${destination.visa} ${r.label.toLowerCase()} requirement: ${r.explanation}`);
+    });
+
+    const coverage = result.finances?.coverage;
+    if (coverage?.shortfall > 0) {
+        add('high', `Show another ${formatMoney(coverage.shortfall, coverage.currency)} to cover the full ${coverage.monthsNeeded}-month stay.`);
+    }
+
+    result.risk.forEach((r) => {
+        if (r.value < 60) return;
+        if (r.label === 'Travel History') add('medium', 'Prepare evidence of ties to your home country: family, job, property.');
+        else if (r.label === 'Purpose') add('medium', 'Write a clear statement of purpose for the trip.');
+        else if (r.label === 'Finances') add('medium', 'Strengthen your proof of funds: sponsor letters, loan sanctions, older statements.');
+    });
+
+    add('low', 'Practice the visa interview until your readiness is above 75%.');
+    return items.sort((a, b) => PRIORITY[a.priority] - PRIORITY[b.priority]);
+}
@@ -0,0 +1,25 @@
+import { actionChecklist } from './checklist.js';
+
+// Machine-readable export of an analysis for case-management tools. The
+// envelope is versioned so importers can reject formats they don't know.
+
+export const EXPORT_FORMAT = 'visa-genius-x/report';
+export const EXPORT_VERSION = 1;
+
+/**
+ * The JSON export for a snapshot `{ profile, result }`: the profile, the full
+ * dashboard result (score, factors, findings, countries, risk) and the same
+ * action checklist the PDF prints.
+ */
+export function reportExport({ profile, result }, { generatedAt = new Date(), appVersion = '' } = {}) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        generatedAt: generatedAt.toISOString(),
+        generator: { name: 'Visa Genius X', version: appVersion },
+        analysisId: result.meta?.analysisId ?? null,
+        profile,
+        result,
+        checklist: actionChecklist(result),
+    };
+}
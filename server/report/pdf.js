@@ -0,0 +1,169 @@
+import PDFDocument from 'pdfkit';
+import { BRAND, gaugeImage, riskChartImage, scoreColor } from './charts.js';
+import { actionChecklist } from './checklist.js';
+
+// Branded PDF report for an analysis: score gauge, reasons, document findings,
+// digital twin, country comparison, risk chart and an action checklist, with
+// the generation time and engine versions in every page footer.
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+
+// The built-in PDF fonts only cover WinAnsi; swap what they cannot draw.
+const SWAPS = { '≈': '~', '−': '-', '₹': 'INR ', '✓': 'OK', '✗': 'X', '⚠': '!', '→': '->', '≤': '<=', '≥': '>=' };
+const pdfText = (s) => String(s ?? '')
+    .replace(/[≈−₹✓✗⚠→≤≥]/g, c => SWAPS[c])
+    .replace(/[^\n\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018-\u201D\u2022\u2026\u20AC]/gu, '');
+
+const SEVERITY_COLOR = { error: BRAND.red, warning: BRAND.amber, info: BRAND.grey };
+
+function heading(doc, text) {
+    if (doc.y > doc.page.height - MARGIN - FOOTER_HEIGHT - 60) doc.addPage();
+    doc.moveDown(0.8)
+        .font('Helvetica-Bold').fontSize(13).fillColor(BRAND.navy).text(pdfText(text), MARGIN)
+        .moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).lineWidth(1).strokeColor(BRAND.teal).stroke()
+        .moveDown(0.5);
+}
+
+function body(doc, text, { color = '#1e293b', size = 10, indent = 0, bold = false } = {}) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color)
+        .text(pdfText(text), MARGIN + indent, doc.y, { width: doc.page.width - 2 * MARGIN - indent });
+}
+
+function header(doc, { profile, result, generatedAt }) {
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.navy);
+    doc.roundedRect(MARGIN, 24, 42, 42, 8).fill(BRAND.teal);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(BRAND.navy).text('VG', MARGIN, 37, { width: 42, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#ffffff').text('Visa Genius X', MARGIN + 56, 26);
+    doc.font('Helvetica').fontSize(10).fillColor('#99f6e4').text('Visa Readiness Report', MARGIN + 56, 52);
+
+    const applicant = [profile.name || result.twin?.name || 'Applicant', profile.purpose, profile.dest_country && `to ${profile.dest_country}`].filter(Boolean).join(' · ');
+    doc.font('Helvetica').fontSize(9).fillColor('#e2e8f0')
+        .text(pdfText(applicant), MARGIN, 30, { width: doc.page.width - 2 * MARGIN, align: 'right' })
+        .text(generatedAt.toISOString().slice(0, 10), MARGIN, 44, { width: doc.page.width - 2 * MARGIN, align: 'right' });
+    doc.y = 110;
+}
+
+async function scoreSection(doc, result) {
+    const top = doc.y;
+    doc.image(await gaugeImage(result.score), MARGIN, top, { width: 110 });
+    const x = MARGIN + 130;
+    const width = doc.page.width - MARGIN - x;
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND.grey).text('Visa success probability', x, top + 4, { width });
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(scoreColor(result.score)).text(pdfText(result.plain), x, doc.y + 2, { width });
+    doc.moveDown(0.4).font('Helvetica-Bold').fontSize(10).fillColor(BRAND.navy).text('Key reasons', x, doc.y, { width });
+    result.reasons.forEach((r) => {
+        doc.font('Helvetica').fontSize(9.5).fillColor('#1e293b').text(`• ${pdfText(r)}`, x, doc.y + 2, { width });
+    });
+    doc.y = Math.max(doc.y, top + 120);
+}
+
+function documentsSection(doc, result) {
+    heading(doc, 'Document findings');
+    result.docs.forEach((d) => {
+        body(doc, `${d.name} — ${d.ok ? 'Good' : 'Issue'}`, { bold: true, color: d.ok ? BRAND.green : BRAND.red });
+        body(doc, d.note, { size: 9, indent: 10 });
+        (d.findings || []).filter(f => f.severity !== 'info').forEach((f) => {
+            body(doc, `${f.severity === 'error' ? 'Error' : 'Warning'}: ${f.message}`, { size: 9, indent: 10, color: SEVERITY_COLOR[f.severity] });
+        });
+        doc.moveDown(0.4);
+    });
+}
+
+function twinSection(doc, twin) {
+    heading(doc, 'Digital twin');
+    body(doc, `${twin.name || 'Applicant'} — confidence ${twin.confidence}%`, { bold: true });
+    body(doc, `Traits: ${(twin.traits || []).join(', ') || 'none'}`, { size: 9.5 });
+}
+
+function countriesSection(doc, countries) {
+    heading(doc, 'Country comparison');
+    countries.forEach((c) => {
+        body(doc, `${c.name}${c.visa ? ` (${c.visa})` : ''}: ${c.score}%`, { bold: true, color: scoreColor(c.score) });
+        body(doc, c.reason, { size: 9, indent: 10 });
+        doc.moveDown(0.3);
+    });
+}
+
+async function riskSection(doc, risk) {
+    heading(doc, 'Risk overview');
+    const image = await riskChartImage(risk);
+    const height = risk.length * 26 + 24; // as drawn by riskChartImage
+    if (doc.y + height > doc.page.height - MARGIN - FOOTER_HEIGHT) doc.addPage();
+    doc.image(image, MARGIN, doc.y, { width: 495 });
+    doc.y += height + 4;
+    risk.filter(r => r.detail).forEach(r => body(doc, `${r.label}: ${r.detail}`, { size: 9, color: BRAND.grey }));
+}
+
+function checklistSection(doc, items) {
+    heading(doc, 'Action checklist');
+    items.forEach((item) => {
+        if (doc.y > doc.page.height - MARGIN - FOOTER_HEIGHT - 20) doc.addPage();
+        const y = doc.y + 1;
+        doc.rect(MARGIN, y, 9, 9).lineWidth(0.8).strokeColor(BRAND.navy).stroke();
+        const label = { high: 'High', medium: 'Medium', low: 'Low' }[item.priority];
+        doc.font('Helvetica-Bold').fontSize(8).fillColor(item.priority === 'high' ? BRAND.red : item.priority === 'medium' ? BRAND.amber : BRAND.grey)
+            .text(label, MARGIN + 16, y + 1, { width: 40 });
+        doc.font('Helvetica').fontSize(9.5).fillColor('#1e293b')
+            .text(pdfText(item.text), MARGIN + 58, y, { width: doc.page.width - 2 * MARGIN - 58 });
+        doc.moveDown(0.3);
+    });
+}
+
+// "Generated … · Engine … · Rulebook … · Page n of N" on every page.
+function footers(doc, { result, generatedAt, appVersion }) {
+    const { meta = {} } = result;
+    const engine = [meta.engine || 'unknown', meta.model && `(${meta.model})`].filter(Boolean).join(' ');
+    const rulebook = result.countries?.find(c => c.rulebookVersion)?.rulebookVersion;
+    const text = [
+        `Generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+        meta.analyzedAt && `analyzed ${meta.analyzedAt.replace('T', ' ').slice(0, 16)} UTC`,
+        `Engine ${engine}${meta.fallbackFrom ? ` (fallback from ${meta.fallbackFrom})` : ''}`,
+        rulebook && `Rulebook ${rulebook}`,
+        `Visa Genius X ${appVersion}`,
+    ].filter(Boolean).join('  |  ');
+
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0; // writing inside the margin must not add a page
+        const y = doc.page.height - MARGIN + 10;
+        doc.moveTo(MARGIN, y - 6).lineTo(doc.page.width - MARGIN, y - 6).lineWidth(0.5).strokeColor(BRAND.grey).stroke();
+        doc.font('Helvetica').fontSize(7.5).fillColor(BRAND.grey)
+            .text(pdfText(text), MARGIN, y, { width: doc.page.width - 2 * MARGIN - 60, lineBreak: false })
+            .text(`Page ${i + 1} of ${count}`, doc.page.width - MARGIN - 60, y, { width: 60, align: 'right', lineBreak: false });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+/**
+ * Renders the report for `result` (the dashboard result with `meta`) and the
+ * `profile` it was made for. Resolves to a PDF buffer.
+ */
+export async function renderReportPdf({ result, profile = {}, generatedAt = new Date(), appVersion = '' }) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT },
+        bufferPages: true,
+        info: { Title: `Visa readiness report${profile.name ? ` – ${profile.name}` : ''}`, Author: 'Visa Genius X', CreationDate: generatedAt },
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    header(doc, { profile, result, generatedAt });
+    await scoreSection(doc, result);
+    documentsSection(doc, result);
+    if (result.twin) twinSection(doc, result.twin);
+    countriesSection(doc, result.countries);
+    await riskSection(doc, result.risk);
+    checklistSection(doc, actionChecklist(result));
+    footers(doc, { result, generatedAt, appVersion });
+
+    doc.end();
+    return done;
+}
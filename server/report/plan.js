@@ -0,0 +1,291 @@
+import { formatMoney } from '../currency.js';
+import { findRuleBook } from '../rulebook.js';
+import { DOCUMENT_TYPES } from '../documents.js';
+import { plainForScore } from '../schema.js';
+
+// Approval action plan: the weak spots of an analysis (document findings,
+// failed or unchecked destination rules, a funds shortfall, high risk areas)
+// as an ordered list of concrete tasks. Each task has an estimated score
+// impact, an effort and, when the travel or intake date is known, the date to
+// start it by and the date it is due. Ticking tasks off re-estimates the score.
+
+// Applications go in this many days before the travel or intake date.
+export const PROCESSING_DAYS = 30;
+
+// Days a task takes, by effort.
+const EFFORT_DAYS = { low: 3, medium: 14, high: 45 };
+const PRIORITY = { high: 0, medium: 1, low: 2 };
+// Points assumed for tasks no score factor accounts for, and the most all
+// of them together may add.
+const ESTIMATED_IMPACT = { high: 5, medium: 3, low: 1 };
+const ESTIMATED_LIMIT = 10;
+
+// Tasks for document findings, by finding code: the task text (given the
+// document name and the finding), its effort and, for long tasks, the days it takes.
+const FINDING_TASKS = {
+    passport_expired: { task: () => 'Renew your passport.', effort: 'high', days: 30 },
+    passport_expiring: { task: () => 'Renew your passport so it is valid for 6 months beyond your stay.', effort: 'high', days: 30 },
+    passport_expires_before_start: { task: () => 'Renew your passport: it expires before your program starts.', effort: 'high', days: 30 },
+    short_history: {
+        task: (doc, f) => {
+            const months = f.expectedDays > f.days ? Math.ceil((f.expectedDays - f.days) / 30) : null;
+            return months ? `Add ${months} more month${months > 1 ? 's' : ''} of bank history (older statements or a longer export).` : 'Upload a longer bank statement.';
+        },
+        effort: 'low',
+    },
+    large_deposit: { task: () => 'Keep recent large deposits in the account for 28 days, or document where they came from (sale deed, gift letter, loan sanction).', effort: 'medium', days: 28 },
+    negative_balance: { task: () => 'Add a short letter explaining the overdraft on your statement.', effort: 'low' },
+    no_transactions: { task: doc => `Upload the full ${doc} with its transactions (the bank's CSV export works best).`, effort: 'low' },
+    no_balances: { task: doc => `Upload a ${doc} that shows running balances.`, effort: 'low' },
+    start_date_passed: { task: () => 'Ask the institution for a deferred offer: the program start date has passed.', effort: 'high', days: 30 },
+    start_date_close: { task: () => 'Apply as soon as possible, or ask the institution about a later intake.', effort: 'low' },
+    offer_fields_missing: { task: () => 'Get a complete offer letter showing the institution, program, start date and tuition.', effort: 'medium' },
+    funds_below_tuition: { task: () => 'Show funds that cover at least the first year of tuition.', effort: 'high' },
+    name_mismatch: { task: (doc, f) => `Fix the name mismatch: ${f.message} Correct the profile or get a corrected document.`, effort: 'medium' },
+    dob_inconsistent: { task: (doc, f) => `Fix the date of birth mismatch: ${f.message}`, effort: 'medium' },
+    nationality_mismatch: { task: (doc, f) => `Fix the nationality mismatch: ${f.message}`, effort: 'medium' },
+};
+
+// Re-scanning fixes what the scan quality checks find.
+['unreadable', 'mrz_not_found', 'no_text', 'blurred', 'glare', 'cut_off', 'low_dpi'].forEach((code) => {
+    FINDING_TASKS[code] = { task: (doc, f) => `Re-scan the ${doc}: ${f.message}`, effort: 'low' };
+});
+
+// How long getting each kind of document takes, when it is missing.
+const DOCUMENT_EFFORT = {
+    passport: { effort: 'high', days: 30 },
+    bank: { effort: 'low' },
+    offer: { effort: 'high', days: 45 },
+    language: { effort: 'high', days: 60 },
+    transcript: { effort: 'medium' },
+    employment: { effort: 'medium' },
+    itinerary: { effort: 'low' },
+};
+
+// Tasks for risk areas at or above RISK_THRESHOLD; the model names them differently.
+const RISK_THRESHOLD = 60;
+const RISK_TASKS = [
+    { labels: /travel|history|ties/i, id: 'ties', task: 'Prepare evidence of ties to your home country: family, job, property.', effort: 'medium' },
+    { labels: /purpose|intent/i, id: 'purpose', task: 'Write a clear statement of purpose for the trip.', effort: 'medium' },
+    { labels: /financ|fund/i, id: 'funds', task: 'Strengthen your proof of funds: sponsor letters, loan sanctions, older statements.', effort: 'medium' },
+];
+
+const slug = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// The points a score factor left on the table, { factor, deficit }: its
+// weight minus what it contributed. Null when no factor matches.
+function factorDeficit(factors = [], match) {
+    const factor = factors.find(f => typeof match === 'string' ? f.name === match : match.test(f.name));
+    if (!factor || typeof factor.weight !== 'number' || typeof factor.contribution !== 'number') return null;
+    return { factor: factor.name, deficit: Math.max(0, Math.round(factor.weight - factor.contribution)) };
+}
+
+// The travel or intake date the plan works back from: the profile's, else the offer letter's start date.
+function targetDate(profile, result) {
+    const start = result.docs.find(d => d.fields?.start_date)?.fields.start_date;
+    const value = profile.travel_date || start;
+    const date = value && new Date(value);
+    return date && !Number.isNaN(date.getTime()) ? { date, source: profile.travel_date ? 'profile' : 'offer' } : null;
+}
+
+// "IELTS 6.5", preferring the test the applicant named when it is accepted.
+function languageGoal(profile, destination) {
+    const spec = findRuleBook(destination?.name)?.purposes[destination.purpose]?.language;
+    if (!spec) return null;
+    const taken = spec.anyOf.find(t => t.test.toLowerCase() === String(profile.language_test || '').toLowerCase());
+    const goal = taken || spec.anyOf[0];
+    return `${goal.test} ${goal.min}`;
+}
+
+/**
+ * Builds the action plan for an analysis `result` of `profile`:
+ * { analysisId, generatedAt, target: { date, source } | null, score, deficits, items }
+ * where each item is { id, task, why, category, priority, factor, impact,
+ * estimated, effort, days, startBy, due, late, done }. `impact` is the
+ * estimated score gain, a share of the deficit (see `deficits`, by factor
+ * name) of the score `factor` it would lift; `estimated` marks impacts no
+ * score factor accounts for. Items are in the order to work on them: highest
+ * priority, then earliest start.
+ */
+export function actionPlan(result, profile = {}, { now = new Date() } = {}) {
+    const factors = result.factors || [];
+    const deficits = {};
+    const deficit = (match) => {
+        const found = factorDeficit(factors, match);
+        if (found) deficits[found.factor] = found.deficit;
+        return found;
+    };
+    const items = [];
+    const add = (item) => {
+        if (items.some(i => i.id === item.id)) return;
+        // findings that call for the same task make one task worth all of them
+        const same = items.find(i => i.task === item.task);
+        if (!same) items.push(item);
+        else if (same.factor && same.factor === item.factor) same.impact = Math.min(deficits[same.factor], same.impact + item.impact);
+    };
+
+    const missingDocument = (label, why) => {
+        const type = Object.keys(DOCUMENT_TYPES).find(t => DOCUMENT_TYPES[t] === label);
+        const backing = deficit(label);
+        add({
+            id: `missing:${slug(label)}`,
+            task: `Get and upload your ${label.toLowerCase()}.`,
+            why,
+            category: 'Documents',
+            priority: 'high',
+            ...(backing && { factor: backing.factor }),
+            impact: backing?.deficit ?? null,
+            ...(DOCUMENT_EFFORT[type] || { effort: 'medium' }),
+        });
+    };
+    const provided = (label) => result.docs.some(d => d.name === label && !/not provided/.test(d.note));
+
+    // documents: each finding becomes a task; the document's missing points are shared between them
+    result.docs.forEach((d) => {
+        const name = d.name.toLowerCase();
+        if (/not provided/.test(d.note)) {
+            missingDocument(d.name, d.note);
+            return;
+        }
+        const findings = (d.findings || []).filter(f => !f.documents && (f.severity === 'error' || f.severity === 'warning'));
+        const backing = deficit(d.name);
+        const share = backing && (backing.deficit > 0 ? Math.max(1, Math.round(backing.deficit / findings.length)) : 0);
+        findings.forEach((f) => {
+            const known = FINDING_TASKS[f.code];
+            const tamper = f.code?.startsWith('tamper_');
+            add({
+                id: `finding:${slug(d.name)}:${f.code || slug(f.message)}`,
+                task: known ? known.task(name, f)
+                    : tamper ? `Get a fresh copy of your ${name} directly from the issuer and upload it unedited.`
+                        : `${f.severity === 'error' ? 'Resolve' : 'Check'}: ${f.message}`,
+                why: f.message,
+                category: 'Documents',
+                priority: f.severity === 'error' ? 'high' : 'medium',
+                ...(backing && { factor: backing.factor }),
+                impact: share,
+                effort: known?.effort || (tamper ? 'medium' : f.severity === 'error' ? 'medium' : 'low'),
+                ...(known?.days && { days: known.days }),
+            });
+        });
+    });
+
+    // contradictions between documents, once each
+    const contradictions = [...new Map(result.docs.flatMap(d => (d.findings || []).filter(f => f.documents && f.severity !== 'info'))
+        .map(f => [f.message, f])).values()];
+    const consistency = deficit('Cross-document consistency');
+    contradictions.forEach((f) => {
+        add({
+            id: `mismatch:${f.code || slug(f.message)}`,
+            task: FINDING_TASKS[f.code]?.task('', f) || `Make your ${f.documents.map(n => n.toLowerCase()).join(' and ')} agree: ${f.message}`,
+            why: f.message,
+            category: 'Consistency',
+            priority: f.severity === 'error' ? 'high' : 'medium',
+            ...(consistency && { factor: consistency.factor }),
+            impact: consistency ? Math.round(consistency.deficit / contradictions.length) : null,
+            effort: 'medium',
+        });
+    });
+
+    // funds short of the stay
+    const coverage = result.finances?.coverage;
+    if (coverage?.shortfall > 0) {
+        const backing = deficit(/^funds/i);
+        add({
+            id: 'funds:shortfall',
+            task: `Show another ${formatMoney(coverage.shortfall, coverage.currency)} to cover the full ${coverage.monthsNeeded}-month stay (savings, a sponsor or an education loan).`,
+            why: `Your funds cover ${coverage.monthsCovered} of ${coverage.monthsNeeded} months.`,
+            category: 'Finances',
+            priority: 'high',
+            ...(backing && { factor: backing.factor }),
+            impact: backing?.deficit ?? null,
+            effort: 'high',
+            days: 30,
+        });
+    }
+
+    // destination rules that failed or could not be checked
+    const destination = findRuleBook(profile.dest_country) && result.countries?.[0];
+    destination?.rules?.filter(r => r.passed !== true).forEach((r) => {
+        const priority = r.passed === false ? 'high' : 'medium';
+        const base = { id: `rule:${r.id}`, why: `${destination.name} ${destination.visa}: ${r.explanation}`, category: 'Requirements', priority };
+        if (r.id === 'language') {
+            const goal = languageGoal(profile, destination);
+            add({ ...base, task: goal ? `Obtain ${goal} or higher.` : 'Take an accepted language test.', effort: 'high', days: 60 });
+        } else if (r.id === 'funds' && !coverage?.shortfall) {
+            add({ ...base, task: `Meet the ${destination.name} minimum funds requirement: ${r.explanation}`, effort: 'high', days: 30 });
+        } else if (r.id === 'documents') {
+            // documents with issues already have their tasks
+            const required = findRuleBook(destination.name)?.purposes[destination.purpose]?.documents || [];
+            required.map(type => DOCUMENT_TYPES[type]).filter(label => !provided(label)).forEach(label => missingDocument(label, base.why));
+        } else if (r.id === 'education' && r.passed === null) {
+            add({ ...base, task: 'Add your education level and upload your transcripts.', effort: 'low' });
+        } else if (r.id === 'age' && r.passed === null) {
+            add({ ...base, task: 'Add your age to the profile.', effort: 'low' });
+        }
+    });
+
+    // risk areas at or above the threshold
+    result.risk.filter(r => r.value >= RISK_THRESHOLD).forEach((r) => {
+        const spec = RISK_TASKS.find(t => t.labels.test(r.label));
+        if (!spec || (spec.id === 'funds' && items.some(i => i.category === 'Finances'))) return;
+        add({ id: `risk:${spec.id}`, task: spec.task, why: `${r.label} risk is ${r.value}%.`, category: 'Risk', priority: 'medium', impact: null, effort: spec.effort });
+    });
+
+    const target = targetDate(profile, result);
+    const submitBy = target && addDays(target.date, -PROCESSING_DAYS);
+    const planned = items.map((item) => {
+        const days = item.days ?? EFFORT_DAYS[item.effort];
+        const due = submitBy && isoDate(submitBy);
+        const startBy = submitBy && isoDate(addDays(submitBy, -days));
+        return {
+            ...item,
+            impact: item.impact ?? ESTIMATED_IMPACT[item.priority],
+            estimated: item.impact === null || item.impact === undefined,
+            days,
+            startBy,
+            due,
+            late: Boolean(startBy && startBy < isoDate(now)),
+            done: false,
+        };
+    }).sort((a, b) => PRIORITY[a.priority] - PRIORITY[b.priority] || (b.days - a.days));
+
+    return {
+        analysisId: result.meta?.analysisId ?? null,
+        generatedAt: now.toISOString(),
+        target: target && { date: isoDate(target.date), source: target.source, submitBy: isoDate(submitBy) },
+        score: result.score,
+        deficits,
+        items: planned,
+    };
+}
+
+/**
+ * The score re-estimated from the tasks ticked off: { score, projected,
+ * plain, done, total }. `projected` adds the impact of the done tasks to the
+ * analysis score, netted per score factor: the tasks of one factor together
+ * add at most its deficit, and estimated tasks at most ESTIMATED_LIMIT.
+ */
+export function estimatePlan(plan) {
+    const done = plan.items.filter(i => i.done);
+    const byFactor = new Map();
+    done.forEach((i) => {
+        const key = (!i.estimated && i.factor) || null;
+        byFactor.set(key, (byFactor.get(key) ?? 0) + i.impact);
+    });
+    const gain = [...byFactor].reduce((sum, [factor, points]) => (
+        sum + Math.min(points, factor ? plan.deficits?.[factor] ?? points : ESTIMATED_LIMIT)
+    ), 0);
+    const projected = Math.min(100, plan.score + gain);
+    return { score: plan.score, projected, plain: plainForScore(projected), done: done.length, total: plan.items.length };
+}
+
+/**
+ * A new plan that keeps the ticks of `previous` for the tasks that are still
+ * in it (by id), e.g. after the case is analyzed again.
+ */
+export function carryOver(plan, previous) {
+    const ticked = new Set((previous?.items || []).filter(i => i.done).map(i => i.id));
+    return { ...plan, items: plan.items.map(i => (ticked.has(i.id) ? { ...i, done: true } : i)) };
+}
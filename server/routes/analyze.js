@@ -0,0 +1,274 @@
+import express from 'express';
+import multer from 'multer';
+import { HttpError, toErrorResponse } from '../errors.js';
+import { listEngines, queuePosition, runAnalysis, runSimulation } from '../engines/index.js';
+import { assertCase, recordAnalysis } from '../cases.js';
+import { requireAuth } from '../auth.js';
+import { intakeDocuments, markAnalyzed, releaseDocuments } from '../vault.js';
+import { DOCUMENT_TYPES, checkUploads, megabytes, uploadLimits, validateUploads } from '../documents.js';
+import { classifyDocument } from '../extract/classify.js';
+import { assessDocument } from '../extract/quality.js';
+
+const router = express.Router();
+
+// Form fields are the profile JSON and a few options; the request may be this
+// much larger than its files, for them and the multipart framing.
+const MAX_FIELDS = 20;
+const MAX_FIELD_BYTES = 64 * 1024;
+const FORM_OVERHEAD_BYTES = MAX_FIELDS * MAX_FIELD_BYTES;
+
+// Multer errors that mean the request broke a limit, as 413 messages.
+const LIMIT_MESSAGES = {
+    LIMIT_FILE_SIZE: (limits) => `Files are limited to ${megabytes(limits.maxFileBytes)} each`,
+    LIMIT_FILE_COUNT: (limits) => `Upload at most ${limits.maxFiles} files at a time`,
+    LIMIT_FIELD_COUNT: () => `Send at most ${MAX_FIELDS} form fields`,
+    LIMIT_FIELD_VALUE: () => `Form fields are limited to ${MAX_FIELD_BYTES / 1024} KB each`,
+    LIMIT_FIELD_KEY: () => 'A form field name is too long',
+};
+
+// File upload setup (Memory storage) — nothing is written to disk. The limits
+// are read per request so they follow the environment loaded by dotenv. The
+// per-request total is enforced while the body streams in: a declared
+// Content-Length over it is refused before reading, and a body that grows past
+// it is cut off, so memory never holds more than the limit. Limit errors become 413s.
+function upload(req, res, next) {
+    const limits = uploadLimits();
+    const maxBodyBytes = limits.maxTotalBytes + FORM_OVERHEAD_BYTES;
+    const tooLarge = () => new HttpError(413, `Uploads are limited to ${megabytes(limits.maxTotalBytes)} per request`);
+    if (parseInt(req.get('content-length'), 10) > maxBodyBytes) return next(tooLarge());
+
+    let received = 0;
+    let settled = false;
+    const count = (chunk) => {
+        received += chunk.length;
+        if (received > maxBodyBytes) {
+            req.off('data', count);
+            // Multer listens for request errors: it stops parsing and drops what it has.
+            req.emit('error', tooLarge());
+        }
+    };
+
+    multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: limits.maxFileBytes, files: limits.maxFiles, fields: MAX_FIELDS, fieldSize: MAX_FIELD_BYTES },
+    }).any()(req, res, (err) => {
+        settled = true;
+        req.off('data', count);
+        const message = LIMIT_MESSAGES[err?.code];
+        next(message ? new HttpError(413, message(limits)) : err);
+    });
+    // Counted alongside multer, which has piped the request by now (unless it was not multipart).
+    if (!settled) req.on('data', count);
+}
+
+// Browsers report CSV as anything from text/plain to application/vnd.ms-excel.
+const mimetypeOf = (f) => (/\.csv$/i.test(f.originalname) ? 'text/csv' : f.mimetype);
+
+// Files posted under a slot name (passport, bank, offer, …) are of that type;
+// others (e.g. plain `documents`) are typed by classifyDocument() once checked.
+function toDocuments(files = []) {
+    return files.map(f => ({
+        type: DOCUMENT_TYPES[f.fieldname] ? f.fieldname : null,
+        originalname: f.originalname,
+        mimetype: mimetypeOf(f),
+        size: f.size,
+        buffer: f.buffer,
+    }));
+}
+
+// `profile` is sent as a JSON field; older clients posted the fields flat.
+function parseProfile(body) {
+    if (typeof body.profile !== 'string') {
+        const { engine, caseId, redact, ...flat } = body;
+        return flat;
+    }
+    try {
+        return JSON.parse(body.profile);
+    } catch {
+        throw new HttpError(400, 'The "profile" field must be valid JSON');
+    }
+}
+
+// `redact` overrides REDACTION for one request (on/off, true/false); unset keeps the server default.
+function readRedact(req) {
+    const value = req.query.redact ?? req.body.redact;
+    if (value === undefined || value === '') return undefined;
+    return ['on', 'true', '1'].includes(String(value).toLowerCase());
+}
+
+// Engines and queue load are only of use to someone who can run an analysis.
+router.get('/engines', requireAuth, (req, res) => {
+    res.json({ engines: listEngines() });
+});
+
+// Queue position for a request the caller posted with an `X-Request-Id` header.
+router.get('/queue/:id', requireAuth, (req, res) => {
+    res.json({ id: req.params.id, queued: queuePosition(req.params.id, req.user) });
+});
+
+/**
+ * POST /api/uploads/check
+ * The same multipart uploads as /api/analyze, checked without analyzing:
+ * answers { files: [{ name, type, ok, mimetype?, size?, pages?, width?,
+ * height?, suggestion?, quality?, code?, reason? }] } with one entry per
+ * file, so clients can flag a rejected file before the analysis is started.
+ * `suggestion` is the slot the file looks like: { type, confidence, signals };
+ * `quality` has the image quality of scans and photos: { pages, findings }.
+ */
+router.post('/uploads/check', requireAuth, upload, async (req, res) => {
+    const { documents, files } = await checkUploads(toDocuments(req.files));
+    // Accepted files also get a suggested slot and, for scans, retake guidance.
+    const accepted = files.filter(f => f.ok);
+    for (const [index, doc] of documents.entries()) {
+        const suggestion = await classifyDocument(doc);
+        const { quality } = await assessDocument({ ...doc, type: doc.type || suggestion.type });
+        accepted[index].suggestion = suggestion;
+        if (quality) accepted[index].quality = { pages: quality.pages, findings: quality.findings };
+    }
+    res.json({ files });
+});
+
+async function readAnalyzeRequest(req) {
+    const profile = parseProfile(req.body);
+
+    if (!req.files?.length) {
+        throw new HttpError(400, 'No files uploaded');
+    }
+
+    // Checked up front so a bad case id fails before the model is called.
+    const caseId = req.query.caseId || req.body.caseId || null;
+    if (caseId) assertCase(caseId, req.user);
+
+    // Rejected uploads fail the request with a reason per file (422, `details.files`).
+    const documents = await validateUploads(toDocuments(req.files));
+    for (const doc of documents.filter(d => !d.type)) {
+        doc.type = (await classifyDocument(doc)).type;
+    }
+
+    console.log('Analyzing profile:', profile.name);
+    console.log('Files received:', documents.map(d => `${d.originalname} (${d.type})`));
+
+    return { profile, documents, caseId };
+}
+
+// Runs `analyze(input)`. For a case, the uploads go through the document
+// vault (kept or not by the case's retention, always audited) and the result
+// is saved on the case.
+async function analyzeOnCase({ caseId, ...input }, user, analyze) {
+    if (!caseId) return analyze(input);
+    const intake = intakeDocuments(caseId, input.documents, user);
+    try {
+        const result = await analyze(input);
+        recordAnalysis(caseId, { ...input, result });
+        markAnalyzed(intake, result.meta.analysisId, user);
+        return result;
+    } finally {
+        releaseDocuments(intake, user);
+    }
+}
+
+// Aborts the analysis (and the upstream model call) when the client goes away.
+function abortOnClose(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * POST /api/analyze
+ * multipart/form-data with:
+ *   profile    JSON string with the applicant profile
+ *   passport | bank | offer | language | transcript | employment |
+ *   itinerary | other   uploaded files, by slot; files posted as
+ *              `documents` are classified from their name and content
+ *   engine     optional engine name (also accepted as ?engine=)
+ *   caseId     optional case to save the analysis on (also accepted as ?caseId=)
+ *   redact     optional on/off: mask personal data before it reaches an AI
+ *              provider (also accepted as ?redact=; default REDACTION)
+ */
+router.post('/analyze', requireAuth, upload, async (req, res) => {
+    const request = await readAnalyzeRequest(req);
+    const signal = abortOnClose(res);
+
+    const result = await analyzeOnCase(request, req.user, input => runAnalysis(input, {
+        engine: req.query.engine || req.body.engine,
+        signal,
+        requestId: req.get('x-request-id'),
+        user: req.user,
+        redact: readRedact(req),
+    }));
+    res.json(result);
+});
+
+/**
+ * POST /api/analyze/stream
+ * Same request as /api/analyze, answered as Server-Sent Events:
+ *   event: progress  { phase, ... } for every analysis step
+ *   event: result    the final result
+ *   event: error     { status, error, details? } when the analysis fails
+ * Closing the connection cancels the analysis and the upstream model call.
+ */
+router.post('/analyze/stream', requireAuth, upload, async (req, res) => {
+    const request = await readAnalyzeRequest(req);
+    const signal = abortOnClose(res);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('progress', {
+        phase: 'received',
+        documents: request.documents.map(d => ({ name: d.originalname, type: d.type, size: d.size })),
+    });
+
+    try {
+        const result = await analyzeOnCase(request, req.user, input => runAnalysis(input, {
+            engine: req.query.engine || req.body.engine,
+            signal,
+            requestId: req.get('x-request-id'),
+            user: req.user,
+            redact: readRedact(req),
+            onProgress: (progress) => send('progress', progress),
+        }));
+        send('result', result);
+    } catch (err) {
+        if (signal.aborted) {
+            console.log('Analysis cancelled by client');
+            return;
+        }
+        const { status, body } = toErrorResponse(err);
+        if (status >= 500) console.error('[POST /api/analyze/stream]', err.message);
+        send('error', { status, ...body });
+    }
+    res.end();
+});
+
+/**
+ * POST /api/simulate
+ * JSON body { analysisId, changes } where `analysisId` is the `meta.analysisId`
+ * of an earlier analysis and `changes` holds the profile fields to try
+ * (funds, funds_currency, education, past_visa, purpose, dest_country).
+ * Answers with a re-scored result plus `simulation`.
+ */
+router.post('/simulate', requireAuth, async (req, res) => {
+    const { analysisId, changes = {} } = req.body || {};
+    if (typeof analysisId !== 'string' || !analysisId) {
+        throw new HttpError(400, 'An "analysisId" from a previous analysis is required');
+    }
+    if (typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new HttpError(400, 'The "changes" field must be an object of profile fields');
+    }
+    res.json(await runSimulation(analysisId, changes, { user: req.user }));
+});
+
+export default router;
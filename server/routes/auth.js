@@ -0,0 +1,67 @@
+import express from 'express';
+import { HttpError } from '../errors.js';
+import { ROLES, SESSION_COOKIE, listUsers, login, logout, register, requestToken, requireRole } from '../auth.js';
+
+const router = express.Router();
+
+// HttpOnly so page scripts never see the token; Lax so other sites cannot
+// post with it. Secure whenever the request came in over HTTPS.
+function setSessionCookie(req, res, { token, expiresAt }) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/api',
+        expires: new Date(expiresAt),
+    });
+}
+
+// Browsers get the session as the cookie only; the token stays out of reach of page scripts.
+const cookieSession = ({ user, expiresAt }) => ({ user, expiresAt });
+
+/**
+ * POST /api/auth/register
+ * JSON body { email, password, name?, role?, inviteCode? }. Answers 201 with
+ * { user, expiresAt } and sets the session cookie.
+ */
+router.post('/auth/register', async (req, res) => {
+    const session = await register(req.body || {});
+    setSessionCookie(req, res, session);
+    res.status(201).json(cookieSession(session));
+});
+
+// JSON body { email, password }; answers { user, expiresAt } and sets the session cookie.
+router.post('/auth/login', async (req, res) => {
+    const session = await login(req.body || {}, { ip: req.ip });
+    setSessionCookie(req, res, session);
+    res.json(cookieSession(session));
+});
+
+/**
+ * POST /api/auth/token
+ * For API clients: JSON body { email, password }, answers { user, token,
+ * expiresAt } without a cookie. Send the token as `Authorization: Bearer`.
+ */
+router.post('/auth/token', async (req, res) => {
+    res.json(await login(req.body || {}, { ip: req.ip }));
+});
+
+router.post('/auth/logout', (req, res) => {
+    logout(requestToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: '/api' });
+    res.status(204).end();
+});
+
+// The logged-in user, or { user: null }, so the client can pick its screens.
+router.get('/auth/me', (req, res) => {
+    res.json({ user: req.user });
+});
+
+// Accounts with ?role= (default applicant), for consultants linking cases to applicants.
+router.get('/users', requireRole('consultant'), (req, res) => {
+    const role = req.query.role || 'applicant';
+    if (!ROLES.includes(role)) throw new HttpError(400, `The role must be one of ${ROLES.join(', ')}`);
+    res.json({ users: listUsers(role) });
+});
+
+export default router;
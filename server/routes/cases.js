@@ -0,0 +1,97 @@
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { assertCase, createCase, deleteCase, getCase, getCaseAnalysis, getCaseInterview, getCasePlan, listCases, updateCase, updatePlanItem } from '../cases.js';
+import { deleteDocument, listDocuments, readDocument } from '../vault.js';
+import { caseAuditLog } from '../audit.js';
+
+const router = express.Router();
+
+// Applicants only ever see their own cases; consultants see all of them.
+router.use('/cases', requireAuth);
+
+// The cases of the logged-in user with their latest and previous score.
+router.get('/cases', (req, res) => {
+    res.json({ cases: listCases(req.user) });
+});
+
+/**
+ * POST /api/cases
+ * JSON body { name?, notes?, profile?, applicantEmail?, retention? }, where
+ * retention is "immediate", "case" or a number of days ("30d"). Analyses posted
+ * with its `caseId` and interviews started with it are saved on the case.
+ * Applicants own the cases they create; consultants may link one to an
+ * applicant account with `applicantEmail`.
+ */
+router.post('/cases', (req, res) => {
+    res.status(201).json(createCase(req.body || {}, req.user));
+});
+
+// The case with its analysis history and interview sessions.
+router.get('/cases/:id', (req, res) => {
+    res.json(getCase(req.params.id, req.user));
+});
+
+// JSON body with any of { name, notes, profile, applicantEmail, retention }.
+// A new retention applies to the documents already kept.
+router.patch('/cases/:id', (req, res) => {
+    res.json(updateCase(req.params.id, req.body || {}, req.user));
+});
+
+router.delete('/cases/:id', (req, res) => {
+    deleteCase(req.params.id, req.user);
+    res.status(204).end();
+});
+
+// A past analysis of the case: { profile, documents, result }.
+router.get('/cases/:id/analyses/:analysisId', (req, res) => {
+    const { caseId, ...analysis } = getCaseAnalysis(req.params.id, req.params.analysisId, req.user);
+    res.json(analysis);
+});
+
+// A saved interview session of the case, with its transcript and summary.
+router.get('/cases/:id/interviews/:interviewId', (req, res) => {
+    res.json(getCaseInterview(req.params.id, req.params.interviewId, req.user));
+});
+
+// The action plan from the case's latest analysis, with the score
+// re-estimated from the tasks done.
+router.get('/cases/:id/plan', (req, res) => {
+    res.json(getCasePlan(req.params.id, req.user));
+});
+
+// JSON body { done: true | false }: ticks a task of the action plan off or on again.
+router.patch('/cases/:id/plan/items/:itemId', (req, res) => {
+    res.json(updatePlanItem(req.params.id, req.params.itemId, req.body || {}, req.user));
+});
+
+// Documents kept in the vault for the case (metadata only).
+router.get('/cases/:id/documents', (req, res) => {
+    assertCase(req.params.id, req.user);
+    res.json({ documents: listDocuments(req.params.id) });
+});
+
+// The decrypted document; every view is audited.
+router.get('/cases/:id/documents/:documentId', (req, res) => {
+    assertCase(req.params.id, req.user);
+    const { document, buffer } = readDocument(req.params.id, req.params.documentId, req.user);
+    res.set({
+        'Content-Type': document.mimetype || 'application/octet-stream',
+        'Content-Disposition': `inline; filename="${encodeURIComponent(document.name)}"`,
+        'Cache-Control': 'no-store',
+    });
+    res.send(buffer);
+});
+
+router.delete('/cases/:id/documents/:documentId', (req, res) => {
+    assertCase(req.params.id, req.user);
+    deleteDocument(req.params.id, req.params.documentId, req.user);
+    res.status(204).end();
+});
+
+// The case's audit trail: uploads, views, analyses, deletions and retention changes.
+router.get('/cases/:id/audit', (req, res) => {
+    assertCase(req.params.id, req.user);
+    res.json({ entries: caseAuditLog(req.params.id) });
+});
+
+export default router;
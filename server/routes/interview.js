@@ -0,0 +1,80 @@
+import express from 'express';
+import multer from 'multer';
+import { HttpError } from '../errors.js';
+import { activeInterview, answerQuestion, finishInterview, getInterview, startInterview } from '../interview/session.js';
+import { speechAvailable, transcribe } from '../speech.js';
+import { assertCase } from '../cases.js';
+import { requireAuth } from '../auth.js';
+
+const router = express.Router();
+
+const AUDIO_MAX_MB = 10;
+const audio = multer({ storage: multer.memoryStorage(), limits: { fileSize: AUDIO_MAX_MB * 1024 * 1024, files: 1 } });
+
+// Multer reports oversized uploads as plain errors; answer them with a 413.
+function uploadAudio(req, res, next) {
+    audio.single('audio')(req, res, (err) => {
+        if (err?.code === 'LIMIT_FILE_SIZE') return next(new HttpError(413, `Recordings are limited to ${AUDIO_MAX_MB} MB`));
+        next(err);
+    });
+}
+
+// Client-measured milliseconds from a JSON or multipart field.
+function toMs(value) {
+    const ms = Math.round(Number(value));
+    return Number.isFinite(ms) && ms >= 0 ? ms : undefined;
+}
+
+// Whether spoken answers can be transcribed, so the client can offer voice mode.
+router.get('/interview/voice', requireAuth, (req, res) => {
+    res.json({ available: speechAvailable() });
+});
+
+/**
+ * POST /api/interview
+ * JSON body { analysisId } (from `meta.analysisId` of a result) or { profile },
+ * plus an optional `caseId` to save the session on that case.
+ * Starts a session and answers with its first question.
+ */
+router.post('/interview', requireAuth, async (req, res) => {
+    const { analysisId, profile, caseId } = req.body || {};
+    if (!analysisId && (typeof profile !== 'object' || profile === null)) {
+        throw new HttpError(400, 'Send the "analysisId" of an analysis or a "profile"');
+    }
+    if (caseId) assertCase(caseId, req.user);
+    res.status(201).json(await startInterview({ analysisId, profile, caseId, user: req.user }));
+});
+
+// The session with its transcript, and the readiness summary once finished.
+router.get('/interview/:id', requireAuth, (req, res) => {
+    res.json(getInterview(req.params.id, req.user));
+});
+
+/**
+ * POST /api/interview/:id/answer
+ * JSON body { answer, latencyMs? }, or multipart/form-data with an `audio`
+ * recording plus `latencyMs` and `durationMs` for a spoken answer, which is
+ * transcribed first. Answers with the `evaluation` and delivery `metrics` of
+ * the answer and the session, whose `question` is the follow-up or next
+ * question (null when done).
+ */
+router.post('/interview/:id/answer', requireAuth, uploadAudio, async (req, res) => {
+    const body = req.body || {};
+    const delivery = { latencyMs: toMs(body.latencyMs), durationMs: toMs(body.durationMs) };
+    if (!req.file) {
+        res.json(answerQuestion(req.params.id, body.answer, { mode: 'text', ...delivery }, req.user));
+        return;
+    }
+
+    activeInterview(req.params.id, req.user); // don't transcribe for a session that is gone
+    const { text } = await transcribe(req.file);
+    if (!text) throw new HttpError(422, 'No speech was recognized in the recording; try again closer to the microphone');
+    res.json(answerQuestion(req.params.id, text, { mode: 'voice', ...delivery }, req.user));
+});
+
+// Ends the session early and returns the summary.
+router.post('/interview/:id/finish', requireAuth, (req, res) => {
+    res.json(finishInterview(req.params.id, req.user));
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { readFileSync } from 'node:fs';
+import { HttpError } from '../errors.js';
+import { getSnapshot } from '../snapshots.js';
+import { getAnalysis } from '../cases.js';
+import { requireAuth } from '../auth.js';
+import { renderReportPdf } from '../report/pdf.js';
+import { reportExport } from '../report/export.js';
+
+const router = express.Router();
+
+const { version: appVersion } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// The analysis from memory or, once that has expired, from its case.
+function analysisFor(id, user) {
+    const snapshot = getSnapshot(id, user) || getAnalysis(id, user);
+    if (!snapshot?.result) {
+        throw new HttpError(404, 'Analysis not found or expired; run the analysis again', { analysisId: id });
+    }
+    return snapshot;
+}
+
+const fileName = (id, ext) => `visa-report-${id.slice(0, 8)}.${ext}`;
+
+/**
+ * GET /api/report/:analysisId
+ * The branded PDF report for an analysis (`meta.analysisId` of a result).
+ */
+router.get('/report/:analysisId', requireAuth, async (req, res) => {
+    const { profile, result } = analysisFor(req.params.analysisId, req.user);
+    const pdf = await renderReportPdf({ result, profile, appVersion });
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileName(req.params.analysisId, 'pdf')}"`,
+        'Content-Length': String(pdf.length),
+    });
+    res.send(pdf);
+});
+
+/**
+ * GET /api/report/:analysisId/json
+ * The same report as versioned JSON for importing into case-management tools.
+ */
+router.get('/report/:analysisId/json', requireAuth, (req, res) => {
+    const snapshot = analysisFor(req.params.analysisId, req.user);
+    res.set('Content-Disposition', `attachment; filename="${fileName(req.params.analysisId, 'json')}"`);
+    res.json(reportExport(snapshot, { appVersion }));
+});
+
+export default router;
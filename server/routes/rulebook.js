@@ -0,0 +1,39 @@
+import express from 'express';
+import { HttpError } from '../errors.js';
+import { RULEBOOK, RULEBOOK_VERSION, documentChecklist, findRuleBook } from '../rulebook.js';
+import { knownCurrencies, ratesUpdated } from '../currency.js';
+
+const router = express.Router();
+
+// Destinations, purposes and currencies the rulebook covers, for the profile form.
+router.get('/rulebook', (req, res) => {
+    res.json({
+        version: RULEBOOK_VERSION,
+        currencies: knownCurrencies(),
+        ratesUpdated: ratesUpdated(),
+        countries: RULEBOOK.map(book => ({
+            name: book.country,
+            flag: book.flag,
+            version: book.version,
+            updated: book.updated,
+            source: book.source,
+            purposes: Object.entries(book.purposes).map(([purpose, set]) => ({ purpose, visa: set.visa })),
+        })),
+    });
+});
+
+// Full rule sets for one destination (name, alias or ISO code).
+router.get('/rulebook/:country', (req, res) => {
+    const book = findRuleBook(req.params.country);
+    if (!book) {
+        throw new HttpError(404, `No rulebook for ${req.params.country}`);
+    }
+    res.json(book);
+});
+
+// Required and optional documents for ?country=&purpose= (purpose defaults to Study).
+router.get('/checklist', (req, res) => {
+    res.json(documentChecklist(req.query.country, req.query.purpose || undefined));
+});
+
+export default router;
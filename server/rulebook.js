@@ -0,0 +1,199 @@
+import fs from 'fs';
+import { findCountry } from './data/countries.js';
+import { convert, formatMoney } from './currency.js';
+import { DOCUMENT_TYPES } from './documents.js';
+
+// Country requirement rulebook: one JSON file per destination under
+// data/rulebook/, with a rule set per visa purpose. Rule sets list required
+// documents (and optional ones that strengthen an application), minimum
+// funds, accepted language tests, age limits, the cost of stay (see cost.js)
+// and the weight each rule carries in the country score.
+
+const RULEBOOK_DIR = new URL('./data/rulebook/', import.meta.url);
+const RULE_TYPES = ['documents', 'funds', 'language', 'age', 'education'];
+const EDUCATION_LEVELS = ['High School', 'Bachelors', 'Masters', 'PhD'];
+const docLabel = (type) => DOCUMENT_TYPES[type].toLowerCase();
+
+function validateRuleSet(file, purpose, set) {
+    const problem = (message) => new Error(`Rulebook ${file} (${purpose}): ${message}`);
+    if (!set.visa) throw problem('missing "visa"');
+    if (set.cost && !(set.cost.monthlyLiving > 0 && set.cost.months > 0)) throw problem('"cost" needs monthlyLiving and months');
+    [...(set.documents || []), ...(set.optionalDocuments || [])].forEach((type) => {
+        if (!DOCUMENT_TYPES[type] || type === 'other') throw problem(`unknown document type "${type}"`);
+    });
+    const weights = Object.keys(set.weights || {});
+    if (weights.length === 0) throw problem('missing "weights"');
+    weights.forEach((rule) => {
+        if (!RULE_TYPES.includes(rule)) throw problem(`unknown rule "${rule}"`);
+        if (set[rule] === undefined) throw problem(`weight given for "${rule}" but no rule defined`);
+    });
+}
+
+function loadRulebook() {
+    return fs.readdirSync(RULEBOOK_DIR)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map((file) => {
+            const book = JSON.parse(fs.readFileSync(new URL(file, RULEBOOK_DIR), 'utf8'));
+            const country = findCountry(book.country);
+            if (!country) throw new Error(`Rulebook ${file}: unknown country "${book.country}"`);
+            Object.entries(book.purposes).forEach(([purpose, set]) => validateRuleSet(file, purpose, set));
+            return { ...book, country: country.name, flag: country.flag, currency: country.currency };
+        });
+}
+
+export const RULEBOOK = loadRulebook();
+
+// Combined version of all country files, e.g. "2026.1" or "2026.1+2026.2".
+export const RULEBOOK_VERSION = [...new Set(RULEBOOK.map(b => b.version))].sort().join('+');
+
+export function findRuleBook(country) {
+    const match = findCountry(country);
+    return match ? RULEBOOK.find(b => b.country === match.name) || null : null;
+}
+
+/**
+ * The documents an application for `purpose` in `country` needs:
+ * { country, purpose, visa, documents: [{ type, label, required }] }, the
+ * required ones first. Destinations or purposes without a rule set need a
+ * passport, with a bank statement and offer letter as optional.
+ */
+export function documentChecklist(country, purpose = 'Study') {
+    const book = findRuleBook(country);
+    const set = book?.purposes[purpose];
+    const required = set?.documents || ['passport'];
+    const optional = (set ? set.optionalDocuments || [] : ['bank', 'offer']).filter(type => !required.includes(type));
+    return {
+        country: book?.country || country || null,
+        purpose,
+        visa: set?.visa || null,
+        documents: [
+            ...required.map(type => ({ type, label: DOCUMENT_TYPES[type], required: true })),
+            ...optional.map(type => ({ type, label: DOCUMENT_TYPES[type], required: false })),
+        ],
+    };
+}
+
+// Each rule returns { passed: true | false | null, explanation }; null means
+// the profile or documents don't tell us.
+const RULES = {
+    documents(spec, { docs }) {
+        const missing = spec.filter(type => !docs[type]);
+        const weak = spec.filter(type => docs[type] && !docs[type].ok);
+        if (missing.length === 0 && weak.length === 0) {
+            return { passed: true, explanation: `All required documents provided: ${spec.map(t => docLabel(t)).join(', ')}.` };
+        }
+        const parts = [];
+        if (missing.length) parts.push(`missing ${missing.map(t => docLabel(t)).join(', ')}`);
+        if (weak.length) parts.push(`issues with ${weak.map(t => docLabel(t)).join(', ')}`);
+        return { passed: false, explanation: `Required documents incomplete: ${parts.join('; ')}.` };
+    },
+
+    funds(spec, { finances, tuition }) {
+        const tuitionDue = spec.plusTuition && tuition ? convert(tuition.amount, tuition.currency || spec.currency, spec.currency) : null;
+        const required = spec.amount + (tuitionDue ?? 0);
+        const requirement = `${formatMoney(required, spec.currency)}${tuitionDue !== null ? ' incl. tuition' : ''}`;
+        const held = finances && convert(finances.amount, finances.currency, spec.currency);
+        if (held === null || held === undefined) {
+            return { passed: null, explanation: `Needs ${requirement} (${spec.basis}); funds in ${finances?.currency || 'an unknown currency'} could not be converted.` };
+        }
+        const heldText = finances.currency === spec.currency
+            ? formatMoney(held, spec.currency)
+            : `${formatMoney(held, spec.currency)} (${formatMoney(finances.amount, finances.currency)})`;
+        const passed = held >= required;
+        return {
+            passed,
+            explanation: passed
+                ? `Funds of ${heldText} meet the ${requirement} requirement.`
+                : `Funds of ${heldText} fall short of the ${requirement} requirement: ${spec.basis}.`,
+        };
+    },
+
+    language(spec, { profile }) {
+        const accepted = spec.anyOf.map(t => `${t.test} ${t.min}`).join(' / ');
+        const test = String(profile.language_test || '').trim().toLowerCase();
+        const score = parseFloat(profile.language_score);
+        if (!test || test === 'none') {
+            return { passed: null, explanation: `No language test given; accepted: ${accepted}.` };
+        }
+        const rule = spec.anyOf.find(t => t.test.toLowerCase() === test);
+        if (!rule) return { passed: false, explanation: `${profile.language_test} is not accepted; accepted: ${accepted}.` };
+        if (Number.isNaN(score)) return { passed: null, explanation: `No ${rule.test} score given; at least ${rule.min} is required.` };
+        const passed = score >= rule.min;
+        return { passed, explanation: `${rule.test} ${score} ${passed ? 'meets' : 'is below'} the minimum of ${rule.min}.` };
+    },
+
+    age(spec, { profile }) {
+        const age = parseInt(profile.age, 10);
+        const range = [spec.min !== undefined && `at least ${spec.min}`, spec.max !== undefined && `at most ${spec.max}`].filter(Boolean).join(' and ');
+        if (Number.isNaN(age)) return { passed: null, explanation: `Age not given; applicants must be ${range}.` };
+        const passed = (spec.min === undefined || age >= spec.min) && (spec.max === undefined || age <= spec.max);
+        return { passed, explanation: `Age ${age} ${passed ? 'is within' : 'is outside'} the limit (${range}).` };
+    },
+
+    education(spec, { profile }) {
+        const level = EDUCATION_LEVELS.indexOf(profile.education);
+        if (level === -1) return { passed: null, explanation: `Education level not given; ${spec.min} or higher is required.` };
+        const passed = level >= EDUCATION_LEVELS.indexOf(spec.min);
+        return { passed, explanation: `${profile.education} ${passed ? 'meets' : 'is below'} the ${spec.min} minimum.` };
+    },
+};
+
+const LABELS = { documents: 'Required documents', funds: 'Minimum funds', language: 'Language test', age: 'Age limit', education: 'Education' };
+
+/**
+ * Scores a profile against one country's rule set for the given purpose.
+ * `context` is { profile, docs, finances, tuition }: `docs` maps document
+ * type to its analyzed entry, `finances` is { amount, currency }.
+ * Unknown rules count for half their weight. Returns null when the country
+ * has no rule set for the purpose.
+ */
+export function evaluateCountry(book, purpose, context) {
+    const set = book.purposes[purpose];
+    if (!set) return null;
+
+    const rules = Object.entries(set.weights).map(([id, weight]) => ({
+        id,
+        label: LABELS[id],
+        weight,
+        ...RULES[id](set[id], context),
+    }));
+    const total = rules.reduce((sum, r) => sum + r.weight, 0);
+    const earned = rules.reduce((sum, r) => sum + r.weight * (r.passed === true ? 1 : r.passed === null ? 0.5 : 0), 0);
+    const failed = rules.filter(r => r.passed === false);
+
+    return {
+        name: book.country,
+        score: Math.round((earned / total) * 100),
+        flag: book.flag,
+        reason: failed.length > 0
+            ? failed.map(r => r.explanation).join(' ')
+            : `Meets ${rules.filter(r => r.passed).length} of ${rules.length} ${set.visa} requirements${rules.some(r => r.passed === null) ? '; some could not be checked' : ''}.`,
+        visa: set.visa,
+        purpose,
+        rulebookVersion: book.version,
+        rules,
+    };
+}
+
+/**
+ * Builds the `countries` comparison: the destination first, then every other
+ * country in the rulebook. Countries without rules for the purpose keep
+ * `fallbackScore` and say so.
+ */
+export function compareCountries(context, { fallbackScore }) {
+    const { profile } = context;
+    const purpose = profile.purpose || 'Study';
+    const destination = findRuleBook(profile.dest_country);
+    const books = destination ? [destination, ...RULEBOOK.filter(b => b !== destination)] : RULEBOOK;
+
+    return books.map(book => evaluateCountry(book, purpose, context) || {
+        name: book.country,
+        score: fallbackScore,
+        flag: book.flag,
+        reason: `No ${purpose} visa rules for ${book.country} in the rulebook yet; showing the overall profile score.`,
+        purpose,
+        rulebookVersion: book.version,
+        rules: [],
+    });
+}
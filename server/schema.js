@@ -0,0 +1,224 @@
+// Analysis result schema shared by every engine, plus a small validator that
+// coerces recoverable issues and reports the rest as violations.
+
+export const PLAIN_RATINGS = ['Highly likely', 'Likely', 'Borderline', 'Unlikely'];
+
+// Ratings the model tends to produce instead of the enum values.
+const PLAIN_SYNONYMS = {
+    'very high': 'Highly likely',
+    high: 'Highly likely',
+    'very likely': 'Highly likely',
+    strong: 'Highly likely',
+    good: 'Likely',
+    moderate: 'Borderline',
+    medium: 'Borderline',
+    fair: 'Borderline',
+    low: 'Unlikely',
+    'very low': 'Unlikely',
+    weak: 'Unlikely',
+    poor: 'Unlikely',
+};
+
+export function plainForScore(score) {
+    if (score >= 75) return 'Highly likely';
+    if (score >= 60) return 'Likely';
+    if (score >= 45) return 'Borderline';
+    return 'Unlikely';
+}
+
+const percent = (extra = {}) => ({ type: 'number', min: 0, max: 100, integer: true, ...extra });
+
+export const RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        score: percent(),
+        // `derivable`: a missing or unknown value is recomputed from the score.
+        plain: { type: 'string', enum: PLAIN_RATINGS, synonyms: PLAIN_SYNONYMS, derivable: true },
+        reasons: { type: 'array', items: { type: 'string' }, default: [] },
+        docs: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    ok: { type: 'boolean' },
+                    note: { type: 'string', default: '' },
+                },
+            },
+        },
+        twin: {
+            type: 'object',
+            default: {},
+            properties: {
+                name: { type: 'string', default: 'Applicant' },
+                confidence: percent({ default: 50 }),
+                traits: { type: 'array', items: { type: 'string' }, default: [] },
+            },
+        },
+        countries: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    score: percent(),
+                    flag: { type: 'string', default: '🏳️' },
+                    reason: { type: 'string', default: '' },
+                },
+            },
+        },
+        risk: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    label: { type: 'string' },
+                    value: percent(),
+                },
+            },
+        },
+        // score factor ledger, see factors.js; `input` and `weight` are free-form
+        factors: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    contribution: { type: 'number' },
+                    rule: { type: 'string', default: '' },
+                },
+            },
+        },
+    },
+};
+
+const describe = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+function coerce(schema, value, path, report) {
+    if (value === undefined || value === null) {
+        if (schema.default !== undefined) {
+            report.coerced(path, `missing, defaulted to ${JSON.stringify(schema.default)}`);
+            return coerce(schema, structuredClone(schema.default), path, report);
+        }
+        report.violation(path, 'is required', schema);
+        return value;
+    }
+
+    switch (schema.type) {
+    case 'number': {
+        let n = value;
+        if (typeof n === 'string') {
+            n = Number(n.replace(/[%,\s]/g, ''));
+            if (!Number.isNaN(n)) report.coerced(path, `string "${value}" converted to number`);
+        }
+        if (typeof n !== 'number' || Number.isNaN(n)) {
+            report.violation(path, `expected number, got ${describe(value)} ${JSON.stringify(value)}`);
+            return value;
+        }
+        // Some models answer fractions (0.72) where a percentage is expected.
+        if (schema.max === 100 && n > 0 && n < 1) {
+            report.coerced(path, `fraction ${n} scaled to percent`);
+            n *= 100;
+        }
+        if (schema.integer && !Number.isInteger(n)) n = Math.round(n);
+        if (schema.min !== undefined && n < schema.min) {
+            report.coerced(path, `${n} clamped to ${schema.min}`);
+            n = schema.min;
+        }
+        if (schema.max !== undefined && n > schema.max) {
+            report.coerced(path, `${n} clamped to ${schema.max}`);
+            n = schema.max;
+        }
+        return n;
+    }
+    case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        const s = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'ok', 'valid', '1'].includes(s)) {
+            report.coerced(path, `${JSON.stringify(value)} converted to true`);
+            return true;
+        }
+        if (['false', 'no', 'invalid', '0'].includes(s)) {
+            report.coerced(path, `${JSON.stringify(value)} converted to false`);
+            return false;
+        }
+        report.violation(path, `expected boolean, got ${describe(value)} ${JSON.stringify(value)}`);
+        return value;
+    }
+    case 'string': {
+        let s = value;
+        if (typeof s === 'number' || typeof s === 'boolean') {
+            report.coerced(path, `${describe(value)} converted to string`);
+            s = String(s);
+        }
+        if (typeof s !== 'string') {
+            report.violation(path, `expected string, got ${describe(value)}`);
+            return value;
+        }
+        if (schema.enum && !schema.enum.includes(s)) {
+            const exact = schema.enum.find(e => e.toLowerCase() === s.trim().toLowerCase());
+            const mapped = exact || schema.synonyms?.[s.trim().toLowerCase()];
+            if (mapped) {
+                report.coerced(path, `"${s}" mapped to "${mapped}"`);
+                return mapped;
+            }
+            report.violation(path, `must be one of ${schema.enum.map(e => `"${e}"`).join(', ')}, got "${s}"`, schema);
+        }
+        return s;
+    }
+    case 'array': {
+        let arr = value;
+        if (!Array.isArray(arr)) {
+            report.coerced(path, `${describe(value)} wrapped in an array`);
+            arr = [arr];
+        }
+        return arr.map((item, i) => coerce(schema.items, item, `${path}[${i}]`, report));
+    }
+    case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            report.violation(path, `expected object, got ${describe(value)}`);
+            return value;
+        }
+        const out = { ...value };
+        Object.entries(schema.properties).forEach(([key, prop]) => {
+            out[key] = coerce(prop, value[key], path ? `${path}.${key}` : key, report);
+        });
+        return out;
+    }
+    default:
+        return value;
+    }
+}
+
+/**
+ * Validates an engine result against RESULT_SCHEMA.
+ * Returns { value, coerced, violations } — `value` is usable only when
+ * `violations` is empty; `coerced` lists the recoverable fixes that were applied.
+ */
+export function validateResult(result) {
+    const coerced = [];
+    const violations = [];
+    const pending = [];
+    const report = {
+        coerced: (path, message) => coerced.push({ path: path || '$', message }),
+        violation: (path, message, schema = {}) => (schema.derivable ? pending : violations).push({ path: path || '$', message }),
+    };
+
+    const value = coerce(RESULT_SCHEMA, result, '', report);
+
+    // A missing or unknown `plain` rating is recoverable as long as the score is usable.
+    pending.forEach((v) => {
+        if (v.path === 'plain' && typeof value?.score === 'number') {
+            value.plain = plainForScore(value.score);
+            coerced.push({ path: v.path, message: `${v.message}; derived "${value.plain}" from score` });
+        } else {
+            violations.push(v);
+        }
+    });
+
+    return { value, coerced, violations };
+}
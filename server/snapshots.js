@@ -0,0 +1,30 @@
+import { MemoryStore } from './store.js';
+import { canAccess } from './auth.js';
+
+// Short-lived, in-memory snapshots of finished analyses so the what-if
+// simulator can re-score a profile without a new upload and reports can be
+// generated without analyzing again. Snapshots expire
+// after SNAPSHOT_TTL_MINUTES (default 30) and at most SNAPSHOT_LIMIT
+// (default 20) are kept.
+
+const snapshots = new MemoryStore({
+    ttlMs: () => (parseFloat(process.env.SNAPSHOT_TTL_MINUTES) || 30) * 60000,
+    limit: () => parseInt(process.env.SNAPSHOT_LIMIT, 10) || 20,
+});
+
+/**
+ * Keeps `{ profile, documents, digest, engine, result, userId }` of an
+ * analysis and returns its id. `documents` are summaries without file
+ * contents and `digest` is the simulator's reading of them (see
+ * engines/index.js). `userId` is the account that ran it.
+ */
+export function saveSnapshot(snapshot) {
+    return snapshots.add(snapshot);
+}
+
+// The snapshot for `id`, or null when it is unknown, has expired or belongs
+// to someone `user` may not see.
+export function getSnapshot(id, user) {
+    const snapshot = snapshots.get(id);
+    return snapshot && canAccess(user, snapshot.userId) ? snapshot : null;
+}
@@ -0,0 +1,61 @@
+import { HttpError } from './errors.js';
+
+// Speech-to-text for spoken interview answers, through a locally run
+// transcription server so no audio leaves the machine:
+//   STT_API=whisper.cpp  whisper.cpp `server` (POST /inference); start it with
+//                        --convert so it accepts browser webm/ogg recordings
+//   STT_API=openai       any OpenAI-compatible /v1/audio/transcriptions server
+//                        (faster-whisper-server, LocalAI, …), model STT_MODEL
+// STT_URL is the server's base URL; without it voice answers are refused.
+
+const sttUrl = () => (process.env.STT_URL || '').trim().replace(/\/+$/, '');
+const sttApi = () => process.env.STT_API || 'whisper.cpp';
+const timeoutMs = () => parseInt(process.env.STT_TIMEOUT_MS, 10) || 60000;
+
+export const speechAvailable = () => Boolean(sttUrl());
+
+function buildRequest(audio) {
+    const form = new FormData();
+    const file = new Blob([audio.buffer], { type: audio.mimetype || 'application/octet-stream' });
+    form.append('file', file, audio.originalname || 'answer.webm');
+    form.append('response_format', 'json');
+    form.append('temperature', '0');
+    if (sttApi() === 'openai') {
+        form.append('model', process.env.STT_MODEL || 'whisper-1');
+        return { url: `${sttUrl()}/v1/audio/transcriptions`, form };
+    }
+    return { url: `${sttUrl()}/inference`, form };
+}
+
+/**
+ * Transcribes an uploaded recording (`{ buffer, mimetype, originalname }`).
+ * Returns { text, backend }. Throws a 503 HttpError when no server is
+ * configured and a 502 when it fails.
+ */
+export async function transcribe(audio, { signal } = {}) {
+    if (!speechAvailable()) {
+        throw new HttpError(503, 'Speech-to-text is not configured; set STT_URL or type your answer');
+    }
+    const { url, form } = buildRequest(audio);
+    const timeout = AbortSignal.timeout(timeoutMs());
+    let response;
+    try {
+        response = await fetch(url, { method: 'POST', body: form, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    } catch (err) {
+        if (signal?.aborted) throw err;
+        throw new HttpError(502, `Could not reach the speech-to-text server (${err.name === 'TimeoutError' ? 'timed out' : err.message})`);
+    }
+    const body = await response.text();
+    if (!response.ok) {
+        console.error(`Speech-to-text error: ${response.status} ${body}`);
+        throw new HttpError(502, `Speech-to-text server returned ${response.status}`);
+    }
+    let text;
+    try {
+        text = JSON.parse(body).text;
+    } catch {
+        throw new HttpError(502, 'Speech-to-text server returned a non-JSON response');
+    }
+    // whisper marks silence and noise as "[BLANK_AUDIO]", "[MUSIC]", …
+    return { text: String(text || '').replace(/\[[A-Z_ ]+\]/g, ' ').replace(/\s+/g, ' ').trim(), backend: sttApi() };
+}
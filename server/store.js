@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+/**
+ * Short-lived, in-memory key/value store: entries expire `ttlMs()` after they
+ * were last saved and at most `limit()` are kept, oldest dropped first.
+ * Nothing is written to disk. Both limits are functions so they pick up
+ * values loaded by dotenv.
+ */
+export class MemoryStore {
+    constructor({ ttlMs, limit }) {
+        this.ttlMs = ttlMs;
+        this.limit = limit;
+        this.entries = new Map();
+    }
+
+    prune() {
+        const now = Date.now();
+        this.entries.forEach((entry, id) => {
+            if (entry.expiresAt <= now) this.entries.delete(id);
+        });
+        while (this.entries.size > this.limit()) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // Stores `value` under a new random id and returns the id.
+    add(value) {
+        const id = crypto.randomUUID();
+        this.set(id, value);
+        return id;
+    }
+
+    set(id, value) {
+        this.entries.delete(id);
+        this.entries.set(id, { value, expiresAt: Date.now() + this.ttlMs() });
+        this.prune();
+    }
+
+    // The value for `id`, or null when it is unknown or has expired.
+    get(id) {
+        this.prune();
+        return this.entries.get(id)?.value ?? null;
+    }
+
+    delete(id) {
+        this.entries.delete(id);
+    }
+}
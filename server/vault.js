@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { HttpError } from './errors.js';
+import { getDb } from './db.js';
+import { audit } from './audit.js';
+
+// Encrypted document vault for case uploads. Files are encrypted with
+// AES-256-GCM under VAULT_KEY and written to VAULT_DIR (default data/vault);
+// the index lives in the `documents` table. Each case has a retention policy:
+//   immediate  nothing is written to disk (the default)
+//   <N>d       kept for N days, then deleted by the retention sweeper
+//   case       kept until the document or its case is deleted
+// Every upload, view, analysis and deletion is recorded in the audit log.
+// Stored analyses are sealed with the same key (sealJson/openJson).
+
+export const DEFAULT_RETENTION = 'immediate';
+
+const MAGIC = Buffer.from('VGX1');
+const vaultDir = () => process.env.VAULT_DIR || path.join('data', 'vault');
+const sweepMinutes = () => parseFloat(process.env.VAULT_SWEEP_MINUTES) || 60;
+
+/**
+ * Parses a retention policy: 'immediate', 'case' or '<N>d' (1–3650 days).
+ * Returns { policy, days? } or null when it is not valid.
+ */
+export function parseRetention(value) {
+    if (value === 'immediate' || value === 'case') return { policy: value };
+    const days = /^(\d+)d$/.exec(String(value))?.[1];
+    return days && +days >= 1 && +days <= 3650 ? { policy: 'days', days: +days } : null;
+}
+
+// The policy for new cases, VAULT_RETENTION (immediate unless configured).
+export function defaultRetention() {
+    const configured = process.env.VAULT_RETENTION;
+    return configured && parseRetention(configured) ? configured : DEFAULT_RETENTION;
+}
+
+// VAULT_KEY is 32 bytes as base64 or hex (`openssl rand -base64 32`).
+function vaultKey() {
+    const raw = (process.env.VAULT_KEY || '').trim();
+    if (!raw) return null;
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+    if (key.length !== 32) throw new HttpError(500, 'VAULT_KEY must be 32 bytes, base64 or hex encoded');
+    return key;
+}
+
+export const vaultAvailable = () => Boolean(vaultKey());
+
+// Identifies the key a file was written with without revealing it.
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+const filePath = (id) => path.join(vaultDir(), `${id}.enc`);
+
+// MAGIC | iv (12) | tag (16) | ciphertext, with the document id as associated
+// data so a file cannot be swapped in for another document.
+function encrypt(id, buffer, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(id, data, key) {
+    if (!data.subarray(0, 4).equals(MAGIC)) throw new HttpError(500, 'Vault data is corrupt');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(4, 16));
+    decipher.setAAD(Buffer.from(id));
+    decipher.setAuthTag(data.subarray(16, 32));
+    try {
+        return Buffer.concat([decipher.update(data.subarray(32)), decipher.final()]);
+    } catch {
+        throw new HttpError(500, 'Vault data failed its integrity check');
+    }
+}
+
+const SEALED = 'vgx1:';
+
+/**
+ * `value` as JSON for a database column: encrypted under VAULT_KEY, bound to
+ * `id`, as `vgx1:<key id>:<base64>`, or plain JSON when no key is set.
+ */
+export function sealJson(id, value) {
+    const text = JSON.stringify(value ?? null);
+    const key = vaultKey();
+    if (!key) return text;
+    return `${SEALED}${keyId(key)}:${encrypt(id, Buffer.from(text), key).toString('base64')}`;
+}
+
+// The value sealJson() stored under `id`; plain JSON is read as it is.
+export function openJson(id, text) {
+    if (!text.startsWith(SEALED)) return JSON.parse(text);
+    const [storedKeyId, data] = text.slice(SEALED.length).split(':');
+    const key = vaultKey();
+    if (!key || keyId(key) !== storedKeyId) throw new HttpError(500, 'The vault key has changed; this record cannot be decrypted');
+    return JSON.parse(decrypt(id, Buffer.from(data, 'base64'), key).toString('utf8'));
+}
+
+/**
+ * Checks a policy before a case switches to it: only valid policies, and
+ * none that keeps files unless VAULT_KEY is set.
+ */
+export function validateRetention(value) {
+    const parsed = parseRetention(value);
+    if (!parsed) throw new HttpError(400, 'The retention must be "immediate", "case" or a number of days such as "30d"');
+    if (parsed.policy !== 'immediate' && !vaultAvailable()) {
+        throw new HttpError(400, 'Set VAULT_KEY on the server before keeping documents');
+    }
+    return parsed;
+}
+
+const expiryFor = (retention, from = new Date()) => {
+    const parsed = parseRetention(retention);
+    return parsed?.policy === 'days' ? new Date(from.getTime() + parsed.days * 86400000).toISOString() : null;
+};
+
+const toDocument = (row) => ({
+    id: row.id,
+    type: row.type,
+    name: row.name,
+    mimetype: row.mimetype,
+    size: row.size,
+    sha256: row.sha256,
+    uploadedAt: row.uploaded_at,
+    expiresAt: row.expires_at,
+});
+
+/**
+ * Takes in the uploads of an analysis for a case: encrypts and stores them
+ * unless the case's retention is immediate, and audits each upload. Returns
+ * the intake to pass to markAnalyzed() and releaseDocuments().
+ */
+export function intakeDocuments(caseId, documents, user) {
+    const db = getDb();
+    const { retention } = db.prepare('SELECT retention FROM cases WHERE id = ?').get(caseId);
+    const store = parseRetention(retention)?.policy !== 'immediate';
+    const key = store ? vaultKey() : null;
+    if (store && !key) throw new HttpError(503, 'The document vault is not configured (VAULT_KEY); uploads cannot be kept');
+
+    const entries = documents.map((doc) => {
+        const id = crypto.randomUUID();
+        const sha256 = crypto.createHash('sha256').update(doc.buffer).digest('hex');
+        if (store) {
+            fs.mkdirSync(vaultDir(), { recursive: true });
+            fs.writeFileSync(filePath(id), encrypt(id, doc.buffer, key), { mode: 0o600 });
+            const at = new Date();
+            try {
+                db.prepare(`INSERT INTO documents (id, case_id, type, name, mimetype, size, sha256, key_id, uploaded_by, uploaded_at, expires_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                    .run(id, caseId, doc.type, doc.originalname, doc.mimetype, doc.size, sha256, keyId(key), user?.id ?? null, at.toISOString(), expiryFor(retention, at));
+            } catch (err) {
+                fs.rmSync(filePath(id), { force: true }); // no unindexed files left behind
+                throw err;
+            }
+        }
+        audit({ caseId, documentId: id, action: 'upload', user, detail: { name: doc.originalname, type: doc.type, size: doc.size, sha256, retention, stored: store } });
+        return { id, name: doc.originalname };
+    });
+    return { caseId, retention, stored: store, documents: entries };
+}
+
+// Audits that the intake's documents were analyzed in `analysisId`.
+export function markAnalyzed(intake, analysisId, user) {
+    intake.documents.forEach(({ id, name }) => {
+        audit({ caseId: intake.caseId, documentId: id, action: 'analyze', user, detail: { name, analysisId } });
+    });
+}
+
+/**
+ * Ends the request's hold on the intake. With immediate retention nothing
+ * was written, and the deletion of the request's copy is audited. Call it in
+ * a `finally` so failed analyses are covered too.
+ */
+export function releaseDocuments(intake, user) {
+    if (intake.stored) return;
+    intake.documents.forEach(({ id, name }) => {
+        audit({ caseId: intake.caseId, documentId: id, action: 'delete', user, detail: { name, reason: 'retention: immediate', stored: false } });
+    });
+}
+
+// Documents currently kept for a case, newest first.
+export function listDocuments(caseId) {
+    return getDb().prepare('SELECT * FROM documents WHERE case_id = ? AND deleted_at IS NULL ORDER BY uploaded_at DESC')
+        .all(caseId).map(toDocument);
+}
+
+function findDocument(caseId, documentId) {
+    const row = getDb().prepare('SELECT * FROM documents WHERE id = ? AND case_id = ? AND deleted_at IS NULL').get(documentId, caseId);
+    if (!row) throw new HttpError(404, 'Document not found or deleted', { caseId, documentId });
+    return row;
+}
+
+/**
+ * Decrypts a kept document for `user` and audits the view.
+ * Returns { document, buffer }.
+ */
+export function readDocument(caseId, documentId, user) {
+    const row = findDocument(caseId, documentId);
+    const key = vaultKey();
+    if (!key || keyId(key) !== row.key_id) throw new HttpError(500, 'The vault key has changed; this document cannot be decrypted');
+    const buffer = decrypt(row.id, fs.readFileSync(filePath(row.id)), key);
+    audit({ caseId, documentId, action: 'view', user, detail: { name: row.name } });
+    return { document: toDocument(row), buffer };
+}
+
+function removeDocument(row, user, reason) {
+    fs.rmSync(filePath(row.id), { force: true });
+    getDb().prepare('UPDATE documents SET deleted_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    audit({ caseId: row.case_id, documentId: row.id, action: 'delete', user, detail: { name: row.name, reason } });
+}
+
+// Deletes a kept document now.
+export function deleteDocument(caseId, documentId, user) {
+    removeDocument(findDocument(caseId, documentId), user, 'deleted by user');
+}
+
+// Deletes every kept document of a case, before the case itself is deleted.
+export function purgeCase(caseId, user, reason = 'case deleted') {
+    getDb().prepare('SELECT * FROM documents WHERE case_id = ? AND deleted_at IS NULL').all(caseId)
+        .forEach(row => removeDocument(row, user, reason));
+}
+
+/**
+ * Applies a new retention policy to the documents a case already keeps:
+ * immediate deletes them now, N days counts from each upload, case keeps
+ * them without an expiry.
+ */
+export function applyRetention(caseId, retention, user) {
+    const db = getDb();
+    if (parseRetention(retention).policy === 'immediate') {
+        purgeCase(caseId, user, 'retention changed to immediate');
+        return;
+    }
+    db.prepare('SELECT id, uploaded_at FROM documents WHERE case_id = ? AND deleted_at IS NULL').all(caseId).forEach((row) => {
+        db.prepare('UPDATE documents SET expires_at = ? WHERE id = ?').run(expiryFor(retention, new Date(row.uploaded_at)), row.id);
+    });
+    purgeExpired();
+}
+
+/**
+ * Deletes every document whose retention has run out. Returns how many.
+ */
+export function purgeExpired(now = new Date()) {
+    const rows = getDb().prepare('SELECT * FROM documents WHERE deleted_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?')
+        .all(now.toISOString());
+    rows.forEach(row => removeDocument(row, null, 'retention expired'));
+    return rows.length;
+}
+
+/**
+ * Runs purgeExpired() now and every VAULT_SWEEP_MINUTES (default 60). The
+ * timer does not keep the process alive.
+ */
+export function startRetentionSweeper() {
+    const sweep = () => {
+        try {
+            const purged = purgeExpired();
+            if (purged > 0) console.log(`Vault: deleted ${purged} expired document(s)`);
+        } catch (err) {
+            console.error('Vault retention sweep failed:', err.message);
+        }
+    };
+    sweep();
+    setInterval(sweep, sweepMinutes() * 60000).unref();
+}
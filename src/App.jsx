@@ -22,22 +22,24 @@ Drop this file in your React app (CRA or Vite). Install deps:
 Replace mock API calls with your backend endpoints when ready.
 */
 
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { CircularProgressbar, buildStyles } from 'react-circular-progressbar';
 import 'react-circular-progressbar/dist/styles.css';
-import { Bar } from 'react-chartjs-2';
+import { Bar, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   BarElement,
+  LineElement,
+  PointElement,
   Title,
   Tooltip,
   Legend,
 } from 'chart.js';
 
-ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend);
 
 // ------------------ Small helpers ------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -45,6 +47,35 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 // tiny utility to clamp values
 const clamp = (v, a = 0, b = 100) => Math.max(a, Math.min(b, v));
 
+// turn an API error body ({ error, details: { violations } }) into a readable message
+const apiErrorMessage = (body, fallback = 'Analysis failed') => {
+  const violations = body?.details?.violations?.map((v) => `${v.path}: ${v.message}`) || [];
+  return [body?.error || fallback, ...violations].join('\n');
+};
+
+// minimal Server-Sent Events reader for fetch() responses (EventSource can't POST)
+async function readEventStream(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const chunk = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      const data = [];
+      chunk.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
 // ------------------ Styles injected for subtle animations ------------------
 // we use a small <style> injection to add keyframes that Tailwind doesn't provide here
 const ExtraStyles = () => (
@@ -59,7 +90,7 @@ const ExtraStyles = () => (
 );
 
 // ------------------ Presentational pieces ------------------
-function Topbar({ onStart }) {
+function Topbar({ onStart, onCases, user, onLogin, onLogout }) {
   return (
     <div className="w-full flex items-center justify-between py-4 px-6">
       <div className="flex items-center gap-3">
@@ -70,6 +101,18 @@ function Topbar({ onStart }) {
         </div>
       </div>
       <div className="flex items-center gap-3">
+        {user ? (
+          <>
+            <div className="text-right text-xs text-teal-200">
+              <div className="text-white text-sm">{user.name || user.email}</div>
+              <div className="capitalize">{user.role}</div>
+            </div>
+            <button onClick={onLogout} className="text-sm text-teal-200">Log out</button>
+          </>
+        ) : (
+          <button onClick={onLogin} className="text-sm text-teal-200">Log in</button>
+        )}
+        <button onClick={onCases} className="px-4 py-2 rounded-lg border border-teal-600 text-teal-200">Cases</button>
         <button onClick={onStart} className="px-4 py-2 rounded-lg bg-gradient-to-r from-indigo-600 to-teal-400 text-black font-semibold shadow hover:scale-[1.02] transition">Get Started</button>
       </div>
     </div>
@@ -135,8 +178,26 @@ function SmallStat({ label, value }) {
   );
 }
 
-function ProfileForm({ profile, setProfile, onNext }) {
+// used until /api/rulebook answers
+const DEFAULT_DESTINATIONS = ["Canada", "United Kingdom", "Australia", "United States", "Germany"];
+const DEFAULT_PURPOSES = ["Study", "Work", "Tourism", "Family", "Other"];
+const DEFAULT_CURRENCIES = ["INR", "PKR", "NPR", "BDT", "USD", "GBP", "EUR", "CAD", "AUD"];
+const EDUCATION_LEVELS = ["High School", "Bachelors", "Masters", "PhD", "Other"];
+const VISA_HISTORY = ["None", "1-2", "3+"];
+
+// select options shared by the profile form and the what-if panel
+function profileOptions(rulebook, destination) {
+  const ruled = rulebook?.countries.find((c) => c.name === destination)?.purposes.map((p) => p.purpose) || [];
+  return {
+    destinations: rulebook?.countries.map((c) => c.name) || DEFAULT_DESTINATIONS,
+    purposes: [...new Set([...ruled, ...DEFAULT_PURPOSES])],
+    currencies: rulebook?.currencies || DEFAULT_CURRENCIES,
+  };
+}
+
+function ProfileForm({ profile, setProfile, onNext, rulebook }) {
   const update = (k, v) => setProfile((p) => ({ ...p, [k]: v }));
+  const { destinations, purposes, currencies } = profileOptions(rulebook, profile.dest_country);
   return (
     <div className="max-w-4xl mx-auto p-6 glass rounded-2xl">
       <h2 className="text-2xl font-semibold text-white mb-4">Tell us about yourself</h2>
@@ -144,11 +205,15 @@ function ProfileForm({ profile, setProfile, onNext }) {
         <LabeledInput label="Full name" value={profile.name} onChange={(v) => update('name', v)} />
         <LabeledInput label="Age" value={profile.age} onChange={(v) => update('age', v)} />
         <LabeledSelect label="Passport Country" value={profile.passport_country} onChange={(v) => update('passport_country', v)} options={["India", "Pakistan", "Nepal", "Bangladesh", "Other"]} />
-        <LabeledSelect label="Destination Country" value={profile.dest_country} onChange={(v) => update('dest_country', v)} options={["Canada", "United Kingdom", "Australia", "United States", "Germany"]} />
-        <LabeledSelect label="Purpose" value={profile.purpose} onChange={(v) => update('purpose', v)} options={["Study", "Work", "Tourism", "Family", "Other"]} />
-        <LabeledInput label="Monthly funds (INR)" value={profile.funds} onChange={(v) => update('funds', v)} />
-        <LabeledSelect label="Education" value={profile.education} onChange={(v) => update('education', v)} options={["High School", "Bachelors", "Masters", "PhD", "Other"]} />
-        <LabeledSelect label="Past visa history" value={profile.past_visa} onChange={(v) => update('past_visa', v)} options={["None", "1-2", "3+"]} />
+        <LabeledSelect label="Destination Country" value={profile.dest_country} onChange={(v) => update('dest_country', v)} options={destinations} />
+        <LabeledSelect label="Purpose" value={profile.purpose} onChange={(v) => update('purpose', v)} options={purposes} />
+        <LabeledInput label="Available funds" value={profile.funds} onChange={(v) => update('funds', v)} />
+        <LabeledSelect label="Funds currency" value={profile.funds_currency || 'INR'} onChange={(v) => update('funds_currency', v)} options={currencies} />
+        <LabeledSelect label="Education" value={profile.education} onChange={(v) => update('education', v)} options={EDUCATION_LEVELS} />
+        <LabeledSelect label="Past visa history" value={profile.past_visa} onChange={(v) => update('past_visa', v)} options={VISA_HISTORY} />
+        <LabeledSelect label="Language test" value={profile.language_test} onChange={(v) => update('language_test', v)} options={["None", "IELTS", "TOEFL", "PTE", "Duolingo", "CELPIP", "TestDaF", "DSH"]} />
+        <LabeledInput label="Test score (overall)" value={profile.language_score} onChange={(v) => update('language_score', v)} />
+        <LabeledInput label="Travel or intake date" type="date" value={profile.travel_date} onChange={(v) => update('travel_date', v)} />
       </div>
       <div className="mt-6 flex justify-end">
         <button onClick={onNext} className="px-6 py-2 rounded-md bg-gradient-to-r from-indigo-600 to-teal-400 text-black font-semibold">Next: Upload Documents</button>
@@ -157,11 +222,11 @@ function ProfileForm({ profile, setProfile, onNext }) {
   );
 }
 
-function LabeledInput({ label, value, onChange }) {
+function LabeledInput({ label, value, onChange, type = 'text' }) {
   return (
     <div>
       <div className="text-sm text-teal-200 mb-1">{label}</div>
-      <input value={value || ''} onChange={(e) => onChange(e.target.value)} className="w-full p-3 rounded-lg bg-[#031426]/30 border border-[#123] text-white" />
+      <input type={type} value={value || ''} onChange={(e) => onChange(e.target.value)} className="w-full p-3 rounded-lg bg-[#031426]/30 border border-[#123] text-white" />
     </div>
   );
 }
@@ -178,18 +243,80 @@ function LabeledSelect({ label, value, onChange, options }) {
   );
 }
 
-function FileUploader({ files, setFiles }) {
+// key matching server upload checks to the File objects they were made for
+const fileKey = (f) => `${f.name}:${f.size}:${f.lastModified}`;
+
+// "PDF · 3 pages" / "JPEG · 1600×1200"
+function describeCheck(check) {
+  const type = check.mimetype === 'application/pdf' ? 'PDF' : check.mimetype === 'text/csv' ? 'CSV' : check.mimetype?.replace('image/', '').toUpperCase();
+  if (check.pages) return `${type} · ${check.pages} page${check.pages === 1 ? '' : 's'}`;
+  if (check.width) return `${type} · ${check.width}×${check.height}`;
+  return type;
+}
+
+// document slots, as in server/documents.js
+const DOC_TYPE_LABELS = {
+  passport: 'Passport',
+  bank: 'Bank statement',
+  offer: 'Offer letter',
+  language: 'Language test result',
+  transcript: 'Academic transcript',
+  employment: 'Employment letter',
+  itinerary: 'Travel itinerary',
+  other: 'Other document',
+};
+
+// the slot a file fills: the user's choice, else the server's suggestion
+const uploadType = (f, checks, types) => types[fileKey(f)] || checks[fileKey(f)]?.suggestion?.type || null;
+
+function FileUploader({ files, setFiles, checks, setChecks, types, setTypes }) {
   const inputRef = useRef(null);
-  const onFileChange = (e) => {
-    const newFiles = Array.from(e.target.files || []);
+  const replaceRef = useRef(null);
+  const replaceIndex = useRef(null);
+  const [previewing, setPreviewing] = useState(null);
+  const previewable = (f) => /^(application\/pdf|image\/)/.test(f.type) && checks[fileKey(f)]?.ok;
+  // the server checks each file's real type, size, pages and resolution and suggests its slot
+  const checkFiles = async (newFiles) => {
+    const form = new FormData();
+    newFiles.forEach((f) => form.append('documents', f));
+    let results;
+    try {
+      results = (await postApi('/api/uploads/check', form)).files;
+    } catch (err) {
+      results = newFiles.map(() => ({ ok: false, reason: err.message }));
+    }
+    setChecks((c) => ({ ...c, ...Object.fromEntries(newFiles.map((f, i) => [fileKey(f), results[i]])) }));
+  };
+  const addFiles = (newFiles) => {
+    if (newFiles.length === 0) return;
     setFiles((f) => [...f, ...newFiles]);
+    checkFiles(newFiles);
+  };
+  const onFileChange = (e) => {
+    addFiles(Array.from(e.target.files || []));
+    e.target.value = '';
   };
 
   const onDrop = (e) => {
     e.preventDefault();
     const dt = e.dataTransfer;
-    const newFiles = Array.from(dt.files || []);
-    setFiles((f) => [...f, ...newFiles]);
+    addFiles(Array.from(dt.files || []));
+  };
+  const remove = (index) => setFiles((f) => f.filter((_, i) => i !== index));
+  const replace = (index) => {
+    replaceIndex.current = index;
+    replaceRef.current?.click();
+  };
+  // the new file keeps the slot of the one it replaces
+  const onReplace = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const old = files[replaceIndex.current];
+    const type = uploadType(old, checks, types);
+    if (type) setTypes((t) => ({ ...t, [fileKey(file)]: type }));
+    setFiles((f) => f.map((x, i) => (i === replaceIndex.current ? file : x)));
+    checkFiles([file]);
   };
 
   return (
@@ -202,6 +329,7 @@ function FileUploader({ files, setFiles }) {
         <div>
           <button onClick={() => inputRef.current?.click()} className="px-3 py-2 rounded-md bg-indigo-600 font-semibold">Select files</button>
           <input ref={inputRef} type="file" className="hidden" multiple onChange={onFileChange} />
+          <input ref={replaceRef} type="file" className="hidden" onChange={onReplace} />
         </div>
       </div>
 
@@ -209,29 +337,112 @@ function FileUploader({ files, setFiles }) {
         {files.length === 0 && <div className="p-6 rounded-lg bg-[#031426]/20 text-sm text-teal-200">No files yet — drop them here</div>}
         {files.map((f, i) => (
           <div key={i} className="p-3 rounded-lg flex items-center gap-3 bg-[#031426]/40 border border-[#123]">
-            <div className="w-10 h-10 rounded-md bg-white/5 flex items-center justify-center text-sm">{f.name.split('.').pop()?.toUpperCase()}</div>
+            {previewable(f) ? (
+              <button onClick={() => setPreviewing(previewing === f ? null : f)} title="Preview" className="w-10 h-10 rounded-md bg-white/5 flex items-center justify-center text-sm hover:bg-white/10">{f.name.split('.').pop()?.toUpperCase()}</button>
+            ) : (
+              <div className="w-10 h-10 rounded-md bg-white/5 flex items-center justify-center text-sm">{f.name.split('.').pop()?.toUpperCase()}</div>
+            )}
             <div className="flex-1">
               <div className="font-medium text-white text-sm">{f.name}</div>
               <div className="text-xs text-teal-200">{(f.size / 1024).toFixed(1)} KB</div>
+              {checks[fileKey(f)]?.ok === false && <div className="text-xs text-red-300 mt-1">{checks[fileKey(f)].reason}</div>}
+              {checks[fileKey(f)]?.ok && (
+                <div className="mt-1 flex items-center gap-2">
+                  <select value={uploadType(f, checks, types) || ''} onChange={(e) => setTypes((t) => ({ ...t, [fileKey(f)]: e.target.value }))} className="p-1 rounded bg-[#031426] border border-[#123] text-xs text-white">
+                    {Object.entries(DOC_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                  </select>
+                  {!types[fileKey(f)] && checks[fileKey(f)].suggestion && (
+                    <span className="text-[10px] text-teal-200" title={checks[fileKey(f)].suggestion.signals.join(', ')}>suggested ({checks[fileKey(f)].suggestion.confidence})</span>
+                  )}
+                </div>
+              )}
+              {checks[fileKey(f)]?.quality?.findings.filter((q) => q.severity !== 'info').map((q, j) => (
+                <div key={j} className={`text-xs mt-1 ${q.severity === 'error' ? 'text-red-300' : 'text-amber-200'}`}>{q.message}</div>
+              ))}
             </div>
-            <div className="text-xs text-teal-200">Ready</div>
+            {!checks[fileKey(f)] && <div className="text-xs text-teal-200">Checking…</div>}
+            {checks[fileKey(f)]?.ok && <div className="text-xs text-emerald-300">✓ {describeCheck(checks[fileKey(f)])}</div>}
+            <button onClick={() => replace(i)} title="Replace" className="text-teal-200 text-xs px-1">Replace</button>
+            <button onClick={() => remove(i)} title="Remove" className="text-teal-200 text-sm px-2">✕</button>
           </div>
         ))}
       </div>
+      {previewing && files.includes(previewing) && (
+        <div className="mt-4">
+          <DocumentViewer key={fileKey(previewing)} file={previewing} onClose={() => setPreviewing(null)} />
+        </div>
+      )}
     </div>
   );
 }
 
-function AnalyzeLoading() {
+// required and optional documents for the destination and purpose, ticked off as files fill them
+function DocumentChecklist({ checklist, filled }) {
+  return (
+    <div className="p-4 glass rounded-xl border border-[#13334f]">
+      <div className="text-sm text-teal-200 mb-2">Documents for {checklist.visa || [checklist.country, checklist.purpose].filter(Boolean).join(' ') || 'your application'}</div>
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+        {checklist.documents.map((d) => (
+          <li key={d.type} className={filled.includes(d.type) ? 'text-emerald-300' : d.required ? 'text-amber-200' : 'text-teal-200'}>
+            {filled.includes(d.type) ? '✓' : '○'} {d.label} <span className="text-xs opacity-70">{d.required ? 'required' : 'optional'}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// progress (0–100) reached once a phase has been reported by /api/analyze/stream
+const PHASE_PROGRESS = { received: 10, document: 20, quality: 22, forensics: 24, redacting: 25, engine: 30, queued: 30, model_call: 40, retrying: 40, partial: 70, validating: 80, repairing: 80, fallback: 30, scored: 100 };
+
+function describeProgress(p) {
+  switch (p.phase) {
+    case 'received': return { text: `Upload received (${p.documents.length} document${p.documents.length === 1 ? '' : 's'})` };
+    case 'document': return { text: `${p.name}: ${p.ok ? 'checked' : p.note}`, issue: !p.ok };
+    case 'quality': return { text: `${p.name}: ${p.findings.map((f) => f.message).join(' ')}`, issue: p.findings.some((f) => f.severity !== 'info') };
+    case 'forensics': return { text: `${p.name}: ${p.level} tamper risk (${p.risk}/100)`, issue: p.level !== 'low' };
+    case 'engine': return { text: `Running ${p.label || p.engine}` };
+    case 'redacting': return { text: `${p.name}: ${p.method === 'withheld' ? 'could not be redacted, not sent to the AI' : 'personal data masked'}`, issue: p.method === 'withheld' };
+    case 'queued': return { text: `Waiting for the AI model — position ${p.position} in queue` };
+    case 'model_call': return { text: `Model call started${p.attempt > 1 ? ` (attempt ${p.attempt})` : ''}` };
+    case 'retrying': return { text: `Model busy — retrying in ${Math.ceil(p.delayMs / 1000)}s`, issue: true };
+    case 'partial': return { text: p.result?.score !== undefined ? `Partial results: preliminary score ${p.result.score}%` : `Partial results: ${p.result?.docs?.length || 0} documents reviewed` };
+    case 'validating': return { text: 'Validating results' };
+    case 'repairing': return { text: `Repairing results (${p.violations.length} issue${p.violations.length === 1 ? '' : 's'})`, issue: true };
+    case 'fallback': return { text: `Switched to ${p.to} engine: ${p.reason}`, issue: true };
+    case 'scored': return { text: `Scoring done: ${p.score}% (${p.plain})` };
+    default: return { text: p.phase };
+  }
+}
+
+function AnalyzeLoading({ events, onCancel }) {
+  // keep only the latest queue position instead of one line per move
+  const steps = events.filter((e, i) => e.phase !== 'queued' || events[i + 1]?.phase !== 'queued');
+  const percent = events.reduce((max, e) => Math.max(max, PHASE_PROGRESS[e.phase] || 0), 0);
   return (
     <div className="max-w-4xl mx-auto p-8 glass rounded-2xl text-center">
       <div className="text-2xl font-semibold text-white mb-4">Analyzing your profile...</div>
       <div className="text-sm text-teal-200 mb-6">Running document authenticity, visa simulation and risk scoring</div>
       <div className="w-64 mx-auto">
         <div className="h-2 bg-[#042236] rounded-full overflow-hidden mb-2">
-          <div className="h-full bg-gradient-to-r from-teal-400 to-indigo-600" style={{ width: '68%' }} />
+          <div className="h-full bg-gradient-to-r from-teal-400 to-indigo-600 transition-all" style={{ width: `${percent}%` }} />
         </div>
-        <div className="text-xs text-teal-200">Estimated time: 20–40s</div>
+        <div className="text-xs text-teal-200">{percent}% complete</div>
+      </div>
+      <ul className="mt-6 max-w-md mx-auto text-left space-y-2">
+        {steps.map((e, i) => {
+          const { text, issue } = describeProgress(e);
+          const current = i === steps.length - 1;
+          return (
+            <motion.li key={i} initial={{ opacity: 0, x: -6 }} animate={{ opacity: 1, x: 0 }} className={`text-sm flex items-start gap-2 ${issue ? 'text-amber-300' : current ? 'text-white' : 'text-teal-200'}`}>
+              <span>{current ? '›' : issue ? '!' : '✓'}</span>
+              <span>{text}</span>
+            </motion.li>
+          );
+        })}
+      </ul>
+      <div className="mt-6">
+        <button onClick={onCancel} className="px-4 py-2 rounded-md border border-teal-600 text-teal-200">Cancel</button>
       </div>
     </div>
   );
@@ -256,12 +467,23 @@ function CountryCard({ c }) {
           <div className="text-sm text-teal-200">Score: {c.score}%</div>
         </div>
       </div>
+      {c.visa && <div className="mt-2 text-xs text-teal-200">{c.visa}</div>}
       <div className="mt-3 text-sm text-teal-200">{c.reason}</div>
+      {c.rules?.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs">
+          {c.rules.map((r) => (
+            <li key={r.id} title={r.explanation} className={r.passed === true ? 'text-green-300' : r.passed === false ? 'text-red-300' : 'text-teal-200'}>
+              {r.passed === true ? '✓' : r.passed === false ? '✗' : '?'} {r.label} <span className="opacity-60">({r.weight})</span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
 function RiskBar({ data }) {
+  const details = data.filter((d) => d.detail);
   const chartData = {
     labels: data.map((d) => d.label),
     datasets: [
@@ -275,7 +497,46 @@ function RiskBar({ data }) {
   };
   return (
     <div className="p-4 rounded-xl glass border border-[#13334f]">
-      <Bar data={chartData} options={{ responsive: true, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, max: 100 } } }} />
+      <Bar data={chartData} options={{ responsive: true, plugins: { legend: { display: false }, tooltip: { callbacks: { afterLabel: (ctx) => data[ctx.dataIndex].detail || '' } } }, scales: { y: { beginAtZero: true, max: 100 } } }} />
+      {details.map((d) => (
+        <div key={d.label} className="mt-2 text-xs text-teal-200">{d.label}: {d.detail}</div>
+      ))}
+    </div>
+  );
+}
+
+// Waterfall of the score's factor ledger: each bar floats from the running
+// total before the factor to the total after it.
+function FactorWaterfall({ factors, score }) {
+  const totals = factors.map((_, i) => factors.slice(0, i + 1).reduce((sum, f) => sum + f.contribution, 0));
+  const bars = [...totals.map((end, i) => [i === 0 ? 0 : totals[i - 1], end]), [0, score]];
+  const colors = [
+    ...factors.map((f) => (f.name === 'Baseline' ? '#3b82f6' : f.contribution >= 0 ? '#16a34a' : '#ef4444')),
+    '#6366f1',
+  ];
+  const chartData = {
+    labels: [...factors.map((f) => f.name), 'Score'],
+    datasets: [{ label: 'Contribution', data: bars, backgroundColor: colors, borderRadius: 4, barThickness: 18 }],
+  };
+  const tooltip = {
+    callbacks: {
+      label: (ctx) => {
+        const f = factors[ctx.dataIndex];
+        if (!f) return `Score: ${score}`;
+        return `${f.contribution >= 0 ? '+' : ''}${f.contribution}${f.weight ? ` of ${f.weight}` : ''}`;
+      },
+      afterLabel: (ctx) => {
+        const f = factors[ctx.dataIndex];
+        return f ? [f.input && `Input: ${f.input}`, f.rule].filter(Boolean) : '';
+      },
+    },
+  };
+  return (
+    <div className="p-4 rounded-xl glass border border-[#13334f]">
+      <Bar data={chartData} options={{ responsive: true, plugins: { legend: { display: false }, tooltip }, scales: { y: { beginAtZero: true, max: 100 } } }} />
+      {factors.some((f) => f.estimated) && (
+        <div className="mt-2 text-xs text-amber-200">Estimated breakdown: the AI engine does not report exact factor contributions.</div>
+      )}
     </div>
   );
 }
@@ -298,7 +559,290 @@ function DigitalTwinCard({ twin }) {
   );
 }
 
-function ResultsDashboard({ result, onInterview }) {
+// What-if simulator: re-scores the finished analysis with changed profile
+// fields via /api/simulate. The uploaded documents' findings are reused, so
+// nothing is re-uploaded and the AI is not called again.
+function WhatIfPanel({ result, profile, rulebook, onSimulated }) {
+  const [changes, setChanges] = useState({});
+  const [simulation, setSimulation] = useState(null);
+  const [error, setError] = useState('');
+  const timer = useRef(null);
+  const request = useRef(null);
+  const current = { ...profile, ...changes };
+  const { destinations, purposes, currencies } = profileOptions(rulebook, current.dest_country);
+
+  const simulate = (next) => {
+    clearTimeout(timer.current);
+    request.current?.abort();
+    if (Object.keys(next).length === 0) {
+      setSimulation(null);
+      setError('');
+      onSimulated(null);
+      return;
+    }
+    // wait for the user to stop typing before asking the server
+    timer.current = setTimeout(async () => {
+      const controller = new AbortController();
+      request.current = controller;
+      try {
+        const response = await fetch('/api/simulate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ analysisId: result.meta.analysisId, changes: next }),
+          signal: controller.signal,
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(apiErrorMessage(body, 'Simulation failed'));
+        setError('');
+        setSimulation(body);
+        onSimulated(body);
+      } catch (err) {
+        if (!controller.signal.aborted) setError(err.message);
+      }
+    }, 300);
+  };
+
+  const update = (k, v) => {
+    const next = { ...changes, [k]: v };
+    setChanges(next);
+    simulate(next);
+  };
+  const reset = () => {
+    setChanges({});
+    simulate({});
+  };
+
+  const delta = simulation && simulation.score - simulation.simulation.baseline.score;
+  return (
+    <div className="p-4 rounded-2xl glass border border-[#13334f]">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-teal-200">What-if Simulator</div>
+        {Object.keys(changes).length > 0 && <button onClick={reset} className="text-xs text-teal-200 underline">Reset</button>}
+      </div>
+      <div className="grid grid-cols-2 gap-2 mt-3">
+        <LabeledInput label="Funds" value={current.funds} onChange={(v) => update('funds', v)} />
+        <LabeledSelect label="Currency" value={current.funds_currency || 'INR'} onChange={(v) => update('funds_currency', v)} options={currencies} />
+        <LabeledSelect label="Education" value={current.education} onChange={(v) => update('education', v)} options={EDUCATION_LEVELS} />
+        <LabeledSelect label="Past visas" value={current.past_visa} onChange={(v) => update('past_visa', v)} options={VISA_HISTORY} />
+        <LabeledSelect label="Purpose" value={current.purpose} onChange={(v) => update('purpose', v)} options={purposes} />
+        <LabeledSelect label="Destination" value={current.dest_country} onChange={(v) => update('dest_country', v)} options={destinations} />
+      </div>
+      {simulation && (
+        <div className="mt-3 text-sm text-white">
+          Simulated score: <span className="font-semibold">{simulation.score}%</span> ({simulation.plain}){' '}
+          <span className={delta > 0 ? 'text-green-300' : delta < 0 ? 'text-red-300' : 'text-teal-200'}>
+            {delta > 0 ? '+' : ''}{delta} vs. your current profile
+          </span>
+          {simulation.simulation.analyzedBy !== simulation.meta.engine && (
+            <div className="mt-1 text-xs text-teal-200">Re-scored with rule-based scoring; the AI score above is not re-run.</div>
+          )}
+        </div>
+      )}
+      {error && <div className="mt-3 text-xs text-red-300 whitespace-pre-line">{error}</div>}
+    </div>
+  );
+}
+
+// What was masked before the documents went to the AI provider.
+function RedactionNote({ redaction }) {
+  const withheld = redaction.documents.filter(d => d.method === 'withheld');
+  return (
+    <div className="mt-3 text-xs text-teal-200">
+      🔒 Masked before AI analysis: {redaction.fields.length > 0 ? redaction.fields.map(f => `${f.label} (${f.count})`).join(', ') : 'nothing found'}
+      {withheld.length > 0 && <div className="text-amber-200">Not sent (could not be redacted): {withheld.map(d => d.name).join(', ')}</div>}
+    </div>
+  );
+}
+
+// pdf.js is loaded on first preview, with its worker, so it stays out of the main bundle
+let pdfjsPromise;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.min.mjs?url')]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+const FINDING_COLORS = { error: 'border-red-400 bg-red-400/20', warning: 'border-amber-300 bg-amber-300/20', info: 'border-teal-300 bg-teal-300/10' };
+const TAMPER_COLORS = { low: 'text-emerald-300', medium: 'text-amber-200', high: 'text-red-300' };
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.5, 2, 3];
+
+// inline viewer for an uploaded PDF or image, with findings drawn as boxes on their page
+function DocumentViewer({ file, findings = [], onClose }) {
+  const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+  const imageUrl = useMemo(() => (isPdf ? null : URL.createObjectURL(file)), [file, isPdf]);
+  const [pdf, setPdf] = useState(null);
+  const [pageImage, setPageImage] = useState(null);
+  const [page, setPage] = useState(1);
+  const [zoom, setZoom] = useState(1);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => () => imageUrl && URL.revokeObjectURL(imageUrl), [imageUrl]);
+
+  useEffect(() => {
+    if (!isPdf) return undefined;
+    let doc;
+    let cancelled = false;
+    loadPdfjs()
+      .then(async (pdfjs) => {
+        doc = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        if (!cancelled) setPdf(doc);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+      doc?.destroy();
+    };
+  }, [file, isPdf]);
+
+  // render the current page once at 2x; zooming only scales the picture
+  useEffect(() => {
+    if (!pdf) return undefined;
+    let cancelled = false;
+    pdf.getPage(page).then(async (p) => {
+      const viewport = p.getViewport({ scale: 2 });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      await p.render({ canvasContext: canvas.getContext('2d'), viewport, canvas }).promise;
+      if (!cancelled) setPageImage(canvas.toDataURL('image/png'));
+    }).catch((err) => !cancelled && setError(err.message));
+    return () => { cancelled = true; };
+  }, [pdf, page]);
+
+  const pages = pdf?.numPages || 1;
+  const src = isPdf ? pageImage : imageUrl;
+  // a finding may mark several places (e.g. every edited amount)
+  const onPage = findings.filter((f) => f.page === page && f.box).flatMap((f) => (f.boxes || [f.box]).map((box) => ({ f, box })));
+  const go = (f) => {
+    setSelected(f);
+    if (f.page) setPage(f.page);
+  };
+
+  return (
+    <div className="p-4 rounded-xl border border-[#13334f] bg-[#031426]">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-teal-200">
+        <div className="font-semibold text-white truncate flex-1">{file.name}</div>
+        <button disabled={page <= 1} onClick={() => setPage(page - 1)} className="px-2 disabled:opacity-40">◀</button>
+        <span>Page {page} of {pages}</span>
+        <button disabled={page >= pages} onClick={() => setPage(page + 1)} className="px-2 disabled:opacity-40">▶</button>
+        <button disabled={zoom === ZOOM_LEVELS[0]} onClick={() => setZoom(ZOOM_LEVELS[ZOOM_LEVELS.indexOf(zoom) - 1])} className="px-2 disabled:opacity-40">−</button>
+        <span>{Math.round(zoom * 100)}%</span>
+        <button disabled={zoom === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]} onClick={() => setZoom(ZOOM_LEVELS[ZOOM_LEVELS.indexOf(zoom) + 1])} className="px-2 disabled:opacity-40">+</button>
+        {onClose && <button onClick={onClose} title="Close" className="px-2">✕</button>}
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="md:col-span-2 max-h-[70vh] overflow-auto rounded bg-black/30">
+          {error && <div className="p-4 text-sm text-red-300">Preview failed: {error}</div>}
+          {!error && !src && <div className="p-4 text-sm text-teal-200">Loading preview…</div>}
+          {!error && src && (
+            <div className="relative" style={{ width: `${zoom * 100}%` }}>
+              <img src={src} alt={`${file.name}, page ${page}`} className="w-full block" onError={() => setError('this browser cannot display the file')} />
+              {onPage.map(({ f, box }, i) => (
+                <button
+                  key={i}
+                  title={f.message}
+                  onClick={() => setSelected(f)}
+                  className={`absolute border-2 rounded-sm ${FINDING_COLORS[f.severity] || FINDING_COLORS.warning} ${selected === f ? 'ring-2 ring-white' : ''}`}
+                  style={{ left: `${box.x * 100}%`, top: `${box.y * 100}%`, width: `${box.width * 100}%`, height: `${box.height * 100}%` }}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+
+        <ul className="space-y-2 text-xs">
+          {findings.length === 0 && <li className="text-teal-200">No findings on this document.</li>}
+          {findings.map((f, i) => (
+            <li key={i}>
+              <button onClick={() => go(f)} className={`w-full text-left p-2 rounded border ${FINDING_COLORS[f.severity] || FINDING_COLORS.warning} ${selected === f ? 'ring-1 ring-white' : ''}`}>
+                <div className="text-white">{f.message}</div>
+                <div className="text-teal-200 mt-1">{f.page ? `Page ${f.page}${f.box ? '' : ', not marked on the page'}` : 'Not located on a page'}</div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+const EFFORT_LABELS = { low: 'Quick', medium: 'Some work', high: 'Big task' };
+
+// the case's action plan: concrete tasks for the analysis' weak spots, ticked off as they get done
+function ActionPlan({ caseId, analysisId }) {
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getApi(`/api/cases/${caseId}/plan`).then(setPlan).catch((err) => setError(err.message));
+  }, [caseId, analysisId]);
+
+  const toggle = async (item) => {
+    const response = await fetch(`/api/cases/${caseId}/plan/items/${encodeURIComponent(item.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ done: !item.done }),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) setPlan(body);
+    else alert(apiErrorMessage(body, 'Could not update the task'));
+  };
+
+  if (error) return <div className="text-sm text-teal-200">{error}</div>;
+  if (!plan) return <div className="text-sm text-teal-200">Loading your action plan…</div>;
+  const { estimate } = plan;
+  return (
+    <div>
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h3 className="text-lg font-semibold text-white">Your Action Plan</h3>
+        <div className="text-sm text-teal-200">
+          {estimate.done} of {estimate.total} done · estimated score {estimate.score}% → <span className="text-white font-semibold">{estimate.projected}%</span> ({estimate.plain})
+        </div>
+      </div>
+      <div className="text-xs text-teal-200 mt-1">
+        {plan.target
+          ? `Working back from ${plan.target.source === 'offer' ? 'the program start' : 'your travel date'} on ${plan.target.date}: apply by ${plan.target.submitBy}.`
+          : 'Add your travel or intake date to the profile to get deadlines.'}
+      </div>
+      {plan.analysisId !== analysisId && <div className="text-xs text-amber-200 mt-1">This plan follows the latest analysis of the case.</div>}
+      {plan.items.length === 0 && <div className="mt-3 text-sm text-emerald-300">Nothing left to improve — your application is in good shape.</div>}
+      <ul className="mt-3 space-y-2">
+        {plan.items.map((item) => (
+          <li key={item.id} className={`p-3 rounded-md bg-white/5 flex gap-3 ${item.done ? 'opacity-60' : ''}`}>
+            <input type="checkbox" checked={item.done} onChange={() => toggle(item)} className="mt-1" />
+            <div className="flex-1">
+              <div className={`text-sm text-white ${item.done ? 'line-through' : ''}`}>{item.task}</div>
+              {item.why !== item.task && <div className="text-xs text-teal-200 mt-1">{item.why}</div>}
+              <div className="text-xs mt-1 flex flex-wrap gap-3">
+                <span className="text-emerald-300">+{item.impact} pts{item.estimated ? ' (rough estimate)' : ''}</span>
+                <span className="text-teal-200">{EFFORT_LABELS[item.effort]} · about {item.days} days</span>
+                {item.startBy && (
+                  <span className={item.late && !item.done ? 'text-red-300' : 'text-teal-200'}>
+                    start by {item.startBy}{item.late && !item.done ? ' (late)' : ''} · due {item.due}
+                  </span>
+                )}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ResultsDashboard({ result, profile, rulebook, onInterview, files = [], caseId }) {
+  const [whatIf, setWhatIf] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const view = whatIf || result;
+  // the upload a document result was read from, when it is still in this browser
+  const fileOf = (d) => files.find((f) => f.name === d.file);
+  const label = whatIf ? ' (what-if)' : '';
   return (
     <div className="max-w-6xl mx-auto p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
       <div className="col-span-2 glass p-6 rounded-2xl border border-[#13334f]">
@@ -311,13 +855,30 @@ function ResultsDashboard({ result, onInterview }) {
             <ul className="list-disc ml-6 mt-2 text-sm text-white">
               {result.reasons.map((r, i) => <li key={i}>{r}</li>)}
             </ul>
+            {result.meta?.redaction && <RedactionNote redaction={result.meta.redaction} />}
             <div className="mt-4 flex gap-3">
               <button onClick={onInterview} className="px-4 py-2 rounded-md bg-indigo-600 font-semibold">Practice Interview</button>
-              <button className="px-4 py-2 rounded-md border border-teal-600 text-teal-200">Download Report</button>
+              {result.meta?.analysisId ? (
+                <>
+                  <a href={`/api/report/${result.meta.analysisId}`} download className="px-4 py-2 rounded-md border border-teal-600 text-teal-200">Download Report</a>
+                  <a href={`/api/report/${result.meta.analysisId}/json`} download className="px-4 py-2 rounded-md border border-[#13334f] text-teal-200 text-sm self-center">Export JSON</a>
+                </>
+              ) : (
+                <button disabled title="Reports need a saved analysis" className="px-4 py-2 rounded-md border border-teal-600 text-teal-200 opacity-50">Download Report</button>
+              )}
             </div>
           </div>
         </div>
 
+        {result.factors?.length > 0 && (
+          <div className="mt-6">
+            <h3 className="text-lg font-semibold text-white">How the score was built</h3>
+            <div className="mt-3">
+              <FactorWaterfall factors={result.factors} score={result.score} />
+            </div>
+          </div>
+        )}
+
         <div className="mt-6">
           <h3 className="text-lg font-semibold text-white">Document Analysis</h3>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
@@ -326,86 +887,601 @@ function ResultsDashboard({ result, onInterview }) {
                 <div className="font-semibold text-white">{d.name}</div>
                 <div className="text-sm text-teal-200 mt-1">Status: {d.ok ? 'Good' : 'Issue'}</div>
                 <div className="text-xs mt-2 text-teal-200">{d.note}</div>
+                {d.forensics && (
+                  <div className={`text-xs mt-1 ${TAMPER_COLORS[d.forensics.level]}`} title={d.forensics.indicators.map((t) => t.message).join('\n')}>
+                    Tamper risk: {d.forensics.level} ({d.forensics.risk}/100{d.forensics.indicators.length > 0 ? `, ${d.forensics.indicators.length} indicator${d.forensics.indicators.length === 1 ? '' : 's'}` : ''})
+                  </div>
+                )}
+                {d.findings?.filter((f) => f.documents && f.severity !== 'info').map((f, j) => (
+                  <div key={j} className={`text-xs mt-1 ${f.severity === 'error' ? 'text-red-300' : 'text-amber-200'}`}>⚠ {f.message}</div>
+                ))}
+                {fileOf(d) && (
+                  <button onClick={() => setViewing(viewing === i ? null : i)} className="mt-2 text-xs text-teal-200 underline">
+                    {viewing === i ? 'Hide document' : `View document${d.findings?.some((f) => f.box) ? ' with findings' : ''}`}
+                  </button>
+                )}
               </div>
             ))}
           </div>
+          {viewing !== null && result.docs[viewing] && fileOf(result.docs[viewing]) && (
+            <div className="mt-4">
+              <DocumentViewer
+                key={viewing}
+                file={fileOf(result.docs[viewing])}
+                findings={(result.docs[viewing].findings || []).filter((f) => f.severity !== 'info')}
+                onClose={() => setViewing(null)}
+              />
+            </div>
+          )}
         </div>
+
+        {caseId && result.meta?.analysisId && (
+          <div className="mt-6">
+            <ActionPlan caseId={caseId} analysisId={result.meta.analysisId} />
+          </div>
+        )}
       </div>
 
       <div>
         <DigitalTwinCard twin={result.twin} />
+        {result.meta?.analysisId && (
+          <div className="mt-4">
+            <WhatIfPanel result={result} profile={profile} rulebook={rulebook} onSimulated={setWhatIf} />
+          </div>
+        )}
         <div className="mt-4">
-          <h4 className="text-sm text-teal-200">Multi-country Comparison</h4>
+          <h4 className="text-sm text-teal-200">Multi-country Comparison{label}</h4>
           <div className="flex gap-3 overflow-x-auto mt-3 py-2">
-            {result.countries.map((c, i) => <CountryCard key={i} c={c} />)}
+            {view.countries.map((c, i) => <CountryCard key={i} c={c} />)}
           </div>
         </div>
 
         <div className="mt-4">
-          <h4 className="text-sm text-teal-200">Risk Overview</h4>
-          <RiskBar data={result.risk} />
+          <h4 className="text-sm text-teal-200">Risk Overview{label}</h4>
+          <RiskBar data={view.risk} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// GET from the API and return the parsed body, throwing on API errors.
+async function getApi(url) {
+  const response = await fetch(url);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(apiErrorMessage(data, 'Request failed'));
+  return data;
+}
+
+// POST JSON (or FormData) to the API and return the parsed body, throwing on API errors.
+async function postApi(url, body = {}) {
+  const response = await fetch(url, body instanceof FormData
+    ? { method: 'POST', body }
+    : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(apiErrorMessage(data, 'Request failed'));
+  return data;
+}
+
+const INTERVIEW_CRITERIA = { clarity: 'Clarity', consistency: 'Consistency with documents', ties: 'Ties to home country', finances: 'Financial specifics' };
+
+// "34 words · 2 fillers · started after 7.2 s · 130 wpm"
+function describeMetrics(m) {
+  return [
+    `${m.words} words`,
+    `${m.fillers} filler${m.fillers === 1 ? '' : 's'}`,
+    m.latencyMs !== undefined && `started after ${(m.latencyMs / 1000).toFixed(1)} s`,
+    m.durationMs !== undefined && `spoke for ${Math.round(m.durationMs / 1000)} s`,
+    m.wordsPerMinute !== undefined && `${m.wordsPerMinute} wpm`,
+  ].filter(Boolean).join(' · ');
+}
+
+function AnswerFeedback({ evaluation, metrics, guidance }) {
+  return (
+    <div className="mt-6 p-4 rounded-lg glass border border-[#13334f]">
+      <div className="font-semibold text-white">Feedback</div>
+      <div className="text-sm text-teal-200 mt-2">Score: {evaluation.score}/10</div>
+      {metrics && <div className="text-xs text-teal-200 mt-1">{metrics.mode === 'voice' ? '🎙 ' : ''}{describeMetrics(metrics)}</div>}
+      <ul className="mt-2 space-y-1 text-sm">
+        {Object.entries(evaluation.criteria).map(([id, c]) => (
+          <li key={id} className="text-teal-200">
+            <span className="text-white">{INTERVIEW_CRITERIA[id]}:</span> {c.score === null ? 'n/a' : `${c.score}/10`}
+            {c.notes.length > 0 && <span className="opacity-80"> — {c.notes.join(' ')}</span>}
+          </li>
+        ))}
+      </ul>
+      {evaluation.tips.length > 0 && (
+        <>
+          <div className="mt-2 text-sm text-white">Tips:</div>
+          <ul className="list-disc ml-6 mt-2 text-sm text-teal-200">{evaluation.tips.map((t, i) => <li key={i}>{t}</li>)}</ul>
+        </>
+      )}
+      {guidance && (
+        <>
+          <div className="mt-2 text-sm text-teal-200">A strong answer:</div>
+          <div className="mt-1 p-3 bg-[#031426]/30 rounded text-white">{guidance}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function InterviewSummary({ summary }) {
+  return (
+    <div className="p-4 rounded-lg glass border border-[#13334f]">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-teal-200">Interview readiness</div>
+          <div className="text-2xl font-semibold text-white">{summary.readiness}% · {summary.plain}</div>
         </div>
+        <div className="text-sm text-teal-200">{summary.answered} of {summary.planned} questions answered</div>
       </div>
+      <ul className="mt-3 grid grid-cols-2 gap-2 text-sm">
+        {Object.entries(summary.criteria).map(([id, c]) => (
+          <li key={id} className="text-teal-200">{c.label}: <span className="text-white">{c.score === null ? 'n/a' : `${c.score}/10`}</span></li>
+        ))}
+      </ul>
+      {summary.tips.length > 0 && (
+        <ul className="list-disc ml-6 mt-3 text-sm text-teal-200">{summary.tips.map((t, i) => <li key={i}>{t}</li>)}</ul>
+      )}
     </div>
   );
 }
 
-function InterviewPractice({ onBack }) {
-  const [history, setHistory] = useState([]);
+// Officer interview backed by /api/interview: questions are tailored to the
+// analysis, every answer is scored on the rubric and weak answers get a follow-up.
+// In voice mode the officer reads the question aloud and the spoken answer is
+// recorded and transcribed on the server.
+function InterviewPractice({ onBack, analysisId, profile, caseId }) {
+  const [session, setSession] = useState(null);
   const [answer, setAnswer] = useState('');
   const [feedback, setFeedback] = useState(null);
-  const questions = [
-    'Why do you want to study/work in this country?',
-    'How will you fund your stay?',
-    'What are your plans after finishing the program?'
-  ];
-  const ask = questions[history.length % questions.length];
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [voiceAvailable, setVoiceAvailable] = useState(false);
+  const [voice, setVoice] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const askedAt = useRef(0);
+  const recorder = useRef(null);
+
+  useEffect(() => {
+    postApi('/api/interview', { ...(analysisId ? { analysisId } : { profile }), ...(caseId && { caseId }) })
+      .then(setSession)
+      .catch((err) => setError(err.message));
+  }, [analysisId, profile, caseId]);
+
+  useEffect(() => {
+    fetch('/api/interview/voice')
+      .then((res) => (res.ok ? res.json() : { available: false }))
+      .then((v) => setVoiceAvailable(v.available && typeof MediaRecorder !== 'undefined'))
+      .catch(() => {}); // typed answers only
+  }, []);
+
+  // Read each new question aloud; response latency counts from when the officer stops talking.
+  const questionText = session?.question?.text;
+  useEffect(() => {
+    if (!questionText) return undefined;
+    askedAt.current = Date.now();
+    if (!voice || !window.speechSynthesis) return undefined;
+    const utterance = new SpeechSynthesisUtterance(questionText);
+    utterance.onend = () => { askedAt.current = Date.now(); };
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return () => window.speechSynthesis.cancel();
+  }, [voice, questionText]);
+
+  const run = async (request) => {
+    setBusy(true);
+    try {
+      const data = await request();
+      setSession(data);
+      setError('');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
 
   const submit = async () => {
-    // Mock — replace with /api/interview endpoint for real feedback
-    const mock = { score: Math.floor(Math.random() * 5) + 5, tips: ['Be concise', 'Give exact figures', 'Show ties to home country'], improved: answer + ' — Improved: I plan to ...' };
-    setFeedback(mock);
-    setHistory((h) => [...h, { q: ask, a: answer, fb: mock }]);
+    const data = await run(() => postApi(`/api/interview/${session.id}/answer`, { answer }));
+    if (!data) return;
+    setFeedback({ evaluation: data.evaluation, metrics: data.metrics, guidance: data.guidance });
     setAnswer('');
   };
 
+  const submitRecording = async (audio, latencyMs, durationMs) => {
+    const form = new FormData();
+    form.append('audio', audio, audio.type.includes('ogg') ? 'answer.ogg' : 'answer.webm');
+    form.append('latencyMs', String(latencyMs));
+    form.append('durationMs', String(durationMs));
+    const data = await run(() => postApi(`/api/interview/${session.id}/answer`, form));
+    if (data) setFeedback({ evaluation: data.evaluation, metrics: data.metrics, guidance: data.guidance });
+  };
+
+  const startRecording = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      window.speechSynthesis?.cancel();
+      const chunks = [];
+      const rec = new MediaRecorder(stream);
+      const startedAt = Date.now();
+      const latencyMs = Math.max(0, startedAt - askedAt.current);
+      rec.ondataavailable = (e) => chunks.push(e.data);
+      rec.onstop = () => {
+        stream.getTracks().forEach((t) => t.stop());
+        submitRecording(new Blob(chunks, { type: rec.mimeType || 'audio/webm' }), latencyMs, Date.now() - startedAt);
+      };
+      rec.start();
+      recorder.current = rec;
+      setRecording(true);
+    } catch (err) {
+      setError(`Microphone unavailable: ${err.message}`);
+    }
+  };
+
+  const stopRecording = () => {
+    recorder.current?.stop();
+    recorder.current = null;
+    setRecording(false);
+  };
+  const finish = () => run(() => postApi(`/api/interview/${session.id}/finish`));
+
+  const question = session?.question;
   return (
     <div className="max-w-4xl mx-auto p-6 glass rounded-2xl">
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-xl font-semibold text-white">Interview Simulation</h3>
-        <button onClick={onBack} className="text-sm text-teal-200">Back</button>
+        <div className="flex gap-3">
+          {voiceAvailable && (
+            <label className="text-sm text-teal-200 flex items-center gap-1">
+              <input type="checkbox" checked={voice} onChange={(e) => setVoice(e.target.checked)} disabled={recording} /> Voice mode
+            </label>
+          )}
+          {session?.status === 'active' && session.transcript.length > 0 && (
+            <button onClick={finish} disabled={busy} className="text-sm text-teal-200">End interview</button>
+          )}
+          <button onClick={onBack} className="text-sm text-teal-200">Back</button>
+        </div>
       </div>
 
-      <div className="mb-4">
-        <div className="text-sm text-teal-200 mb-2">AI Officer:</div>
-        <div className="p-4 rounded-lg bg-[#031426]/50 border border-[#123] text-white">{ask}</div>
+      {error && <div className="mb-4 text-sm text-red-300 whitespace-pre-line">{error}</div>}
+      {!session && !error && <div className="text-teal-200">Preparing your interview…</div>}
+
+      {question && (
+        <>
+          <div className="mb-4">
+            <div className="text-sm text-teal-200 mb-2">
+              AI Officer · question {session.progress.question} of {session.progress.of}{question.followUpOf ? ' · follow-up' : ''}:
+            </div>
+            <div className="p-4 rounded-lg bg-[#031426]/50 border border-[#123] text-white">{question.text}</div>
+          </div>
+
+          {voice ? (
+            <div className="flex items-center gap-3">
+              {recording
+                ? <button onClick={stopRecording} className="px-4 py-2 rounded-md bg-red-500 text-black font-semibold">■ Stop & Submit</button>
+                : <button onClick={startRecording} disabled={busy} className="px-4 py-2 rounded-md bg-teal-500 text-black font-semibold disabled:opacity-50">🎙 Record Answer</button>}
+              <span className="text-sm text-teal-200">{recording ? 'Recording…' : busy ? 'Transcribing…' : 'Answer out loud, as you would at the window.'}</span>
+            </div>
+          ) : (
+            <>
+              <textarea value={answer} onChange={(e) => setAnswer(e.target.value)} className="w-full p-3 rounded-md bg-[#031426]/30 text-white" rows={4} />
+              <div className="mt-3 flex gap-3">
+                <button onClick={submit} disabled={busy || !answer.trim()} className="px-4 py-2 rounded-md bg-teal-500 text-black font-semibold disabled:opacity-50">Submit Answer</button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {session?.summary && <InterviewSummary summary={session.summary} />}
+
+      {feedback && <AnswerFeedback evaluation={feedback.evaluation} metrics={feedback.metrics} guidance={feedback.guidance} />}
+
+      {session?.transcript.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm text-teal-200">Transcript</h4>
+          {session.transcript.map((h, i) => (
+            <div key={i} className="mt-2 p-3 rounded bg-[#031426]/30 text-white">
+              <div className="font-semibold">{h.followUpOf ? 'Follow-up' : 'Q'}: {h.question}</div>
+              <div className="text-sm mt-1">A: {h.answer}</div>
+              <div className="text-xs mt-1 text-teal-200">Score: {h.evaluation.score}/10{h.metrics && ` · ${h.metrics.mode === 'voice' ? '🎙 ' : ''}${describeMetrics(h.metrics)}`}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ------------------ Accounts ------------------
+// Log in or register. The session lives in an HttpOnly cookie set by the API,
+// so nothing is kept in the page.
+function AuthPanel({ mode, onModeChange, onAuthed }) {
+  const [form, setForm] = useState({ email: '', password: '', name: '', role: 'applicant', inviteCode: '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const update = (k, v) => setForm((f) => ({ ...f, [k]: v }));
+  const registering = mode === 'register';
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const body = registering ? form : { email: form.email, password: form.password };
+      const { user } = await postApi(`/api/auth/${registering ? 'register' : 'login'}`, body);
+      onAuthed(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="max-w-md mx-auto p-6 glass rounded-2xl space-y-4">
+      <h2 className="text-2xl font-semibold text-white">{registering ? 'Create an account' : 'Log in'}</h2>
+      {registering && <LabeledInput label="Name" value={form.name} onChange={(v) => update('name', v)} />}
+      <LabeledInput label="Email" type="email" value={form.email} onChange={(v) => update('email', v)} />
+      <LabeledInput label="Password" type="password" value={form.password} onChange={(v) => update('password', v)} />
+      {registering && (
+        <>
+          <LabeledSelect label="I am" value={form.role} onChange={(v) => update('role', v || 'applicant')} options={['applicant', 'consultant']} />
+          {form.role === 'consultant' && <LabeledInput label="Consultant invite code" value={form.inviteCode} onChange={(v) => update('inviteCode', v)} />}
+        </>
+      )}
+      {error && <div className="text-sm text-red-300">{error}</div>}
+      <div className="flex items-center justify-between">
+        <button type="button" onClick={() => onModeChange(registering ? 'login' : 'register')} className="text-sm text-teal-200">
+          {registering ? 'Have an account? Log in' : 'New here? Create an account'}
+        </button>
+        <button type="submit" disabled={busy} className="px-6 py-2 rounded-md bg-indigo-600 font-semibold disabled:opacity-50">
+          {registering ? 'Register' : 'Log in'}
+        </button>
       </div>
+    </form>
+  );
+}
+
+// ------------------ Cases ------------------
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
 
-      <textarea value={answer} onChange={(e) => setAnswer(e.target.value)} className="w-full p-3 rounded-md bg-[#031426]/30 text-white" rows={4} />
-      <div className="mt-3 flex gap-3">
-        <button onClick={submit} className="px-4 py-2 rounded-md bg-teal-500 text-black font-semibold">Submit Answer</button>
+// "+10" / "−5" between two scores, coloured by direction
+function ScoreDelta({ from, to }) {
+  if (from === null || from === undefined || to === null || to === undefined || from === to) return null;
+  const delta = to - from;
+  return <span className={delta > 0 ? 'text-green-300' : 'text-red-300'}>{delta > 0 ? `+${delta}` : `−${-delta}`}</span>;
+}
+
+function ScoreHistoryChart({ analyses }) {
+  const data = {
+    labels: analyses.map((a) => new Date(a.analyzedAt).toLocaleDateString()),
+    datasets: [{ label: 'Score', data: analyses.map((a) => a.score), borderColor: '#14b8a6', backgroundColor: '#14b8a6', tension: 0.2 }],
+  };
+  const options = {
+    plugins: { legend: { display: false } },
+    scales: { y: { min: 0, max: 100, ticks: { color: '#99f6e4' } }, x: { ticks: { color: '#99f6e4' } } },
+  };
+  return <Line data={data} options={options} />;
+}
+
+const RETENTION_OPTIONS = [
+  { value: 'immediate', label: 'Delete right after analysis' },
+  { value: '30d', label: 'Keep for 30 days' },
+  { value: '90d', label: 'Keep for 90 days' },
+  { value: 'case', label: 'Keep while the case exists' },
+];
+
+const AUDIT_LABELS = { upload: 'Uploaded', view: 'Viewed', analyze: 'Analyzed', delete: 'Deleted', retention: 'Retention changed', delete_case: 'Case deleted' };
+
+// Documents kept in the encrypted vault for a case, and the case's audit trail.
+function CaseVault({ caseId, retention, onRetentionChange }) {
+  const [documents, setDocuments] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    getApi(`/api/cases/${caseId}/documents`).then((data) => setDocuments(data.documents)).catch(() => {});
+    getApi(`/api/cases/${caseId}/audit`).then((data) => setEntries(data.entries)).catch(() => {});
+  }, [caseId, retention, version]);
+
+  const remove = async (doc) => {
+    if (!window.confirm(`Delete ${doc.name} from the vault?`)) return;
+    await fetch(`/api/cases/${caseId}/documents/${doc.id}`, { method: 'DELETE' });
+    setVersion((v) => v + 1);
+  };
+
+  return (
+    <div className="glass p-6 rounded-2xl border border-[#13334f]">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-white">Documents</h3>
+        <select value={retention} onChange={(e) => onRetentionChange(e.target.value)} className="p-2 rounded-lg bg-[#031426]/30 border border-[#123] text-white text-sm">
+          {!RETENTION_OPTIONS.some((o) => o.value === retention) && <option value={retention}>Keep for {retention.replace('d', ' days')}</option>}
+          {RETENTION_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
       </div>
+      {documents.length === 0 && <div className="mt-2 text-sm text-teal-200">No documents are kept for this case.</div>}
+      <ul className="mt-3 space-y-2 text-sm">
+        {documents.map((d) => (
+          <li key={d.id} className="flex items-center justify-between p-3 rounded-lg bg-white/5">
+            <div>
+              <div className="text-white">{d.name} <span className="text-teal-200">({d.type})</span></div>
+              <div className="text-xs text-teal-200">Uploaded {formatDate(d.uploadedAt)}{d.expiresAt ? ` · deleted after ${formatDate(d.expiresAt)}` : ''}</div>
+            </div>
+            <div className="flex gap-3">
+              <a href={`/api/cases/${caseId}/documents/${d.id}`} target="_blank" rel="noreferrer" className="text-teal-200">View</a>
+              <button onClick={() => remove(d)} className="text-red-300">Delete</button>
+            </div>
+          </li>
+        ))}
+      </ul>
 
-      {feedback && (
-        <div className="mt-6 p-4 rounded-lg glass border border-[#13334f]">
-          <div className="font-semibold text-white">Feedback</div>
-          <div className="text-sm text-teal-200 mt-2">Score: {feedback.score}/10</div>
-          <div className="mt-2 text-sm text-white">Tips:</div>
-          <ul className="list-disc ml-6 mt-2 text-sm text-teal-200">{feedback.tips.map((t, i) => <li key={i}>{t}</li>)}</ul>
-          <div className="mt-2 text-sm text-teal-200">Improved answer:</div>
-          <div className="mt-1 p-3 bg-[#031426]/30 rounded text-white">{feedback.improved}</div>
-        </div>
+      {entries.length > 0 && (
+        <details className="mt-4">
+          <summary className="text-sm text-teal-200 cursor-pointer">Audit log ({entries.length})</summary>
+          <ul className="mt-2 space-y-1 text-xs text-teal-200">
+            {entries.slice().reverse().map((e) => (
+              <li key={e.id}>
+                {formatDate(e.at)} · <span className="text-white">{AUDIT_LABELS[e.action] || e.action}</span>
+                {e.detail.name ? ` ${e.detail.name}` : ''}{e.detail.to ? ` to ${e.detail.to}` : ''}{e.detail.reason ? ` (${e.detail.reason})` : ''}
+                {' · '}{e.actor ? e.actor.email : 'system'}
+              </li>
+            ))}
+          </ul>
+        </details>
       )}
+    </div>
+  );
+}
 
-      <div className="mt-6">
-        <h4 className="text-sm text-teal-200">History</h4>
-        {history.map((h, i) => (
-          <div key={i} className="mt-2 p-3 rounded bg-[#031426]/30 text-white">
-            <div className="font-semibold">Q: {h.q}</div>
-            <div className="text-sm mt-1">A: {h.a}</div>
+// One case: score history, every analysis run and the interview sessions.
+function CaseDetail({ caseId, user, onBack, onOpenAnalysis, onReanalyze, onDeleted }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [applicantEmail, setApplicantEmail] = useState('');
+
+  useEffect(() => {
+    getApi(`/api/cases/${caseId}`).then(setData).catch((err) => setError(err.message));
+  }, [caseId]);
+
+  const remove = async () => {
+    if (!window.confirm(`Delete "${data.name}" with its ${data.analyses.length} analyses and ${data.interviews.length} interviews?`)) return;
+    const response = await fetch(`/api/cases/${caseId}`, { method: 'DELETE' });
+    if (response.ok) onDeleted();
+    else setError('Could not delete the case');
+  };
+
+  const patchCase = async (changes, failure) => {
+    const response = await fetch(`/api/cases/${caseId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) setData(body);
+    else alert(apiErrorMessage(body, failure));
+  };
+  // consultants link the case to an applicant account so the applicant can see it
+  const linkApplicant = () => patchCase({ applicantEmail }, 'Could not link the applicant');
+  const changeRetention = (retention) => {
+    if (retention === 'immediate' && !window.confirm('Delete every document kept for this case now?')) return;
+    patchCase({ retention }, 'Could not change the retention');
+  };
+
+  if (error) return <div className="max-w-4xl mx-auto text-red-300">{error}</div>;
+  if (!data) return <div className="max-w-4xl mx-auto text-teal-200">Loading case…</div>;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="glass p-6 rounded-2xl border border-[#13334f]">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <button onClick={onBack} className="text-sm text-teal-200">← All cases</button>
+            <h2 className="text-2xl font-semibold text-white mt-1">{data.name}</h2>
+            <div className="text-sm text-teal-200">
+              {[data.profile.purpose, data.profile.dest_country].filter(Boolean).join(' · ')} · opened {formatDate(data.createdAt)}
+            </div>
           </div>
-        ))}
+          <div className="flex gap-3">
+            <button onClick={() => onReanalyze(data)} className="px-4 py-2 rounded-md bg-indigo-600 font-semibold">Re-analyze</button>
+            <button onClick={remove} className="px-4 py-2 rounded-md border border-red-400 text-red-300">Delete</button>
+          </div>
+        </div>
+        {user?.role === 'consultant' && (
+          <div className="mt-3 flex items-center gap-2 text-sm text-teal-200">
+            <span>Applicant: {data.applicant ? data.applicant.email : 'not linked'}</span>
+            <input value={applicantEmail} onChange={(e) => setApplicantEmail(e.target.value)} placeholder="applicant@email" className="p-1 rounded bg-[#031426]/30 border border-[#123] text-white" />
+            <button onClick={linkApplicant} className="px-3 py-1 rounded-md border border-teal-600">Link</button>
+          </div>
+        )}
+        {data.plan && (
+          <div className="mt-3 text-sm text-teal-200">
+            Action plan: {data.plan.done} of {data.plan.total} tasks done · estimated score {data.plan.score}% → {data.plan.projected}%
+          </div>
+        )}
+        {data.documents.length > 0 && (
+          <div className="mt-3 text-xs text-teal-200">Last documents: {data.documents.map((d) => `${d.name} (${d.type})`).join(', ')}</div>
+        )}
+        {data.analyses.length > 1 && (
+          <div className="mt-4">
+            <ScoreHistoryChart analyses={data.analyses} />
+          </div>
+        )}
+      </div>
+
+      <div className="glass p-6 rounded-2xl border border-[#13334f]">
+        <h3 className="text-lg font-semibold text-white">Analyses</h3>
+        {data.analyses.length === 0 && <div className="mt-2 text-sm text-teal-200">No analyses yet.</div>}
+        <ul className="mt-3 space-y-2">
+          {data.analyses.slice().reverse().map((a, i, list) => (
+            <li key={a.id} className="flex items-center justify-between p-3 rounded-lg bg-white/5">
+              <div>
+                <div className="text-white font-semibold">{a.score}% · {a.plain} <ScoreDelta from={list[i + 1]?.score} to={a.score} /></div>
+                <div className="text-xs text-teal-200">{formatDate(a.analyzedAt)} · {a.engine}{a.model ? ` (${a.model})` : ''}</div>
+              </div>
+              <button onClick={() => onOpenAnalysis(data, a.id)} className="px-3 py-1 rounded-md border border-teal-600 text-teal-200 text-sm">Open</button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <CaseVault caseId={caseId} retention={data.retention} onRetentionChange={changeRetention} />
+
+      {data.interviews.length > 0 && (
+        <div className="glass p-6 rounded-2xl border border-[#13334f]">
+          <h3 className="text-lg font-semibold text-white">Interview practice</h3>
+          <ul className="mt-3 space-y-2 text-sm">
+            {data.interviews.slice().reverse().map((s) => (
+              <li key={s.id} className="flex justify-between p-3 rounded-lg bg-white/5">
+                <span className="text-teal-200">{formatDate(s.startedAt)}</span>
+                <span className="text-white">{s.status === 'finished' ? `Readiness ${s.readiness}%` : 'Not finished'}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Saved applicant cases with their latest score and the change since the run before.
+function CaseList({ onSelect, onNew }) {
+  const [cases, setCases] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getApi('/api/cases').then((data) => setCases(data.cases)).catch((err) => setError(err.message));
+  }, []);
+
+  return (
+    <div className="max-w-4xl mx-auto glass p-6 rounded-2xl border border-[#13334f]">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-semibold text-white">Cases</h2>
+        <button onClick={onNew} className="px-4 py-2 rounded-md bg-indigo-600 font-semibold">New case</button>
       </div>
+      {error && <div className="mt-3 text-red-300">{error}</div>}
+      {cases && cases.length === 0 && <div className="mt-3 text-sm text-teal-200">No cases yet. Every analysis is saved as a case.</div>}
+      <ul className="mt-4 space-y-2">
+        {cases?.map((c) => (
+          <li key={c.id}>
+            <button onClick={() => onSelect(c.id)} className="w-full text-left flex items-center justify-between p-3 rounded-lg bg-white/5 hover:bg-white/10">
+              <div>
+                <div className="text-white font-semibold">{c.name}</div>
+                <div className="text-xs text-teal-200">
+                  {c.analyses} {c.analyses === 1 ? 'analysis' : 'analyses'} · {c.interviews} {c.interviews === 1 ? 'interview' : 'interviews'} · updated {formatDate(c.updatedAt)}
+                </div>
+              </div>
+              <div className="text-lg text-white">
+                {c.latestScore === null ? '—' : `${c.latestScore}%`} <ScoreDelta from={c.previousScore} to={c.latestScore} />
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
@@ -415,43 +1491,164 @@ export default function App() {
   const [stage, setStage] = useState('landing');
   const [profile, setProfile] = useState({});
   const [files, setFiles] = useState([]);
+  const [uploadChecks, setUploadChecks] = useState({});
+  const [fileTypes, setFileTypes] = useState({});
+  const [checklist, setChecklist] = useState(null);
+  const [redact, setRedact] = useState(false);
   const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState([]);
+  const analysisRef = useRef(null);
+  // the case analyses and interviews are saved on; created on the first analysis
+  const [caseId, setCaseId] = useState(null);
+  const [openCase, setOpenCase] = useState(null);
+
+  const [rulebook, setRulebook] = useState(null);
+  // the logged-in account; undefined until /api/auth/me answers
+  const [user, setUser] = useState(undefined);
+  const [authMode, setAuthMode] = useState('login');
+  const [afterLogin, setAfterLogin] = useState('profile');
 
   useEffect(() => {
-    // demo warmup: could fetch user defaults or previous session
+    getApi('/api/auth/me').then((data) => setUser(data.user)).catch(() => setUser(null));
   }, []);
 
-  const start = () => setStage('profile');
+  useEffect(() => {
+    fetch('/api/rulebook')
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setRulebook)
+      .catch(() => {}); // keep the built-in destination list
+  }, []);
+
+  useEffect(() => {
+    if (stage !== 'upload') return;
+    const query = new URLSearchParams({ country: profile.dest_country || '', purpose: profile.purpose || '' });
+    getApi(`/api/checklist?${query}`).then(setChecklist).catch(() => setChecklist(null));
+  }, [stage, profile.dest_country, profile.purpose]);
+
+  // Everything past the landing page needs an account; log in first, then go on.
+  const requireLogin = (next) => {
+    if (user) return setStage(next);
+    setAfterLogin(next);
+    setStage('login');
+  };
+  const start = () => {
+    setCaseId(null);
+    requireLogin('profile');
+  };
+  const showCases = () => {
+    setOpenCase(null);
+    requireLogin('cases');
+  };
+  const onAuthed = (account) => {
+    setUser(account);
+    setStage(afterLogin);
+  };
+  const logout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    setUser(null);
+    setCaseId(null);
+    setOpenCase(null);
+    setProfile({});
+    setFiles([]);
+    setFileTypes({});
+    setResult(null);
+    setStage('landing');
+  };
+  const newCase = () => {
+    setCaseId(null);
+    setProfile({});
+    setFiles([]);
+    setFileTypes({});
+    setResult(null);
+    setStage('profile');
+  };
+
+  const openAnalysis = async (caseData, analysisId) => {
+    try {
+      const analysis = await getApi(`/api/cases/${caseData.id}/analyses/${analysisId}`);
+      setCaseId(caseData.id);
+      setProfile(analysis.profile);
+      setResult(analysis.result);
+      setStage('results');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  const reanalyze = (caseData) => {
+    setCaseId(caseData.id);
+    setProfile(caseData.profile);
+    setFiles([]);
+    setFileTypes({});
+    setStage('profile');
+  };
   const toUpload = () => setStage('upload');
 
+  // why the analysis cannot start yet: missing required documents, rejected or unchecked files
+  const uploadBlockers = [
+    files.length === 0 && 'Add your documents to start.',
+    ...(checklist?.documents || [])
+      .filter((d) => d.required && !files.some((f) => uploadType(f, uploadChecks, fileTypes) === d.type))
+      .map((d) => `Add your ${d.label.toLowerCase()}: it is required for ${checklist.visa || 'this application'}.`),
+    ...files.filter((f) => uploadChecks[fileKey(f)]?.ok === false).map((f) => `Remove or replace ${f.name}: ${uploadChecks[fileKey(f)].reason}`),
+    files.some((f) => !uploadChecks[fileKey(f)]) && 'Checking files…',
+  ].filter(Boolean);
+
   const analyze = async () => {
     setStage('loading');
+    setProgress([]);
+    const controller = new AbortController();
+    analysisRef.current = controller;
 
     try {
+      let id = caseId;
+      if (!id) {
+        id = (await postApi('/api/cases', { profile })).id;
+        setCaseId(id);
+      }
       const formData = new FormData();
-      // append profile fields
-      Object.keys(profile).forEach(key => formData.append(key, profile[key]));
+      formData.append('profile', JSON.stringify(profile));
+      formData.append('caseId', id);
+      if (redact) formData.append('redact', 'on');
 
-      // append files
+      // append files under their slot
       files.forEach(file => {
-        formData.append('files', file);
+        formData.append(uploadType(file, uploadChecks, fileTypes) || 'documents', file);
       });
 
-      const response = await fetch('http://localhost:3000/api/analyze', {
+      const response = await fetch('/api/analyze/stream', {
         method: 'POST',
         body: formData,
+        signal: controller.signal,
       });
 
       if (!response.ok) {
-        throw new Error('Analysis failed');
+        const body = await response.json().catch(() => ({}));
+        // rejected uploads: show the reason next to each file instead of an alert
+        if (body.details?.files) {
+          setUploadChecks((c) => ({ ...c, ...Object.fromEntries(files.map((f, i) => [fileKey(f), body.details.files[i]])) }));
+          setStage('upload');
+          return;
+        }
+        throw new Error(apiErrorMessage(body));
       }
 
-      const data = await response.json();
+      let data = null;
+      await readEventStream(response, (event, payload) => {
+        if (event === 'progress') setProgress((p) => [...p, payload]);
+        else if (event === 'result') data = payload;
+        else if (event === 'error') throw new Error(apiErrorMessage(payload));
+      });
+      if (!data) throw new Error('The analysis ended without a result');
+
       setResult(data);
       setStage('results');
     } catch (error) {
+      if (controller.signal.aborted) {
+        setStage('upload');
+        return;
+      }
       console.error(error);
-      alert('Error analyzing documents. Please try again. Make sure the backend is running and API key is set.');
+      alert(`Error analyzing documents: ${error.message}\n\nPlease try again. Make sure the backend is running and API key is set.`);
       setStage('upload');
     }
   };
@@ -463,7 +1660,7 @@ export default function App() {
     <div style={pageStyles} className="bg-shimmer">
       <ExtraStyles />
       <div className="max-w-screen-xl mx-auto px-4">
-        <Topbar onStart={start} />
+        <Topbar onStart={start} onCases={showCases} user={user} onLogin={() => requireLogin('profile')} onLogout={logout} />
         <Hero onStart={start} />
 
         <div className="px-4 py-8">
@@ -471,22 +1668,40 @@ export default function App() {
             <div className="text-center text-teal-200">Start by clicking "Get Started" or fill the profile to try the demo.</div>
           )}
 
-          {stage === 'profile' && <ProfileForm profile={profile} setProfile={setProfile} onNext={toUpload} />}
+          {stage === 'login' && <AuthPanel mode={authMode} onModeChange={setAuthMode} onAuthed={onAuthed} />}
+
+          {stage === 'profile' && <ProfileForm profile={profile} setProfile={setProfile} onNext={toUpload} rulebook={rulebook} />}
 
           {stage === 'upload' && (
             <div className="max-w-4xl mx-auto space-y-6">
-              <FileUploader files={files} setFiles={setFiles} />
-              <div className="flex justify-end">
-                <button onClick={analyze} className="px-6 py-3 rounded-xl bg-indigo-600 font-semibold">Analyze My Profile</button>
+              {checklist && <DocumentChecklist checklist={checklist} filled={files.map((f) => uploadType(f, uploadChecks, fileTypes))} />}
+              <FileUploader files={files} setFiles={setFiles} checks={uploadChecks} setChecks={setUploadChecks} types={fileTypes} setTypes={setFileTypes} />
+              <div className="flex justify-between items-center">
+                <label className="flex items-center gap-2 text-sm text-teal-200">
+                  <input type="checkbox" checked={redact} onChange={(e) => setRedact(e.target.checked)} />
+                  Mask personal data (names, passport and account numbers, addresses) before AI analysis
+                </label>
+                <button onClick={analyze} disabled={uploadBlockers.length > 0} className="px-6 py-3 rounded-xl bg-indigo-600 font-semibold disabled:opacity-50">Analyze My Profile</button>
               </div>
+              {uploadBlockers.length > 0 && (
+                <ul className="text-xs text-amber-200 text-right space-y-1">
+                  {uploadBlockers.map((b) => <li key={b}>{b}</li>)}
+                </ul>
+              )}
             </div>
           )}
 
-          {stage === 'loading' && <AnalyzeLoading />}
+          {stage === 'loading' && <AnalyzeLoading events={progress} onCancel={() => analysisRef.current?.abort()} />}
+
+          {stage === 'results' && result && <ResultsDashboard result={result} profile={profile} rulebook={rulebook} files={files} caseId={caseId} onInterview={() => setStage('interview')} />}
 
-          {stage === 'results' && result && <ResultsDashboard result={result} onInterview={() => setStage('interview')} />}
+          {stage === 'interview' && <InterviewPractice onBack={() => setStage('results')} analysisId={result?.meta?.analysisId} profile={profile} caseId={caseId} />}
 
-          {stage === 'interview' && <InterviewPractice onBack={() => setStage('results')} />}
+          {stage === 'cases' && !openCase && <CaseList onSelect={setOpenCase} onNew={newCase} />}
+
+          {stage === 'cases' && openCase && (
+            <CaseDetail key={openCase} caseId={openCase} user={user} onBack={() => setOpenCase(null)} onOpenAnalysis={openAnalysis} onReanalyze={reanalyze} onDeleted={() => setOpenCase(null)} />
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../server/db.js';
+import { canAccess, login, logout, register, requireAuth, requireRole, userForToken } from '../server/auth.js';
+
+process.env.CASES_DB = ':memory:';
+process.env.CONSULTANT_INVITE_CODE = 'invite-123';
+
+const PASSWORD = 'correct horse battery';
+
+let counter = 0;
+const email = () => `user${++counter}@example.com`;
+
+// Runs Express-style middleware and returns what it threw or passed to next().
+function run(middleware, user) {
+    let passed = false;
+    try {
+        middleware({ user }, {}, () => { passed = true; });
+    } catch (err) {
+        return err;
+    }
+    return passed ? 'next' : null;
+}
+
+test('passwords are stored as salted scrypt hashes', async () => {
+    const first = await register({ email: email(), password: PASSWORD });
+    const second = await register({ email: email(), password: PASSWORD });
+    const hashes = [first, second].map(({ user }) => getDb().prepare('SELECT password_hash FROM users WHERE id = ?').get(user.id).password_hash);
+    hashes.forEach(hash => assert.match(hash, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/));
+    assert.notEqual(hashes[0], hashes[1]);
+    assert.ok(!hashes[0].includes(PASSWORD));
+});
+
+test('logs in with the right password only', async () => {
+    const address = email();
+    await register({ email: address, password: PASSWORD });
+    const { user, token } = await login({ email: address, password: PASSWORD }, { ip: '10.0.0.1' });
+    assert.equal(user.email, address);
+    assert.equal(userForToken(token).id, user.id);
+    await assert.rejects(login({ email: address, password: 'wrong password' }, { ip: '10.0.0.1' }), { status: 401 });
+    await assert.rejects(login({ email: email(), password: PASSWORD }, { ip: '10.0.0.1' }), { status: 401, message: 'Wrong email or password' });
+
+    logout(token);
+    assert.equal(userForToken(token), null);
+});
+
+test('refuses logins after repeated failures from one address', async () => {
+    const address = email();
+    await register({ email: address, password: PASSWORD });
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(login({ email: address, password: 'wrong password' }, { ip: '10.0.0.2' }), { status: 401 });
+    }
+    await assert.rejects(login({ email: address, password: PASSWORD }, { ip: '10.0.0.2' }), (err) => {
+        assert.equal(err.status, 429);
+        assert.ok(err.retryAfter > 0);
+        return true;
+    });
+    // Another address is not locked out.
+    assert.equal((await login({ email: address, password: PASSWORD }, { ip: '10.0.0.3' })).user.email, address);
+});
+
+test('registering as a consultant needs the invite code', async () => {
+    await assert.rejects(register({ email: email(), password: PASSWORD, role: 'consultant' }), { status: 403 });
+    await assert.rejects(register({ email: email(), password: PASSWORD, role: 'consultant', inviteCode: 'guess' }), { status: 403 });
+    await assert.rejects(register({ email: email(), password: PASSWORD, role: 'admin' }), { status: 400 });
+    const { user } = await register({ email: email(), password: PASSWORD, role: 'consultant', inviteCode: 'invite-123' });
+    assert.equal(user.role, 'consultant');
+});
+
+test('requireAuth and requireRole reject anonymous users and other roles', () => {
+    const applicant = { id: 'a1', role: 'applicant' };
+    const consultant = { id: 'c1', role: 'consultant' };
+    assert.equal(run(requireAuth, null).status, 401);
+    assert.equal(run(requireAuth, applicant), 'next');
+    assert.equal(run(requireRole('consultant'), null).status, 401);
+    assert.equal(run(requireRole('consultant'), applicant).status, 403);
+    assert.equal(run(requireRole('consultant'), consultant), 'next');
+});
+
+test('applicants access only their own data, consultants everything', () => {
+    const applicant = { id: 'a1', role: 'applicant' };
+    const consultant = { id: 'c1', role: 'consultant' };
+    assert.equal(canAccess(applicant, 'a1'), true);
+    assert.equal(canAccess(applicant, 'a2'), false);
+    assert.equal(canAccess(applicant, null), false);
+    assert.equal(canAccess(consultant, 'a2'), true);
+    assert.equal(canAccess(null, 'a1'), false);
+    assert.equal(canAccess(undefined, undefined), false);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConsistency } from '../server/consistency.js';
+
+const passport = (fields = {}) => ({
+    name: 'Passport',
+    fields: { given_names: 'ANNA', surname: 'ERIKSSON', date_of_birth: '1974-08-12', expiry_date: '2031-01-01', ...fields },
+});
+const offer = (fields = {}) => ({
+    name: 'Offer letter',
+    fields: { applicant_name: 'Anna Eriksson', date_of_birth: '1974-08-12', start_date: '2026-09-01', tuition: { amount: 24500, currency: 'CAD' }, deposit_paid: null, ...fields },
+});
+const bank = (fields = {}) => ({
+    name: 'Bank statement',
+    fields: { accountHolder: 'Anna Eriksson', verifiedFunds: 30000, currency: 'CAD', ...fields },
+});
+
+const codes = (findings) => findings.map(f => f.code);
+
+test('documents that agree have no findings', () => {
+    assert.deepEqual(checkConsistency({ passport: passport(), offer: offer(), bank: bank() }), []);
+});
+
+test('names are compared against the passport', () => {
+    const findings = checkConsistency({
+        passport: passport(),
+        offer: offer({ applicant_name: 'Anna Maria Lind' }),
+        bank: bank({ accountHolder: 'Erik Johansson' }),
+    });
+    assert.deepEqual(codes(findings), ['name_partially_consistent', 'name_inconsistent']);
+    assert.deepEqual(findings[1].documents, ['Passport', 'Bank statement']);
+    assert.equal(findings[1].severity, 'error');
+});
+
+test('flags a different date of birth and a passport expiring before the start', () => {
+    const findings = checkConsistency({
+        passport: passport({ expiry_date: '2026-06-30' }),
+        offer: offer({ date_of_birth: '1974-12-08' }),
+    });
+    assert.deepEqual(codes(findings), ['dob_inconsistent', 'passport_expires_before_start']);
+    assert.deepEqual(findings[0].values, { Passport: '1974-08-12', 'Offer letter': '1974-12-08' });
+});
+
+test('funds must cover the tuition still owed', () => {
+    const deposit = { deposit_paid: { amount: 5000, currency: 'CAD' } };
+    assert.deepEqual(checkConsistency({ offer: offer(deposit), bank: bank({ verifiedFunds: 20000 }) }), []);
+    const [finding] = checkConsistency({ offer: offer(), bank: bank({ verifiedFunds: 20000 }) });
+    assert.equal(finding.code, 'funds_below_tuition');
+    assert.equal(finding.message, 'Verified funds (CAD 20,000) do not cover the tuition still owed (CAD 24,500).');
+
+    const [converted] = checkConsistency({ offer: offer(), bank: bank({ verifiedFunds: 100000, currency: 'INR' }) });
+    assert.match(converted.message, /^Verified funds \(INR 1,00,000 ≈ CAD [\d,]+\) do not cover/);
+});
+
+test('amounts are not compared when a document states no currency', () => {
+    const [unstated] = checkConsistency({ offer: offer(), bank: bank({ verifiedFunds: 100, currency: null }) });
+    assert.equal(unstated.code, 'currency_differs');
+    assert.equal(unstated.message, 'The bank statement does not state a currency; amounts were not compared.');
+
+    const [neither] = checkConsistency({
+        offer: offer({ tuition: { amount: 24500, currency: null } }),
+        bank: bank({ verifiedFunds: 100, currency: null }),
+    });
+    assert.equal(neither.code, 'currency_differs');
+    assert.equal(neither.message, 'The bank statement and the offer letter do not state a currency; amounts were not compared.');
+    assert.ok(!neither.message.includes('null'));
+});
+
+test('amounts without an exchange rate are not compared', () => {
+    const [finding] = checkConsistency({ offer: offer(), bank: bank({ currency: 'XYZ' }) });
+    assert.equal(finding.code, 'currency_differs');
+    assert.equal(finding.message, 'No exchange rate between XYZ and CAD; amounts were not compared.');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import { checkUploads, sniffType, uploadLimits } from '../server/documents.js';
+
+// A one-page PDF; `options` go to PDFDocument (e.g. a userPassword).
+function pdf(options = {}) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument(options);
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.text('Statement of account');
+        doc.end();
+    });
+}
+
+const upload = (originalname, mimetype, buffer) => ({ type: null, originalname, mimetype, size: buffer.length, buffer });
+
+test('finds the PDF signature after leading bytes, within the first kilobyte', async () => {
+    const file = await pdf();
+    assert.equal(sniffType(file), 'application/pdf');
+    assert.equal(sniffType(Buffer.concat([Buffer.alloc(512, 0x20), file])), 'application/pdf');
+    assert.equal(sniffType(Buffer.concat([Buffer.alloc(2048, 0x20), file])), null);
+});
+
+test('a PDF with leading bytes is still checked as a PDF', async () => {
+    const file = Buffer.concat([Buffer.from('garbage\n'), await pdf()]);
+    const { files } = await checkUploads([upload('statement.pdf', 'application/pdf', file)]);
+    assert.equal(files[0].ok, true);
+    assert.equal(files[0].mimetype, 'application/pdf');
+    assert.equal(files[0].pages, 1);
+});
+
+test('a file named .csv is judged by its content', async () => {
+    const csv = Buffer.from('Date,Description,Amount,Balance\n2026-01-05,Salary,1000.00,11000.00\n');
+    const program = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]);
+    const page = Buffer.from('<html><script>alert(1)</script></html>');
+    const binary = Buffer.from([0x44, 0x61, 0x74, 0x65, 0x00, 0x01, 0x02]);
+    const { files } = await checkUploads([
+        upload('bank.csv', 'text/csv', csv),
+        upload('bank.csv', 'text/csv', program),
+        upload('bank.csv', 'text/csv', page),
+        upload('bank.csv', 'text/csv', binary),
+        upload('bank.csv', 'text/csv', await pdf()),
+    ]);
+    assert.deepEqual(files.map(f => f.ok ? f.mimetype : f.code), [
+        'text/csv', 'dangerous', 'dangerous', 'type_mismatch', 'application/pdf',
+    ]);
+});
+
+test('a file that claims to be a PDF but is not is refused', async () => {
+    const { files } = await checkUploads([upload('passport.pdf', 'application/pdf', Buffer.from('just some text'))]);
+    assert.equal(files[0].code, 'type_mismatch');
+    assert.match(files[0].reason, /is not a real PDF/);
+});
+
+test('refuses password-protected PDFs', async () => {
+    const file = await pdf({ userPassword: 'secret', ownerPassword: 'owner' });
+    const { documents, files } = await checkUploads([upload('statement.pdf', 'application/pdf', file)]);
+    assert.deepEqual(documents, []);
+    assert.equal(files[0].code, 'encrypted');
+});
+
+test('refuses every file when together they exceed the total', async () => {
+    const file = await pdf();
+    const limits = { ...uploadLimits(), maxTotalBytes: file.length * 2 - 1 };
+    const { documents, files } = await checkUploads([
+        upload('a.pdf', 'application/pdf', file),
+        upload('b.pdf', 'application/pdf', file),
+    ], limits);
+    assert.deepEqual(documents, []);
+    assert.deepEqual(files.map(f => f.code), ['request_too_large', 'request_too_large']);
+
+    const { files: within } = await checkUploads([upload('a.pdf', 'application/pdf', file)], limits);
+    assert.equal(within[0].ok, true);
+});
+
+test('refuses a file over the per-file limit', async () => {
+    const file = await pdf();
+    const { files } = await checkUploads([upload('a.pdf', 'application/pdf', file)], { ...uploadLimits(), maxFileBytes: file.length - 1 });
+    assert.equal(files[0].code, 'too_large');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../server/errors.js';
+import { registerEngine, runAnalysis } from '../server/engines/index.js';
+
+const VALID = { score: 64, plain: 'Likely', reasons: ['Funds cover the stay'] };
+
+// An engine that answers `output` and, when asked to repair, `repaired`.
+function fakeEngine(name, output, repaired) {
+    const calls = [];
+    registerEngine({
+        name,
+        label: name,
+        isAvailable: () => true,
+        analyze: async () => output,
+        repair: async (input, { violations }) => {
+            calls.push(violations);
+            return repaired;
+        },
+    });
+    return calls;
+}
+
+const analyze = (engine) => runAnalysis({ profile: { name: 'Anna' }, documents: [] }, { engine });
+
+test('a valid result is not repaired', async () => {
+    const calls = fakeEngine('valid', VALID, null);
+    const result = await analyze('valid');
+    assert.deepEqual(calls, []);
+    assert.equal(result.score, 64);
+    assert.equal(result.meta.repaired, undefined);
+});
+
+test('a result with violations gets one repair attempt', async () => {
+    const calls = fakeEngine('repairable', { ...VALID, score: 'high' }, VALID);
+    const result = await analyze('repairable');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].map(v => v.path), ['score']);
+    assert.equal(result.score, 64);
+    assert.equal(result.meta.repaired, true);
+});
+
+test('a failed repair is a ValidationError with the remaining violations', async () => {
+    fakeEngine('broken', { ...VALID, score: 'high' }, { ...VALID, reasons: 'none', score: null });
+    await assert.rejects(analyze('broken'), (err) => {
+        assert.ok(err instanceof ValidationError);
+        assert.equal(err.message, 'Engine "broken" could not repair its result');
+        assert.deepEqual(err.violations.map(v => v.path), ['score']);
+        return true;
+    });
+});
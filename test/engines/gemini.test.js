@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import gemini from '../../server/engines/gemini.js';
+
+const BANK = [
+    'Account holder: Anna Eriksson',
+    'Account no: 4401 2233 9087',
+    'Date,Description,Amount,Balance',
+    '2026-01-05,Salary ANNA ERIKSSON,1000.00,11000.00',
+].join('\n');
+
+const ANSWER = { score: 70, plain: 'Likely', reasons: ['Statement of [NAME_1] shows steady funds'] };
+
+// Runs `fn` with the given environment and a stubbed upstream that answers ANSWER.
+async function withUpstream(env, fn) {
+    const saved = Object.fromEntries(Object.keys(env).map(k => [k, process.env[k]]));
+    const { fetch } = globalThis;
+    Object.assign(process.env, env);
+    globalThis.fetch = async () => new Response(JSON.stringify({
+        candidates: [{ content: { parts: [{ text: JSON.stringify(ANSWER) }] } }],
+    }));
+    try {
+        return await fn();
+    } finally {
+        globalThis.fetch = fetch;
+        for (const [k, v] of Object.entries(saved)) {
+            if (v === undefined) delete process.env[k];
+            else process.env[k] = v;
+        }
+    }
+}
+
+// Records one analysis of the bank statement and returns the result and the fixture file's text.
+async function record(redaction) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    try {
+        const result = await withUpstream({
+            GEMINI_API_KEY: 'test',
+            GEMINI_FIXTURE_MODE: 'record',
+            GEMINI_FIXTURE_DIR: dir,
+            REDACTION: redaction,
+        }, () => gemini.analyze({
+            profile: { name: 'Anna Eriksson', funds: '20000' },
+            documents: [{ type: 'bank', originalname: 'anna-eriksson-bank.csv', mimetype: 'text/csv', size: BANK.length, buffer: Buffer.from(BANK) }],
+        }));
+        const files = fs.readdirSync(dir);
+        assert.equal(files.length, 1);
+        return { result, recorded: fs.readFileSync(path.join(dir, files[0]), 'utf8') };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const ORIGINALS = ['Anna', 'anna', 'Eriksson', 'ERIKSSON', '4401 2233 9087', '440122339087'];
+
+test('records only redacted data when redaction is on', async () => {
+    const { result, recorded } = await record('on');
+    assert.deepEqual(result.reasons, ['Statement of Anna Eriksson shows steady funds']);
+    for (const original of ORIGINALS) {
+        assert.ok(!recorded.includes(original), `fixture contains ${original}`);
+    }
+});
+
+test('a fixture describes its request by hashes, not the profile or file names', async () => {
+    const { recorded } = await record('off');
+    const { request } = JSON.parse(recorded);
+    assert.match(request.profileSha256, /^[0-9a-f]{64}$/);
+    assert.deepEqual(Object.keys(request.documents[0]), ['type', 'mimetype', 'size', 'sha256']);
+    for (const original of ORIGINALS) {
+        assert.ok(!JSON.stringify(request).includes(original), `request contains ${original}`);
+    }
+});
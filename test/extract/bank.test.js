@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsvStatement, summarizeStatement } from '../../server/extract/bank.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayOf = (n) => new Date(Date.UTC(2026, 0, 1) + n * DAY_MS).toISOString().slice(0, 10);
+
+// 120 days from a 10,000 opening balance: a 1,000 salary every 10 days and
+// 400 of spending five days later, plus `extra` transactions ({ day, amount }).
+function statement(extra = []) {
+    const moves = [];
+    for (let day = 0; day < 120; day += 10) {
+        moves.push({ day, amount: 1000, description: 'Salary' });
+        moves.push({ day: day + 5, amount: -400, description: 'Card purchase' });
+    }
+    moves.push(...extra.map(t => ({ description: 'Transfer in', ...t })));
+    let balance = 10000;
+    const transactions = moves
+        .sort((a, b) => a.day - b.day)
+        .map(({ day, amount, description }) => {
+            balance += amount;
+            return { date: dayOf(day), description, amount, balance };
+        });
+    return { transactions, openingBalance: 10000 };
+}
+
+test('a regular statement has no findings', () => {
+    const summary = summarizeStatement(statement());
+    assert.equal(summary.ok, true);
+    assert.equal(summary.period.days, 116);
+    assert.deepEqual(summary.largeDeposits, []);
+    assert.deepEqual(summary.findings, []);
+});
+
+test('a sudden deposit that makes up most of the balance is flagged as fund parking', () => {
+    const summary = summarizeStatement(statement([{ day: 100, amount: 50000 }]));
+    assert.equal(summary.largeDeposits.length, 1);
+    assert.equal(summary.largeDeposits[0].date, dayOf(100));
+    assert.equal(summary.largeDeposits[0].daysBeforeEnd, 15);
+    const finding = summary.findings.find(f => f.code === 'large_deposit');
+    assert.equal(finding.severity, 'warning');
+    assert.deepEqual(finding.transaction, { date: dayOf(100), amount: 50000 });
+});
+
+test('a deposit held for less than 28 days is not counted as verified funds', () => {
+    const summary = summarizeStatement(statement([{ day: 100, amount: 50000 }]));
+    assert.equal(summary.verifiedFunds, Math.min(summary.averageBalance, summary.closingBalance - 50000));
+    assert.ok(summary.verifiedFunds <= summary.closingBalance - 50000);
+});
+
+test('a deposit held for 28 days or more counts again', () => {
+    const summary = summarizeStatement(statement([{ day: 60, amount: 50000 }]));
+    assert.equal(summary.largeDeposits[0].daysBeforeEnd, 55);
+    assert.equal(summary.verifiedFunds, Math.min(summary.averageBalance, summary.closingBalance));
+    assert.ok(summary.verifiedFunds > summary.closingBalance - 50000);
+});
+
+test('verified funds are the lower of the average and the closing balance', () => {
+    const rising = summarizeStatement(statement());
+    assert.ok(rising.averageBalance < rising.closingBalance);
+    assert.equal(rising.verifiedFunds, rising.averageBalance);
+
+    const drained = summarizeStatement(statement([{ day: 114, amount: -12000, description: 'Transfer out' }]));
+    assert.ok(drained.closingBalance < drained.averageBalance);
+    assert.equal(drained.verifiedFunds, drained.closingBalance);
+});
+
+test('verified funds are never negative', () => {
+    const summary = summarizeStatement(statement([{ day: 114, amount: -30000, description: 'Transfer out' }]));
+    assert.equal(summary.verifiedFunds, 0);
+    assert.ok(summary.findings.some(f => f.code === 'negative_balance'));
+});
+
+test('a short statement is flagged', () => {
+    const { transactions } = statement();
+    const summary = summarizeStatement({ transactions: transactions.slice(-6) }, { lookbackDays: 90 });
+    const finding = summary.findings.find(f => f.code === 'short_history');
+    assert.equal(finding.expectedDays, 90);
+    assert.equal(finding.days, summary.period.days);
+});
+
+test('reads debit and credit columns of a CSV export, newest first', () => {
+    const csv = [
+        'Date,Narration,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+        '05/02/2026,"Rent, February",1200.00,,8800.00',
+        '01/02/2026,Salary,,1000.00,10000.00',
+    ].join('\n');
+    const { transactions } = parseCsvStatement(csv);
+    assert.deepEqual(transactions.map(t => [t.description, t.amount, t.balance]), [
+        ['Rent, February', -1200, 8800],
+        ['Salary', 1000, 10000],
+    ]);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { examineDocument } from '../../server/extract/forensics.js';
+
+// A PDF drawn by `draw`; `options` go to PDFDocument (e.g. its info dictionary).
+function pdf(draw, options = {}) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument(options);
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        draw(doc);
+        doc.end();
+    });
+}
+
+const statement = (doc) => doc.text('Statement of account');
+const examine = (buffer, type = 'bank') => examineDocument({ type, originalname: 'statement.pdf', mimetype: 'application/pdf', buffer });
+const codes = async (buffer, type) => (await examine(buffer, type)).indicators.map(i => i.code);
+
+// 10:00 in India is 04:30 UTC.
+const CREATED = new Date('2026-01-05T04:30:00Z');
+
+test('compares PDF dates across time zone offsets', async () => {
+    const sameTime = await pdf(statement, { info: { CreationDate: CREATED, ModDate: "D:20260105100000+05'30'" } });
+    assert.deepEqual(await codes(sameTime), []);
+
+    const before = await pdf(statement, { info: { CreationDate: CREATED, ModDate: "D:20260105050000+05'30'" } });
+    const [indicator] = (await examine(before)).indicators;
+    assert.equal(indicator.code, 'dates_inconsistent');
+    assert.match(indicator.message, /modified \(2026-01-04\) before it was created \(2026-01-05\)/);
+
+    const later = await pdf(statement, { info: { CreationDate: CREATED, ModDate: 'D:20260107090000Z' } });
+    assert.deepEqual(await codes(later), ['modified_after_creation']);
+});
+
+test('names the editing tool, and word processors only for bank statements', async () => {
+    assert.deepEqual(await codes(await pdf(statement, { info: { Producer: 'Adobe Photoshop 25.0' } })), ['editor_software']);
+    const word = await pdf(statement, { info: { Creator: 'Microsoft Word 2019' } });
+    assert.deepEqual(await codes(word), ['word_processor']);
+    assert.deepEqual(await codes(word, 'offer'), []);
+});
+
+test('counts incremental updates, but not the extra %%EOF of a linearized file', async () => {
+    const base = await pdf(statement);
+    const update = Buffer.from('% update\n%%EOF\n');
+    assert.deepEqual(await codes(base), []);
+
+    const updated = (await examine(Buffer.concat([base, update]))).indicators;
+    assert.deepEqual(updated.map(i => [i.code, i.weight]), [['incremental_updates', 15]]);
+    const twice = (await examine(Buffer.concat([base, update, update]))).indicators;
+    assert.deepEqual(twice.map(i => [i.code, i.weight]), [['incremental_updates', 20]]);
+
+    // A linearized file ends its first part with a %%EOF near the top.
+    const header = base.indexOf('\n', base.indexOf('\n') + 1) + 1;
+    const linearized = Buffer.concat([base.subarray(0, header), Buffer.from('99 0 obj\n<< /Linearized 1 >>\nendobj\n%%EOF\n'), base.subarray(header)]);
+    assert.deepEqual(await codes(linearized), []);
+    assert.deepEqual(await codes(Buffer.concat([linearized, update])), ['incremental_updates']);
+});
+
+test('finds text drawn over other text, not text drawn twice for bold', async () => {
+    const overlaid = await pdf((doc) => {
+        doc.text('Balance 1,000.00', 100, 100);
+        doc.text('Balance 9,000.00', 100, 100);
+    });
+    const [indicator] = (await examine(overlaid)).indicators;
+    assert.equal(indicator.code, 'overlaid_text');
+    assert.equal(indicator.page, 1);
+    assert.match(indicator.message, /"Balance 9,000.00" over "Balance 1,000.00"/);
+    assert.equal(indicator.boxes.length, 1);
+
+    const bold = await pdf((doc) => {
+        doc.text('Balance 1,000.00', 100, 100);
+        doc.text('Balance 1,000.00', 100.3, 100);
+    });
+    assert.deepEqual(await codes(bold), []);
+});
+
+// A statement of eight rows whose amounts are set in Helvetica, except the row `odd` in Courier.
+const rows = (odd) => pdf((doc) => {
+    for (let i = 0; i < 8; i++) {
+        const y = 100 + i * 20;
+        doc.font('Helvetica').text(`Row ${i + 1}`, 72, y);
+        doc.font(i === odd ? 'Courier' : 'Helvetica').text(`${(i + 1) * 1000}.00`, 300, y);
+    }
+});
+
+test('finds an amount set in a different font from the rest of a statement', async () => {
+    assert.deepEqual(await codes(await rows(-1)), []);
+
+    const file = await rows(3);
+    const [indicator] = (await examine(file)).indicators;
+    assert.equal(indicator.code, 'font_inconsistency');
+    assert.match(indicator.message, /^1 amount is set in a different font or size .*\(4000\.00\)/);
+    assert.equal(indicator.boxes.length, 1);
+    // Only bank statements are checked for it.
+    assert.deepEqual(await codes(file, 'offer'), []);
+});
+
+// A photographed statement: rows of text, some of them repeated down the page.
+const page = () => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="800" height="620">
+    <rect width="100%" height="100%" fill="white"/>
+    ${Array.from({ length: 24 }, (_, i) => `<text x="30" y="${40 + i * 24}" font-family="sans-serif" font-size="18">Transaction ${i} payment reference ${1000 + i * 37} balance ${(i * 1234.5).toFixed(2)}</text>`).join('')}
+</svg>`));
+
+test('error-level analysis stays quiet on a JPEG saved once', async () => {
+    for (const quality of [75, 85, 90, 95]) {
+        const buffer = await page().jpeg({ quality }).toBuffer();
+        const result = await examineDocument({ type: 'bank', originalname: 'statement.jpg', mimetype: 'image/jpeg', buffer });
+        assert.deepEqual(result.indicators, [], `quality ${quality}`);
+    }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDigit, findMrz, parseMrz } from '../../server/extract/mrz.js';
+
+// The ICAO 9303 specimen passport.
+const SPECIMEN = [
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10',
+];
+
+test('check digits follow the 7-3-1 weighting', () => {
+    assert.equal(checkDigit('L898902C3'), '6');
+    assert.equal(checkDigit('740812'), '2');
+    assert.equal(checkDigit('120415'), '9');
+});
+
+test('parses the specimen MRZ', () => {
+    const mrz = parseMrz(SPECIMEN);
+    assert.equal(mrz.valid, true);
+    assert.deepEqual(mrz.fields, {
+        document_type: 'P',
+        issuing_state: 'UTO',
+        surname: 'ERIKSSON',
+        given_names: 'ANNA MARIA',
+        passport_number: 'L898902C3',
+        nationality: 'UTO',
+        date_of_birth: '1974-08-12',
+        sex: 'F',
+        expiry_date: '2012-04-15',
+        personal_number: 'ZE184226B',
+    });
+});
+
+test('finds the MRZ among other OCR text', () => {
+    const text = ['PASSPORT', 'Surname / Nom', 'ERIKSSON', ...SPECIMEN, ''].join('\n');
+    assert.deepEqual(findMrz(text), SPECIMEN);
+});
+
+test('a corrupted check digit fails its field and the composite', () => {
+    const mrz = parseMrz([SPECIMEN[0], 'L898902C36UTO7408123F1204159ZE184226B<<<<<10']);
+    const failed = mrz.checks.filter(c => !c.valid).map(c => c.field);
+    assert.equal(mrz.valid, false);
+    assert.deepEqual(failed, ['date_of_birth', 'composite']);
+});
+
+test('fillers read as K are restored', () => {
+    const text = [
+        'P<UTOERIKSSON<<ANNA<MARIAKKKKKK<<<KKKKKKKKKK',
+        'L898902C36UTO7408122F1204159ZE184226BKKKKK10',
+    ].join('\n');
+    const lines = findMrz(text);
+    assert.deepEqual(lines, SPECIMEN);
+    assert.equal(parseMrz(lines).valid, true);
+});
+
+test('a K in a name is kept', () => {
+    const lines = findMrz('P<UTONOVAK<<KAROLINA<<<<<<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10');
+    assert.equal(parseMrz(lines).fields.surname, 'NOVAK');
+    assert.equal(parseMrz(lines).fields.given_names, 'KAROLINA');
+});
+
+test('a dropped character is realigned by the check digits', () => {
+    const lines = findMrz(`${SPECIMEN[0]}\nL898902C36UTO7408122F1204159ZE184226B<<<<10`);
+    assert.equal(parseMrz(lines).valid, true);
+});
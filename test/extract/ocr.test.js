@@ -0,0 +1,31 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { extractLayout, extractText, terminateOcr } from '../../server/extract/ocr.js';
+
+after(terminateOcr);
+
+// A scanned-looking page: black text on white, no text layer.
+const page = () => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="600">
+    <rect width="100%" height="100%" fill="white"/>
+    <text x="60" y="200" font-family="sans-serif" font-size="64" fill="black">STATEMENT OF ACCOUNT</text>
+    <text x="60" y="360" font-family="sans-serif" font-size="64" fill="black">CLOSING BALANCE 12500</text>
+</svg>`)).png().toBuffer();
+
+const timed = async (fn) => {
+    const start = performance.now();
+    const value = await fn();
+    return { value, ms: performance.now() - start };
+};
+
+test('the layout of an image reuses the OCR pass of its text', async () => {
+    // Starts the OCR worker, so the timings below compare recognition only.
+    await extractText({ mimetype: 'image/png', buffer: await page() });
+    const doc = { mimetype: 'image/png', buffer: await page() };
+    const read = await timed(() => extractText(doc));
+    assert.match(read.value.text, /STATEMENT OF ACCOUNT/);
+
+    const located = await timed(() => extractLayout(doc));
+    assert.deepEqual(located.value.pages[0].lines.map(l => l.text), read.value.text.trim().split('\n').filter(Boolean));
+    assert.ok(located.ms < read.ms / 4, `layout took ${Math.round(located.ms)} ms after ${Math.round(read.ms)} ms of OCR`);
+});
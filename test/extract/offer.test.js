@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOfferText } from '../../server/extract/offer.js';
+
+const LETTER = [
+    'University of Toronto',
+    'Office of Admissions',
+    '',
+    'Dear Ms. Anna Eriksson,',
+    '',
+    'We are pleased to offer you admission to the Master of Science in Computer Science.',
+    'Date of birth: 12/08/1974',
+    'Program start date: September 2026',
+    'Tuition fee: CAD 24,500.00',
+    'Deposit paid: CAD 2,000.00',
+].join('\n');
+
+test('reads the fields of an offer letter', () => {
+    assert.deepEqual(parseOfferText(LETTER), {
+        institution: 'University of Toronto',
+        program: 'Master of Science in Computer Science',
+        start_date: '2026-09-01',
+        tuition: { amount: 24500, currency: 'CAD' },
+        deposit_paid: { amount: 2000, currency: 'CAD' },
+        applicant_name: 'Anna Eriksson',
+        date_of_birth: '1974-08-12',
+    });
+});
+
+test('falls back to labelled names and programs', () => {
+    const fields = parseOfferText([
+        'Imperial College London',
+        'Applicant name: Ravi Kumar',
+        'Programme: MSc Data Science',
+        'Commencement date: 1 October 2026',
+        'Annual tuition: £31,000',
+    ].join('\n'));
+    assert.equal(fields.institution, 'Imperial College');
+    assert.equal(fields.applicant_name, 'Ravi Kumar');
+    assert.equal(fields.program, 'MSc Data Science');
+    assert.equal(fields.start_date, '2026-10-01');
+    assert.deepEqual(fields.tuition, { amount: 31000, currency: 'GBP' });
+});
+
+test('leaves out what the letter does not say', () => {
+    assert.deepEqual(parseOfferText('Offer of admission\nTuition: 18,000 per year\nDeposit paid: 0'), {
+        institution: null,
+        program: null,
+        start_date: null,
+        tuition: { amount: 18000, currency: null },
+        deposit_paid: null,
+        applicant_name: null,
+        date_of_birth: null,
+    });
+    // An application fee of 50 is no tuition figure.
+    assert.equal(parseOfferText('Tuition: 50').tuition, null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueueFullError, RateLimitedQueue } from '../server/ratelimit.js';
+
+// A queue whose token bucket a 60,000-token job empties; it refills 1,000 tokens a second.
+const queue = () => new RateLimitedQueue({ requestsPerMinute: 100, tokensPerMinute: 60000, maxQueue: 2, maxWaitMs: 5000 });
+
+test('a job released right away is never reported as queued', async () => {
+    const positions = [];
+    const result = await queue().schedule(async () => 'done', { tokens: 100, onPosition: p => positions.push(p) });
+    assert.equal(result, 'done');
+    assert.deepEqual(positions, []);
+});
+
+test('a job that waits for tokens hears its position, then its release', async () => {
+    const limited = queue();
+    await limited.schedule(async () => 'first', { tokens: 60000 });
+    const positions = [];
+    const waiting = limited.schedule(async () => 'second', { id: 'second', tokens: 200, onPosition: p => positions.push(p) });
+    assert.deepEqual(positions, [1]);
+    assert.equal(limited.position('second'), 1);
+    assert.equal(await waiting, 'second');
+    assert.deepEqual(positions, [1, 0]);
+    assert.equal(limited.position('second'), null);
+});
+
+test('rejects jobs when the queue is full', async () => {
+    const limited = queue();
+    await limited.schedule(async () => 'first', { tokens: 60000 });
+    const waiting = [1, 2].map(() => limited.schedule(async () => 'later', { tokens: 100 }));
+    await assert.rejects(limited.schedule(async () => 'one too many'), QueueFullError);
+    assert.deepEqual(await Promise.all(waiting), ['later', 'later']);
+});
+
+test('a queued job is found only by its owner, and stats do not describe it', async () => {
+    const limited = queue();
+    await limited.schedule(async () => 'first', { tokens: 60000 });
+    const waiting = limited.schedule(async () => 'mine', { id: 'request-1', owner: 'user-a', tokens: 200 });
+    assert.equal(limited.position('request-1', 'user-a'), 1);
+    assert.equal(limited.position('request-1', 'user-b'), null);
+    assert.equal(limited.position('request-1'), null);
+    const stats = limited.stats();
+    assert.equal(stats.queued, 1);
+    assert.ok(!JSON.stringify(stats).includes('request-1'));
+    assert.equal(await waiting, 'mine');
+});
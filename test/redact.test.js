@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Redaction, redactInput } from '../server/redact.js';
+
+const LETTER = [
+    'Dear Anna Eriksson,',
+    'Passport: L8989023, date of birth: 12/08/1974.',
+    'Email anna.eriksson@example.com or call +46 70 123 4567.',
+    'Tuition fee: 24,500.00 CAD',
+].join('\n');
+
+test('masks personal data with numbered placeholders', () => {
+    const redaction = new Redaction();
+    const masked = redaction.mask(LETTER, 'offer.pdf');
+    assert.equal(masked, [
+        'Dear [NAME_1],',
+        'Passport: [PASSPORT_NUMBER_1], date of birth: [DATE_OF_BIRTH_1].',
+        'Email [EMAIL_1] or call [PHONE_1].',
+        'Tuition fee: 24,500.00 CAD',
+    ].join('\n'));
+});
+
+test('relinks placeholders in the answer to the originals', () => {
+    const redaction = new Redaction();
+    redaction.mask(LETTER, 'offer.pdf');
+    const answer = {
+        score: 72,
+        reasons: ['Offer letter for [NAME_1] is consistent'],
+        docs: [{ name: 'Passport', note: 'Number [PASSPORT_NUMBER_1] matches; [UNKNOWN_1] is left alone.' }],
+    };
+    assert.deepEqual(redaction.relink(answer), {
+        score: 72,
+        reasons: ['Offer letter for Anna Eriksson is consistent'],
+        docs: [{ name: 'Passport', note: 'Number L8989023 matches; [UNKNOWN_1] is left alone.' }],
+    });
+    assert.equal(redaction.relinked, 2);
+});
+
+test('the same value gets the same placeholder, across documents', () => {
+    const redaction = new Redaction();
+    redaction.addKnown('name', 'Eriksson');
+    const first = redaction.mask('Account holder: Anna Eriksson', 'bank.csv');
+    const second = redaction.mask('Student: ANNA ERIKSSON', 'offer.pdf');
+    assert.equal(first, 'Account holder: [NAME_1]');
+    assert.equal(second, 'Student: [NAME_1]');
+    assert.deepEqual(redaction.relink(second), 'Student: Anna Eriksson');
+});
+
+test('masks originals again before text goes back to the model', () => {
+    const redaction = new Redaction();
+    const masked = redaction.mask(LETTER, 'offer.pdf');
+    assert.equal(redaction.reapply(redaction.relink(masked)), masked);
+});
+
+test('the summary lists fields and documents, never the values', () => {
+    const redaction = new Redaction();
+    redaction.mask(LETTER, 'offer.pdf');
+    const summary = redaction.summary();
+    assert.deepEqual(summary.fields.map(f => [f.field, f.count, f.documents]), [
+        ['name', 1, ['offer.pdf']],
+        ['passport_number', 1, ['offer.pdf']],
+        ['date_of_birth', 1, ['offer.pdf']],
+        ['email', 1, ['offer.pdf']],
+        ['phone', 1, ['offer.pdf']],
+    ]);
+    assert.ok(!JSON.stringify(summary).includes('Eriksson'));
+});
+
+test('redacts an input: CSVs become masked text, other files are withheld', async () => {
+    const csv = 'Date,Description,Amount,Balance\n2026-01-05,Salary ANNA ERIKSSON,1000.00,11000.00\n';
+    const { profile, documents, redaction } = await redactInput({
+        profile: { name: 'Anna Eriksson', funds: '20000' },
+        documents: [
+            { type: 'bank', originalname: 'bank.csv', mimetype: 'text/csv', buffer: Buffer.from(csv) },
+            { type: 'other', originalname: 'notes.txt', mimetype: 'text/plain', buffer: Buffer.from('Anna') },
+        ],
+    });
+    assert.deepEqual(profile, { name: '[NAME_1] [NAME_2]', funds: '20000' });
+    assert.equal(documents[0].redaction, 'masked_text');
+    assert.equal(documents[0].text, 'Date,Description,Amount,Balance\n2026-01-05,Salary [NAME_1] [NAME_2],1000.00,11000.00\n');
+    assert.deepEqual(documents[1], { type: 'other', originalname: 'notes.txt', mimetype: 'text/plain', buffer: null, redaction: 'withheld' });
+    assert.equal(redaction.relink(documents[0].text), csv);
+});
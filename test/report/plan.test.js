@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { actionPlan, carryOver, estimatePlan } from '../../server/report/plan.js';
+
+const NOW = new Date('2026-10-01T00:00:00Z');
+const warning = (code, message = code) => ({ code, severity: 'warning', message });
+
+// An analysis at 70: the bank statement scored 10 of its 20 points.
+function analysis({ bank = [], transcript = [], risk = [] } = {}) {
+    return {
+        score: 70,
+        docs: [
+            { name: 'Bank statement', ok: true, note: 'Read', findings: bank },
+            { name: 'Transcript', ok: true, note: 'Read', findings: transcript },
+        ],
+        risk,
+        factors: [
+            { name: 'Baseline', weight: null, contribution: 50 },
+            { name: 'Bank statement', weight: 20, contribution: 10 },
+            { name: 'Education', weight: 5, contribution: 10 },
+        ],
+    };
+}
+
+const tickAll = (plan) => ({ ...plan, items: plan.items.map(i => ({ ...i, done: true })) });
+
+test('tasks draw their impact from the deficit of their score factor', () => {
+    const plan = actionPlan(analysis({ bank: [warning('large_deposit'), warning('negative_balance')] }), {}, { now: NOW });
+    assert.deepEqual(plan.deficits, { 'Bank statement': 10 });
+    assert.deepEqual(plan.items.map(i => [i.factor, i.impact, i.estimated]), [
+        ['Bank statement', 5, false],
+        ['Bank statement', 5, false],
+    ]);
+    assert.equal(estimatePlan(tickAll(plan)).projected, 80);
+});
+
+test('the tasks of one factor add at most its deficit', () => {
+    const codes = ['large_deposit', 'negative_balance', 'no_balances', 'short_history'];
+    const plan = actionPlan(analysis({ bank: codes.map(c => warning(c)) }), {}, { now: NOW });
+    assert.equal(plan.items.reduce((sum, i) => sum + i.impact, 0), 12);
+    assert.deepEqual(estimatePlan(tickAll(plan)), { score: 70, projected: 80, plain: 'Highly likely', done: 4, total: 4 });
+});
+
+test('findings merged into one task are worth at most the deficit', () => {
+    const tampered = ['tamper_metadata', 'tamper_overlay', 'tamper_fonts'].map(c => warning(c, `Indicator ${c}`));
+    const plan = actionPlan(analysis({ bank: [...tampered, warning('large_deposit')] }), {}, { now: NOW });
+    const fresh = plan.items.find(i => i.task.startsWith('Get a fresh copy'));
+    assert.equal(plan.items.length, 2);
+    assert.equal(fresh.impact, 9);
+    assert.equal(estimatePlan(tickAll(plan)).projected, 80);
+});
+
+test('a factor with no deficit gives its tasks no impact', () => {
+    const plan = actionPlan({ ...analysis(), factors: [{ name: 'Bank statement', weight: 20, contribution: 20 }], docs: [
+        { name: 'Bank statement', ok: true, note: 'Read', findings: [warning('negative_balance')] },
+    ] }, {}, { now: NOW });
+    assert.deepEqual(plan.items.map(i => [i.impact, i.estimated]), [[0, false]]);
+});
+
+test('estimated tasks together add at most 10 points', () => {
+    const errors = ['one', 'two', 'three'].map(c => ({ code: c, severity: 'error', message: `Problem ${c}` }));
+    const plan = actionPlan(analysis({ transcript: errors, risk: [{ label: 'Travel History', value: 80 }] }), {}, { now: NOW });
+    assert.ok(plan.items.every(i => i.estimated));
+    assert.equal(plan.items.reduce((sum, i) => sum + i.impact, 0), 18);
+    assert.equal(estimatePlan(tickAll(plan)).projected, 80);
+});
+
+test('ticks carry over to the tasks that are still in a new plan', () => {
+    const first = actionPlan(analysis({ bank: [warning('large_deposit'), warning('negative_balance')] }), {}, { now: NOW });
+    const ticked = { ...first, items: first.items.map(i => ({ ...i, done: i.id.endsWith('large_deposit') })) };
+    const next = carryOver(actionPlan(analysis({ bank: [warning('large_deposit')] }), {}, { now: NOW }), ticked);
+    assert.deepEqual(next.items.map(i => [i.id, i.done]), [['finding:bank-statement:large_deposit', true]]);
+    assert.equal(estimatePlan(next).projected, 80);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { plainForScore, validateResult } from '../server/schema.js';
+
+const RESULT = {
+    score: 72,
+    plain: 'Likely',
+    reasons: ['Strong financial capacity'],
+    docs: [{ name: 'Passport', ok: true, note: 'Valid' }],
+    twin: { name: 'Anna', confidence: 80, traits: ['Experienced traveller'] },
+    countries: [{ name: 'Canada', score: 70, flag: '🇨🇦', reason: 'Funds cover the stay' }],
+    risk: [{ label: 'Finances', value: 30 }],
+    factors: [{ name: 'Baseline', contribution: 50, rule: 'Every application starts at 50' }],
+};
+
+const messages = (list) => list.map(({ path, message }) => `${path}: ${message}`);
+
+test('a valid result passes unchanged', () => {
+    const { value, coerced, violations } = validateResult(structuredClone(RESULT));
+    assert.deepEqual(value, RESULT);
+    assert.deepEqual(coerced, []);
+    assert.deepEqual(violations, []);
+});
+
+test('coerces recoverable issues and reports each fix', () => {
+    const { value, coerced, violations } = validateResult({
+        ...RESULT,
+        score: '72%',
+        plain: 'high',
+        docs: { name: 'Passport', ok: 'yes' },
+        twin: undefined,
+        risk: [{ label: 'Finances', value: 0.3 }, { label: 'Docs', value: 130 }],
+    });
+    assert.deepEqual(violations, []);
+    assert.equal(value.score, 72);
+    assert.equal(value.plain, 'Highly likely');
+    assert.deepEqual(value.docs, [{ name: 'Passport', ok: true, note: '' }]);
+    assert.deepEqual(value.twin, { name: 'Applicant', confidence: 50, traits: [] });
+    assert.deepEqual(value.risk.map(r => r.value), [30, 100]);
+    assert.deepEqual(messages(coerced), [
+        'score: string "72%" converted to number',
+        'plain: "high" mapped to "Highly likely"',
+        'docs: object wrapped in an array',
+        'docs[0].ok: "yes" converted to true',
+        'docs[0].note: missing, defaulted to ""',
+        'twin: missing, defaulted to {}',
+        'twin.name: missing, defaulted to "Applicant"',
+        'twin.confidence: missing, defaulted to 50',
+        'twin.traits: missing, defaulted to []',
+        'risk[0].value: fraction 0.3 scaled to percent',
+        'risk[1].value: 130 clamped to 100',
+    ]);
+});
+
+test('derives a missing or unknown rating from the score', () => {
+    const { value, coerced, violations } = validateResult({ ...RESULT, plain: 'Maybe' });
+    assert.deepEqual(violations, []);
+    assert.equal(value.plain, plainForScore(72));
+    assert.match(coerced[0].message, /derived "Likely" from score/);
+});
+
+test('reports what cannot be coerced as violations', () => {
+    const { violations } = validateResult({
+        ...RESULT,
+        score: 'unknown',
+        plain: undefined,
+        docs: [{ ok: 'perhaps', note: 'Valid' }],
+        countries: ['Canada'],
+    });
+    assert.deepEqual(messages(violations), [
+        'score: expected number, got string "unknown"',
+        'docs[0].name: is required',
+        'docs[0].ok: expected boolean, got string "perhaps"',
+        'countries[0]: expected object, got string',
+        // No usable score to derive the rating from.
+        'plain: is required',
+    ]);
+});
+
+test('a result that is not an object is a violation', () => {
+    const { violations } = validateResult('score: 72');
+    assert.deepEqual(messages(violations), ['$: expected object, got string']);
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getDb } from '../server/db.js';
+import { register } from '../server/auth.js';
+import { caseAuditLog } from '../server/audit.js';
+import { createCase, getAnalysis, recordAnalysis } from '../server/cases.js';
+import { intakeDocuments, listDocuments, openJson, purgeExpired, readDocument, releaseDocuments, sealJson } from '../server/vault.js';
+
+const KEY = crypto.randomBytes(32).toString('base64');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+process.env.CASES_DB = ':memory:';
+process.env.VAULT_DIR = dir;
+process.env.VAULT_KEY = KEY;
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASSPORT = Buffer.from('%PDF-1.4 passport L8989023');
+
+// Runs `fn` with VAULT_KEY set to `key` (null: unset).
+function withKey(key, fn) {
+    if (key) process.env.VAULT_KEY = key;
+    else delete process.env.VAULT_KEY;
+    try {
+        return fn();
+    } finally {
+        process.env.VAULT_KEY = KEY;
+    }
+}
+
+let counter = 0;
+async function newCase(retention) {
+    const { user } = await register({ email: `applicant${++counter}@example.com`, password: 'correct horse battery' });
+    return { user, caseId: createCase({ name: 'Anna', retention }, user).id };
+}
+
+function keep(caseId, user) {
+    const intake = intakeDocuments(caseId, [{ type: 'passport', originalname: 'passport.pdf', mimetype: 'application/pdf', size: PASSPORT.length, buffer: PASSPORT }], user);
+    releaseDocuments(intake, user);
+    return intake.documents[0].id;
+}
+
+test('a kept document is encrypted on disk and decrypts to the upload', async () => {
+    const { user, caseId } = await newCase('case');
+    const documentId = keep(caseId, user);
+    const onDisk = fs.readFileSync(path.join(dir, `${documentId}.enc`));
+    assert.ok(!onDisk.includes('L8989023'));
+    const { document, buffer } = readDocument(caseId, documentId, user);
+    assert.deepEqual(buffer, PASSPORT);
+    assert.equal(document.name, 'passport.pdf');
+    assert.deepEqual(caseAuditLog(caseId).map(e => e.action), ['upload', 'view']);
+});
+
+test('a document cannot be read after the key changes', async () => {
+    const { user, caseId } = await newCase('case');
+    const documentId = keep(caseId, user);
+    withKey(crypto.randomBytes(32).toString('hex'), () => {
+        assert.throws(() => readDocument(caseId, documentId, user), { status: 500, message: /vault key has changed/ });
+    });
+    assert.deepEqual(readDocument(caseId, documentId, user).buffer, PASSPORT);
+});
+
+test('immediate retention writes nothing and logs the discard', async () => {
+    const { user, caseId } = await newCase('immediate');
+    const documentId = keep(caseId, user);
+    assert.equal(fs.existsSync(path.join(dir, `${documentId}.enc`)), false);
+    assert.deepEqual(listDocuments(caseId), []);
+    assert.deepEqual(caseAuditLog(caseId).map(e => [e.action, e.detail.stored]), [['upload', false], ['delete', false]]);
+});
+
+test('documents are deleted when their retention runs out', async () => {
+    const { user, caseId } = await newCase('30d');
+    const documentId = keep(caseId, user);
+    assert.equal(purgeExpired(new Date(Date.now() + 29 * DAY_MS)), 0);
+    assert.equal(listDocuments(caseId).length, 1);
+
+    assert.equal(purgeExpired(new Date(Date.now() + 31 * DAY_MS)), 1);
+    assert.deepEqual(listDocuments(caseId), []);
+    assert.equal(fs.existsSync(path.join(dir, `${documentId}.enc`)), false);
+    const deleted = caseAuditLog(caseId).at(-1);
+    assert.deepEqual([deleted.action, deleted.actor, deleted.detail.reason], ['delete', null, 'retention expired']);
+});
+
+test('the audit log is append-only', async () => {
+    const { user, caseId } = await newCase('case');
+    keep(caseId, user);
+    const db = getDb();
+    assert.throws(() => db.prepare('UPDATE audit_log SET action = ? WHERE case_id = ?').run('view', caseId), /append-only/);
+    assert.throws(() => db.prepare('DELETE FROM audit_log WHERE case_id = ?').run(caseId), /append-only/);
+    assert.equal(caseAuditLog(caseId).length, 1);
+});
+
+test('sealed values round-trip only under their id and key', () => {
+    const sealed = sealJson('a1:result', { name: 'Anna Eriksson' });
+    assert.match(sealed, /^vgx1:[0-9a-f]{16}:/);
+    assert.ok(!sealed.includes('Eriksson'));
+    assert.deepEqual(openJson('a1:result', sealed), { name: 'Anna Eriksson' });
+    assert.throws(() => openJson('a2:result', sealed), /integrity check/);
+    withKey(crypto.randomBytes(32).toString('base64'), () => {
+        assert.throws(() => openJson('a1:result', sealed), /vault key has changed/);
+    });
+    withKey(null, () => assert.equal(sealJson('a1:result', { score: 1 }), '{"score":1}'));
+});
+
+const RESULT = {
+    score: 64,
+    plain: 'Likely',
+    reasons: [],
+    risk: [],
+    docs: [
+        { name: 'Passport', ok: true, fields: { surname: 'ERIKSSON', passport_number: 'L8989023', date_of_birth: '1974-08-12', expiry_date: '2031-01-01' } },
+        { name: 'Bank statement', ok: true, fields: { accountHolder: 'Anna Eriksson', verifiedFunds: 20000 }, statement: { dailyBalances: [{ date: '2026-01-01', balance: 20000 }], largeDeposits: [] } },
+    ],
+};
+
+async function storeAnalysis(key) {
+    const { user, caseId } = await newCase('immediate');
+    const analysisId = crypto.randomUUID();
+    withKey(key, () => recordAnalysis(caseId, {
+        profile: { name: 'Anna Eriksson' },
+        documents: [],
+        result: { ...RESULT, meta: { analysisId, engine: 'rules' } },
+    }));
+    const row = getDb().prepare('SELECT profile, result FROM analyses WHERE id = ?').get(analysisId);
+    return { user, analysisId, row };
+}
+
+test('stored analyses are encrypted with the vault key', async () => {
+    const { user, analysisId, row } = await storeAnalysis(KEY);
+    assert.ok(!row.profile.includes('Eriksson') && !row.result.includes('L8989023'));
+    const { profile, result } = getAnalysis(analysisId, user);
+    assert.equal(profile.name, 'Anna Eriksson');
+    assert.deepEqual(result.docs, RESULT.docs);
+});
+
+test('without a vault key, stored results leave out the identifiers', async () => {
+    const { user, analysisId, row } = await storeAnalysis(null);
+    for (const value of ['L8989023', '1974-08-12', 'ERIKSSON', 'Anna Eriksson', 'dailyBalances']) {
+        assert.ok(!row.result.includes(value), `result contains ${value}`);
+    }
+    const { result } = getAnalysis(analysisId, user);
+    assert.deepEqual(result.docs.map(d => d.fields), [{ expiry_date: '2031-01-01' }, { verifiedFunds: 20000 }]);
+    assert.deepEqual(result.docs[1].statement, { largeDeposits: [] });
+});
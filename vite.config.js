@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // the API server (npm run server) — keeps the frontend on relative /api URLs
+    proxy: {
+      '/api': process.env.VITE_API_TARGET || 'http://localhost:3000',
+    },
+  },
 })